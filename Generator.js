@@ -3,27 +3,117 @@ Import React, { useState, useEffect, useCallback, useRef } from 'react';
 // --- FIREBASE IMPORTS ---
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, query, orderBy, limit, setDoc, onSnapshot, updateDoc, arrayUnion, getDocs, deleteDoc } from 'firebase/firestore';
+import { getFirestore, doc, setDoc, onSnapshot, updateDoc, arrayUnion, getDocs, deleteField } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+
+// --- SERVICES ---
+import { DEFAULT_CONTEXT_TOKEN_BUDGET } from './src/services/conversationContext';
+import {
+    sessionsQuery, recentMessagesQuery, appendMessage, updateMessage, deleteMessage,
+    loadSessionMessages, renameSession, duplicateSession, deleteSession, migrateLegacyChats, saveQuizResult,
+    loadSessionsWithMessages, importArchive, loadMessagesPage, loadImagesPage,
+} from './src/services/sessionStore';
+import { HISTORY_PAGE_SIZE, EMPTY_HISTORY_FILTERS, searchHistory } from './src/services/historySearch';
+import {
+    decksQuery, dueCardsQuery, createDeck, addCardsToDeck, recordReview, loadDeckCards, refreshDeckStats, deleteDeck,
+} from './src/services/deckStore';
+import { GRADES } from './src/services/spacedRepetition';
+import { buildArchive, parseArchive, archiveToMarkdown, archiveToHtml } from './src/services/historyExport';
+import { toAnkiTsv, toCsv, buildApkg } from './src/services/studyExport';
+import { downloadBlob, downloadText, toSafeFilename } from './src/services/download';
+import { CROWN_REASONS, CROWN_REASON_LABELS, CROWN_AMOUNTS, ledgerQuery, computeBalance, recordCrownTransaction, importLegacyBalance } from './src/services/crownLedger';
+import { toDateKey, pickDailyChallenge, buildGradingPrompt, toChallengeResult, currentStreak, CHALLENGE_GRADER_INSTRUCTION, CHALLENGE_PASS_SCORE } from './src/services/dailyChallenge';
+import { getChallengeDocRef, getStreakDocRef, recordChallengeAttempt } from './src/services/challengeStore';
+import { appEvents, APP_EVENTS, ANY_EVENT } from './src/services/eventBus';
+import { ACHIEVEMENTS } from './src/services/achievements';
+import { getAchievementsDocRef, recordAchievementEvent } from './src/services/achievementStore';
+import { PLANS, STORE_KIND_LABELS, PREMIUM_ITEM_ID, isOwned, currentPlan, getPlanLimits, storeItemsOfKind, isValueUnlocked } from './src/services/entitlements';
+import { getEntitlementsDocRef, purchaseItem, consumeDailyQuota, refundDailyQuota } from './src/services/entitlementStore';
+import { PERSONA_COLORS, PERSONA_LIMITS, customPersonaKey, buildPersonaPrompt, normalizeShareCode } from './src/services/personas';
+import { personasQuery, savePersona, deletePersona, sharePersona, importSharedPersona } from './src/services/personaStore';
+import { prepareQuizItem, isCorrectPick, scoreQuiz, crownsForQuizScore } from './src/services/quiz';
+import { PROVIDERS, DEFAULT_MODELS, INITIAL_MODEL_SETTINGS, IMAGE_ROUTE_KEY, TTS_ROUTE_KEY, STT_ROUTE_KEY, resolveModelRoute, loadOpenAIApiKey, saveOpenAIApiKey } from './src/services/modelConfig';
+import {
+    streamTextContent,
+    generateTextContent as requestTextContent,
+    generateStructuredStudyContent as requestStudyContent,
+    generateImageContent as requestImageContent,
+    generateTTSAudio as requestTTSAudio,
+    generateSpeechClip as requestSpeechClip,
+    transcribeAudio as requestTranscription,
+    gradeSubmission,
+    generateImagePrompt as requestImagePrompt,
+} from './src/services/apiService';
+import {
+    isRecordingSupported, isWebSpeechSupported, openMicrophone, closeMicrophone,
+    startRecording, createLevelMeter, transcribeRecording, startWebSpeech,
+} from './src/services/speechInput';
+import { startVoiceConversation, VOICE_PHASES, SPOKEN_REPLY_INSTRUCTION } from './src/services/voiceConversation';
+import { splitIntoSentences } from './src/services/ttsChunks';
+import { createSpeechPlayer, PLAYBACK_RATES } from './src/services/speechPlayer';
+import { clipCacheKey, getCachedClip, putCachedClip } from './src/services/ttsCache';
+import { runtimeFor, runCode, buildFixPrompt, formatRunError } from './src/services/codeRunner';
+import { ATTACHMENT_ACCEPT, readAttachment, checkAttachmentLimits, toSavedAttachment, formatBytes } from './src/services/attachments';
+import { storeImage, hasInlineImage, loadImageBlob, deleteStoredImage } from './src/services/imageStore';
+import { IMAGE_PROMPT_INSTRUCTION, buildVisualizeRequest, buildEnhanceRequest, cleanImagePrompt } from './src/services/imagePrompt';
+import { IMAGE_STYLES, ASPECT_RATIOS, MAX_IMAGE_VARIATIONS, MAX_NEGATIVE_PROMPT_LENGTH, DEFAULT_IMAGE_OPTIONS, normalizeImageOptions, buildImagePrompt, randomSeed } from './src/services/imageOptions';
+import { MODE_TOOLS, MODE_TABS, PROMPT_PLACEHOLDERS, renderSystemPrompt, normalizeModeOverride, resolveModeSettings, buildGenerationConfig } from './src/services/modeSettings';
+import { THEMES, DEFAULT_THEME, applyTheme } from './src/theme/themes';
+
+// --- COMPONENTS ---
+import QuizPlayer from './src/components/QuizPlayer';
+import FlashcardReview from './src/components/FlashcardReview';
+import MarkdownMessage from './src/components/MarkdownMessage';
+import StoredImage from './src/components/StoredImage';
 
 // --- LUCIDE ICONS (for sleek UI) ---
-import { MessageSquareText, SearchCode, Lightbulb, GraduationCap, Code, HeartHandshake, Crown, Settings, Share2, History, X, Send, Mic, Volume2, Image as ImageIcon, BookOpen, Clock, Zap, User, Star, Loader2, Copy } from 'lucide-react';
+import { MessageSquareText, SearchCode, Lightbulb, GraduationCap, Code, HeartHandshake, Crown, Settings, Share2, History, X, Send, Mic, Volume2, Image as ImageIcon, BookOpen, Clock, Zap, User, Star, Loader2, Copy, Square, PanelLeft, Plus, Pencil, Trash2, Layers, Download, Upload, Search, Flame, Trophy, Award, Lock, ShoppingBag, Headphones, Play, Pause, Wrench, Terminal, Paperclip, FileText, Check, Shuffle, ChevronLeft, ChevronRight, Sparkles } from 'lucide-react';
 
 // --- CONSTANTS & CONFIGURATION ---
-const GEMINI_TEXT_MODEL = 'gemini-2.5-flash-preview-09-2025';
-const GEMINI_TTS_MODEL = 'gemini-2.5-flash-preview-tts';
-const IMAGEN_MODEL = 'imagen-4.0-generate-001';
-const API_KEY = ""; // Uses Canvas environment key
-
 // Global utility for unique ID (better than random UUID in some contexts)
 const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 5);
 
+// Besides its look, each mode carries its system-prompt template ({mode} and {persona}
+// are filled in), default tab, Gemini tools, default model and generation parameters.
+// `temperature: null` uses the Creativity slider; maxOutputTokens is capped by the plan.
+// Users override these in Settings > Advanced (see modeSettings.js).
 const MODES = {
-    QUICK_CHAT: { name: "Quick Chat", icon: MessageSquareText, color: "text-blue-400", description: "Casual conversation and fast answers." },
-    DEEP_SEARCH: { name: "Deep Search", icon: SearchCode, color: "text-green-400", description: "Research, web grounding, and detailed explanations." },
-    CREATIVE: { name: "Creative Mode", icon: Lightbulb, color: "text-purple-400", description: "Brainstorming, stories, and art ideas." },
-    STUDY: { name: "Study Mode", icon: GraduationCap, color: "text-yellow-400", description: "Summarize, quiz, and learning aids." },
-    CODE: { name: "Code Mode", icon: Code, color: "text-red-400", description: "Coding assistance, debugging, and samples." },
-    LIFE_COACH: { name: "Life Coach", icon: HeartHandshake, color: "text-pink-400", description: "Personal advice and motivational guidance." },
+    QUICK_CHAT: {
+        name: "Quick Chat", icon: MessageSquareText, color: "text-mode-quick", borderColor: "border-mode-quick", description: "Casual conversation and fast answers.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Give fast, conversational answers; keep them short unless the user asks for detail.",
+        defaultTab: "Text", tools: [], model: DEFAULT_MODELS.gemini.text,
+        temperature: null, maxOutputTokens: 1024, topP: null, topK: null, stopSequences: [],
+    },
+    DEEP_SEARCH: {
+        name: "Deep Search", icon: SearchCode, color: "text-mode-search", borderColor: "border-mode-search", description: "Research, web grounding, and detailed explanations.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Research the question with web search, explain in detail and say where the evidence is thin or sources disagree.",
+        defaultTab: "Text", tools: ["google_search"], model: DEFAULT_MODELS.gemini.text,
+        temperature: null, maxOutputTokens: 8192, topP: null, topK: null, stopSequences: [],
+    },
+    CREATIVE: {
+        name: "Creative Mode", icon: Lightbulb, color: "text-mode-creative", borderColor: "border-mode-creative", description: "Brainstorming, stories, and art ideas.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Be imaginative and vivid: brainstorm freely, tell stories and suggest art ideas.",
+        defaultTab: "Text", tools: [], model: DEFAULT_MODELS.gemini.text,
+        temperature: null, maxOutputTokens: 4096, topP: 0.95, topK: null, stopSequences: [],
+    },
+    STUDY: {
+        name: "Study Mode", icon: GraduationCap, color: "text-mode-study", borderColor: "border-mode-study", description: "Summarize, quiz, and learning aids.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Act as a patient study assistant: summarize clearly, check understanding and suggest ways to practice.",
+        defaultTab: "Study", tools: [], model: DEFAULT_MODELS.gemini.text,
+        temperature: 0.4, maxOutputTokens: 4096, topP: null, topK: null, stopSequences: [],
+    },
+    CODE: {
+        name: "Code Mode", icon: Code, color: "text-mode-code", borderColor: "border-mode-code", description: "Coding assistance, debugging, and samples.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Act as a senior software engineer: give correct, idiomatic code in fenced blocks tagged with the language, explain briefly and point out edge cases.",
+        defaultTab: "Code", tools: [], model: DEFAULT_MODELS.gemini.text,
+        temperature: 0.2, maxOutputTokens: 8192, topP: null, topK: null, stopSequences: [],
+    },
+    LIFE_COACH: {
+        name: "Life Coach", icon: HeartHandshake, color: "text-mode-coach", borderColor: "border-mode-coach", description: "Personal advice and motivational guidance.",
+        systemPrompt: "You are PopKing AI, currently operating in {mode}. Your persona is set to: {persona}. Act as a supportive life coach: listen, ask clarifying questions and suggest small, concrete next steps. Suggest professional help for serious concerns.",
+        defaultTab: "Text", tools: [], model: DEFAULT_MODELS.gemini.text,
+        temperature: null, maxOutputTokens: 2048, topP: null, topK: null, stopSequences: [],
+    },
 };
 
 const PERSONAS = {
@@ -32,100 +122,62 @@ const PERSONAS = {
     STRICT_TUTOR: "A strict but fair academic tutor who focuses on accuracy, clarity, and precision.",
     FUNNY: "A humorous and witty AI that includes light jokes and playful language in every response.",
     CREATIVE: "An imaginative and descriptive storyteller and idea generator.",
-    ANALYTICAL: "A concise and highly analytical expert who provides structured, objective findings."
+    ANALYTICAL: "A concise and highly analytical expert who provides structured, objective findings.",
+    // Unlocked with Crowns in the store
+    ...Object.fromEntries(storeItemsOfKind('persona').map(item => [item.value, item.prompt])),
 };
 
+const VOICES = [
+    ...['Kore (Firm)', 'Zephyr (Bright)', 'Charon (Informative)', 'Puck (Upbeat)', 'Fenrir (Excitable)'].map(label => ({ value: label.split(' ')[0], label })),
+    // Unlocked with Crowns in the store
+    ...storeItemsOfKind('voice').map(item => ({ value: item.value, label: item.name })),
+];
+
 const INITIAL_SETTINGS = {
     persona: "FRIENDLY",
     creativity: 0.7, // Mapped to temperature
     voice: "Kore", // Default TTS voice (Voice: Kore (Firm))
+    micMode: "toggle", // Speech input: "toggle" (tap to start/stop) or "push" (hold to talk)
+    runPython: false, // Offer Run on Python code blocks (downloads Pyodide on first use)
     activeMode: "QUICK_CHAT",
-    level: "Normal" // For premium feature mock
+    theme: DEFAULT_THEME, // Key of THEMES
+    contextTokenBudget: DEFAULT_CONTEXT_TOKEN_BUDGET, // Estimated tokens of prior turns sent with each prompt
+    modeOverrides: {}, // { [modeKey]: advanced per-mode settings }, see modeSettings.js
+    ...INITIAL_MODEL_SETTINGS, // Provider/model per mode
 };
 
-// --- API HELPER FUNCTIONS ---
+const VOICE_PHASE_LABELS = {
+    [VOICE_PHASES.LISTENING]: "Listening...",
+    [VOICE_PHASES.TRANSCRIBING]: "Transcribing...",
+    [VOICE_PHASES.THINKING]: "Thinking...",
+    [VOICE_PHASES.SPEAKING]: "Speaking - talk to interrupt",
+};
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// 75.4 -> "1:15"
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
 
-// Generalized fetch with exponential backoff
-const performFetch = async (url, payload, retries = 3) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            if (response.ok) {
-                return response.json();
-            } else if (response.status === 429 && i < retries - 1) { // Rate limit
-                await delay(Math.pow(2, i) * 1000);
-            } else {
-                const errorBody = await response.json();
-                console.error("API Error:", response.status, errorBody);
-                throw new Error(`API request failed with status ${response.status}: ${JSON.stringify(errorBody)}`);
-            }
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            await delay(Math.pow(2, i) * 1000);
-        }
-    }
-};
+// "STRICT_TUTOR" -> "Strict Tutor"
+const formatKeyLabel = (key) => key.split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ');
 
-// PCM to WAV conversion utilities for TTS
-const base64ToArrayBuffer = (base64) => {
-    const binaryString = atob(base64);
-    const len = binaryString.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes.buffer;
+const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown transcript', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON archive (re-importable)', extension: 'json', mimeType: 'application/json' },
+    html: { label: 'HTML page', extension: 'html', mimeType: 'text/html' },
 };
 
-const pcmToWav = (pcm16, sampleRate = 24000) => {
-    const numChannels = 1;
-    const numSamples = pcm16.length;
-    const buffer = new ArrayBuffer(44 + numSamples * 2);
-    const view = new DataView(buffer);
-
-    // RIFF identifier 'RIFF'
-    view.setUint32(0, 0x52494646, false);
-    // file size (expected to be 44 + numSamples * 2 - 8)
-    view.setUint32(4, 36 + numSamples * 2, true);
-    // 'WAVE' identifier
-    view.setUint32(8, 0x57415645, false);
-    // fmt chunk identifier 'fmt '
-    view.setUint32(12, 0x666d7420, false);
-    // fmt chunk size (16 for PCM)
-    view.setUint32(16, 16, true);
-    // audio format (1 for PCM)
-    view.setUint16(20, 1, true);
-    // number of channels
-    view.setUint16(22, numChannels, true);
-    // sample rate
-    view.setUint32(24, sampleRate, true);
-    // byte rate (sampleRate * numChannels * 2)
-    view.setUint32(28, sampleRate * numChannels * 2, true);
-    // block align (numChannels * 2)
-    view.setUint16(32, numChannels * 2, true);
-    // bits per sample (16)
-    view.setUint16(34, 16, true);
-    // data chunk identifier 'data'
-    view.setUint32(36, 0x64617461, false);
-    // data chunk size (numSamples * 2)
-    view.setUint32(40, numSamples * 2, true);
-
-    // Write PCM data
-    let offset = 44;
-    for (let i = 0; i < numSamples; i++) {
-        view.setInt16(offset, pcm16[i], true);
-        offset += 2;
-    }
-
-    return new Blob([buffer], { type: 'audio/wav' });
+// Study material exports (Anki / Quizlet); see src/services/studyExport.js.
+const STUDY_EXPORT_FORMATS = {
+    apkg: { label: 'Anki' },
+    tsv: { label: 'TSV', extension: 'txt', mimeType: 'text/tab-separated-values' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
 };
 
+const EMPTY_QUIZ_PROGRESS = { current: 0, answers: {}, explanations: {}, failedExplanations: {}, finished: false, result: null };
+
+// Quiz items of a study message, with options normalized and shuffled stably per message.
+const getQuizItems = (chat) => (chat.structuredData || [])
+    .filter(item => item.type === 'quiz')
+    .map((item, index) => prepareQuizItem(item, `${chat.id}:${index}`));
 
 // --- REACT MAIN COMPONENT ---
 
@@ -133,11 +185,16 @@ const App = () => {
     // --- FIREBASE STATE & INITIALIZATION ---
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [imageStorage, setImageStorage] = useState(null); // Firebase Storage, null without a bucket (see imageStore.js)
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
     // --- APP STATE ---
     const [queryInput, setQueryInput] = useState('');
+    const [attachments, setAttachments] = useState([]); // Files for the next prompt, see attachments.js
+    const [attachmentsLoading, setAttachmentsLoading] = useState(false);
+    const [imageOptions, setImageOptions] = useState(DEFAULT_IMAGE_OPTIONS); // Images tab settings, see imageOptions.js
+    const [imagePromptDraft, setImagePromptDraft] = useState(null); // { source: 'visualize' | 'enhance', request, status: 'writing' | 'ready' }, see imagePrompt.js
     const [chats, setChats] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -145,16 +202,94 @@ const App = () => {
     const [showSettings, setShowSettings] = useState(false);
     const [showHistory, setShowHistory] = useState(false);
     const [history, setHistory] = useState([]);
+    const [historySearch, setHistorySearch] = useState({ filters: EMPTY_HISTORY_FILTERS, results: [], cursor: null, hasMore: false, loading: false });
+    const [showGallery, setShowGallery] = useState(false);
+    const [gallery, setGallery] = useState({ images: [], cursor: null, hasMore: false, loading: false });
+    const [lightboxId, setLightboxId] = useState(null); // Gallery image shown full size
+    const [sessions, setSessions] = useState([]);
+    const [activeSessionId, setActiveSessionId] = useState(() => generateId());
+    const [showSessions, setShowSessions] = useState(false);
+    const [renamingSessionId, setRenamingSessionId] = useState(null);
     const [activeTab, setActiveTab] = useState('Text'); // Text, Images, Study, Code
     const [imagePrompt, setImagePrompt] = useState('');
-    const [dailyChallenge, setDailyChallenge] = useState(null);
-    const [crownRewards, setCrownRewards] = useState(0);
+    const [challengeDateKey, setChallengeDateKey] = useState(() => toDateKey(Date.now())); // Day the Daily Challenge is for
+    const [dueDateKey, setDueDateKey] = useState(() => toDateKey(Date.now())); // Day the due-cards queue is for
+    const [challengeStatus, setChallengeStatus] = useState(null); // Today's attempt state, see challengeStore.js
+    const [challengeStreak, setChallengeStreak] = useState(null);
+    const [challengeGrading, setChallengeGrading] = useState(false);
+    const [crownLedger, setCrownLedger] = useState([]); // Ledger entries, newest first
+    const [showLedger, setShowLedger] = useState(false);
+    const [achievementState, setAchievementState] = useState(null); // { progress, unlocked }, see achievements.js
+    const [showAchievements, setShowAchievements] = useState(false);
+    const [toasts, setToasts] = useState([]);
+    const [entitlements, setEntitlements] = useState(null); // { owned }, see entitlementStore.js
+    const [showStore, setShowStore] = useState(false);
+    const [customPersonas, setCustomPersonas] = useState([]); // See personaStore.js
+    const [personaEditorId, setPersonaEditorId] = useState(null); // Persona being edited, or 'new'
+    const [voiceInput, setVoiceInput] = useState({ status: 'idle', engine: null }); // status: idle, recording, transcribing
+    const [voicePhase, setVoicePhase] = useState(null); // Hands-free session phase (VOICE_PHASES), null when off
+    const [codeRuns, setCodeRuns] = useState({}); // { [messageId]: { code, runtime, status, result } }, see codeRunner.js
+    const [speechPlayback, setSpeechPlayback] = useState(null); // { messageId, sentences, ...speechPlayer state }, see speechPlayer.js
+    const [advancedModeKey, setAdvancedModeKey] = useState('QUICK_CHAT'); // Mode shown in Settings > Advanced
+    const [isStreaming, setIsStreaming] = useState(false);
+    const [quizProgress, setQuizProgress] = useState({}); // { [messageId]: progress }, see EMPTY_QUIZ_PROGRESS
+    const [decks, setDecks] = useState([]);
+    const [dueCards, setDueCards] = useState([]);
+    const [showDecks, setShowDecks] = useState(false);
+    const [deckSaveSource, setDeckSaveSource] = useState(null); // Study message whose flashcards are being saved
+    const [review, setReview] = useState(null); // { queue, index, flipped, deckIds, reviewed, finished, grading }
+    const [exportFormat, setExportFormat] = useState('markdown');
+    const [exportSelection, setExportSelection] = useState([]); // Session IDs; empty means all
+    const [transferBusy, setTransferBusy] = useState(false);
 
     const chatContainerRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    const historySearchRunRef = useRef(0);
+    const imageSavesRef = useRef({}); // Image uploads in progress, by message ID
+    const gradingRef = useRef(false); // A flashcard grade is being saved
     const audioRef = useRef(new Audio());
-
-    const { persona, creativity, activeMode, voice } = settings;
+    const voiceSessionRef = useRef(null); // { stream, recording, stopMeter } or { recognition }
+    const voiceStartRef = useRef(null); // Pending start, awaited by stop (push-to-talk can release early)
+    const micLevelRef = useRef(null); // Level meter bar, updated outside React to avoid re-rendering per frame
+    const imageFieldsRef = useRef({ negativePrompt: '', seed: '' }); // Typed Images tab fields; a ref so typing doesn't re-render the composer
+    const challengeDraftRef = useRef(null); // Typed Daily Challenge answer, kept across re-renders of the card
+    const imagePromptTextRef = useRef(''); // Text of the image prompt draft as edited, for the same reason
+    const imagePromptRunRef = useRef(0);
+    const voiceConversationRef = useRef(null); // Running hands-free session, see voiceConversation.js
+    const voiceHandlersRef = useRef(null); // Latest respond/speak callbacks for the running session
+    const attachInputRef = useRef(null);
+    const speechPlayerRef = useRef(null); // Long-text player for `speechPlayback`
+    const speechSeekRef = useRef(null); // Seek slider and clock, updated outside React like the mic meter
+    const speechClockRef = useRef(null);
+
+    const { persona, creativity, activeMode, voice, contextTokenBudget } = settings;
     const modeConfig = MODES[activeMode];
+    const crownRewards = computeBalance(crownLedger);
+    const dailyChallenge = pickDailyChallenge(challengeDateKey);
+    const planLimits = getPlanLimits(entitlements); // All Premium gates read from here
+    const personaOptions = [
+        ...Object.keys(PERSONAS).map(key => ({ key, label: formatKeyLabel(key), prompt: PERSONAS[key] })),
+        ...customPersonas.map(p => ({ key: customPersonaKey(p.id), label: p.name, prompt: buildPersonaPrompt(p), custom: p })),
+    ];
+    // A deleted custom persona falls back to the first built-in one
+    const activePersona = personaOptions.find(option => option.key === persona) || personaOptions[0];
+    const activeTheme = THEMES[settings.theme] && isValueUnlocked(entitlements, 'theme', settings.theme) ? settings.theme : DEFAULT_THEME;
+
+    // --- THEME EFFECT ---
+    useEffect(() => {
+        applyTheme(activeTheme);
+    }, [activeTheme]);
+
+    // --- SPEECH PLAYER EFFECTS ---
+    // Every render remounts the player bar; restore the progress it shows.
+    useEffect(() => {
+        const player = speechPlayerRef.current;
+        if (player) updateSpeechProgress(player.position(), player.duration());
+    });
+
+    useEffect(() => () => {
+        if (speechPlayerRef.current) speechPlayerRef.current.close();
+    }, []);
 
     // --- FIREBASE INITIALIZATION EFFECT ---
     useEffect(() => {
@@ -170,6 +305,7 @@ const App = () => {
 
                 setDb(firestore);
                 setAuth(authentication);
+                setImageStorage(firebaseConfig.storageBucket ? getStorage(app) : null);
 
                 const unsubscribe = onAuthStateChanged(authentication, async (user) => {
                     if (user) {
@@ -189,14 +325,6 @@ const App = () => {
                     setIsAuthReady(true);
                 });
 
-                // Mock Daily Challenge on load
-                setDailyChallenge({
-                    type: "Creative Prompt",
-                    prompt: "Write a 3-sentence micro-story about a robot who discovered rain.",
-                    reward: 5,
-                    completed: false
-                });
-
                 return () => unsubscribe();
             } catch (e) {
                 console.error("Firebase initialization failed:", e);
@@ -209,45 +337,142 @@ const App = () => {
     }, []);
 
     // --- FIRESTORE UTILITIES ---
-    const getHistoryCollectionRef = (dbInstance, uid) => {
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        return collection(dbInstance, `/artifacts/${appId}/users/${uid}/chats`);
-    };
-
     const getRewardsDocRef = (dbInstance, uid) => {
         const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
         return doc(dbInstance, `/artifacts/${appId}/users/${uid}/metadata/rewards`);
     };
 
-    // Load History and Rewards
+    // Load Sessions, History and Rewards
     useEffect(() => {
         if (db && userId) {
-            // Load Chats
-            const chatQuery = query(getHistoryCollectionRef(db, userId), orderBy('timestamp', 'desc'), limit(50));
-            const unsubscribeChats = onSnapshot(chatQuery, (snapshot) => {
+            // One-time move of flat /chats records into sessions (no-op once migrated)
+            migrateLegacyChats(db, userId).catch(err => console.error("Legacy chat migration failed:", err));
+
+            // Load Sessions
+            const unsubscribeSessions = onSnapshot(sessionsQuery(db, userId), (snapshot) => {
+                setSessions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => console.error("Sessions listen error:", err));
+
+            // Load recent messages across sessions (History & Favorites)
+            const unsubscribeChats = onSnapshot(recentMessagesQuery(db, userId), (snapshot) => {
                 const loadedHistory = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
                 setHistory(loadedHistory);
             }, (err) => console.error("History listen error:", err));
 
-            // Load Rewards
+            // Load Flashcard Decks
+            const unsubscribeDecks = onSnapshot(decksQuery(db, userId), (snapshot) => {
+                setDecks(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => console.error("Decks listen error:", err));
+
+            // Load Settings (stored on the rewards doc)
             const rewardsRef = getRewardsDocRef(db, userId);
             const unsubscribeRewards = onSnapshot(rewardsRef, (docSnap) => {
                 if (docSnap.exists()) {
-                    setCrownRewards(docSnap.data().points || 0);
-                    setSettings(prev => ({ ...prev, ...docSnap.data().settings }));
+                    const { points, settings: { openaiApiKey: syncedApiKey, ...savedSettings } = {} } = docSnap.data();
+                    setSettings(prev => ({ ...prev, ...savedSettings }));
+                    // API keys used to be synced with the settings; keep them in this browser only
+                    if (syncedApiKey !== undefined) {
+                        if (syncedApiKey && !loadOpenAIApiKey()) saveOpenAIApiKey(syncedApiKey);
+                        updateDoc(rewardsRef, { 'settings.openaiApiKey': deleteField() }).catch(err => console.error("Error removing the synced API key:", err));
+                    }
+                    // Crowns earned before the ledger existed become its opening entry
+                    if (points > 0) {
+                        importLegacyBalance(db, userId, points).catch(err => console.error("Legacy Crown import failed:", err));
+                    }
                 } else {
                     // Initialize rewards doc
-                    setDoc(rewardsRef, { points: 0, settings: INITIAL_SETTINGS }, { merge: true });
+                    setDoc(rewardsRef, { settings: INITIAL_SETTINGS }, { merge: true });
                 }
             }, (err) => console.error("Rewards listen error:", err));
 
+            // Load the Daily Challenge streak
+            const unsubscribeStreak = onSnapshot(getStreakDocRef(db, userId), (docSnap) => {
+                setChallengeStreak(docSnap.exists() ? docSnap.data() : null);
+            }, (err) => console.error("Streak listen error:", err));
+
+            // Load achievements, and check them against every app event
+            const unsubscribeAchievements = onSnapshot(getAchievementsDocRef(db, userId), (docSnap) => {
+                setAchievementState(docSnap.exists() ? docSnap.data() : null);
+            }, (err) => console.error("Achievements listen error:", err));
+            const unsubscribeAppEvents = appEvents.on(ANY_EVENT, (event) => {
+                recordAchievementEvent(db, userId, event)
+                    .then(unlocked => unlocked.forEach(achievement => showToast(`Achievement unlocked: ${achievement.title}`, achievement.description)))
+                    .catch(err => console.error("Achievement update failed:", err));
+            });
+
+            // Load store purchases (Premium, themes, personas, voices)
+            const unsubscribeEntitlements = onSnapshot(getEntitlementsDocRef(db, userId), (docSnap) => {
+                setEntitlements(docSnap.exists() ? docSnap.data() : null);
+            }, (err) => console.error("Entitlements listen error:", err));
+
+            // Load custom personas
+            const unsubscribePersonas = onSnapshot(personasQuery(db, userId), (snapshot) => {
+                setCustomPersonas(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => console.error("Personas listen error:", err));
+
+            // Load the Crown ledger (the balance is computed from it)
+            const unsubscribeLedger = onSnapshot(ledgerQuery(db, userId), (snapshot) => {
+                setCrownLedger(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => console.error("Crown ledger listen error:", err));
+
             return () => {
+                unsubscribeSessions();
                 unsubscribeChats();
+                unsubscribeDecks();
                 unsubscribeRewards();
+                unsubscribeLedger();
+                unsubscribeStreak();
+                unsubscribeAchievements();
+                unsubscribeAppEvents();
+                unsubscribeEntitlements();
+                unsubscribePersonas();
             };
         }
     }, [db, userId]);
 
+    // Load the "due today" flashcard queue, and move it on to the next day at midnight
+    useEffect(() => {
+        if (db && userId) {
+            const unsubscribeDueCards = onSnapshot(dueCardsQuery(db, userId, Date.now()), (snapshot) => {
+                setDueCards(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => console.error("Due cards listen error:", err));
+            return () => unsubscribeDueCards();
+        }
+    }, [db, userId, dueDateKey]);
+
+    // Load today's Daily Challenge state; a new day brings a new challenge and an empty answer
+    useEffect(() => {
+        challengeDraftRef.current = null;
+        setChallengeStatus(null);
+        if (db && userId) {
+            const unsubscribeChallenge = onSnapshot(getChallengeDocRef(db, userId, challengeDateKey), (docSnap) => {
+                setChallengeStatus(docSnap.exists() ? docSnap.data() : null);
+            }, (err) => console.error("Challenge listen error:", err));
+            return () => unsubscribeChallenge();
+        }
+    }, [db, userId, challengeDateKey]);
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            const today = toDateKey(Date.now());
+            setDueDateKey(today);
+            setChallengeDateKey(today);
+        }, 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Release the microphone if the app unmounts mid-recording
+    useEffect(() => () => {
+        if (voiceConversationRef.current) voiceConversationRef.current.stop();
+        const session = voiceSessionRef.current;
+        if (session?.recognition) session.recognition.stop();
+        if (session?.stream) {
+            session.stopMeter();
+            session.recording.cancel();
+            closeMicrophone(session.stream);
+        }
+    }, []);
+
     // Scroll to bottom of chat
     useEffect(() => {
         if (chatContainerRef.current) {
@@ -256,6 +481,12 @@ const App = () => {
     }, [chats]);
 
     // --- GENERAL HANDLERS ---
+    const showToast = (title, description = '') => {
+        const id = generateId();
+        setToasts(prev => [...prev, { id, title, description }]);
+        setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), 5000);
+    };
+
     const handleSettingChange = (key, value) => {
         setSettings(prev => ({ ...prev, [key]: value }));
         if (db && userId && key !== 'activeMode' && key !== 'activeTab') {
@@ -263,298 +494,1197 @@ const App = () => {
         }
     };
 
+    // Updates the provider/model override for one mode or capability (IMAGE, TTS).
+    const handleModelRouteChange = (routeKey, changes) => {
+        const current = settings.modelRoutes?.[routeKey] || {};
+        const next = { ...current, ...changes };
+        // Switching provider invalidates a model name typed for the previous one.
+        if (changes.provider && changes.provider !== current.provider) next.model = '';
+        handleSettingChange('modelRoutes', { ...settings.modelRoutes, [routeKey]: next });
+    };
+
+    // Switching modes also opens the mode's default tab.
+    const handleModeChange = (modeKey) => {
+        handleSettingChange('activeMode', modeKey);
+        setActiveTab(resolveModeSettings(MODES[modeKey], settings.modeOverrides?.[modeKey]).defaultTab);
+    };
+
+    const handleModeOverrideSave = (e) => {
+        e.preventDefault();
+        const data = new FormData(e.target);
+        const override = normalizeModeOverride({
+            systemPrompt: data.get('systemPrompt'),
+            defaultTab: data.get('defaultTab'),
+            tools: data.getAll('tools'),
+            temperature: data.get('temperature'),
+            maxOutputTokens: data.get('maxOutputTokens'),
+            topP: data.get('topP'),
+            topK: data.get('topK'),
+            stopSequences: data.get('stopSequences'),
+        }, MODES[advancedModeKey]);
+        handleSettingChange('modeOverrides', { ...settings.modeOverrides, [advancedModeKey]: override });
+        showToast(`Saved ${MODES[advancedModeKey].name} settings`);
+    };
+
+    const handleModeOverrideReset = () => {
+        const modeOverrides = { ...settings.modeOverrides };
+        delete modeOverrides[advancedModeKey];
+        handleSettingChange('modeOverrides', modeOverrides);
+    };
+
     const saveChat = useCallback(async (chatData) => {
         if (!db || !userId) return;
         try {
-            const chatRef = doc(getHistoryCollectionRef(db, userId));
-            await setDoc(chatRef, { ...chatData, timestamp: Date.now() });
+            await appendMessage(db, userId, activeSessionId, chatData);
         } catch (e) {
             console.error("Error saving chat:", e);
         }
-    }, [db, userId]);
+    }, [db, userId, activeSessionId]);
 
     const toggleFavorite = async (chatId) => {
-        const chatToUpdate = history.find(c => c.id === chatId);
-        if (!chatToUpdate) return;
+        const chatToUpdate = chats.find(c => c.id === chatId) || history.find(c => c.id === chatId) || historySearch.results.find(c => c.id === chatId) || gallery.images.find(c => c.id === chatId);
+        if (!chatToUpdate || !db || !userId) return;
         const newIsFavorite = !chatToUpdate.isFavorite;
 
         try {
-            const chatRef = doc(getHistoryCollectionRef(db, userId), chatId);
-            await updateDoc(chatRef, { isFavorite: newIsFavorite });
-            setCrownRewards(prev => prev + (newIsFavorite ? 1 : -1)); // Reward for favoring
+            await updateMessage(db, userId, chatToUpdate.sessionId || activeSessionId, chatId, { isFavorite: newIsFavorite });
+            setChats(prev => prev.map(c => c.id === chatId ? { ...c, isFavorite: newIsFavorite } : c));
+            setHistorySearch(prev => ({ ...prev, results: prev.results.map(c => c.id === chatId ? { ...c, isFavorite: newIsFavorite } : c) }));
+            setGallery(prev => ({ ...prev, images: prev.images.map(c => c.id === chatId ? { ...c, isFavorite: newIsFavorite } : c) }));
+            // Rewarded once per message; unfavoriting keeps the entry, so toggling can't farm Crowns
+            if (newIsFavorite) {
+                awardCrowns(CROWN_REASONS.FAVORITE, CROWN_AMOUNTS[CROWN_REASONS.FAVORITE], chatToUpdate).then(added => {
+                    if (added) appEvents.emit(APP_EVENTS.FAVORITE_ADDED, { messageId: chatId });
+                });
+            }
         } catch (e) {
             console.error("Error toggling favorite:", e);
         }
     };
 
-    // --- GEMINI API CALLERS ---
+    // Deletes a saved message, and its stored image, from every list that shows it
+    const deleteChatMessage = async (chat) => {
+        if (!db || !userId) return;
+        try {
+            await deleteMessage(db, userId, chat.sessionId || activeSessionId, chat.id);
+            setChats(prev => prev.filter(c => c.id !== chat.id));
+            setHistorySearch(prev => ({ ...prev, results: prev.results.filter(c => c.id !== chat.id) }));
+            setGallery(prev => ({ ...prev, images: prev.images.filter(c => c.id !== chat.id) }));
+        } catch (e) {
+            console.error("Error deleting chat:", e);
+            return;
+        }
+        if (chat.image) {
+            deleteStoredImage(imageStorage, chat.image).catch(e => console.error("Error deleting a stored image:", e));
+        }
+    };
 
-    const generateTextContent = useCallback(async (textPrompt) => {
-        setLoading(true);
-        setError(null);
+    // Appends a ledger entry for an action on `source` (a chat message); repeats are ignored by the ledger.
+    // Resolves to whether Crowns were added.
+    const awardCrowns = useCallback((reason, amount, source) => {
+        if (!db || !userId) return Promise.resolve(false);
+        return recordCrownTransaction(db, userId, { reason, amount, sourceId: source.id, sourceLabel: source.user })
+            .catch(e => {
+                console.error("Error awarding crowns:", e);
+                return false;
+            });
+    }, [db, userId]);
 
-        const isDeepSearch = activeMode === "DEEP_SEARCH";
-        const systemPrompt = `You are PopKing AI, currently operating in the ${MODES[activeMode].name}. Your persona is set to: ${PERSONAS[persona]}. Follow the persona and the mode rules strictly.`;
-
-        const payload = {
-            contents: [{ parts: [{ text: textPrompt }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: {
-                temperature: creativity,
-            },
-            tools: isDeepSearch ? [{ "google_search": {} }] : [],
-        };
+    // --- QUIZ HANDLERS ---
+    const updateQuizProgress = (messageId, update) => {
+        setQuizProgress(prev => {
+            const current = prev[messageId] || EMPTY_QUIZ_PROGRESS;
+            return { ...prev, [messageId]: { ...current, ...update(current) } };
+        });
+    };
 
-        try {
-            const result = await performFetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TEXT_MODEL}:generateContent?key=${API_KEY}`,
-                payload
-            );
+    // Asks the model why the answer is right; a failed request can be retried from the quiz.
+    const explainQuizAnswer = async (chat, index, option) => {
+        const item = getQuizItems(chat)[index];
+        updateQuizProgress(chat.id, p => ({ failedExplanations: { ...p.failedExplanations, [index]: false } }));
+
+        const explainPrompt = `Quiz question: "${item.question}"\nCorrect answer: "${item.answer}"\nThe learner picked: "${option}".\nIn two or three sentences, explain why the correct answer is right${isCorrectPick(option, item.answer) ? '' : ' and why the pick is wrong'}.`;
+        const systemPrompt = `You are PopKing AI, acting as a Study Assistant. Your persona is set to: ${activePersona.prompt}. Be concise and encouraging.`;
+        const { text, failed } = await requestTextContent(explainPrompt, systemPrompt, false, { route: resolveModelRoute(settings, 'STUDY', 'text', MODES.STUDY.model) });
+        if (failed || !text) {
+            updateQuizProgress(chat.id, p => ({ failedExplanations: { ...p.failedExplanations, [index]: true } }));
+            return;
+        }
+        updateQuizProgress(chat.id, p => ({ explanations: { ...p.explanations, [index]: text } }));
+    };
 
-            const responseText = result.candidates?.[0]?.content?.parts?.[0]?.text || "Could not generate a response.";
-            const groundingMetadata = result.candidates?.[0]?.groundingMetadata;
+    const handleQuizAnswer = (chat, index, option) => {
+        const { explanation } = getQuizItems(chat)[index];
+        updateQuizProgress(chat.id, p => ({
+            answers: { ...p.answers, [index]: option },
+            ...(explanation ? { explanations: { ...p.explanations, [index]: explanation } } : {}),
+        }));
+        if (!explanation) explainQuizAnswer(chat, index, option);
+    };
 
-            const newChat = {
-                id: generateId(),
-                user: textPrompt,
-                ai: responseText,
-                mode: activeMode,
-                persona: persona,
-                timestamp: Date.now(),
-                isFavorite: false,
-                sources: [],
-            };
+    const handleQuizFinish = async (chat) => {
+        const progress = quizProgress[chat.id] || EMPTY_QUIZ_PROGRESS;
+        const score = scoreQuiz(getQuizItems(chat), progress.answers);
+        updateQuizProgress(chat.id, () => ({ finished: true }));
+        if (!db || !userId) return;
 
-            if (groundingMetadata && groundingMetadata.groundingAttributions) {
-                newChat.sources = groundingMetadata.groundingAttributions
-                    .map(attr => ({ uri: attr.web?.uri, title: attr.web?.title }))
-                    .filter(source => source.uri);
+        try {
+            const crowns = crownsForQuizScore(score);
+            const { firstAttempt } = await saveQuizResult(db, userId, chat.sessionId || activeSessionId, chat.id, { ...score, answers: progress.answers, crowns });
+            if (firstAttempt) {
+                if (crowns > 0) awardCrowns(CROWN_REASONS.QUIZ, crowns, chat);
+                appEvents.emit(APP_EVENTS.QUIZ_COMPLETED, { messageId: chat.id, percent: score.percent });
             }
+            updateQuizProgress(chat.id, () => ({ result: { crowns, firstAttempt } }));
+        } catch (e) {
+            console.error("Error saving quiz result:", e);
+        }
+    };
 
-            setChats(prev => [...prev, newChat]);
-            saveChat(newChat);
+    // --- STORE HANDLERS ---
+    const handlePurchase = async (item) => {
+        if (!db || !userId) return;
+        try {
+            await purchaseItem(db, userId, item);
+            showToast(`Unlocked: ${item.name}`, item.description);
+        } catch (err) {
+            console.error("Error purchasing item:", err);
+            setError(err.message || "Purchase failed. Please try again.");
+        }
+    };
 
-        } catch (e) {
-            console.error(e);
-            setError("Text generation failed. Please try again.");
-        } finally {
-            setLoading(false);
+    // --- PERSONA HANDLERS ---
+    // Custom personas also bring their default temperature and voice.
+    const handleSelectPersona = (key) => {
+        const custom = customPersonas.find(p => customPersonaKey(p.id) === key);
+        const changes = { persona: key };
+        if (custom) {
+            changes.creativity = custom.temperature;
+            if (isValueUnlocked(entitlements, 'voice', custom.voice)) changes.voice = custom.voice;
+        }
+        setSettings(prev => ({ ...prev, ...changes }));
+        if (db && userId) {
+            updateDoc(getRewardsDocRef(db, userId), Object.fromEntries(Object.entries(changes).map(([key, value]) => [`settings.${key}`, value])));
         }
-    }, [activeMode, persona, creativity, saveChat]);
+    };
 
-    const generateImageContent = useCallback(async (imageQuery) => {
-        setLoading(true);
-        setError(null);
-        setChats(prev => [...prev, { id: generateId(), user: imageQuery, ai: "Generating image...", mode: "Image Gen", timestamp: Date.now(), isImage: true }]);
-
-        const payload = {
-            instances: [{
-                prompt: imageQuery,
-                config: {
-                    number_of_images: 1,
-                    output_mime_type: "image/png"
-                }
-            }]
-        };
+    const handleSavePersona = async (e) => {
+        e.preventDefault();
+        if (!db || !userId) return;
+        const form = e.target;
+        const existing = customPersonas.find(p => p.id === personaEditorId) || null;
+        try {
+            await savePersona(db, userId, existing ? existing.id : generateId(), {
+                name: form.personaName.value,
+                instructions: form.instructions.value,
+                examples: Array.from({ length: PERSONA_LIMITS.examples }, (_, i) => form[`example${i}`].value),
+                temperature: form.temperature.value,
+                voice: form.voice.value,
+                color: form.color.value,
+            }, existing, INITIAL_SETTINGS.voice);
+            setPersonaEditorId(null);
+        } catch (err) {
+            console.error("Error saving persona:", err);
+            setError("Could not save the persona.");
+        }
+    };
 
+    const handleDeletePersona = async (custom) => {
+        if (!db || !userId || !window.confirm(`Delete the persona "${custom.name}"?`)) return;
         try {
-            const result = await performFetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/${IMAGEN_MODEL}:predict?key=${API_KEY}`,
-                payload
-            );
+            await deletePersona(db, userId, custom);
+            setPersonaEditorId(null);
+        } catch (err) {
+            console.error("Error deleting persona:", err);
+            setError("Could not delete the persona.");
+        }
+    };
 
-            const base64Data = result.predictions?.[0]?.bytesBase64Encoded;
+    const handleSharePersona = async (custom) => {
+        if (!db || !userId) return;
+        try {
+            const code = await sharePersona(db, userId, custom);
+            await navigator.clipboard.writeText(code).catch(() => {});
+            showToast(`Share code: ${code}`, `Anyone with this code can import "${custom.name}". Copied to clipboard.`);
+        } catch (err) {
+            console.error("Error sharing persona:", err);
+            setError(err.message || "Could not share the persona.");
+        }
+    };
 
-            if (base64Data) {
-                const imageUrl = `data:image/png;base64,${base64Data}`;
-                const newImageChat = {
-                    id: generateId(),
-                    user: imageQuery,
-                    ai: "AI Image Generated",
-                    mode: "Image Gen",
-                    timestamp: Date.now(),
-                    isFavorite: false,
-                    isImage: true,
-                    imageUrl: imageUrl,
-                };
-                setChats(prev => prev.map(c => c.id === newImageChat.id ? newImageChat : c)); // Update 'Generating...' message
-                saveChat(newImageChat);
-                setCrownRewards(prev => prev + 10);
-            } else {
-                throw new Error("No image data received.");
-            }
-        } catch (e) {
-            console.error(e);
-            setError("Image generation failed. Ensure your prompt is safe and descriptive.");
-        } finally {
-            setLoading(false);
+    const handleImportPersona = async (e) => {
+        e.preventDefault();
+        if (!db || !userId) return;
+        const code = normalizeShareCode(e.target.shareCode.value);
+        if (!code) {
+            setError("Share codes are 8 letters and digits, e.g. ABCD2345.");
+            return;
+        }
+        try {
+            const imported = await importSharedPersona(db, userId, code, INITIAL_SETTINGS.voice);
+            e.target.reset();
+            showToast(`Imported persona: ${imported.name}`);
+        } catch (err) {
+            console.error("Error importing persona:", err);
+            setError(err.message || "Could not import the persona.");
         }
-    }, [saveChat]);
+    };
 
-    const generateStructuredStudyContent = useCallback(async (studyQuery) => {
-        setLoading(true);
+    // --- DAILY CHALLENGE HANDLERS ---
+    const handleChallengeSubmit = async (e) => {
+        e.preventDefault();
+        const submission = e.target.submission.value.trim();
+        if (!submission || challengeGrading || challengeStatus?.passed) return;
+        setChallengeGrading(true);
         setError(null);
 
-        const systemPrompt = `You are PopKing AI, acting as a Study Assistant. Based on the user's request: "${studyQuery}", generate a set of 5-8 flashcards or 3-5 quiz questions formatted as a JSON array.`;
-
-        const responseSchema = {
-            type: "ARRAY",
-            items: {
-                type: "OBJECT",
-                properties: {
-                    "type": { "type": "STRING", "description": "flashcard or quiz" },
-                    "question": { "type": "STRING" },
-                    "answer": { "type": "STRING" }, // Or correct answer for quiz
-                    "options": { "type": "ARRAY", "items": { "type": "STRING" }, "description": "Only for quiz type, list 3 incorrect options plus the answer." }
-                },
-                required: ["type", "question", "answer"]
+        try {
+            const grade = await gradeSubmission(
+                buildGradingPrompt(dailyChallenge, submission),
+                CHALLENGE_GRADER_INSTRUCTION,
+                { route: resolveModelRoute(settings, dailyChallenge.mode, 'text', MODES[dailyChallenge.mode].model) },
+            );
+            if (!grade) throw new Error("No grade received.");
+            const result = toChallengeResult(grade);
+
+            if (!db || !userId) {
+                // Offline: show the grade, but nothing is saved or rewarded
+                setChallengeStatus(prev => ({ ...result, attempts: (prev?.attempts || 0) + 1, submission }));
+                return;
             }
-        };
+            const { newlyCompleted, streak } = await recordChallengeAttempt(db, userId, dailyChallenge, submission, result, Date.now());
+            if (newlyCompleted) {
+                awardCrowns(CROWN_REASONS.CHALLENGE, dailyChallenge.reward, { id: dailyChallenge.dateKey, user: `${dailyChallenge.label}: ${dailyChallenge.prompt}` });
+                appEvents.emit(APP_EVENTS.CHALLENGE_PASSED, { dateKey: dailyChallenge.dateKey, streak: streak.current });
+            }
+        } catch (err) {
+            console.error("Error grading challenge:", err);
+            setError("Could not grade your challenge submission. Please try again.");
+        } finally {
+            setChallengeGrading(false);
+        }
+    };
 
-        const payload = {
-            contents: [{ parts: [{ text: studyQuery }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: responseSchema,
-                temperature: creativity,
-            },
-        };
+    // --- FLASHCARD DECK HANDLERS ---
+    const handleSaveToDeck = async (e) => {
+        e.preventDefault();
+        const chat = deckSaveSource;
+        const form = e.target;
+        const flashcards = (chat?.structuredData || []).filter(item => item.type === 'flashcard');
+        if (!db || !userId || flashcards.length === 0) return;
 
+        let deckId = form.deckId.value;
+        const newDeckName = form.newDeckName.value.trim();
         try {
-            const result = await performFetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TEXT_MODEL}:generateContent?key=${API_KEY}`,
-                payload
-            );
+            if (deckId === '__new__') {
+                deckId = generateId();
+                await createDeck(db, userId, deckId, newDeckName || chat.user);
+            }
+            const added = await addCardsToDeck(db, userId, deckId, flashcards, chat.id);
+            await refreshDeckStats(db, userId, deckId, Date.now());
+            setDeckSaveSource(null);
+            alert(added > 0 ? `Saved ${added} flashcards to your deck.` : "These flashcards are already in that deck.");
+        } catch (err) {
+            console.error("Error saving flashcards:", err);
+            setError("Could not save flashcards to the deck.");
+        }
+    };
 
-            const jsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
-            let structuredData = [];
-            let responseText = "Study materials generated successfully.";
+    // Snapshots the due queue (optionally for one deck) into a review session.
+    const startReview = (deckId = null) => {
+        const queue = dueCards.filter(card => !deckId || card.deckId === deckId);
+        if (queue.length === 0) return;
+        setReview({ queue, index: 0, flipped: false, deckIds: [...new Set(queue.map(c => c.deckId))], reviewed: 0, finished: false });
+    };
 
-            try {
-                structuredData = JSON.parse(jsonString);
-            } catch (e) {
-                responseText = "Failed to parse structured response. Showing raw text instead: " + jsonString;
-                structuredData = null;
+    const handleGrade = async (grade) => {
+        // A second click before the first grade is saved would grade the next card unseen
+        if (gradingRef.current) return;
+        gradingRef.current = true;
+        const card = review.queue[review.index];
+        setReview({ ...review, grading: true });
+        try {
+            const updated = await recordReview(db, userId, card, grade, Date.now());
+            appEvents.emit(APP_EVENTS.CARD_REVIEWED, { cardId: card.id, grade });
+            const queue = grade === GRADES.AGAIN ? [...review.queue, updated] : review.queue;
+            const index = review.index + 1;
+            const finished = index >= queue.length;
+            setReview({ ...review, queue, index, flipped: false, reviewed: review.reviewed + 1, finished, grading: false });
+            if (finished) {
+                const now = Date.now();
+                review.deckIds.forEach(deckId => refreshDeckStats(db, userId, deckId, now)
+                    .catch(err => console.error("Error refreshing deck stats:", err)));
             }
+        } catch (err) {
+            console.error("Error recording review:", err);
+            setError("Could not save your review. Please try again.");
+            setReview(prev => prev && { ...prev, grading: false });
+        } finally {
+            gradingRef.current = false;
+        }
+    };
 
-            const newChat = {
-                id: generateId(),
-                user: studyQuery,
-                ai: responseText,
-                mode: activeMode,
-                persona: persona,
-                timestamp: Date.now(),
-                isFavorite: false,
-                isStructuredStudy: true,
-                structuredData: structuredData,
-            };
-
-            setChats(prev => [...prev, newChat]);
-            saveChat(newChat);
+    const handleDeleteDeck = async (deckId) => {
+        if (!db || !userId) return;
+        try {
+            await deleteDeck(db, userId, deckId);
+        } catch (err) {
+            console.error("Error deleting deck:", err);
+        }
+    };
 
+    // --- HISTORY SEARCH HANDLERS ---
+    // Starts a new search, or with `append` continues the current one from its cursor.
+    const runHistorySearch = async (filters, append = false) => {
+        if (!db || !userId) return;
+        const runId = ++historySearchRunRef.current;
+        const cursor = append ? historySearch.cursor : null;
+        setHistorySearch(prev => ({ ...prev, filters, loading: true, ...(append ? {} : { results: [], cursor: null, hasMore: false }) }));
+        try {
+            const loadPage = (range, pageCursor) => loadMessagesPage(db, userId, range, pageCursor, HISTORY_PAGE_SIZE);
+            const { matches, cursor: nextCursor, hasMore } = await searchHistory(loadPage, filters, cursor);
+            if (runId !== historySearchRunRef.current) return; // A newer search replaced this one
+            setHistorySearch(prev => ({ ...prev, results: append ? [...prev.results, ...matches] : matches, cursor: nextCursor, hasMore, loading: false }));
         } catch (e) {
-            console.error(e);
-            setError("Study material generation failed. Please refine your request.");
-        } finally {
-            setLoading(false);
+            if (runId !== historySearchRunRef.current) return;
+            console.error("Error searching history:", e);
+            setError("Could not search your history.");
+            setHistorySearch(prev => ({ ...prev, loading: false }));
         }
-    }, [activeMode, persona, creativity, saveChat]);
+    };
 
+    const updateHistoryFilters = (changes) => runHistorySearch({ ...historySearch.filters, ...changes });
 
-    const generateTTSAudio = useCallback(async (textToSpeak) => {
-        setLoading(true);
-        setError(null);
-        audioRef.current.pause();
+    const openHistory = () => {
+        setShowHistory(true);
+        runHistorySearch(historySearch.filters);
+    };
 
-        const payload = {
-            contents: [{ parts: [{ text: textToSpeak }] }],
-            generationConfig: {
-                responseModalities: ["AUDIO"],
-                speechConfig: {
-                    voiceConfig: {
-                        prebuiltVoiceConfig: { voiceName: voice }
-                    }
-                }
-            },
-            model: GEMINI_TTS_MODEL
-        };
+    // --- IMAGE GALLERY HANDLERS ---
+    // Moves images that older versions saved inline into Firebase Storage, one at a time
+    const moveInlineImages = async (messages) => {
+        for (const message of messages) {
+            try {
+                const stored = await storeImage(imageStorage, userId, message.id, message.imageUrl, { localFallback: false });
+                await updateMessage(db, userId, message.sessionId, message.id, { ...stored, imageUrl: deleteField() });
+            } catch (e) {
+                console.error("Error moving an image to storage:", e);
+                return;
+            }
+        }
+    };
 
+    // Loads the first page of images, or with `append` the next one
+    const loadGallery = async (append = false) => {
+        if (!db || !userId) return;
+        setGallery(prev => ({ ...prev, loading: true, ...(append ? {} : { images: [], cursor: null, hasMore: false }) }));
         try {
-            const result = await performFetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TTS_MODEL}:generateContent?key=${API_KEY}`,
-                payload
-            );
+            const { messages, cursor, hasMore } = await loadImagesPage(db, userId, append ? gallery.cursor : null);
+            setGallery(prev => ({ images: append ? [...prev.images, ...messages] : messages, cursor, hasMore, loading: false }));
+            if (imageStorage) moveInlineImages(messages.filter(hasInlineImage));
+        } catch (e) {
+            console.error("Error loading images:", e);
+            setError("Could not load your images.");
+            setGallery(prev => ({ ...prev, loading: false }));
+        }
+    };
 
-            const part = result?.candidates?.[0]?.content?.parts?.[0];
-            const audioData = part?.inlineData?.data;
-            const mimeType = part?.inlineData?.mimeType;
+    const openGallery = () => {
+        setShowGallery(true);
+        loadGallery();
+    };
 
-            if (audioData && mimeType && mimeType.startsWith("audio/")) {
-                const sampleRateMatch = mimeType.match(/rate=(\d+)/);
-                const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : 24000;
-                const pcmData = base64ToArrayBuffer(audioData);
+    const closeGallery = () => {
+        setShowGallery(false);
+        setLightboxId(null);
+    };
 
-                // API returns signed PCM16 audio data.
-                const pcm16 = new Int16Array(pcmData);
-                const wavBlob = pcmToWav(pcm16, sampleRate);
-                const audioUrl = URL.createObjectURL(wavBlob);
+    const handleDownloadImage = async (message) => {
+        try {
+            const blob = await loadImageBlob(imageStorage, message);
+            downloadBlob(blob, `${toSafeFilename(message.user, 'popking-image')}.${blob.type === 'image/jpeg' ? 'jpg' : 'png'}`);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
 
-                audioRef.current.src = audioUrl;
-                audioRef.current.play();
-                setLoading(false);
+    // --- EXPORT / IMPORT HANDLERS ---
+    const handleExport = async () => {
+        if (!db || !userId || transferBusy) return;
+        setTransferBusy(true);
+        try {
+            const exported = await loadSessionsWithMessages(db, userId, exportSelection.length > 0 ? exportSelection : null);
+            const archive = buildArchive(exported, Date.now());
+            const labels = {
+                modes: Object.fromEntries(Object.keys(MODES).map(key => [key, MODES[key].name])),
+                personas: Object.fromEntries(personaOptions.map(option => [option.key, option.label])),
+            };
+            const { extension, mimeType } = EXPORT_FORMATS[exportFormat];
+            const content = exportFormat === 'json'
+                ? JSON.stringify(archive, null, 2)
+                : exportFormat === 'html' ? archiveToHtml(archive, labels) : archiveToMarkdown(archive, labels);
+            downloadText(content, `popking-history-${new Date().toISOString().slice(0, 10)}.${extension}`, mimeType);
+        } catch (e) {
+            console.error("Error exporting history:", e);
+            setError("Could not export your history.");
+        } finally {
+            setTransferBusy(false);
+        }
+    };
 
-                // Revoke URL after play completion to save memory
-                audioRef.current.onended = () => URL.revokeObjectURL(audioUrl);
+    // `loadItems` resolves to study items ({ type, question, answer, options }).
+    const handleStudyExport = async (loadItems, name, format) => {
+        if (transferBusy) return;
+        setTransferBusy(true);
+        try {
+            const items = await loadItems();
+            if (items.length === 0) return;
+            const filename = toSafeFilename(name, 'popking-study');
+            if (format === 'apkg') {
+                downloadBlob(await buildApkg(items, name), `${filename}.apkg`);
             } else {
-                throw new Error("Invalid audio response structure.");
+                const { extension, mimeType } = STUDY_EXPORT_FORMATS[format];
+                downloadText(format === 'tsv' ? toAnkiTsv(items, name) : toCsv(items), `${filename}.${extension}`, mimeType);
             }
         } catch (e) {
-            console.error(e);
-            setError("Text-to-Speech failed. Try a shorter message.");
-            setLoading(false);
+            console.error("Error exporting study materials:", e);
+            setError("Could not export these study materials.");
+        } finally {
+            setTransferBusy(false);
         }
-    }, [voice]);
+    };
 
-    // --- SUBMIT HANDLER ---
+    const exportDeck = (deck, format) => handleStudyExport(
+        async () => (await loadDeckCards(db, userId, deck.id)).map(card => ({ type: 'flashcard', question: card.question, answer: card.answer })),
+        deck.name,
+        format,
+    );
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (loading || !queryInput.trim()) return;
+    const StudyExportButtons = ({ onExport }) => (
+        <div className="flex items-center gap-1 text-xs">
+            <Download className="w-3 h-3 text-fg-subtle" />
+            {Object.keys(STUDY_EXPORT_FORMATS).map(format => (
+                <button
+                    key={format}
+                    onClick={() => onExport(format)}
+                    disabled={transferBusy}
+                    className="px-2 py-0.5 bg-surface text-fg-muted border border-line-strong rounded hover:bg-raised hover:text-fg transition-colors disabled:opacity-50"
+                >
+                    {STUDY_EXPORT_FORMATS[format].label}
+                </button>
+            ))}
+        </div>
+    );
 
-        const trimmedQuery = queryInput.trim();
-        setQueryInput('');
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !db || !userId) return;
+        setTransferBusy(true);
+        try {
+            const archive = parseArchive(await file.text());
+            const { sessions: sessionCount, messages, skipped } = await importArchive(db, userId, archive);
+            alert(`Imported ${messages} messages (${sessionCount} new conversations). ${skipped} already present were skipped.`);
+        } catch (err) {
+            console.error("Error importing history:", err);
+            setError(err.message || "Could not import that file.");
+        } finally {
+            setTransferBusy(false);
+        }
+    };
+
+    const toggleExportSelection = (sessionId) => {
+        setExportSelection(prev => prev.includes(sessionId) ? prev.filter(id => id !== sessionId) : [...prev, sessionId]);
+    };
+
+    // --- SESSION HANDLERS ---
+    const startNewSession = () => {
+        if (loading) return;
+        setChats([]);
+        setActiveSessionId(generateId());
         setError(null);
+        setShowSessions(false);
+    };
 
-        if (activeTab === 'Images') {
-            generateImageContent(trimmedQuery);
-        } else if (activeTab === 'Study' && (trimmedQuery.toLowerCase().includes('quiz') || trimmedQuery.toLowerCase().includes('flashcard'))) {
-            generateStructuredStudyContent(trimmedQuery);
-        } else {
-            generateTextContent(trimmedQuery);
+    // Reopens a whole conversation and restores its mode and persona.
+    const resumeSession = async (sessionId) => {
+        if (!db || !userId || loading) return;
+        try {
+            const messages = await loadSessionMessages(db, userId, sessionId);
+            const session = sessions.find(s => s.id === sessionId) || messages[0] || {};
+            setChats(messages);
+            setActiveSessionId(sessionId);
+            if (MODES[session.mode]) {
+                setSettings(prev => ({ ...prev, activeMode: session.mode, persona: session.persona || prev.persona }));
+            }
+            setActiveTab(messages.length > 0 && messages.every(m => m.isImage) ? 'Images' : 'Text');
+            setShowSessions(false);
+            setShowHistory(false);
+        } catch (e) {
+            console.error("Error loading session:", e);
+            setError("Could not load this conversation.");
         }
     };
 
-    // --- UI COMPONENTS ---
+    const handleRenameSession = async (sessionId, title) => {
+        setRenamingSessionId(null);
+        const session = sessions.find(s => s.id === sessionId);
+        if (!db || !userId || !session || session.title === title.trim()) return;
+        try {
+            await renameSession(db, userId, sessionId, title);
+        } catch (e) {
+            console.error("Error renaming session:", e);
+        }
+    };
 
-    const Header = () => (
-        <header className="flex items-center justify-between p-4 bg-gray-900 border-b border-gray-700 shadow-lg">
-            <div className="flex items-center space-x-2">
-                <Crown className="w-6 h-6 text-yellow-400" />
-                <span className="text-xl font-bold text-white">PopKing AI</span>
-                <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${modeConfig.color} bg-gray-800 border ${modeConfig.color.replace('text', 'border')}`}>
+    const handleDuplicateSession = async (session) => {
+        if (!db || !userId) return;
+        try {
+            await duplicateSession(db, userId, session, generateId(), imageStorage);
+        } catch (e) {
+            console.error("Error duplicating session:", e);
+        }
+    };
+
+    const handleDeleteSession = async (sessionId) => {
+        if (!db || !userId) return;
+        try {
+            await deleteSession(db, userId, sessionId, imageStorage);
+            if (sessionId === activeSessionId) startNewSession();
+        } catch (e) {
+            console.error("Error deleting session:", e);
+        }
+    };
+
+    // --- GEMINI API CALLERS ---
+
+    // Resolves with the answer text (null if it failed or was stopped before any text).
+    // `spoken` asks for a short reply suited to being read aloud (voice sessions).
+    const generateTextContent = useCallback(async (textPrompt, { spoken = false, attachments: files = [] } = {}) => {
+        setLoading(true);
+        setError(null);
+
+        const modeSettings = resolveModeSettings(MODES[activeMode], settings.modeOverrides?.[activeMode]);
+        const isDeepSearch = activeMode === "DEEP_SEARCH";
+        const systemPrompt = `${renderSystemPrompt(modeSettings.systemPrompt, { mode: MODES[activeMode].name, persona: activePersona.prompt })}${isDeepSearch ? ` ${planLimits.deepSearchInstruction}` : ''}${spoken ? ` ${SPOKEN_REPLY_INSTRUCTION}` : ''}`;
+
+        // Placeholder bubble that receives tokens as they stream in.
+        const chatId = generateId();
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setIsStreaming(true);
+        const savedAttachments = files.length > 0 ? { attachments: files.map(toSavedAttachment) } : {};
+        setChats(prev => [...prev, { id: chatId, user: textPrompt, ai: '', mode: activeMode, persona: persona, timestamp: Date.now(), isFavorite: false, sources: [], isStreaming: true, ...savedAttachments }]);
+
+        try {
+            // Replay the visible thread so follow-up questions keep their context.
+            const { text, sources, aborted } = await streamTextContent(textPrompt, systemPrompt, {
+                tools: modeSettings.tools,
+                history: chats,
+                tokenBudget: contextTokenBudget,
+                generationConfig: buildGenerationConfig(modeSettings, { creativity, maxOutputTokens: planLimits.maxOutputTokens }),
+                route: resolveModelRoute(settings, activeMode, 'text', MODES[activeMode].model),
+                signal: controller.signal,
+                onText: (partialText) => setChats(prev => prev.map(c => c.id === chatId ? { ...c, ai: partialText } : c)),
+                attachments: files,
+            });
+
+            if (aborted && !text) {
+                setChats(prev => prev.filter(c => c.id !== chatId));
+                return null;
+            }
+
+            const newChat = {
+                id: chatId,
+                user: textPrompt,
+                ai: text || "Could not generate a response.",
+                mode: activeMode,
+                persona: persona,
+                timestamp: Date.now(),
+                isFavorite: false,
+                sources: sources.slice(0, planLimits.deepSearchSources),
+                isStopped: aborted,
+                ...savedAttachments,
+            };
+
+            setChats(prev => prev.map(c => c.id === chatId ? newChat : c));
+            saveChat(newChat);
+            appEvents.emit(APP_EVENTS.TEXT_GENERATED, { mode: activeMode, sourceCount: sources.length });
+            return text || null;
+
+        } catch (e) {
+            console.error(e);
+            setChats(prev => prev.filter(c => c.id !== chatId));
+            setError("Text generation failed. Please try again.");
+            return null;
+        } finally {
+            abortControllerRef.current = null;
+            setIsStreaming(false);
+            setLoading(false);
+        }
+    }, [activeMode, persona, activePersona.prompt, creativity, chats, contextTokenBudget, settings, saveChat, planLimits]);
+
+    // Aborts the in-flight stream; the partial answer is kept and saved.
+    const handleStop = () => {
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+        }
+    };
+
+    // Saves an image message: the image goes to blob storage, the message keeps its reference and thumbnail.
+    // The in-memory message keeps the data URL so it stays on screen. Never rejects.
+    const saveImageChat = useCallback(async (chat) => {
+        if (!db || !userId) return;
+        const { imageUrl, ...message } = chat;
+        let stored = {};
+        try {
+            stored = await storeImage(imageStorage, userId, chat.id, imageUrl);
+            setChats(prev => prev.map(c => c.id === chat.id ? { ...c, ...stored } : c));
+        } catch (e) {
+            setError(`${e.message} It is only shown until you leave this conversation.`);
+        }
+        await saveChat({ ...message, ...stored });
+    }, [db, userId, imageStorage, saveChat]);
+
+    const generateImageContent = useCallback(async (imageQuery, requestedOptions) => {
+        const options = normalizeImageOptions(requestedOptions);
+        const route = resolveModelRoute(settings, IMAGE_ROUTE_KEY, 'image');
+        // Without a fixed seed each generation gets a random one (where supported), so every variation can be reproduced
+        const seed = PROVIDERS[route.provider].imageSeed ? (options.seed ?? randomSeed()) : null;
+        setLoading(true);
+        setError(null);
+
+        // Daily image allowance for the user's plan; every variation counts, but images that
+        // fail to generate are given back
+        const quotaDateKey = toDateKey(Date.now());
+        let charged = 0;
+        const refundQuota = (amount) => {
+            if (charged === 0 || amount <= 0) return;
+            charged -= amount;
+            refundDailyQuota(db, userId, 'images', quotaDateKey, amount).catch(err => console.error("Error refunding the image allowance:", err));
+        };
+        if (db && userId) {
+            try {
+                const { allowed, used } = await consumeDailyQuota(db, userId, 'images', planLimits.imagesPerDay, quotaDateKey, options.count);
+                if (!allowed) {
+                    const left = Math.max(0, planLimits.imagesPerDay - used);
+                    setError(left > 0
+                        ? `Only ${left} of today's ${planLimits.imagesPerDay} images ${left === 1 ? 'is' : 'are'} left. Ask for fewer variations.`
+                        : `You've used all ${planLimits.imagesPerDay} images for today.${currentPlan(entitlements) === PLANS.PREMIUM ? '' : ' Premium raises the limit.'}`);
+                    setLoading(false);
+                    return;
+                }
+                charged = options.count;
+            } catch (e) {
+                console.error("Error checking image quota:", e);
+                setError("Could not check your daily image allowance. Please try again.");
+                setLoading(false);
+                return;
+            }
+        }
+        const placeholderId = generateId();
+        setChats(prev => [...prev, { id: placeholderId, user: imageQuery, ai: "Generating image...", mode: "Image Gen", timestamp: Date.now(), isImage: true, isPending: true }]);
+
+        try {
+            const results = await requestImageContent(buildImagePrompt(imageQuery, options), { route, count: options.count, aspectRatio: options.aspectRatio, seed });
+
+            if (results?.length > 0) {
+                refundQuota(charged - results.length);
+                const newImageChat = {
+                    id: placeholderId,
+                    user: imageQuery,
+                    ai: "AI Image Generated",
+                    mode: "Image Gen",
+                    timestamp: Date.now(),
+                    isFavorite: false,
+                    isImage: true,
+                    imageUrl: results[0].imageUrl,
+                    imageOptions: { ...options, seed: results[0].seed },
+                };
+                // Variations stay in memory until one is picked (see handleKeepVariation); the first is saved meanwhile
+                const variations = results.length > 1 ? { variations: results } : {};
+                setChats(prev => prev.map(c => c.id === placeholderId ? { ...newImageChat, ...variations } : c)); // Update 'Generating...' message
+                const saving = saveImageChat(newImageChat);
+                imageSavesRef.current[placeholderId] = saving;
+                saving.then(() => { delete imageSavesRef.current[placeholderId]; });
+                awardCrowns(CROWN_REASONS.IMAGE, CROWN_AMOUNTS[CROWN_REASONS.IMAGE], newImageChat);
+                appEvents.emit(APP_EVENTS.IMAGE_GENERATED, { messageId: newImageChat.id });
+            } else {
+                throw new Error("No image data received.");
+            }
+        } catch (e) {
+            console.error(e);
+            refundQuota(charged);
+            setChats(prev => prev.filter(c => c.id !== placeholderId));
+            setError("Image generation failed. Ensure your prompt is safe and descriptive.");
+        } finally {
+            setLoading(false);
+        }
+    }, [settings, saveImageChat, awardCrowns, db, userId, planLimits, entitlements]);
+
+    // Keeps the picked variation: it replaces the saved image and the grid collapses to it
+    const handleKeepVariation = async (chat, variation) => {
+        const changes = { imageOptions: { ...chat.imageOptions, seed: variation.seed } };
+        setChats(prev => prev.map(c => {
+            if (c.id !== chat.id) return c;
+            const kept = { ...c, ...changes, imageUrl: variation.imageUrl };
+            delete kept.variations;
+            return kept;
+        }));
+        if (!db || !userId) return;
+        try {
+            await imageSavesRef.current[chat.id]; // The first variation is saved before it is replaced
+            const stored = await storeImage(imageStorage, userId, chat.id, variation.imageUrl); // Same ID, so it overwrites
+            setChats(prev => prev.map(c => c.id === chat.id ? { ...c, ...stored } : c));
+            await updateMessage(db, userId, chat.sessionId || activeSessionId, chat.id, { ...changes, ...stored });
+        } catch (e) {
+            console.error("Error saving the chosen variation:", e);
+            setError("Could not save the chosen variation.");
+        }
+    };
+
+    // Generates again with an image's settings (and a new seed, so the results differ)
+    const handleVaryImage = (chat) => {
+        const options = { ...normalizeImageOptions(chat.imageOptions), seed: null };
+        setImageOptions(options);
+        imageFieldsRef.current = { negativePrompt: options.negativePrompt, seed: '' };
+        setActiveTab('Images');
+        generateImageContent(chat.user, options);
+    };
+
+    // --- IMAGE PROMPT HANDLERS ---
+    // Has the text model write an image prompt into the draft panel, where it can be edited before generating
+    const writeImagePrompt = async (source, request) => {
+        const runId = ++imagePromptRunRef.current;
+        setImagePromptDraft({ source, request, status: 'writing' });
+        const text = cleanImagePrompt(await requestImagePrompt(request, IMAGE_PROMPT_INSTRUCTION, {
+            route: resolveModelRoute(settings, 'CREATIVE', 'text', MODES.CREATIVE.model),
+        }));
+        if (runId !== imagePromptRunRef.current) return; // The draft was closed or replaced meanwhile
+        if (!text) {
+            setImagePromptDraft(null);
+            setError("Could not write an image prompt. Please try again.");
+            return;
+        }
+        imagePromptTextRef.current = text;
+        setImagePromptDraft({ source, request, status: 'ready' });
+    };
+
+    const closeImagePromptDraft = () => {
+        imagePromptRunRef.current++;
+        setImagePromptDraft(null);
+    };
+
+    // "Visualize this": an image prompt for a text answer
+    const handleVisualize = (chat) => writeImagePrompt('visualize', buildVisualizeRequest(chat.ai, chat.user, imageOptions));
+
+    // "Enhance": a detailed version of the prompt typed on the Images tab
+    const handleEnhancePrompt = () => {
+        const idea = queryInput.trim();
+        if (idea) writeImagePrompt('enhance', buildEnhanceRequest(idea, imageOptions));
+    };
+
+    const handleGenerateFromDraft = () => {
+        const prompt = imagePromptTextRef.current.trim();
+        if (!prompt || loading) return;
+        if (imagePromptDraft.source === 'enhance') setQueryInput('');
+        closeImagePromptDraft();
+        setActiveTab('Images');
+        const options = normalizeImageOptions({ ...imageOptions, ...imageFieldsRef.current });
+        setImageOptions(options);
+        generateImageContent(prompt, options);
+    };
+
+    const generateStructuredStudyContent = useCallback(async (studyQuery, files = []) => {
+        setLoading(true);
+        setError(null);
+
+        const systemPrompt = `You are PopKing AI, acting as a Study Assistant. Based on the user's request: "${studyQuery}", generate a set of 5-8 flashcards or 3-5 quiz questions formatted as a JSON array. For quiz questions, include a short explanation of why the answer is correct.`;
+
+        // Stop sequences could cut the JSON short, so only the sampling parameters apply
+        const modeSettings = resolveModeSettings(MODES[activeMode], settings.modeOverrides?.[activeMode]);
+        const generationConfig = buildGenerationConfig(modeSettings, { creativity, maxOutputTokens: planLimits.maxOutputTokens });
+        delete generationConfig.stopSequences;
+
+        try {
+            const structuredData = await requestStudyContent(studyQuery, systemPrompt, {
+                generationConfig,
+                route: resolveModelRoute(settings, activeMode, 'text', MODES[activeMode].model),
+                attachments: files,
+            });
+
+            if (!Array.isArray(structuredData) || structuredData[0]?.type === "error") {
+                throw new Error("Structured study generation returned no items.");
+            }
+            const newChat = {
+                id: generateId(),
+                user: studyQuery,
+                ai: "Study materials generated successfully.",
+                mode: activeMode,
+                persona: persona,
+                timestamp: Date.now(),
+                isFavorite: false,
+                isStructuredStudy: true,
+                structuredData: structuredData,
+                ...(files.length > 0 ? { attachments: files.map(toSavedAttachment) } : {}),
+            };
+
+            setChats(prev => [...prev, newChat]);
+            saveChat(newChat);
+            appEvents.emit(APP_EVENTS.STUDY_GENERATED, { messageId: newChat.id, itemCount: structuredData.length });
+
+        } catch (e) {
+            console.error(e);
+            setError("Study material generation failed. Please refine your request.");
+        } finally {
+            setLoading(false);
+        }
+    }, [activeMode, persona, creativity, settings, saveChat, planLimits]);
+
+
+    // Synthesizes `text` and starts playing it. Resolves once playback starts, with
+    // `done` (settles when playback ends or is stopped) and `stop`.
+    const playSpeech = useCallback(async (text) => {
+        const audioUrl = await requestTTSAudio(text, voice, { route: resolveModelRoute(settings, TTS_ROUTE_KEY, 'tts') });
+        if (!audioUrl) throw new Error("Invalid audio response structure.");
+
+        const audio = audioRef.current;
+        let finish;
+        const done = new Promise(resolve => { finish = resolve; });
+        // Revoke URL after play completion to save memory
+        const release = () => {
+            URL.revokeObjectURL(audioUrl);
+            finish();
+        };
+        audio.src = audioUrl;
+        audio.onended = release;
+        await audio.play();
+        return { done, stop: () => { audio.pause(); release(); } };
+    }, [voice, settings]);
+
+    // --- LONG-TEXT SPEECH PLAYER ---
+    // Answers are read sentence by sentence (see speechPlayer.js); clips come from the
+    // IndexedDB cache when this text was already synthesized with the same voice and model.
+    const loadSpeechClip = async (sentence, route, voiceName) => {
+        const key = await clipCacheKey(sentence, voiceName, `${route.endpoint}|${route.model}`);
+        const cached = await getCachedClip(key);
+        if (cached) return cached;
+
+        const wavBlob = await requestSpeechClip(sentence, voiceName, { route });
+        if (!wavBlob) throw new Error("Invalid audio response structure.");
+        const wav = await wavBlob.arrayBuffer();
+        putCachedClip(key, wav);
+        return wav;
+    };
+
+    const updateSpeechProgress = (position, duration) => {
+        if (speechSeekRef.current) {
+            speechSeekRef.current.max = duration;
+            speechSeekRef.current.value = position;
+        }
+        if (speechClockRef.current) speechClockRef.current.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
+    };
+
+    const closeSpeechPlayer = () => {
+        if (speechPlayerRef.current) speechPlayerRef.current.close();
+        speechPlayerRef.current = null;
+        setSpeechPlayback(null);
+    };
+
+    // Starts reading a message aloud; on the message already loaded, toggles play/pause.
+    const handleSpeakMessage = (chat) => {
+        const current = speechPlayerRef.current;
+        if (current && speechPlayback?.messageId === chat.id) {
+            if (current.getState().playing) current.pause();
+            else current.play();
+            return;
+        }
+
+        const sentences = splitIntoSentences(chat.ai);
+        if (sentences.length === 0) {
+            setError("There is nothing to read aloud in this answer.");
+            return;
+        }
+        closeSpeechPlayer();
+        audioRef.current.pause();
+        setError(null);
+
+        const route = resolveModelRoute(settings, TTS_ROUTE_KEY, 'tts');
+        const player = createSpeechPlayer(sentences, (sentence) => loadSpeechClip(sentence, route, voice), {
+            onChange: (state) => setSpeechPlayback(playback => (playback && playback.messageId === chat.id ? { ...playback, ...state } : playback)),
+            onProgress: updateSpeechProgress,
+        });
+        speechPlayerRef.current = player;
+        setSpeechPlayback({ messageId: chat.id, sentences, ...player.getState() });
+        player.play();
+    };
+
+    const handleDownloadSpeech = async () => {
+        const player = speechPlayerRef.current;
+        if (!player || transferBusy) return;
+        setTransferBusy(true);
+        try {
+            const name = toSafeFilename(speechPlayback.sentences[0], 'popking-answer');
+            downloadBlob(await player.toWav(), `${name}.wav`);
+        } catch (e) {
+            console.error("Error exporting speech audio:", e);
+            if (speechPlayerRef.current === player) setError("Could not build the audio file for this answer.");
+        } finally {
+            setTransferBusy(false);
+        }
+    };
+
+    // --- CODE RUNNER HANDLERS ---
+    // Each message shows the output of the last code block run from it.
+    const handleRunCode = async (chat, code, language) => {
+        const runtime = runtimeFor(language, { python: settings.runPython });
+        if (!runtime || codeRuns[chat.id]?.status === 'running') return;
+        setCodeRuns(prev => ({ ...prev, [chat.id]: { code, runtime, status: 'running', result: null } }));
+        const result = await runCode(code, runtime);
+        setCodeRuns(prev => ({ ...prev, [chat.id]: { code, runtime, status: 'finished', result } }));
+    };
+
+    const handleFixCode = (chat) => {
+        const run = codeRuns[chat.id];
+        if (!run || loading) return;
+        generateTextContent(buildFixPrompt(run.code, run.runtime, run.result));
+    };
+
+    const closeCodeRun = (chatId) => {
+        setCodeRuns(prev => {
+            const next = { ...prev };
+            delete next[chatId];
+            return next;
+        });
+    };
+
+    // --- VOICE CONVERSATION HANDLERS ---
+    // The session outlives renders, so it calls the latest callbacks through a ref.
+    voiceHandlersRef.current = {
+        respond: (transcript) => generateTextContent(transcript, { spoken: true }),
+        speak: playSpeech,
+    };
+
+    const handleStartConversation = async () => {
+        if (voiceConversationRef.current || voiceInput.status !== 'idle' || loading) return;
+        setError(null);
+        if (!isRecordingSupported()) {
+            setError("Voice conversations need microphone recording, which this browser doesn't support.");
+            return;
+        }
+        audioRef.current.pause();
+        closeSpeechPlayer();
+        try {
+            voiceConversationRef.current = await startVoiceConversation({
+                transcribe: (audio) => requestTranscription(audio, { route: resolveModelRoute(settings, STT_ROUTE_KEY, 'stt') }),
+                respond: (transcript) => voiceHandlersRef.current.respond(transcript),
+                speak: (text) => voiceHandlersRef.current.speak(text),
+                onPhase: setVoicePhase,
+                onLevel: (level) => {
+                    if (micLevelRef.current) micLevelRef.current.style.width = `${Math.round(level * 100)}%`;
+                },
+                onError: (err) => {
+                    console.error("Voice turn failed:", err);
+                    setError("Sorry, that turn didn't go through. Keep talking, or end the voice session.");
+                },
+            });
+        } catch (err) {
+            console.error("Microphone unavailable:", err);
+            setError("Could not access the microphone. Check the browser's microphone permission.");
+        }
+    };
+
+    const handleEndConversation = () => {
+        if (voiceConversationRef.current) voiceConversationRef.current.stop();
+        voiceConversationRef.current = null;
+        setVoicePhase(null);
+    };
+
+    // --- SPEECH-TO-TEXT HANDLERS ---
+    // Records with MediaRecorder for model transcription; browsers without it use Web Speech.
+    // Resolves to whether recording started.
+    const startVoiceInput = () => {
+        if (voiceInput.status !== 'idle' || voiceSessionRef.current || loading) return Promise.resolve(false);
+        setError(null);
+        voiceStartRef.current = (async () => {
+            if (!isRecordingSupported()) {
+                if (!isWebSpeechSupported()) {
+                    setError("Speech input is not supported in this browser. Please type your query.");
+                    return false;
+                }
+                const typed = queryInput.trim();
+                voiceSessionRef.current = {
+                    recognition: startWebSpeech({
+                        onTranscript: (text) => setQueryInput(typed ? `${typed} ${text}` : text),
+                        onEnd: () => {
+                            voiceSessionRef.current = null;
+                            setVoiceInput({ status: 'idle', engine: null });
+                        },
+                        onError: (code) => setError(`Speech recognition failed (${code}). Please type your query.`),
+                    }),
+                };
+                setVoiceInput({ status: 'recording', engine: 'browser' });
+                return true;
+            }
+            try {
+                const stream = await openMicrophone();
+                voiceSessionRef.current = {
+                    stream,
+                    recording: startRecording(stream),
+                    stopMeter: createLevelMeter(stream, (level) => {
+                        if (micLevelRef.current) micLevelRef.current.style.width = `${Math.round(level * 100)}%`;
+                    }),
+                };
+                setVoiceInput({ status: 'recording', engine: 'model' });
+                return true;
+            } catch (err) {
+                console.error("Microphone unavailable:", err);
+                setError("Could not access the microphone. Check the browser's microphone permission.");
+                return false;
+            }
+        })();
+        return voiceStartRef.current;
+    };
+
+    const stopVoiceInput = async () => {
+        await voiceStartRef.current;
+        const session = voiceSessionRef.current;
+        if (!session) return;
+        if (session.recognition) {
+            session.recognition.stop(); // onEnd resets the state
+            return;
+        }
+        voiceSessionRef.current = null;
+        session.stopMeter();
+        const recording = await session.recording.stop();
+        closeMicrophone(session.stream);
+        setVoiceInput({ status: 'transcribing', engine: 'model' });
+
+        try {
+            const transcript = await transcribeRecording(recording, (audio) => requestTranscription(audio, { route: resolveModelRoute(settings, STT_ROUTE_KEY, 'stt') }));
+            if (transcript === null) throw new Error("No transcript received.");
+            // Appended so a dictated follow-up doesn't wipe what was typed
+            if (transcript) setQueryInput(prev => prev.trim() ? `${prev.trim()} ${transcript}` : transcript);
+        } catch (err) {
+            console.error("Error transcribing speech:", err);
+            setError("Could not transcribe the recording. Please try again or type your query.");
+        } finally {
+            setVoiceInput({ status: 'idle', engine: null });
+        }
+    };
+
+    // Push-to-talk listens for the release on window: the button re-renders while recording.
+    // A release while the microphone is still opening (e.g. at the permission prompt) stops as soon as it starts.
+    const handleMicPointerDown = async (e) => {
+        if (settings.micMode !== 'push') return;
+        e.preventDefault();
+        let released = false;
+        const handleEarlyRelease = () => { released = true; };
+        window.addEventListener('pointerup', handleEarlyRelease, { once: true });
+        const started = await startVoiceInput();
+        window.removeEventListener('pointerup', handleEarlyRelease);
+        if (!started) return;
+        if (released) stopVoiceInput();
+        else window.addEventListener('pointerup', stopVoiceInput, { once: true });
+    };
+
+    const handleMicClick = () => {
+        if (settings.micMode === 'push') return;
+        if (voiceInput.status === 'idle') startVoiceInput();
+        else if (voiceInput.status === 'recording') stopVoiceInput();
+    };
+
+    // --- ATTACHMENT HANDLERS ---
+    const handleAttachFiles = async (files) => {
+        if (files.length === 0 || attachmentsLoading) return;
+        setError(null);
+        setAttachmentsLoading(true);
+        try {
+            const results = await Promise.allSettled(files.map(readAttachment));
+            const read = results.filter(r => r.status === 'fulfilled').map(r => ({ id: generateId(), ...r.value }));
+            const failure = results.find(r => r.status === 'rejected');
+            const limitError = checkAttachmentLimits(attachments, read);
+            if (limitError) {
+                setError(limitError);
+                return;
+            }
+            setAttachments(prev => [...prev, ...read]);
+            if (failure) setError(failure.reason.message);
+        } finally {
+            setAttachmentsLoading(false);
+        }
+    };
+
+    // Pasted files (e.g. a screenshot or a copied source file) are attached instead of typed
+    const handlePaste = (e) => {
+        const files = Array.from(e.clipboardData.files || []);
+        if (files.length === 0) return;
+        e.preventDefault();
+        handleAttachFiles(files);
+    };
+
+    // --- SUBMIT HANDLER ---
+
+    const canAttach = activeTab !== 'Images';
+    const imageSeedSupported = PROVIDERS[resolveModelRoute(settings, IMAGE_ROUTE_KEY, 'image').provider].imageSeed;
+    const canSubmit = Boolean(queryInput.trim()) || (canAttach && attachments.length > 0);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (loading || attachmentsLoading || !canSubmit) return;
+
+        const files = canAttach ? attachments : [];
+        const trimmedQuery = queryInput.trim() || "Please review the attached file(s).";
+        setQueryInput('');
+        setError(null);
+        if (files.length > 0) setAttachments([]);
+
+        if (activeTab === 'Images') {
+            const options = normalizeImageOptions({ ...imageOptions, ...imageFieldsRef.current });
+            setImageOptions(options);
+            generateImageContent(trimmedQuery, options);
+        } else if (activeTab === 'Study' && (trimmedQuery.toLowerCase().includes('quiz') || trimmedQuery.toLowerCase().includes('flashcard'))) {
+            generateStructuredStudyContent(trimmedQuery, files);
+        } else {
+            generateTextContent(trimmedQuery, { attachments: files });
+        }
+    };
+
+    // --- UI COMPONENTS ---
+
+    const Header = () => (
+        <header className="flex items-center justify-between p-4 bg-base border-b border-line shadow-lg">
+            <div className="flex items-center space-x-2">
+                <button onClick={() => setShowSessions(true)} className="p-1 text-fg-subtle hover:text-fg rounded-full transition-colors" title="Conversations">
+                    <PanelLeft className="w-5 h-5" />
+                </button>
+                <Crown className="w-6 h-6 text-accent" />
+                <span className="text-xl font-bold text-fg">PopKing AI</span>
+                <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${modeConfig.color} bg-surface border ${modeConfig.borderColor}`}>
                     {modeConfig.name}
                 </span>
             </div>
             <div className="flex items-center space-x-2">
-                <div className="flex items-center text-yellow-400 bg-gray-800 p-1 rounded-full text-sm font-semibold">
-                    <Crown className="w-4 h-4 mr-1" fill="#FBBF24" />
+                <button onClick={() => setShowLedger(true)} className="flex items-center text-accent bg-surface p-1 rounded-full text-sm font-semibold hover:bg-raised transition-colors" title="Crown Ledger">
+                    <Crown className="w-4 h-4 mr-1" fill="currentColor" />
                     {crownRewards}
-                </div>
-                <button onClick={() => setShowHistory(true)} className="p-2 text-gray-400 hover:text-white rounded-full transition-colors">
+                </button>
+                <button onClick={() => setShowAchievements(true)} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors" title="Achievements">
+                    <Trophy className="w-5 h-5" />
+                </button>
+                <button onClick={() => setShowDecks(true)} className="relative p-2 text-fg-subtle hover:text-fg rounded-full transition-colors" title="Flashcard Decks">
+                    <Layers className="w-5 h-5" />
+                    {dueCards.length > 0 && (
+                        <span className="absolute -top-0.5 -right-0.5 min-w-[1rem] px-1 text-[10px] leading-4 font-bold text-white bg-primary rounded-full">{dueCards.length}</span>
+                    )}
+                </button>
+                <button onClick={openGallery} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors" title="Image Gallery">
+                    <ImageIcon className="w-5 h-5" />
+                </button>
+                <button onClick={openHistory} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors">
                     <History className="w-5 h-5" />
                 </button>
-                <button onClick={() => setShowSettings(true)} className="p-2 text-gray-400 hover:text-white rounded-full transition-colors">
+                <button onClick={() => setShowSettings(true)} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors">
                     <Settings className="w-5 h-5" />
                 </button>
             </div>
@@ -562,15 +1692,15 @@ const App = () => {
     );
 
     const ModeSwitch = () => (
-        <div className="p-4 bg-gray-800 border-b border-gray-700 grid grid-cols-3 gap-2 text-center text-sm">
+        <div className="p-4 bg-surface border-b border-line grid grid-cols-3 gap-2 text-center text-sm">
             {Object.keys(MODES).map(key => {
                 const mode = MODES[key];
                 const isActive = activeMode === key;
                 return (
                     <button
                         key={key}
-                        onClick={() => handleSettingChange('activeMode', key)}
-                        className={`p-2 rounded-lg transition-all border ${isActive ? `bg-gray-900 ${mode.color.replace('text', 'border')}` : 'bg-gray-700 border-transparent text-gray-300 hover:bg-gray-600'}`}
+                        onClick={() => handleModeChange(key)}
+                        className={`p-2 rounded-lg transition-all border ${isActive ? `bg-base ${mode.borderColor}` : 'bg-raised border-transparent text-fg-muted hover:bg-raised-hover'}`}
                         title={mode.description}
                     >
                         <mode.icon className={`w-4 h-4 mx-auto mb-1 ${mode.color}`} />
@@ -582,7 +1712,7 @@ const App = () => {
     );
 
     const TabBar = () => (
-        <div className="flex justify-around bg-gray-900 border-t border-gray-700">
+        <div className="flex justify-around bg-base border-t border-line">
             {['Text', 'Images', 'Study', 'Code'].map(tab => {
                 const isActive = activeTab === tab;
                 const Icon = {
@@ -596,7 +1726,7 @@ const App = () => {
                     <button
                         key={tab}
                         onClick={() => setActiveTab(tab)}
-                        className={`flex-1 p-3 text-sm font-medium transition-colors border-b-2 ${isActive ? 'text-yellow-400 border-yellow-400' : 'text-gray-400 border-transparent hover:text-white'}`}
+                        className={`flex-1 p-3 text-sm font-medium transition-colors border-b-2 ${isActive ? 'text-accent border-accent' : 'text-fg-subtle border-transparent hover:text-fg'}`}
                     >
                         <Icon className="w-5 h-5 mx-auto mb-1" />
                         {tab}
@@ -607,7 +1737,7 @@ const App = () => {
     );
 
     const ChatMessage = ({ chat }) => {
-        const isUser = chat.user && !chat.ai;
+        const isUser = chat.user && !chat.ai && !chat.isStreaming;
         const isImage = chat.isImage;
 
         const handleShare = () => {
@@ -621,39 +1751,116 @@ const App = () => {
 
         const handleTTS = () => {
             if (chat.ai) {
-                generateTTSAudio(chat.ai);
+                handleSpeakMessage(chat);
             }
         };
-
-        const renderStudyContent = (data) => (
-            <div className="mt-2 space-y-3 p-3 bg-gray-700/50 rounded-lg">
-                <h4 className="text-yellow-400 font-bold border-b border-yellow-400/30 pb-1">Generated Study Materials</h4>
-                {data.map((item, index) => (
-                    <details key={index} className="bg-gray-800 p-3 rounded-lg border border-gray-600">
-                        <summary className="font-semibold text-white cursor-pointer hover:text-yellow-300">
-                            {item.type === 'quiz' ? `Quiz Q${index + 1}: ` : `Flashcard ${index + 1}: `}
-                            {item.question}
-                        </summary>
-                        <div className="mt-2 pt-2 border-t border-gray-600 text-gray-300">
-                            {item.type === 'quiz' ? (
-                                <div>
-                                    <p className="font-medium text-green-400">Answer: {item.answer}</p>
-                                    <p className="text-sm">Options: {item.options?.join(' | ') || 'N/A'}</p>
-                                </div>
-                            ) : (
-                                <p>Answer: {item.answer}</p>
-                            )}
-                        </div>
-                    </details>
-                ))}
+        const isSpeaking = speechPlayback?.messageId === chat.id && speechPlayback.playing;
+
+        // Only names and thumbnails are saved (see attachments.js), so say the files aren't kept
+        const renderAttachments = () => (
+            <div className="mb-2">
+                <div className="flex flex-wrap gap-2">
+                    {chat.attachments.map((attachment, i) => (attachment.thumbnail ? (
+                        <img key={i} src={attachment.thumbnail} alt={attachment.name} title={attachment.name} className="h-16 w-16 object-cover rounded-lg border border-line-strong" />
+                    ) : (
+                        <span key={i} className="flex items-center px-2 py-1 text-xs rounded-lg bg-surface text-fg-muted border border-line-strong" title={formatBytes(attachment.size)}>
+                            <FileText className="w-3.5 h-3.5 mr-1" /> {attachment.name}
+                        </span>
+                    )))}
+                </div>
+                <p className="mt-1 text-xs text-fg-faint">Files aren't kept: attach them again to ask about them later.</p>
             </div>
         );
 
+        const renderCodeRun = ({ runtime, status, result }) => {
+            const failed = result && (result.error || result.timedOut);
+            return (
+                <div className="mt-2 rounded-lg border border-line-strong bg-surface text-xs">
+                    <div className="flex items-center justify-between px-3 py-1 border-b border-line-strong text-fg-subtle">
+                        <span className="flex items-center">
+                            <Terminal className="w-3.5 h-3.5 mr-1" />
+                            {status === 'running'
+                                ? <><Loader2 className="w-3 h-3 mx-1 animate-spin" /> Running {runtime}...</>
+                                : `Output (${runtime}, ${result.durationMs} ms)`}
+                        </span>
+                        <button onClick={() => closeCodeRun(chat.id)} className="p-0.5 hover:text-fg transition-colors" title="Close output">
+                            <X className="w-3.5 h-3.5" />
+                        </button>
+                    </div>
+                    {result && (
+                        <div className="p-3 font-mono whitespace-pre-wrap break-words max-h-64 overflow-y-auto space-y-0.5">
+                            {result.logs.length === 0 && !failed && <p className="text-fg-faint italic">No output.</p>}
+                            {result.logs.map((log, i) => (
+                                <p key={i} className={log.level === 'error' ? 'text-red-400' : log.level === 'warn' ? 'text-yellow-400' : 'text-fg-muted'}>{log.text}</p>
+                            ))}
+                            {result.timedOut && <p className="text-red-400">Stopped: the code ran longer than the time limit.</p>}
+                            {result.error && <p className="text-red-400">{formatRunError(result.error)}</p>}
+                        </div>
+                    )}
+                    {failed && (
+                        <div className="px-3 pb-2">
+                            <button
+                                onClick={() => handleFixCode(chat)}
+                                disabled={loading}
+                                className="flex items-center px-3 py-1 text-xs font-semibold bg-primary text-white rounded-full hover:bg-primary-hover disabled:opacity-50 transition-colors"
+                            >
+                                <Wrench className="w-3.5 h-3.5 mr-1" /> Fix this error
+                            </button>
+                        </div>
+                    )}
+                </div>
+            );
+        };
+
+        const renderStudyContent = (data) => {
+            const flashcards = data.filter(item => item.type !== 'quiz');
+            const quizItems = getQuizItems(chat);
+
+            return (
+                <div className="mt-2 space-y-3 p-3 bg-raised/50 rounded-lg">
+                    <div className="flex justify-between items-center border-b border-accent/30 pb-1">
+                        <h4 className="text-accent font-bold">Generated Study Materials</h4>
+                        <StudyExportButtons onExport={(format) => handleStudyExport(async () => data, chat.user, format)} />
+                    </div>
+                    {flashcards.map((item, index) => (
+                        <details key={index} className="bg-surface p-3 rounded-lg border border-line-strong">
+                            <summary className="font-semibold text-fg cursor-pointer hover:text-accent">
+                                {`Flashcard ${index + 1}: `}
+                                {item.question}
+                            </summary>
+                            <div className="mt-2 pt-2 border-t border-line-strong text-fg-muted">
+                                <p>Answer: {item.answer}</p>
+                            </div>
+                        </details>
+                    ))}
+                    {flashcards.length > 0 && db && (
+                        <button
+                            onClick={() => setDeckSaveSource(chat)}
+                            className="w-full py-1.5 flex items-center justify-center text-sm bg-surface text-accent border border-line-strong rounded-lg hover:bg-raised transition-colors"
+                        >
+                            <Layers className="w-4 h-4 mr-1" /> Save Flashcards to Deck
+                        </button>
+                    )}
+                    {quizItems.length > 0 && (
+                        <QuizPlayer
+                            items={quizItems}
+                            progress={quizProgress[chat.id] || EMPTY_QUIZ_PROGRESS}
+                            onAnswer={(index, option) => handleQuizAnswer(chat, index, option)}
+                            onRetryExplanation={(index, option) => explainQuizAnswer(chat, index, option)}
+                            onNext={() => updateQuizProgress(chat.id, p => ({ current: p.current + 1 }))}
+                            onFinish={() => handleQuizFinish(chat)}
+                            onRetake={() => updateQuizProgress(chat.id, () => EMPTY_QUIZ_PROGRESS)}
+                        />
+                    )}
+                </div>
+            );
+        };
+
         return (
             <div className={`flex w-full mb-4 ${isUser ? 'justify-end' : 'justify-start'}`}>
                 <div className={`max-w-[90%] md:max-w-[75%] p-3 rounded-xl shadow-lg transition-all ${isUser
                     ? 'bg-blue-600 text-white rounded-br-none'
-                    : 'bg-gray-700 text-gray-50 rounded-bl-none'
+                    : 'bg-raised text-fg rounded-bl-none'
                     }`}>
                     {isUser ? (
                         <p>{chat.user}</p>
@@ -663,27 +1870,65 @@ const App = () => {
                                 <Crown className={`w-4 h-4 mr-2 ${modeConfig.color}`} />
                                 <span className={`text-xs font-semibold ${modeConfig.color}`}>{chat.mode} Response</span>
                             </div>
+                            {chat.attachments?.length > 0 && renderAttachments()}
                             {isImage ? (
                                 <div className="mt-2 text-center">
-                                    {chat.imageUrl ? (
-                                        <img src={chat.imageUrl} alt={chat.user} className="max-w-full h-auto rounded-lg" />
+                                    {chat.variations ? (
+                                        <div>
+                                            <p className="mb-2 text-xs text-fg-subtle">Pick the variation to keep.</p>
+                                            <div className="grid grid-cols-2 gap-2">
+                                                {chat.variations.map((variation, i) => (
+                                                    <button
+                                                        key={i}
+                                                        onClick={() => handleKeepVariation(chat, variation)}
+                                                        className="group relative rounded-lg overflow-hidden border-2 border-transparent hover:border-primary focus:border-primary focus:outline-none transition-colors"
+                                                        title="Keep this variation"
+                                                    >
+                                                        <img src={variation.imageUrl} alt={`${chat.user} (variation ${i + 1})`} className="w-full h-auto" />
+                                                        <span className="absolute bottom-1 right-1 flex items-center px-2 py-0.5 text-xs rounded-full bg-base/80 text-fg opacity-0 group-hover:opacity-100 transition-opacity">
+                                                            <Check className="w-3 h-3 mr-1" /> Keep
+                                                        </span>
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    ) : !chat.isPending ? (
+                                        <>
+                                            <StoredImage message={chat} className="max-w-full h-auto rounded-lg mx-auto" />
+                                            {chat.imageOptions && (
+                                                <p className="mt-1 text-xs text-fg-faint">
+                                                    {IMAGE_STYLES[chat.imageOptions.style]?.label || 'No style'} · {chat.imageOptions.aspectRatio}
+                                                    {chat.imageOptions.negativePrompt && ` · avoid: ${chat.imageOptions.negativePrompt}`}
+                                                    {chat.imageOptions.seed !== null && chat.imageOptions.seed !== undefined && ` · seed ${chat.imageOptions.seed}`}
+                                                </p>
+                                            )}
+                                        </>
                                     ) : (
-                                        <div className="p-8 bg-gray-800 rounded-lg flex items-center justify-center">
-                                            <Loader2 className="w-5 h-5 text-purple-400 animate-spin mr-2" />
+                                        <div className="p-8 bg-surface rounded-lg flex items-center justify-center">
+                                            <Loader2 className="w-5 h-5 text-primary-soft animate-spin mr-2" />
                                             <span className="text-sm">Generating image...</span>
                                         </div>
                                     )}
                                 </div>
                             ) : (
                                 <div className="prose prose-sm prose-invert break-words">
-                                    <p>{chat.ai}</p>
+                                    <MarkdownMessage
+                                        text={chat.ai}
+                                        streaming={chat.isStreaming}
+                                        colorScheme={THEMES[activeTheme].colorScheme}
+                                        onRunCode={(code, language) => handleRunCode(chat, code, language)}
+                                        canRun={(language) => Boolean(runtimeFor(language, { python: settings.runPython }))}
+                                    />
+                                    {chat.isStreaming && <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-primary-soft animate-pulse" />}
+                                    {chat.isStopped && <p className="text-xs text-fg-subtle italic">Response stopped.</p>}
+                                    {codeRuns[chat.id] && renderCodeRun(codeRuns[chat.id])}
                                     {chat.isStructuredStudy && chat.structuredData && renderStudyContent(chat.structuredData)}
 
                                     {chat.sources && chat.sources.length > 0 && (
-                                        <div className="mt-3 pt-2 border-t border-gray-600">
+                                        <div className="mt-3 pt-2 border-t border-line-strong">
                                             <p className="text-xs font-semibold text-green-400 mb-1">Sources (Web Grounding):</p>
-                                            <ul className="list-disc list-inside space-y-0.5 text-xs text-gray-400">
-                                                {chat.sources.slice(0, 3).map((s, i) => (
+                                            <ul className="list-disc list-inside space-y-0.5 text-xs text-fg-subtle">
+                                                {chat.sources.map((s, i) => (
                                                     <li key={i}><a href={s.uri} target="_blank" rel="noopener noreferrer" className="hover:underline">{s.title || s.uri}</a></li>
                                                 ))}
                                             </ul>
@@ -693,15 +1938,25 @@ const App = () => {
                             )}
 
                             {/* Action Bar */}
-                            {chat.ai && (
-                                <div className="mt-2 pt-2 border-t border-gray-600 flex justify-end space-x-2">
-                                    <button onClick={handleTTS} className="text-gray-400 hover:text-yellow-400 p-1 rounded-full transition-colors" title="Text-to-Speech">
-                                        <Volume2 className="w-4 h-4" />
+                            {chat.ai && !chat.isStreaming && !chat.isPending && (
+                                <div className="mt-2 pt-2 border-t border-line-strong flex justify-end space-x-2">
+                                    {!isImage && !chat.isStructuredStudy && (
+                                        <button onClick={() => handleVisualize(chat)} disabled={imagePromptDraft?.status === 'writing'} className="p-1 rounded-full text-fg-subtle hover:text-accent transition-colors" title="Visualize this (write an image prompt)">
+                                            <Sparkles className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    {isImage && !chat.variations && (
+                                        <button onClick={() => handleVaryImage(chat)} disabled={loading} className="p-1 rounded-full text-fg-subtle hover:text-accent transition-colors" title="Vary this one (same settings, new seed)">
+                                            <Shuffle className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    <button onClick={handleTTS} className={`p-1 rounded-full transition-colors ${isSpeaking ? 'text-accent' : 'text-fg-subtle hover:text-accent'}`} title={isSpeaking ? "Pause reading" : "Read aloud"}>
+                                        {isSpeaking ? <Pause className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
                                     </button>
-                                    <button onClick={() => toggleFavorite(chat.id)} className={`p-1 rounded-full transition-colors ${chat.isFavorite ? 'text-red-400 fill-red-400' : 'text-gray-400 hover:text-red-400'}`} title="Favorite">
+                                    <button onClick={() => toggleFavorite(chat.id)} className={`p-1 rounded-full transition-colors ${chat.isFavorite ? 'text-red-400 fill-red-400' : 'text-fg-subtle hover:text-red-400'}`} title="Favorite">
                                         <Star className="w-4 h-4" fill={chat.isFavorite ? 'currentColor' : 'none'} />
                                     </button>
-                                    <button onClick={handleShare} className="text-gray-400 hover:text-blue-400 p-1 rounded-full transition-colors" title="Share/Export">
+                                    <button onClick={handleShare} className="text-fg-subtle hover:text-blue-400 p-1 rounded-full transition-colors" title="Share/Export">
                                         <Share2 className="w-4 h-4" />
                                     </button>
                                 </div>
@@ -716,22 +1971,30 @@ const App = () => {
     const ChatInterface = () => (
         <div className="flex flex-col h-full">
             {/* Chat History Area */}
-            <div ref={chatContainerRef} className="flex-1 overflow-y-auto p-4 bg-gray-900">
+            <div ref={chatContainerRef} className="flex-1 overflow-y-auto p-4 bg-base">
                 {chats.length === 0 && (
-                    <div className="text-center p-10 text-gray-500">
-                        <Zap className="w-10 h-10 mx-auto mb-3 text-purple-400" />
-                        <h3 className="text-lg font-semibold text-white">Welcome to PopKing AI!</h3>
+                    <div className="text-center p-10 text-fg-faint">
+                        <Zap className="w-10 h-10 mx-auto mb-3 text-primary-soft" />
+                        <h3 className="text-lg font-semibold text-fg">Welcome to PopKing AI!</h3>
                         <p className="text-sm mt-1">Select a mode and start chatting or generating content.</p>
-                        <p className={`text-xs mt-2 p-1 rounded bg-gray-800 ${modeConfig.color}`}>{modeConfig.description}</p>
+                        <p className={`text-xs mt-2 p-1 rounded bg-surface ${modeConfig.color}`}>{modeConfig.description}</p>
+                        {activeMode === 'LIFE_COACH' && (
+                            <button
+                                onClick={handleStartConversation}
+                                className="mt-4 px-4 py-2 inline-flex items-center text-sm font-semibold bg-primary text-white rounded-full hover:bg-primary-hover transition-colors"
+                            >
+                                <Headphones className="w-4 h-4 mr-2" /> Talk to your coach
+                            </button>
+                        )}
                     </div>
                 )}
                 {chats.map(chat => (
                     <ChatMessage key={chat.id} chat={chat} />
                 ))}
-                {loading && (
+                {loading && !isStreaming && (
                     <div className="flex justify-start">
-                        <div className="max-w-[75%] p-3 rounded-xl rounded-bl-none bg-gray-700 text-gray-50">
-                            <Loader2 className="w-4 h-4 animate-spin inline mr-2 text-purple-400" />
+                        <div className="max-w-[75%] p-3 rounded-xl rounded-bl-none bg-raised text-fg">
+                            <Loader2 className="w-4 h-4 animate-spin inline mr-2 text-primary-soft" />
                             <span className="text-sm">AI is thinking...</span>
                         </div>
                     </div>
@@ -743,54 +2006,484 @@ const App = () => {
                 )}
             </div>
 
+            {/* Image prompt draft ("Visualize this" / "Enhance") */}
+            {imagePromptDraft && (
+                <div className="px-4 py-3 bg-surface border-t border-line space-y-2">
+                    <div className="flex items-center justify-between">
+                        <span className="flex items-center text-sm font-semibold text-accent">
+                            <Sparkles className="w-4 h-4 mr-1" />
+                            {imagePromptDraft.source === 'visualize' ? 'Image prompt for this answer' : 'Enhanced image prompt'}
+                        </span>
+                        <button onClick={closeImagePromptDraft} className="p-1 text-fg-subtle hover:text-fg transition-colors" title="Discard">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                    {imagePromptDraft.status === 'writing' ? (
+                        <p className="flex items-center text-sm text-fg-subtle">
+                            <Loader2 className="w-4 h-4 mr-2 animate-spin" /> Writing an image prompt...
+                        </p>
+                    ) : (
+                        <>
+                            <textarea
+                                rows={4}
+                                defaultValue={imagePromptTextRef.current}
+                                onChange={(e) => { imagePromptTextRef.current = e.target.value; }}
+                                className="w-full p-2 text-sm rounded-lg bg-base border border-line text-fg focus:ring-primary focus:border-primary"
+                                aria-label="Image prompt"
+                            />
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs text-fg-faint">
+                                    Edit it if you like. Uses the Images tab settings ({IMAGE_STYLES[imageOptions.style].label}, {imageOptions.aspectRatio}, {imageOptions.count} {imageOptions.count === 1 ? 'image' : 'variations'}).
+                                </span>
+                                <div className="flex shrink-0 space-x-2 ml-2">
+                                    <button
+                                        onClick={() => writeImagePrompt(imagePromptDraft.source, imagePromptDraft.request)}
+                                        className="px-3 py-1.5 text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors"
+                                    >
+                                        Rewrite
+                                    </button>
+                                    <button
+                                        onClick={handleGenerateFromDraft}
+                                        disabled={loading}
+                                        className="flex items-center px-3 py-1.5 text-sm font-semibold bg-primary text-white rounded-lg hover:bg-primary-hover disabled:opacity-50 transition-colors"
+                                    >
+                                        <ImageIcon className="w-4 h-4 mr-1" /> Generate image
+                                    </button>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+            {/* Speech Player */}
+            {speechPlayback && (
+                <div className="px-4 py-2 bg-surface border-t border-line">
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={() => (speechPlayback.playing ? speechPlayerRef.current.pause() : speechPlayerRef.current.play())}
+                            className="p-2 rounded-full bg-primary text-white hover:bg-primary-hover transition-colors"
+                            title={speechPlayback.playing ? "Pause" : "Play"}
+                        >
+                            {speechPlayback.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                        </button>
+                        <input
+                            ref={speechSeekRef}
+                            type="range"
+                            min="0"
+                            max="0"
+                            step="0.1"
+                            defaultValue="0"
+                            onChange={(e) => speechPlayerRef.current.seek(Number(e.target.value))}
+                            className="flex-1 accent-primary"
+                            aria-label="Seek"
+                        />
+                        <span ref={speechClockRef} className="text-xs text-fg-subtle tabular-nums">0:00 / 0:00</span>
+                        <select
+                            value={speechPlayback.rate}
+                            onChange={(e) => speechPlayerRef.current.setRate(Number(e.target.value))}
+                            className="p-1 text-xs bg-raised text-fg rounded border border-line-strong"
+                            title="Speed"
+                        >
+                            {PLAYBACK_RATES.map(rate => <option key={rate} value={rate}>{rate}x</option>)}
+                        </select>
+                        <button onClick={handleDownloadSpeech} disabled={transferBusy} className="p-1 text-fg-subtle hover:text-accent disabled:opacity-50 transition-colors" title="Download as WAV">
+                            <Download className="w-4 h-4" />
+                        </button>
+                        <button onClick={closeSpeechPlayer} className="p-1 text-fg-subtle hover:text-fg transition-colors" title="Close player">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                    {(speechPlayback.ready < speechPlayback.total || speechPlayback.failed > 0) && (
+                        <p className="mt-1 text-xs text-fg-faint">
+                            {speechPlayback.ready < speechPlayback.total && `Synthesizing ${speechPlayback.ready}/${speechPlayback.total} sentences... `}
+                            {speechPlayback.failed > 0 && <span className="text-red-400">{speechPlayback.failed} sentence(s) could not be synthesized and will be skipped.</span>}
+                        </p>
+                    )}
+                    {/* The sentence being spoken is highlighted; click a sentence to jump to it */}
+                    <div className="mt-2 max-h-24 overflow-y-auto text-sm leading-relaxed">
+                        {speechPlayback.sentences.map((sentence, i) => (
+                            <span
+                                key={i}
+                                ref={i === speechPlayback.index ? (el) => el && el.scrollIntoView({ block: 'nearest' }) : undefined}
+                                onClick={() => speechPlayerRef.current.seekToSentence(i)}
+                                className={`px-0.5 rounded ${i === speechPlayback.index
+                                    ? 'bg-primary/30 text-fg'
+                                    : i < speechPlayback.ready ? 'text-fg-muted hover:text-fg cursor-pointer' : 'text-fg-faint'}`}
+                            >
+                                {sentence}{' '}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Input Area */}
-            <form onSubmit={handleSubmit} className="p-4 bg-gray-900 border-t border-gray-700 flex items-center space-x-2">
-                <button
-                    type="button"
-                    onClick={() => setError("STT is not available in this environment. Please type your query.")}
-                    className="p-3 bg-gray-700 text-white rounded-full hover:bg-gray-600 transition-colors"
-                    title="Speech-to-Text (Unavailable)"
-                >
-                    <Mic className="w-5 h-5" />
-                </button>
-                <input
-                    type="text"
-                    value={queryInput}
-                    onChange={(e) => setQueryInput(e.target.value)}
-                    placeholder={activeTab === 'Images' ? 'Describe the art you want to generate...' : 'Ask PopKing AI a question...'}
-                    className="flex-1 p-3 rounded-full bg-gray-800 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:outline-none border border-gray-700"
-                    disabled={loading}
-                />
-                <button
-                    type="submit"
-                    className={`p-3 rounded-full transition-all text-white shadow-lg ${loading ? 'bg-gray-500 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-500'}`}
-                    disabled={loading || !queryInput.trim()}
-                >
-                    {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
-                </button>
-            </form>
+            {voicePhase ? (
+                <div className="p-4 bg-base border-t border-line flex items-center space-x-3">
+                    <Headphones className="w-5 h-5 text-mode-coach shrink-0" />
+                    <div className="flex-1">
+                        <p className="text-sm text-fg">{VOICE_PHASE_LABELS[voicePhase]}</p>
+                        <div className="mt-1 h-1.5 bg-raised rounded-full overflow-hidden">
+                            <div ref={micLevelRef} className="h-full bg-green-500 transition-[width] duration-75" style={{ width: '0%' }} />
+                        </div>
+                    </div>
+                    <button onClick={handleEndConversation} className="px-4 py-2 text-sm font-semibold bg-red-600 text-white rounded-full hover:bg-red-500 transition-colors">
+                        End
+                    </button>
+                </div>
+            ) : (
+                <>
+                    {voiceInput.status !== 'idle' && (
+                        <div className="px-4 pt-2 bg-base border-t border-line flex items-center space-x-2 text-xs text-fg-subtle">
+                            <span>
+                                {voiceInput.status === 'transcribing'
+                                    ? 'Transcribing...'
+                                    : voiceInput.engine === 'browser'
+                                        ? 'Listening (browser speech recognition)...'
+                                        : settings.micMode === 'push' ? 'Recording - release to stop' : 'Recording - tap the mic to stop'}
+                            </span>
+                            {voiceInput.status === 'recording' && voiceInput.engine === 'model' && (
+                                <div className="flex-1 h-1.5 bg-raised rounded-full overflow-hidden">
+                                    <div ref={micLevelRef} className="h-full bg-green-500 transition-[width] duration-75" style={{ width: '0%' }} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {canAttach && (attachments.length > 0 || attachmentsLoading) && (
+                        <div className="px-4 pt-2 bg-base border-t border-line flex flex-wrap gap-2">
+                            {attachments.map(attachment => (
+                                <span key={attachment.id} className="flex items-center pl-1 pr-2 py-1 text-xs rounded-full bg-surface text-fg-muted border border-line-strong">
+                                    {attachment.thumbnail
+                                        ? <img src={attachment.thumbnail} alt="" className="w-6 h-6 mr-1 rounded-full object-cover" />
+                                        : <FileText className="w-4 h-4 mx-1" />}
+                                    <span className="max-w-[10rem] truncate">{attachment.name}</span>
+                                    <span className="ml-1 text-fg-faint">{formatBytes(attachment.size)}</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => setAttachments(prev => prev.filter(a => a.id !== attachment.id))}
+                                        className="ml-1 text-fg-subtle hover:text-red-400 transition-colors"
+                                        title="Remove attachment"
+                                    >
+                                        <X className="w-3.5 h-3.5" />
+                                    </button>
+                                </span>
+                            ))}
+                            {attachmentsLoading && (
+                                <span className="flex items-center px-2 py-1 text-xs text-fg-subtle">
+                                    <Loader2 className="w-3.5 h-3.5 mr-1 animate-spin" /> Reading files...
+                                </span>
+                            )}
+                            <p className="w-full text-xs text-fg-faint">Files are sent with this message only and aren't saved.</p>
+                        </div>
+                    )}
+                    <form
+                        onSubmit={handleSubmit}
+                        onDragOver={(e) => canAttach && e.preventDefault()}
+                        onDrop={(e) => {
+                            if (!canAttach) return;
+                            e.preventDefault();
+                            handleAttachFiles(Array.from(e.dataTransfer.files));
+                        }}
+                        className="bg-base border-t border-line"
+                    >
+                        {activeTab === 'Images' && (
+                            <div className="px-4 pt-3 flex flex-wrap items-center gap-2 text-xs text-fg-subtle">
+                                <select
+                                    value={imageOptions.style}
+                                    onChange={(e) => setImageOptions(prev => ({ ...prev, style: e.target.value }))}
+                                    className="p-1.5 rounded-lg bg-surface border border-line text-fg"
+                                    title="Style preset"
+                                >
+                                    {Object.entries(IMAGE_STYLES).map(([key, style]) => <option key={key} value={key}>{style.label}</option>)}
+                                </select>
+                                <div className="flex rounded-lg border border-line overflow-hidden" title="Aspect ratio">
+                                    {ASPECT_RATIOS.map(ratio => (
+                                        <button
+                                            key={ratio}
+                                            type="button"
+                                            onClick={() => setImageOptions(prev => ({ ...prev, aspectRatio: ratio }))}
+                                            className={`px-2 py-1.5 transition-colors ${imageOptions.aspectRatio === ratio ? 'bg-primary text-white' : 'bg-surface text-fg-muted hover:bg-raised-hover'}`}
+                                        >
+                                            {ratio}
+                                        </button>
+                                    ))}
+                                </div>
+                                <label className="flex items-center">
+                                    Variations
+                                    <select
+                                        value={imageOptions.count}
+                                        onChange={(e) => setImageOptions(prev => ({ ...prev, count: Number(e.target.value) }))}
+                                        className="ml-1 p-1.5 rounded-lg bg-surface border border-line text-fg"
+                                    >
+                                        {Array.from({ length: MAX_IMAGE_VARIATIONS }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+                                    </select>
+                                </label>
+                                <input
+                                    name="negativePrompt"
+                                    type="text"
+                                    maxLength={MAX_NEGATIVE_PROMPT_LENGTH}
+                                    defaultValue={imageFieldsRef.current.negativePrompt}
+                                    onChange={(e) => { imageFieldsRef.current.negativePrompt = e.target.value; }}
+                                    placeholder="Avoid (negative prompt), e.g. text, blur"
+                                    className="flex-1 min-w-[10rem] p-1.5 rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary"
+                                />
+                                {imageSeedSupported && (
+                                    <input
+                                        name="seed"
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        defaultValue={imageFieldsRef.current.seed}
+                                        onChange={(e) => { imageFieldsRef.current.seed = e.target.value; }}
+                                        placeholder="Seed (random)"
+                                        className="w-28 p-1.5 rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary"
+                                        title="Same seed and prompt give the same image"
+                                    />
+                                )}
+                            </div>
+                        )}
+                        <div className="p-4 flex items-center space-x-2">
+                            <button
+                                type="button"
+                                onClick={handleMicClick}
+                                onPointerDown={handleMicPointerDown}
+                                disabled={voiceInput.status === 'transcribing'}
+                                className={`p-3 rounded-full transition-colors touch-none ${voiceInput.status === 'recording' ? 'bg-red-600 text-white hover:bg-red-500' : 'bg-raised text-fg hover:bg-raised-hover'}`}
+                                title={settings.micMode === 'push' ? 'Hold to talk' : voiceInput.status === 'recording' ? 'Stop recording' : 'Speech-to-Text'}
+                            >
+                                {voiceInput.status === 'transcribing' ? <Loader2 className="w-5 h-5 animate-spin" /> : <Mic className="w-5 h-5" />}
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleStartConversation}
+                                disabled={loading || voiceInput.status !== 'idle'}
+                                className={`p-3 rounded-full transition-colors ${activeMode === 'LIFE_COACH' ? 'bg-raised text-mode-coach hover:bg-raised-hover' : 'bg-raised text-fg hover:bg-raised-hover'}`}
+                                title="Voice conversation (hands-free)"
+                            >
+                                <Headphones className="w-5 h-5" />
+                            </button>
+                            {canAttach && (
+                                <>
+                                    <button
+                                        type="button"
+                                        onClick={() => attachInputRef.current.click()}
+                                        disabled={loading || attachmentsLoading}
+                                        className="p-3 rounded-full bg-raised text-fg hover:bg-raised-hover transition-colors"
+                                        title="Attach images, PDFs or text files"
+                                    >
+                                        <Paperclip className="w-5 h-5" />
+                                    </button>
+                                    <input
+                                        ref={attachInputRef}
+                                        type="file"
+                                        multiple
+                                        accept={ATTACHMENT_ACCEPT}
+                                        onChange={(e) => {
+                                            handleAttachFiles(Array.from(e.target.files));
+                                            e.target.value = '';
+                                        }}
+                                        className="hidden"
+                                    />
+                                </>
+                            )}
+                            {activeTab === 'Images' && (
+                                <button
+                                    type="button"
+                                    onClick={handleEnhancePrompt}
+                                    disabled={loading || !queryInput.trim() || imagePromptDraft?.status === 'writing'}
+                                    className="p-3 rounded-full bg-raised text-accent hover:bg-raised-hover disabled:text-fg-faint transition-colors"
+                                    title="Enhance my prompt (you can edit it before generating)"
+                                >
+                                    <Sparkles className="w-5 h-5" />
+                                </button>
+                            )}
+                            <input
+                                type="text"
+                                value={queryInput}
+                                onChange={(e) => setQueryInput(e.target.value)}
+                                onPaste={handlePaste}
+                                placeholder={activeTab === 'Images' ? 'Describe the art you want to generate...' : 'Ask PopKing AI a question...'}
+                                className="flex-1 p-3 rounded-full bg-surface text-fg placeholder-fg-faint focus:ring-2 focus:ring-primary focus:outline-none border border-line"
+                                disabled={loading}
+                            />
+                            {isStreaming ? (
+                                <button
+                                    type="button"
+                                    onClick={handleStop}
+                                    className="p-3 rounded-full transition-all text-white shadow-lg bg-red-600 hover:bg-red-500"
+                                    title="Stop generating"
+                                >
+                                    <Square className="w-5 h-5" fill="currentColor" />
+                                </button>
+                            ) : (
+                                <button
+                                    type="submit"
+                                    className={`p-3 rounded-full transition-all text-white shadow-lg ${loading ? 'bg-fg-faint cursor-not-allowed' : 'bg-primary hover:bg-primary-hover'}`}
+                                    disabled={loading || attachmentsLoading || !canSubmit}
+                                >
+                                    {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                </>
+            )}
         </div>
     );
 
+    const AdvancedModeSettings = () => {
+        const mode = MODES[advancedModeKey];
+        const override = settings.modeOverrides?.[advancedModeKey] || {};
+        const resolved = resolveModeSettings(mode, override);
+        const inputClass = "w-full p-2 text-sm rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary";
+        const numberFields = [
+            ['temperature', 'Temperature', 0, 2, 0.1, 'Creativity slider'],
+            ['maxOutputTokens', `Max output tokens (plan cap ${planLimits.maxOutputTokens.toLocaleString()})`, 1, 65536, 1, ''],
+            ['topP', 'Top P', 0, 1, 0.05, 'Model default'],
+            ['topK', 'Top K', 1, 1000, 1, 'Model default'],
+        ];
+
+        return (
+            <div className="space-y-3">
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Advanced: Mode Parameters</h3>
+                <select value={advancedModeKey} onChange={(e) => setAdvancedModeKey(e.target.value)} className={inputClass}>
+                    {Object.keys(MODES).map(key => (
+                        <option key={key} value={key}>{MODES[key].name}{settings.modeOverrides?.[key] && Object.keys(settings.modeOverrides[key]).length > 0 ? ' (customized)' : ''}</option>
+                    ))}
+                </select>
+                {/* Keyed by mode so the uncontrolled fields reset when switching modes */}
+                <form key={advancedModeKey} onSubmit={handleModeOverrideSave} className="space-y-3">
+                    <label className="block text-xs text-fg-subtle">
+                        System prompt ({PROMPT_PLACEHOLDERS.join(' and ')} are filled in)
+                        <textarea name="systemPrompt" rows={4} defaultValue={resolved.systemPrompt} className={`${inputClass} mt-1`} />
+                    </label>
+                    <label className="block text-xs text-fg-subtle">
+                        Default tab
+                        <select name="defaultTab" defaultValue={resolved.defaultTab} className={`${inputClass} mt-1`}>
+                            {MODE_TABS.map(tab => <option key={tab} value={tab}>{tab}</option>)}
+                        </select>
+                    </label>
+                    <div className="text-xs text-fg-subtle space-y-1">
+                        <p>Tools (Gemini only)</p>
+                        {Object.entries(MODE_TOOLS).map(([tool, label]) => (
+                            <label key={tool} className="flex items-center text-sm text-fg-muted">
+                                <input type="checkbox" name="tools" value={tool} defaultChecked={resolved.tools.includes(tool)} className="mr-2 accent-primary" />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        {numberFields.map(([name, label, min, max, step, placeholder]) => (
+                            <label key={name} className="block text-xs text-fg-subtle">
+                                {label}
+                                <input name={name} type="number" min={min} max={max} step={step} defaultValue={resolved[name] ?? ''} placeholder={placeholder} className={`${inputClass} mt-1`} />
+                            </label>
+                        ))}
+                    </div>
+                    <label className="block text-xs text-fg-subtle">
+                        Stop sequences (one per line)
+                        <textarea name="stopSequences" rows={2} defaultValue={resolved.stopSequences.join('\n')} className={`${inputClass} mt-1`} />
+                    </label>
+                    <p className="text-xs text-fg-subtle">The model for each mode is set under Models & Providers.</p>
+                    <div className="flex space-x-2">
+                        <button type="submit" className="flex-1 py-2 bg-primary text-white text-sm font-semibold rounded-lg hover:bg-primary-hover transition-colors">
+                            Save
+                        </button>
+                        <button type="button" onClick={handleModeOverrideReset} className="flex-1 py-2 bg-raised text-fg text-sm rounded-lg hover:bg-raised-hover transition-colors">
+                            Reset to Defaults
+                        </button>
+                    </div>
+                </form>
+            </div>
+        );
+    };
+
     const SettingsModal = () => (
         <Modal title="Settings & Customization" onClose={() => setShowSettings(false)}>
             <div className="space-y-6">
-                <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">AI Persona</h3>
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">AI Persona</h3>
                 <div className="grid grid-cols-2 gap-3">
-                    {Object.keys(PERSONAS).map(key => (
+                    {Object.keys(PERSONAS).map(key => {
+                        const unlocked = isValueUnlocked(entitlements, 'persona', key);
+                        return (
+                            <button
+                                key={key}
+                                onClick={() => unlocked ? handleSelectPersona(key) : setShowStore(true)}
+                                className={`p-3 flex items-center justify-center rounded-lg text-sm transition-all border ${settings.persona === key
+                                    ? 'bg-primary border-primary-soft text-white'
+                                    : unlocked ? 'bg-raised border-line-strong text-fg-muted hover:bg-raised-hover' : 'bg-surface border-line text-fg-faint hover:bg-raised'}`}
+                                title={unlocked ? undefined : 'Unlock in the Crown Store'}
+                            >
+                                {!unlocked && <Lock className="w-3 h-3 mr-1" />}
+                                {formatKeyLabel(key)}
+                            </button>
+                        );
+                    })}
+                    {customPersonas.map(custom => {
+                        const key = customPersonaKey(custom.id);
+                        return (
+                            <div key={key} className={`flex items-center rounded-lg text-sm transition-all border ${settings.persona === key ? 'bg-primary border-primary-soft text-white' : 'bg-raised border-line-strong text-fg-muted hover:bg-raised-hover'}`}>
+                                <button onClick={() => handleSelectPersona(key)} className="flex-1 min-w-0 p-3 flex items-center justify-center" title={custom.instructions}>
+                                    <span className="w-5 h-5 mr-2 shrink-0 rounded-full flex items-center justify-center text-[10px] font-bold text-white" style={{ backgroundColor: custom.color }}>
+                                        {custom.name.charAt(0).toUpperCase()}
+                                    </span>
+                                    <span className="truncate">{custom.name}</span>
+                                </button>
+                                <button onClick={() => setPersonaEditorId(custom.id)} className="p-2 opacity-70 hover:opacity-100" title="Edit persona">
+                                    <Pencil className="w-3 h-3" />
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+                {db && (
+                    <div className="space-y-2">
                         <button
-                            key={key}
-                            onClick={() => handleSettingChange('persona', key)}
-                            className={`p-3 rounded-lg text-sm transition-all border ${settings.persona === key
-                                ? 'bg-purple-600 border-purple-400 text-white'
-                                : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'}`}
+                            onClick={() => setPersonaEditorId('new')}
+                            className="w-full py-2 flex items-center justify-center text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors"
                         >
-                            {key.split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ')}
+                            <Plus className="w-4 h-4 mr-1" /> Create Persona
                         </button>
-                    ))}
+                        <form onSubmit={handleImportPersona} className="flex space-x-2">
+                            <input
+                                name="shareCode"
+                                type="text"
+                                placeholder="Import by share code"
+                                className="flex-1 p-2 text-sm rounded-lg bg-surface border border-line text-fg placeholder-fg-faint uppercase focus:ring-primary focus:border-primary"
+                            />
+                            <button type="submit" className="px-3 py-2 text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors">
+                                Import
+                            </button>
+                        </form>
+                    </div>
+                )}
+
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Theme</h3>
+                <div className="grid grid-cols-3 gap-3">
+                    {Object.entries(THEMES).map(([key, theme]) => {
+                        const unlocked = isValueUnlocked(entitlements, 'theme', key);
+                        return (
+                            <button
+                                key={key}
+                                onClick={() => unlocked ? handleSettingChange('theme', key) : setShowStore(true)}
+                                className={`p-2 rounded-lg text-xs transition-all border ${activeTheme === key ? 'border-primary-soft bg-raised text-fg' : 'border-line-strong text-fg-muted hover:bg-raised'}`}
+                                title={unlocked ? undefined : 'Unlock in the Crown Store'}
+                            >
+                                <span className="flex h-4 mb-1 rounded overflow-hidden border border-line">
+                                    {['base', 'surface', 'primary', 'accent'].map(token => (
+                                        <span key={token} className="flex-1" style={{ backgroundColor: `rgb(${theme.colors[token]})` }} />
+                                    ))}
+                                </span>
+                                <span className="flex items-center justify-center">
+                                    {!unlocked && <Lock className="w-3 h-3 mr-1" />}
+                                    {theme.name}
+                                </span>
+                            </button>
+                        );
+                    })}
                 </div>
 
-                <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">Creativity Level (Temperature)</h3>
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Creativity Level (Temperature)</h3>
                 <div>
                     <input
                         type="range"
@@ -799,73 +2492,262 @@ const App = () => {
                         step="0.1"
                         value={settings.creativity}
                         onChange={(e) => handleSettingChange('creativity', parseFloat(e.target.value))}
-                        className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer range-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        className="w-full h-2 bg-raised rounded-lg appearance-none cursor-pointer range-lg focus:outline-none focus:ring-2 focus:ring-primary"
                     />
-                    <div className="flex justify-between text-xs text-gray-400 mt-1">
+                    <div className="flex justify-between text-xs text-fg-subtle mt-1">
                         <span>Factual (0.0)</span>
-                        <span className="text-purple-400 font-semibold">{settings.creativity.toFixed(1)}</span>
+                        <span className="text-primary-soft font-semibold">{settings.creativity.toFixed(1)}</span>
                         <span>Imaginative (1.0)</span>
                     </div>
                 </div>
 
-                <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">Voice (TTS)</h3>
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Conversation Memory</h3>
+                <div>
+                    <select
+                        value={settings.contextTokenBudget}
+                        onChange={(e) => handleSettingChange('contextTokenBudget', parseInt(e.target.value, 10))}
+                        className="w-full p-3 rounded-lg bg-surface border border-line text-fg focus:ring-primary focus:border-primary"
+                    >
+                        {[[2000, 'Short (~2k tokens)'], [6000, 'Standard (~6k tokens)'], [16000, 'Long (~16k tokens)'], [32000, 'Extended (~32k tokens)']].map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-fg-subtle mt-1">Older turns beyond this budget are trimmed and summarized.</p>
+                </div>
+
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Voice (TTS)</h3>
                 <select
                     value={settings.voice}
                     onChange={(e) => handleSettingChange('voice', e.target.value)}
-                    className="w-full p-3 rounded-lg bg-gray-800 border border-gray-700 text-white focus:ring-purple-500 focus:border-purple-500"
+                    className="w-full p-3 rounded-lg bg-surface border border-line text-fg focus:ring-primary focus:border-primary"
                 >
-                    {['Kore (Firm)', 'Zephyr (Bright)', 'Charon (Informative)', 'Puck (Upbeat)', 'Fenrir (Excitable)'].map(v => (
-                        <option key={v} value={v.split(' ')[0]}>{v}</option>
-                    ))}
+                    {VOICES.map(({ value, label }) => {
+                        const unlocked = isValueUnlocked(entitlements, 'voice', value);
+                        return <option key={value} value={value} disabled={!unlocked}>{unlocked ? label : `${label} - Crown Store`}</option>;
+                    })}
                 </select>
 
-                <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">Subscription Mock</h3>
-                <div className="p-4 bg-gray-800 rounded-lg">
-                    <p className="text-sm font-medium text-gray-300">Current Plan: <span className="text-green-400 font-bold">{settings.level}</span></p>
-                    <p className="text-xs text-gray-400 mt-1">Premium subscription unlocks advanced modes and longer answers.</p>
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Voice Input (STT)</h3>
+                <div>
+                    <select
+                        value={settings.micMode}
+                        onChange={(e) => handleSettingChange('micMode', e.target.value)}
+                        className="w-full p-3 rounded-lg bg-surface border border-line text-fg focus:ring-primary focus:border-primary"
+                    >
+                        <option value="toggle">Tap to start / tap to stop</option>
+                        <option value="push">Push-to-talk (hold the mic)</option>
+                    </select>
+                    <p className="text-xs text-fg-subtle mt-1">
+                        {isRecordingSupported()
+                            ? 'Recordings are transcribed by the Speech-to-Text model below.'
+                            : isWebSpeechSupported() ? "This browser can't record, so its built-in speech recognition is used." : 'Speech input is not supported in this browser.'}
+                    </p>
+                </div>
+
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Code Runner</h3>
+                <label className="flex items-start text-sm text-fg-muted">
+                    <input
+                        type="checkbox"
+                        checked={settings.runPython}
+                        onChange={(e) => handleSettingChange('runPython', e.target.checked)}
+                        className="mt-0.5 mr-2 accent-primary"
+                    />
+                    <span>
+                        Run Python code blocks too
+                        <span className="block text-xs text-fg-subtle">JavaScript always runs in a sandbox. Python uses Pyodide, a ~10 MB download on first run.</span>
+                    </span>
+                </label>
+
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Models & Providers</h3>
+                <div className="space-y-2">
+                    {[
+                        ...Object.keys(MODES).map(key => [key, MODES[key].name, 'text']),
+                        [IMAGE_ROUTE_KEY, 'Images', 'image'],
+                        [TTS_ROUTE_KEY, 'Voice (TTS)', 'tts'],
+                        [STT_ROUTE_KEY, 'Speech-to-Text', 'stt'],
+                    ].map(([routeKey, label, capability]) => {
+                        const route = resolveModelRoute(settings, routeKey, capability, MODES[routeKey]?.model);
+                        return (
+                            <div key={routeKey} className="grid grid-cols-3 gap-2 items-center text-sm">
+                                <span className="text-fg-muted">{label}</span>
+                                <select
+                                    value={route.provider}
+                                    onChange={(e) => handleModelRouteChange(routeKey, { provider: e.target.value })}
+                                    className="p-2 rounded-lg bg-surface border border-line text-fg focus:ring-primary focus:border-primary"
+                                >
+                                    {Object.keys(PROVIDERS).map(id => (
+                                        <option key={id} value={id}>{PROVIDERS[id].name}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="text"
+                                    defaultValue={settings.modelRoutes?.[routeKey]?.model || ''}
+                                    placeholder={route.provider === 'gemini' && MODES[routeKey] ? MODES[routeKey].model : DEFAULT_MODELS[route.provider][capability]}
+                                    onBlur={(e) => handleModelRouteChange(routeKey, { model: e.target.value.trim() })}
+                                    className="p-2 rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary"
+                                />
+                                {route.provider === 'openai' && (
+                                    <input
+                                        type="text"
+                                        defaultValue={settings.modelRoutes?.[routeKey]?.endpoint || ''}
+                                        placeholder={`Endpoint (default: ${settings.openaiEndpoint || PROVIDERS.openai.endpoint})`}
+                                        onBlur={(e) => handleModelRouteChange(routeKey, { endpoint: e.target.value.trim() })}
+                                        className="col-span-2 col-start-2 p-2 rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary"
+                                    />
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-xs text-fg-subtle">Default OpenAI-compatible endpoint (e.g. Ollama, llama.cpp server)</label>
+                    <input
+                        type="text"
+                        defaultValue={settings.openaiEndpoint}
+                        placeholder={PROVIDERS.openai.endpoint}
+                        onBlur={(e) => handleSettingChange('openaiEndpoint', e.target.value.trim() || PROVIDERS.openai.endpoint)}
+                        className="w-full p-2 rounded-lg bg-surface border border-line text-fg text-sm placeholder-fg-faint focus:ring-primary focus:border-primary"
+                    />
+                    <label className="block text-xs text-fg-subtle">API key (optional, saved in this browser only)</label>
+                    <input
+                        type="password"
+                        defaultValue={loadOpenAIApiKey()}
+                        onBlur={(e) => saveOpenAIApiKey(e.target.value.trim())}
+                        className="w-full p-2 rounded-lg bg-surface border border-line text-fg text-sm focus:ring-primary focus:border-primary"
+                    />
+                </div>
+
+                <AdvancedModeSettings />
+
+                <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Plan & Crown Store</h3>
+                <div className="p-4 bg-surface rounded-lg">
+                    <p className="text-sm font-medium text-fg-muted">Current Plan: <span className="text-green-400 font-bold">{currentPlan(entitlements)}</span></p>
+                    <p className="text-xs text-fg-subtle mt-1">
+                        Up to {planLimits.maxOutputTokens.toLocaleString()} output tokens per answer, {planLimits.imagesPerDay} images a day, {planLimits.deepSearchSources} Deep Search sources.
+                    </p>
                     <button
-                        onClick={() => alert("Mock: Upgrading to Premium (Cost: 100 Crowns)")}
-                        className="mt-3 w-full py-2 bg-yellow-600 text-white font-semibold rounded-lg hover:bg-yellow-500 transition-colors"
+                        onClick={() => setShowStore(true)}
+                        className="mt-3 w-full py-2 flex items-center justify-center bg-accent-strong text-white font-semibold rounded-lg hover:bg-accent-strong-hover transition-colors"
                     >
-                        Go Premium!
+                        <ShoppingBag className="w-4 h-4 mr-2" />
+                        {isOwned(entitlements, PREMIUM_ITEM_ID) ? 'Open Crown Store' : 'Go Premium!'}
                     </button>
                 </div>
             </div>
         </Modal>
     );
 
-    const HistoryModal = () => {
-        const favoriteChats = history.filter(c => c.isFavorite);
-        const latestChats = history.slice(0, 10);
-
-        const handleDelete = async (chatId) => {
-            if (!db || !userId) return;
-            try {
-                const chatRef = doc(getHistoryCollectionRef(db, userId), chatId);
-                await deleteDoc(chatRef);
-            } catch (e) {
-                console.error("Error deleting chat:", e);
-            }
+    const GalleryModal = () => {
+        const { images, hasMore, loading } = gallery;
+        const index = images.findIndex(image => image.id === lightboxId);
+        const current = index >= 0 ? images[index] : null;
+        const lightboxButtonClass = "p-2 rounded-full text-gray-300 hover:text-white hover:bg-white/10 transition-colors";
+
+        const handleDelete = async (image) => {
+            if (!window.confirm('Delete this image? The message is removed from its conversation too.')) return;
+            const neighbor = images[index + 1] || images[index - 1];
+            await deleteChatMessage(image);
+            setLightboxId(neighbor ? neighbor.id : null);
         };
 
+        return (
+            <Modal title="Image Gallery" onClose={closeGallery} wide>
+                {!loading && images.length === 0 && <p className="text-fg-faint text-sm">No images yet. Create some on the Images tab.</p>}
+                {/* Masonry: CSS columns keep each image's own aspect ratio */}
+                <div className="columns-2 sm:columns-3 gap-3">
+                    {images.map(image => (
+                        <button
+                            key={image.id}
+                            onClick={() => setLightboxId(image.id)}
+                            className="relative block w-full mb-3 break-inside-avoid rounded-lg overflow-hidden border border-line hover:border-primary transition-colors"
+                            title={image.user}
+                        >
+                            <StoredImage message={image} preferThumbnail className="w-full h-auto" />
+                            {image.isFavorite && <Star className="absolute top-2 right-2 w-4 h-4 text-red-400 drop-shadow" fill="currentColor" />}
+                        </button>
+                    ))}
+                </div>
+                {loading ? (
+                    <div className="flex items-center justify-center py-2 text-sm text-fg-subtle">
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" /> Loading images...
+                    </div>
+                ) : hasMore && (
+                    <button onClick={() => loadGallery(true)} className="w-full py-1.5 text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors">
+                        Load older images
+                    </button>
+                )}
+
+                {current && (
+                    <div className="fixed inset-0 z-[60] bg-black bg-opacity-90 flex flex-col" onClick={() => setLightboxId(null)}>
+                        <div className="flex items-center justify-between p-3 text-white" onClick={(e) => e.stopPropagation()}>
+                            <p className="text-sm truncate mr-4" title={current.user}>{current.user}</p>
+                            <div className="flex items-center space-x-1 shrink-0">
+                                <button onClick={() => toggleFavorite(current.id)} className={lightboxButtonClass} title="Favorite">
+                                    <Star className={`w-5 h-5 ${current.isFavorite ? 'text-red-400' : ''}`} fill={current.isFavorite ? 'currentColor' : 'none'} />
+                                </button>
+                                <button onClick={() => handleDownloadImage(current)} className={lightboxButtonClass} title="Download">
+                                    <Download className="w-5 h-5" />
+                                </button>
+                                <button onClick={() => { closeGallery(); resumeSession(current.sessionId); }} className={lightboxButtonClass} title="Open Conversation">
+                                    <BookOpen className="w-5 h-5" />
+                                </button>
+                                <button onClick={() => handleDelete(current)} className={`${lightboxButtonClass} hover:text-red-400`} title="Delete">
+                                    <Trash2 className="w-5 h-5" />
+                                </button>
+                                <button onClick={() => setLightboxId(null)} className={lightboxButtonClass} title="Close">
+                                    <X className="w-5 h-5" />
+                                </button>
+                            </div>
+                        </div>
+                        <div className="relative flex-1 min-h-0 flex items-center justify-center px-12 pb-2">
+                            <div onClick={(e) => e.stopPropagation()} className="max-w-full max-h-full flex">
+                                <StoredImage message={current} className="max-w-full max-h-[80vh] object-contain rounded-lg" />
+                            </div>
+                            {index > 0 && (
+                                <button onClick={(e) => { e.stopPropagation(); setLightboxId(images[index - 1].id); }} className={`absolute left-2 ${lightboxButtonClass}`} title="Newer">
+                                    <ChevronLeft className="w-6 h-6" />
+                                </button>
+                            )}
+                            {index < images.length - 1 && (
+                                <button onClick={(e) => { e.stopPropagation(); setLightboxId(images[index + 1].id); }} className={`absolute right-2 ${lightboxButtonClass}`} title="Older">
+                                    <ChevronRight className="w-6 h-6" />
+                                </button>
+                            )}
+                        </div>
+                        <p className="pb-3 text-center text-xs text-gray-400">
+                            {new Date(current.timestamp).toLocaleString()}
+                            {current.imageOptions && ` · ${IMAGE_STYLES[current.imageOptions.style]?.label || 'No style'} · ${current.imageOptions.aspectRatio}`}
+                            {current.image?.storage === 'local' && ' · Saved on this device only'}
+                        </p>
+                    </div>
+                )}
+            </Modal>
+        );
+    };
+
+    const HistoryModal = () => {
+        const { filters, results, hasMore, loading } = historySearch;
+        const hasFilters = Object.keys(EMPTY_HISTORY_FILTERS).some(key => filters[key] !== EMPTY_HISTORY_FILTERS[key]);
+        const filterInputClass = "w-full p-2 rounded-lg bg-base border border-line text-fg text-sm focus:ring-primary focus:border-primary";
+
         const ChatItem = ({ chat }) => (
-            <div className="p-3 bg-gray-800 rounded-lg flex justify-between items-start border border-gray-700">
+            <div className="p-3 bg-surface rounded-lg flex justify-between items-start border border-line">
                 <div className="flex-1 min-w-0">
-                    <p className="text-xs text-gray-400 mb-1 flex items-center space-x-1">
+                    <p className="text-xs text-fg-subtle mb-1 flex items-center space-x-1">
                         <Clock className="w-3 h-3" />
-                        <span>{new Date(chat.timestamp).toLocaleTimeString()} - {MODES[chat.mode]?.name || chat.mode}</span>
+                        <span>{new Date(chat.timestamp).toLocaleString()} - {MODES[chat.mode]?.name || chat.mode}</span>
                     </p>
-                    <p className="font-semibold text-white truncate">{chat.user}</p>
-                    {chat.isImage && <img src={chat.imageUrl} alt="Generated Art" className="w-16 h-16 object-cover rounded mt-2" />}
+                    <p className="font-semibold text-fg truncate">{chat.user}</p>
+                    {chat.isImage && <StoredImage message={chat} preferThumbnail className="w-16 h-16 object-cover rounded mt-2" />}
                 </div>
                 <div className="ml-4 flex space-x-2">
-                    <button onClick={() => toggleFavorite(chat.id)} className={`p-1 rounded-full transition-colors ${chat.isFavorite ? 'text-red-400 fill-red-400' : 'text-gray-400 hover:text-red-400'}`} title="Favorite">
+                    <button onClick={() => toggleFavorite(chat.id)} className={`p-1 rounded-full transition-colors ${chat.isFavorite ? 'text-red-400 fill-red-400' : 'text-fg-subtle hover:text-red-400'}`} title="Favorite">
                         <Star className="w-4 h-4" fill={chat.isFavorite ? 'currentColor' : 'none'} />
                     </button>
-                    <button onClick={() => { setChats([chat]); setShowHistory(false); setActiveTab(chat.isImage ? 'Images' : 'Text'); }} className="text-gray-400 hover:text-blue-400 p-1 rounded-full transition-colors" title="Load Chat">
+                    <button onClick={() => resumeSession(chat.sessionId)} className="text-fg-subtle hover:text-blue-400 p-1 rounded-full transition-colors" title="Open Conversation">
                         <BookOpen className="w-4 h-4" />
                     </button>
-                    <button onClick={() => handleDelete(chat.id)} className="text-gray-400 hover:text-red-600 p-1 rounded-full transition-colors" title="Delete">
+                    <button onClick={() => deleteChatMessage(chat)} className="text-fg-subtle hover:text-red-600 p-1 rounded-full transition-colors" title="Delete">
                         <X className="w-4 h-4" />
                     </button>
                 </div>
@@ -874,28 +2756,469 @@ const App = () => {
 
         return (
             <Modal title="History & Favorites" onClose={() => setShowHistory(false)}>
-                <p className="text-sm text-gray-400 mb-4">Your User ID: <code className="text-yellow-400 select-all">{userId || 'Loading...'}</code></p>
+                <p className="text-sm text-fg-subtle mb-4">Your User ID: <code className="text-accent select-all">{userId || 'Loading...'}</code></p>
                 <div className="space-y-6">
-                    <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">Favorites ({favoriteChats.length})</h3>
-                    <div className="space-y-3 max-h-48 overflow-y-auto pr-2">
-                        {favoriteChats.length > 0 ? favoriteChats.map(chat => <ChatItem key={chat.id} chat={chat} />) : <p className="text-gray-500 text-sm">No favorites saved yet.</p>}
+                    <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Search History</h3>
+                    <div className="space-y-3">
+                        <form
+                            onSubmit={(e) => { e.preventDefault(); updateHistoryFilters({ query: e.target.query.value.trim() }); }}
+                            className="flex space-x-2"
+                        >
+                            <input name="query" type="search" defaultValue={filters.query} placeholder="Search prompts and answers..." className={filterInputClass} />
+                            <button type="submit" className="p-2 bg-primary text-white rounded-lg hover:bg-primary-hover transition-colors" title="Search">
+                                <Search className="w-5 h-5" />
+                            </button>
+                        </form>
+                        <div className="grid grid-cols-2 gap-2">
+                            <select value={filters.mode} onChange={(e) => updateHistoryFilters({ mode: e.target.value })} className={filterInputClass}>
+                                <option value="">All modes</option>
+                                {Object.keys(MODES).map(key => <option key={key} value={key}>{MODES[key].name}</option>)}
+                            </select>
+                            <select value={filters.persona} onChange={(e) => updateHistoryFilters({ persona: e.target.value })} className={filterInputClass}>
+                                <option value="">All personas</option>
+                                {personaOptions.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                            </select>
+                            <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateHistoryFilters({ from: e.target.value })} className={filterInputClass} title="From" />
+                            <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateHistoryFilters({ to: e.target.value })} className={filterInputClass} title="To" />
+                        </div>
+                        <div className="flex flex-wrap items-center gap-4 text-sm text-fg-muted">
+                            {[['favorites', 'Favorites'], ['images', 'Images'], ['study', 'Study items']].map(([key, label]) => (
+                                <label key={key} className="flex items-center space-x-1 cursor-pointer">
+                                    <input type="checkbox" checked={filters[key]} onChange={(e) => updateHistoryFilters({ [key]: e.target.checked })} className="accent-primary" />
+                                    <span>{label}</span>
+                                </label>
+                            ))}
+                            {hasFilters && (
+                                <button onClick={() => runHistorySearch(EMPTY_HISTORY_FILTERS)} className="ml-auto text-xs text-fg-subtle hover:text-fg transition-colors">
+                                    Clear filters
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+                        {results.map(chat => <ChatItem key={chat.id} chat={chat} />)}
+                        {!loading && results.length === 0 && <p className="text-fg-faint text-sm">{hasFilters ? 'No messages match your search.' : 'No history yet.'}</p>}
+                        {loading ? (
+                            <div className="flex items-center justify-center py-2 text-sm text-fg-subtle">
+                                <Loader2 className="w-4 h-4 mr-2 animate-spin" /> Searching...
+                            </div>
+                        ) : hasMore && (
+                            <button
+                                onClick={() => runHistorySearch(filters, true)}
+                                className="w-full py-1.5 text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors"
+                            >
+                                Load older messages
+                            </button>
+                        )}
                     </div>
 
-                    <h3 className="text-lg font-semibold text-yellow-400 border-b border-gray-700 pb-2">Recent History ({latestChats.length})</h3>
-                    <div className="space-y-3 max-h-64 overflow-y-auto pr-2">
-                        {latestChats.map(chat => <ChatItem key={chat.id} chat={chat} />)}
+                    <h3 className="text-lg font-semibold text-accent border-b border-line pb-2">Export & Import</h3>
+                    <div className="space-y-3">
+                        <select
+                            value={exportFormat}
+                            onChange={(e) => setExportFormat(e.target.value)}
+                            className="w-full p-2 rounded-lg bg-base border border-line text-fg text-sm focus:ring-primary focus:border-primary"
+                        >
+                            {Object.keys(EXPORT_FORMATS).map(key => <option key={key} value={key}>{EXPORT_FORMATS[key].label}</option>)}
+                        </select>
+                        <div className="max-h-40 overflow-y-auto pr-2 space-y-1">
+                            <p className="text-xs text-fg-subtle">
+                                {exportSelection.length > 0 ? `${exportSelection.length} conversations selected` : 'All conversations will be exported. Tick some to export a subset.'}
+                            </p>
+                            {sessions.map(session => (
+                                <label key={session.id} className="flex items-center space-x-2 text-sm text-fg-muted cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportSelection.includes(session.id)}
+                                        onChange={() => toggleExportSelection(session.id)}
+                                        className="accent-primary"
+                                    />
+                                    <span className="truncate">{session.title}</span>
+                                </label>
+                            ))}
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <button
+                                onClick={handleExport}
+                                disabled={transferBusy}
+                                className="py-2 flex items-center justify-center text-sm bg-primary text-white font-semibold rounded-lg hover:bg-primary-hover transition-colors disabled:bg-raised-hover"
+                            >
+                                <Download className="w-4 h-4 mr-1" /> Export
+                            </button>
+                            <label className={`py-2 flex items-center justify-center text-sm font-semibold rounded-lg transition-colors ${transferBusy ? 'bg-raised-hover text-fg-subtle' : 'bg-raised text-fg hover:bg-raised-hover cursor-pointer'}`}>
+                                <Upload className="w-4 h-4 mr-1" /> Import JSON
+                                <input type="file" accept=".json,application/json" onChange={handleImport} disabled={transferBusy} className="hidden" />
+                            </label>
+                        </div>
                     </div>
                 </div>
             </Modal>
         );
     };
 
-    const Modal = ({ title, onClose, children }) => (
+    const SessionsSidebar = () => (
+        <div className="fixed inset-0 z-40 flex">
+            <aside className="w-72 max-w-[85%] h-full bg-surface border-r border-line shadow-2xl flex flex-col">
+                <div className="flex justify-between items-center p-4 border-b border-line">
+                    <h2 className="text-lg font-bold text-fg">Conversations</h2>
+                    <button onClick={() => setShowSessions(false)} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="p-3">
+                    <button
+                        onClick={startNewSession}
+                        className="w-full py-2 flex items-center justify-center bg-primary text-white text-sm font-semibold rounded-lg hover:bg-primary-hover transition-colors"
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> New Chat
+                    </button>
+                </div>
+                <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-2">
+                    {sessions.length === 0 && <p className="text-fg-faint text-sm text-center mt-4">No saved conversations yet.</p>}
+                    {sessions.map(session => {
+                        const isActive = session.id === activeSessionId;
+                        return (
+                            <div
+                                key={session.id}
+                                className={`p-2 rounded-lg border transition-colors ${isActive ? 'bg-base border-primary-hover' : 'bg-raised border-transparent hover:bg-raised-hover'}`}
+                            >
+                                {renamingSessionId === session.id ? (
+                                    <input
+                                        type="text"
+                                        autoFocus
+                                        defaultValue={session.title}
+                                        onBlur={(e) => handleRenameSession(session.id, e.target.value)}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') e.target.blur();
+                                            if (e.key === 'Escape') setRenamingSessionId(null);
+                                        }}
+                                        className="w-full p-1 rounded bg-surface text-fg text-sm border border-primary-hover focus:outline-none"
+                                    />
+                                ) : (
+                                    <button onClick={() => resumeSession(session.id)} className="w-full text-left">
+                                        <p className="text-sm font-semibold text-fg truncate">{session.title}</p>
+                                        <p className="text-xs text-fg-subtle flex items-center space-x-1">
+                                            <Clock className="w-3 h-3" />
+                                            <span>{new Date(session.updatedAt).toLocaleDateString()} - {MODES[session.mode]?.name || session.mode} - {session.messageCount || 0} msgs</span>
+                                        </p>
+                                    </button>
+                                )}
+                                <div className="flex justify-end space-x-1 mt-1">
+                                    <button onClick={() => setRenamingSessionId(session.id)} className="text-fg-subtle hover:text-accent p-1 rounded-full transition-colors" title="Rename">
+                                        <Pencil className="w-3 h-3" />
+                                    </button>
+                                    <button onClick={() => handleDuplicateSession(session)} className="text-fg-subtle hover:text-blue-400 p-1 rounded-full transition-colors" title="Duplicate">
+                                        <Copy className="w-3 h-3" />
+                                    </button>
+                                    <button onClick={() => handleDeleteSession(session.id)} className="text-fg-subtle hover:text-red-600 p-1 rounded-full transition-colors" title="Delete">
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </aside>
+            <div className="flex-1 bg-black bg-opacity-50" onClick={() => setShowSessions(false)} />
+        </div>
+    );
+
+    const PersonaEditorModal = () => {
+        const existing = customPersonas.find(p => p.id === personaEditorId) || null;
+        const initial = existing || { name: '', instructions: '', examples: [], temperature: settings.creativity, voice: settings.voice, color: PERSONA_COLORS[0] };
+        const inputClass = "w-full p-2 text-sm rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary";
+
+        return (
+            <Modal title={existing ? "Edit Persona" : "Create Persona"} onClose={() => setPersonaEditorId(null)}>
+                <form onSubmit={handleSavePersona} className="space-y-4">
+                    <input name="personaName" type="text" required maxLength={PERSONA_LIMITS.name} defaultValue={initial.name} placeholder="Name, e.g. Code Reviewer" className={inputClass} />
+                    <textarea
+                        name="instructions"
+                        rows={5}
+                        maxLength={PERSONA_LIMITS.instructions}
+                        defaultValue={initial.instructions}
+                        placeholder="System instructions: who the persona is, its tone and what it focuses on."
+                        className={inputClass}
+                    />
+                    <div className="space-y-2">
+                        <p className="text-xs text-fg-subtle">Example replies (optional) show the model the voice you want.</p>
+                        {Array.from({ length: PERSONA_LIMITS.examples }, (_, i) => (
+                            <input key={i} name={`example${i}`} type="text" maxLength={PERSONA_LIMITS.exampleLength} defaultValue={initial.examples[i] || ''} placeholder={`Example reply ${i + 1}`} className={inputClass} />
+                        ))}
+                    </div>
+                    <label className="block text-xs text-fg-subtle">
+                        Default temperature (0 = factual, 1 = imaginative)
+                        <input name="temperature" type="number" min="0" max="1" step="0.1" defaultValue={initial.temperature} className={`${inputClass} mt-1`} />
+                    </label>
+                    <label className="block text-xs text-fg-subtle">
+                        Default voice
+                        <select name="voice" defaultValue={initial.voice} className={`${inputClass} mt-1`}>
+                            {VOICES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                    <div>
+                        <p className="text-xs text-fg-subtle mb-1">Avatar color</p>
+                        <div className="flex space-x-2">
+                            {PERSONA_COLORS.map(color => (
+                                <label key={color} className="cursor-pointer">
+                                    <input type="radio" name="color" value={color} defaultChecked={initial.color === color} className="sr-only peer" />
+                                    <span className="block w-6 h-6 rounded-full border-2 border-transparent peer-checked:border-fg" style={{ backgroundColor: color }} />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <button type="submit" className="w-full py-2 bg-primary text-white font-semibold rounded-lg hover:bg-primary-hover transition-colors">
+                        Save Persona
+                    </button>
+                </form>
+                {existing && (
+                    <div className="flex items-center justify-between mt-4 pt-4 border-t border-line">
+                        <button onClick={() => handleSharePersona(existing)} className="flex items-center text-sm text-fg-muted hover:text-fg transition-colors">
+                            <Share2 className="w-4 h-4 mr-1" />
+                            {existing.shareCode ? `Share code: ${existing.shareCode}` : 'Share'}
+                        </button>
+                        <button onClick={() => handleDeletePersona(existing)} className="flex items-center text-sm text-fg-subtle hover:text-red-600 transition-colors">
+                            <Trash2 className="w-4 h-4 mr-1" /> Delete
+                        </button>
+                    </div>
+                )}
+            </Modal>
+        );
+    };
+
+    const SaveToDeckModal = () => (
+        <Modal title="Save to Deck" onClose={() => setDeckSaveSource(null)}>
+            <form onSubmit={handleSaveToDeck} className="space-y-4">
+                <p className="text-sm text-fg-subtle">
+                    {(deckSaveSource.structuredData || []).filter(item => item.type === 'flashcard').length} flashcards from "{deckSaveSource.user}"
+                </p>
+                <select
+                    name="deckId"
+                    defaultValue={decks[0]?.id || '__new__'}
+                    className="w-full p-3 rounded-lg bg-surface border border-line text-fg focus:ring-primary focus:border-primary"
+                >
+                    {decks.map(deck => <option key={deck.id} value={deck.id}>{deck.name} ({deck.cardCount || 0} cards)</option>)}
+                    <option value="__new__">+ New deck</option>
+                </select>
+                <input
+                    name="newDeckName"
+                    type="text"
+                    placeholder="New deck name (if creating one)"
+                    className="w-full p-3 rounded-lg bg-surface border border-line text-fg placeholder-fg-faint focus:ring-primary focus:border-primary"
+                />
+                <button type="submit" className="w-full py-2 bg-primary text-white font-semibold rounded-lg hover:bg-primary-hover transition-colors">
+                    Save Cards
+                </button>
+            </form>
+        </Modal>
+    );
+
+    const DecksModal = () => {
+        const closeDecks = () => { setShowDecks(false); setReview(null); };
+
+        if (review) {
+            return (
+                <Modal title="Review" onClose={closeDecks}>
+                    {review.finished ? (
+                        <div className="text-center space-y-3">
+                            <p className="text-lg font-semibold text-fg">Review complete!</p>
+                            <p className="text-sm text-fg-subtle">You reviewed {review.reviewed} cards.</p>
+                            <button onClick={() => setReview(null)} className="w-full py-2 bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors">
+                                Back to Decks
+                            </button>
+                        </div>
+                    ) : (
+                        <FlashcardReview
+                            card={review.queue[review.index]}
+                            flipped={review.flipped}
+                            position={review.index + 1}
+                            total={review.queue.length}
+                            now={Date.now()}
+                            onFlip={() => setReview({ ...review, flipped: true })}
+                            grading={Boolean(review.grading)}
+                            onGrade={handleGrade}
+                        />
+                    )}
+                </Modal>
+            );
+        }
+
+        return (
+            <Modal title="Flashcard Decks" onClose={closeDecks}>
+                <button
+                    onClick={() => startReview()}
+                    disabled={dueCards.length === 0}
+                    className={`w-full py-2 mb-4 font-semibold rounded-lg transition-colors ${dueCards.length > 0 ? 'bg-primary text-white hover:bg-primary-hover' : 'bg-raised text-fg-faint cursor-not-allowed'}`}
+                >
+                    Review Due Today ({dueCards.length})
+                </button>
+                <div className="space-y-3">
+                    {decks.length === 0 && <p className="text-fg-faint text-sm">No decks yet. Save flashcards from a Study Mode answer to start one.</p>}
+                    {decks.map(deck => {
+                        const dueCount = dueCards.filter(card => card.deckId === deck.id).length;
+                        const stats = deck.stats || {};
+                        return (
+                            <div key={deck.id} className="p-3 bg-base rounded-lg border border-line">
+                                <div className="flex justify-between items-start">
+                                    <div className="min-w-0">
+                                        <p className="font-semibold text-fg truncate">{deck.name}</p>
+                                        <p className="text-xs text-fg-subtle">{deck.cardCount || 0} cards - {deck.totalReviews || 0} reviews</p>
+                                    </div>
+                                    <button onClick={() => handleDeleteDeck(deck.id)} className="text-fg-subtle hover:text-red-600 p-1 rounded-full transition-colors" title="Delete Deck">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                                <div className="grid grid-cols-4 gap-1 mt-2 text-center text-xs">
+                                    <div><p className="text-blue-400 font-bold">{stats.new || 0}</p><p className="text-fg-faint">New</p></div>
+                                    <div><p className="text-orange-400 font-bold">{stats.learning || 0}</p><p className="text-fg-faint">Learning</p></div>
+                                    <div><p className="text-green-400 font-bold">{stats.young || 0}</p><p className="text-fg-faint">Young</p></div>
+                                    <div><p className="text-primary-soft font-bold">{stats.mature || 0}</p><p className="text-fg-faint">Mature</p></div>
+                                </div>
+                                <div className="mt-2 flex justify-end">
+                                    <StudyExportButtons onExport={(format) => exportDeck(deck, format)} />
+                                </div>
+                                <button
+                                    onClick={() => startReview(deck.id)}
+                                    disabled={dueCount === 0}
+                                    className={`mt-2 w-full py-1.5 text-sm rounded-lg transition-colors ${dueCount > 0 ? 'bg-raised text-fg hover:bg-raised-hover' : 'bg-surface text-fg-faint cursor-not-allowed'}`}
+                                >
+                                    {dueCount > 0 ? `Review ${dueCount} due` : 'Nothing due today'}
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+            </Modal>
+        );
+    };
+
+    const CrownLedgerModal = () => (
+        <Modal title="Crown Ledger" onClose={() => setShowLedger(false)}>
+            <div className="flex items-center justify-between p-3 mb-4 bg-base rounded-lg border border-line">
+                <span className="text-sm text-fg-subtle">Balance</span>
+                <span className="flex items-center text-xl font-bold text-accent">
+                    {crownRewards} <Crown className="w-5 h-5 ml-1" fill="currentColor" />
+                </span>
+            </div>
+            <div className="space-y-2 max-h-96 overflow-y-auto pr-2">
+                {crownLedger.length === 0 && <p className="text-fg-faint text-sm">No Crowns earned yet. Generate images, favorite answers and finish quizzes to earn some.</p>}
+                {crownLedger.map(entry => (
+                    <div key={entry.id} className="p-2 bg-base rounded-lg border border-line flex justify-between items-start">
+                        <div className="min-w-0">
+                            <p className="text-sm font-semibold text-fg">{CROWN_REASON_LABELS[entry.reason] || entry.reason}</p>
+                            {entry.sourceLabel && <p className="text-xs text-fg-subtle truncate">{entry.sourceLabel}</p>}
+                            <p className="text-xs text-fg-faint">{new Date(entry.createdAt).toLocaleString()}</p>
+                        </div>
+                        <div className="ml-3 text-right shrink-0">
+                            <p className={`text-sm font-bold ${entry.amount >= 0 ? 'text-green-400' : 'text-red-400'}`}>{entry.amount >= 0 ? '+' : ''}{entry.amount}</p>
+                            <p className="text-xs text-fg-faint">= {entry.balanceAfter}</p>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+
+    const AchievementsModal = () => {
+        const progress = achievementState?.progress || {};
+        const unlocked = achievementState?.unlocked || {};
+        const unlockedCount = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+
+        return (
+            <Modal title="Achievements" onClose={() => setShowAchievements(false)}>
+                <p className="text-sm text-fg-subtle mb-4">{unlockedCount} of {ACHIEVEMENTS.length} badges unlocked</p>
+                <div className="grid grid-cols-2 gap-3">
+                    {ACHIEVEMENTS.map(achievement => {
+                        const unlockedAt = unlocked[achievement.id];
+                        const value = progress[achievement.id] || 0;
+                        return (
+                            <div key={achievement.id} className={`p-3 rounded-lg border text-center ${unlockedAt ? 'bg-base border-accent/60' : 'bg-base/50 border-line opacity-70'}`}>
+                                <Award className={`w-8 h-8 mx-auto mb-1 ${unlockedAt ? 'text-accent' : 'text-fg-faint'}`} />
+                                <p className={`text-sm font-semibold ${unlockedAt ? 'text-fg' : 'text-fg-subtle'}`}>{achievement.title}</p>
+                                <p className="text-xs text-fg-subtle">{achievement.description}</p>
+                                {unlockedAt ? (
+                                    <p className="mt-1 text-xs text-accent">{new Date(unlockedAt).toLocaleDateString()}</p>
+                                ) : achievement.target > 1 && (
+                                    <div className="mt-2">
+                                        <div className="h-1.5 bg-raised rounded-full overflow-hidden">
+                                            <div className="h-full bg-primary-hover" style={{ width: `${(value / achievement.target) * 100}%` }} />
+                                        </div>
+                                        <p className="mt-1 text-xs text-fg-faint">{value} / {achievement.target}</p>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </Modal>
+        );
+    };
+
+    const Toasts = () => (
+        <div className="fixed bottom-4 right-4 z-[60] space-y-2 w-72">
+            {toasts.map(toast => (
+                <div key={toast.id} className="p-3 bg-surface border border-accent/60 rounded-lg shadow-2xl flex items-start">
+                    <Trophy className="w-5 h-5 mr-2 text-accent shrink-0" />
+                    <div className="min-w-0 flex-1">
+                        <p className="text-sm font-semibold text-fg">{toast.title}</p>
+                        {toast.description && <p className="text-xs text-fg-subtle">{toast.description}</p>}
+                    </div>
+                    <button onClick={() => setToasts(prev => prev.filter(t => t.id !== toast.id))} className="ml-2 text-fg-subtle hover:text-fg">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+
+    const StoreModal = () => (
+        <Modal title="Crown Store" onClose={() => setShowStore(false)}>
+            <div className="flex items-center justify-between p-3 mb-4 bg-base rounded-lg border border-line">
+                <span className="text-sm text-fg-subtle">Your Crowns</span>
+                <span className="flex items-center text-xl font-bold text-accent">
+                    {crownRewards} <Crown className="w-5 h-5 ml-1" fill="currentColor" />
+                </span>
+            </div>
+            {!db && <p className="text-sm text-fg-faint mb-4">Purchases need a signed-in account.</p>}
+            <div className="space-y-5">
+                {Object.keys(STORE_KIND_LABELS).map(kind => (
+                    <div key={kind}>
+                        <h3 className="text-sm font-semibold text-accent border-b border-line pb-1 mb-2">{STORE_KIND_LABELS[kind]}</h3>
+                        <div className="space-y-2">
+                            {storeItemsOfKind(kind).map(item => {
+                                const owned = isOwned(entitlements, item.id);
+                                const affordable = crownRewards >= item.price;
+                                return (
+                                    <div key={item.id} className="p-3 bg-base rounded-lg border border-line flex justify-between items-center">
+                                        <div className="min-w-0">
+                                            <p className="text-sm font-semibold text-fg">{item.name}</p>
+                                            <p className="text-xs text-fg-subtle">{item.description}</p>
+                                        </div>
+                                        <button
+                                            onClick={() => handlePurchase(item)}
+                                            disabled={owned || !affordable || !db}
+                                            className={`ml-3 px-3 py-1.5 shrink-0 flex items-center text-sm font-semibold rounded-lg transition-colors ${owned
+                                                ? 'bg-raised text-green-400 cursor-default'
+                                                : affordable && db ? 'bg-accent-strong text-white hover:bg-accent-strong-hover' : 'bg-raised text-fg-faint cursor-not-allowed'}`}
+                                        >
+                                            {owned ? 'Owned' : <>{item.price} <Crown className="w-3 h-3 ml-1" /></>}
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+
+    const Modal = ({ title, onClose, children, wide = false }) => (
         <div className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4">
-            <div className="w-full max-w-md bg-gray-800 rounded-xl shadow-2xl transition-all overflow-y-auto max-h-[90vh]">
-                <div className="flex justify-between items-center p-4 border-b border-gray-700">
-                    <h2 className="text-xl font-bold text-white">{title}</h2>
-                    <button onClick={onClose} className="p-2 text-gray-400 hover:text-white rounded-full transition-colors">
+            <div className={`w-full ${wide ? 'max-w-4xl' : 'max-w-md'} bg-surface rounded-xl shadow-2xl transition-all overflow-y-auto max-h-[90vh]`}>
+                <div className="flex justify-between items-center p-4 border-b border-line">
+                    <h2 className="text-xl font-bold text-fg">{title}</h2>
+                    <button onClick={onClose} className="p-2 text-fg-subtle hover:text-fg rounded-full transition-colors">
                         <X className="w-5 h-5" />
                     </button>
                 </div>
@@ -907,32 +3230,66 @@ const App = () => {
     );
 
     const DailyChallengeCard = () => {
-        if (!dailyChallenge || dailyChallenge.completed) return null;
+        const streak = currentStreak(challengeStreak, challengeDateKey);
+
+        if (challengeStatus?.passed) {
+            return (
+                <div className="px-4 py-2 bg-surface border-t border-primary text-sm text-fg-muted flex justify-between items-center">
+                    <span className="flex items-center text-primary-soft font-semibold">
+                        <Clock className="w-4 h-4 mr-1" /> Daily Challenge complete
+                    </span>
+                    <span className="flex items-center text-orange-400 font-semibold" title={`Longest streak: ${challengeStreak?.longest || streak} days`}>
+                        <Flame className="w-4 h-4 mr-1" /> {streak}-day streak
+                    </span>
+                </div>
+            );
+        }
 
         return (
-            <div className="p-4 bg-gray-800 border-t border-purple-600 text-white">
+            <div className="p-4 bg-surface border-t border-primary text-fg">
                 <div className="flex justify-between items-center mb-2">
-                    <h4 className="text-sm font-bold text-purple-400 flex items-center">
-                        <Clock className="w-4 h-4 mr-1" /> Daily Challenge
+                    <h4 className="text-sm font-bold text-primary-soft flex items-center">
+                        <Clock className="w-4 h-4 mr-1" /> Daily Challenge - {dailyChallenge.label}
                     </h4>
-                    <span className="text-xs font-semibold flex items-center text-yellow-400">
-                        +{dailyChallenge.reward} <Crown className="w-3 h-3 ml-1 fill-yellow-400" />
+                    <span className="flex items-center space-x-3 text-xs font-semibold">
+                        {streak > 0 && <span className="flex items-center text-orange-400"><Flame className="w-3 h-3 mr-1" />{streak}</span>}
+                        <span className="flex items-center text-accent">
+                            +{dailyChallenge.reward} <Crown className="w-3 h-3 ml-1 fill-accent" />
+                        </span>
                     </span>
                 </div>
-                <p className="text-sm text-gray-300 italic">{dailyChallenge.prompt}</p>
-                <button
-                    onClick={() => setDailyChallenge(prev => ({ ...prev, completed: true }))} // Mock completion
-                    className="mt-3 w-full py-1.5 text-sm bg-purple-600 rounded-lg hover:bg-purple-500 transition-colors font-semibold"
-                >
-                    Complete & Claim Reward
-                </button>
+                <p className="text-sm text-fg-muted italic">{dailyChallenge.prompt}</p>
+                {challengeStatus && !challengeStatus.passed && (
+                    <p className="mt-2 text-xs text-red-300">
+                        Not quite ({challengeStatus.score}/100, {CHALLENGE_PASS_SCORE} needed): {challengeStatus.feedback}
+                    </p>
+                )}
+                <form onSubmit={handleChallengeSubmit} className="mt-3 space-y-2">
+                    <textarea
+                        name="submission"
+                        rows={dailyChallenge.type === 'CODING' ? 4 : 2}
+                        defaultValue={challengeDraftRef.current ?? challengeStatus?.submission ?? ''}
+                        onChange={(e) => { challengeDraftRef.current = e.target.value; }}
+                        placeholder="Your answer..."
+                        disabled={challengeGrading}
+                        className={`w-full p-2 rounded-lg bg-base border border-line text-fg text-sm focus:ring-primary focus:border-primary ${dailyChallenge.type === 'CODING' ? 'font-mono' : ''}`}
+                    />
+                    <button
+                        type="submit"
+                        disabled={challengeGrading}
+                        className="w-full py-1.5 flex items-center justify-center text-sm bg-primary rounded-lg hover:bg-primary-hover transition-colors font-semibold disabled:bg-raised-hover"
+                    >
+                        {challengeGrading ? <><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Grading...</> : 'Submit for Grading'}
+                    </button>
+                </form>
             </div>
         );
     };
 
+
     // --- MAIN RENDER ---
     return (
-        <div className="h-screen flex flex-col bg-gray-900 font-sans">
+        <div className="h-screen flex flex-col bg-base font-sans">
             <Header />
             <ModeSwitch />
             <TabBar />
@@ -942,7 +3299,16 @@ const App = () => {
             </div>
 
             {showSettings && <SettingsModal />}
+            {personaEditorId && <PersonaEditorModal />}
             {showHistory && <HistoryModal />}
+            {showGallery && <GalleryModal />}
+            {showSessions && <SessionsSidebar />}
+            {showDecks && <DecksModal />}
+            {showLedger && <CrownLedgerModal />}
+            {showAchievements && <AchievementsModal />}
+            {showStore && <StoreModal />}
+            <Toasts />
+            {deckSaveSource && <SaveToDeckModal />}
         </div>
     );
 };
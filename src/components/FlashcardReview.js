@@ -0,0 +1,64 @@
+import React from 'react';
+import { GRADES, GRADE_LABELS, previewIntervals } from '../services/spacedRepetition';
+
+const GRADE_STYLES = {
+    [GRADES.AGAIN]: 'bg-red-700 hover:bg-red-600',
+    [GRADES.HARD]: 'bg-orange-600 hover:bg-orange-500',
+    [GRADES.GOOD]: 'bg-green-700 hover:bg-green-600',
+    [GRADES.EASY]: 'bg-blue-700 hover:bg-blue-600',
+};
+
+/**
+ * One step of a spaced-repetition review: shows the question, reveals the answer,
+ * then offers Again/Hard/Good/Easy with the resulting next-review delay.
+ * Controlled by the parent so the session survives re-renders.
+ *
+ * @param {object} props
+ * @param {object} props.card - The card being reviewed (question, answer, schedule).
+ * @param {boolean} props.flipped - Whether the answer is revealed.
+ * @param {number} props.position - 1-based position in the queue.
+ * @param {number} props.total - Queue length.
+ * @param {number} props.now - Current time in ms (for interval previews).
+ * @param {boolean} [props.grading] - A grade is being saved; the grade buttons are disabled.
+ * @param {function(): void} props.onFlip
+ * @param {function(number): void} props.onGrade - Called with one of GRADES.
+ */
+const FlashcardReview = ({ card, flipped, position, total, now, grading = false, onFlip, onGrade }) => {
+    const intervals = previewIntervals(card, now);
+
+    return (
+        <div className="space-y-4">
+            <p className="text-xs text-fg-subtle">Card {position} of {total}</p>
+            <div className="p-4 bg-base rounded-lg border border-line min-h-[8rem]">
+                <p className="font-semibold text-fg">{card.question}</p>
+                {flipped && (
+                    <p className="mt-3 pt-3 border-t border-line text-fg-muted">{card.answer}</p>
+                )}
+            </div>
+            {flipped ? (
+                <div className="grid grid-cols-4 gap-2">
+                    {[GRADES.AGAIN, GRADES.HARD, GRADES.GOOD, GRADES.EASY].map(grade => (
+                        <button
+                            key={grade}
+                            onClick={() => onGrade(grade)}
+                            disabled={grading}
+                            className={`py-2 rounded-lg text-white text-sm font-semibold transition-colors disabled:opacity-50 disabled:cursor-wait ${GRADE_STYLES[grade]}`}
+                        >
+                            {GRADE_LABELS[grade]}
+                            <span className="block text-xs font-normal opacity-80">{intervals[grade]}</span>
+                        </button>
+                    ))}
+                </div>
+            ) : (
+                <button
+                    onClick={onFlip}
+                    className="w-full py-2 bg-primary text-white font-semibold rounded-lg hover:bg-primary-hover transition-colors"
+                >
+                    Show Answer
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default FlashcardReview;
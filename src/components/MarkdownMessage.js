@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import Markdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { Copy, Check, Download, Play } from 'lucide-react';
+import 'katex/dist/katex.min.css';
+import { prepareMarkdown, codeLanguage, codeFileExtension } from '../services/markdown';
+import { downloadText } from '../services/download';
+
+// Text of a hast element (the code inside a <pre>).
+const hastText = (node) => (node.value !== undefined ? node.value : (node.children || []).map(hastText).join(''));
+
+/**
+ * Fenced code block with syntax highlighting and copy/download buttons.
+ * @param {object} props
+ * @param {string} props.code
+ * @param {string} props.language - e.g. "js"; "" when unlabeled.
+ * @param {string} props.colorScheme - "dark" or "light", from the active theme.
+ * @param {function(string, string): void} [props.onRun] - Shows a Run button; called with (code, language).
+ */
+const CodeBlock = ({ code, language, colorScheme, onRun }) => {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(code).then(() => {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        }).catch(err => {
+            console.error('Could not copy code: ', err);
+        });
+    };
+
+    return (
+        <div className="my-2 rounded-lg border border-line-strong overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-1 bg-raised text-xs text-fg-subtle">
+                <span className="font-mono">{language || 'text'}</span>
+                <div className="flex items-center space-x-1">
+                    {onRun && (
+                        <button onClick={() => onRun(code, language)} className="flex items-center px-2 py-0.5 rounded text-green-400 hover:bg-raised-hover transition-colors" title="Run in a sandbox">
+                            <Play className="w-3.5 h-3.5 mr-1" /> Run
+                        </button>
+                    )}
+                    <button onClick={handleCopy} className="p-1 rounded hover:text-accent transition-colors" title="Copy code">
+                        {copied ? <Check className="w-3.5 h-3.5 text-green-400" /> : <Copy className="w-3.5 h-3.5" />}
+                    </button>
+                    <button
+                        onClick={() => downloadText(code, `snippet.${codeFileExtension(language)}`)}
+                        className="p-1 rounded hover:text-accent transition-colors"
+                        title="Download code"
+                    >
+                        <Download className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+            </div>
+            <SyntaxHighlighter
+                language={language || 'text'}
+                style={colorScheme === 'light' ? oneLight : oneDark}
+                customStyle={{ margin: 0, borderRadius: 0, fontSize: '0.8rem' }}
+                wrapLongLines={false}
+            >
+                {code}
+            </SyntaxHighlighter>
+        </div>
+    );
+};
+
+/**
+ * Renders a model response as Markdown: GitHub tables, task lists and strikethrough,
+ * KaTeX math, and highlighted code blocks. Raw HTML in the text is never rendered
+ * (react-markdown drops it without rehype-raw), and link URLs go through its default
+ * sanitizer, so javascript: links are removed.
+ *
+ * @param {object} props
+ * @param {string} props.text - Markdown from the model.
+ * @param {boolean} [props.streaming] - Closes half-finished fences/math while tokens arrive.
+ * @param {string} [props.colorScheme] - "dark" or "light", for the code theme.
+ * @param {function(string, string): void} [props.onRunCode] - Run handler for code blocks, called with (code, language).
+ * @param {function(string): boolean} [props.canRun] - Which languages get a Run button.
+ */
+const MarkdownMessage = ({ text, streaming = false, colorScheme = 'dark', onRunCode, canRun }) => (
+    <Markdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[[rehypeKatex, { throwOnError: false, strict: 'ignore' }]]}
+        components={{
+            pre: ({ node }) => {
+                const code = node.children.find(child => child.tagName === 'code') || node;
+                const language = codeLanguage([].concat(code.properties?.className || []).join(' '));
+                const runnable = onRunCode && !streaming && canRun && canRun(language);
+                return <CodeBlock code={hastText(code).replace(/\n$/, '')} language={language} colorScheme={colorScheme} onRun={runnable ? onRunCode : undefined} />;
+            },
+            code: ({ children }) => <code className="px-1 py-0.5 rounded bg-raised text-accent font-mono text-[0.85em]">{children}</code>,
+            p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0 leading-relaxed">{children}</p>,
+            a: ({ href, children }) => <a href={href} target="_blank" rel="noopener noreferrer" className="text-primary-soft underline hover:text-primary-hover">{children}</a>,
+            h1: ({ children }) => <h3 className="mt-3 mb-1 text-lg font-bold">{children}</h3>,
+            h2: ({ children }) => <h4 className="mt-3 mb-1 text-base font-bold">{children}</h4>,
+            h3: ({ children }) => <h5 className="mt-2 mb-1 font-semibold">{children}</h5>,
+            ul: ({ children }) => <ul className="my-2 pl-5 list-disc space-y-1">{children}</ul>,
+            ol: ({ children, start }) => <ol start={start} className="my-2 pl-5 list-decimal space-y-1">{children}</ol>,
+            blockquote: ({ children }) => <blockquote className="my-2 pl-3 border-l-4 border-line-strong text-fg-muted italic">{children}</blockquote>,
+            hr: () => <hr className="my-3 border-line-strong" />,
+            table: ({ children }) => (
+                <div className="my-2 overflow-x-auto">
+                    <table className="min-w-full text-sm border border-line-strong">{children}</table>
+                </div>
+            ),
+            th: ({ children, style }) => <th style={style} className="px-2 py-1 bg-raised border border-line-strong font-semibold text-left">{children}</th>,
+            td: ({ children, style }) => <td style={style} className="px-2 py-1 border border-line-strong">{children}</td>,
+            // Images are not loaded from model-chosen URLs
+            img: ({ alt }) => <span className="text-fg-subtle italic">[image: {alt}]</span>,
+        }}
+    >
+        {prepareMarkdown(text, streaming)}
+    </Markdown>
+);
+
+export default MarkdownMessage;
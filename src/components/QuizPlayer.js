@@ -0,0 +1,124 @@
+import React from 'react';
+import { CheckCircle2, XCircle, Loader2, Crown, RotateCcw, RefreshCw } from 'lucide-react';
+import { isCorrectPick, scoreQuiz } from '../services/quiz';
+
+/**
+ * Interactive quiz for Study Mode structured output.
+ *
+ * Fully controlled: progress lives in the parent (keyed by message ID) so answers
+ * survive re-renders of the chat list.
+ *
+ * @param {object} props
+ * @param {Array<{question: string, answer: string, options: Array<string>}>} props.items - Prepared items (see services/quiz.js).
+ * @param {{current: number, answers: Object<number, string>, explanations: Object<number, string>, failedExplanations: Object<number, boolean>, finished: boolean, result?: {crowns: number, firstAttempt: boolean}}} props.progress
+ * @param {function(number, string): void} props.onAnswer - Called with (itemIndex, pickedOption).
+ * @param {function(number, string): void} props.onRetryExplanation - Requests a failed explanation again, with (itemIndex, pickedOption).
+ * @param {function(): void} props.onNext - Advances to the next question.
+ * @param {function(): void} props.onFinish - Shows the summary and records the result.
+ * @param {function(): void} props.onRetake - Clears progress.
+ */
+const QuizPlayer = ({ items, progress, onAnswer, onRetryExplanation, onNext, onFinish, onRetake }) => {
+    const { current, answers, explanations, failedExplanations, finished, result } = progress;
+
+    if (finished) {
+        const score = scoreQuiz(items, answers);
+        return (
+            <div className="bg-surface p-3 rounded-lg border border-line-strong">
+                <h5 className="font-bold text-fg">Quiz Complete</h5>
+                <p className="text-2xl font-bold text-accent my-2">
+                    {score.correct}/{score.total} <span className="text-sm text-fg-subtle">({score.percent}%)</span>
+                </p>
+                {result && (
+                    <p className="text-xs flex items-center text-accent mb-2">
+                        {result.firstAttempt
+                            ? <>+{result.crowns} <Crown className="w-3 h-3 mx-1 fill-accent" /> earned</>
+                            : 'Crowns are only awarded for your first attempt.'}
+                    </p>
+                )}
+                <ul className="space-y-1 text-sm">
+                    {items.map((item, index) => (
+                        <li key={index} className="flex items-start">
+                            {isCorrectPick(answers[index], item.answer)
+                                ? <CheckCircle2 className="w-4 h-4 mr-2 mt-0.5 text-green-400 shrink-0" />
+                                : <XCircle className="w-4 h-4 mr-2 mt-0.5 text-red-400 shrink-0" />}
+                            <span className="text-fg-muted">{item.question}</span>
+                        </li>
+                    ))}
+                </ul>
+                <button
+                    onClick={onRetake}
+                    className="mt-3 w-full py-1.5 flex items-center justify-center text-sm bg-raised text-fg rounded-lg hover:bg-raised-hover transition-colors"
+                >
+                    <RotateCcw className="w-4 h-4 mr-1" /> Retake Quiz
+                </button>
+            </div>
+        );
+    }
+
+    const item = items[current];
+    const pick = answers[current];
+    const hasAnswered = pick !== undefined;
+    const isLast = current === items.length - 1;
+
+    return (
+        <div className="bg-surface p-3 rounded-lg border border-line-strong">
+            <p className="text-xs text-fg-subtle mb-1">Question {current + 1} of {items.length}</p>
+            <p className="font-semibold text-fg mb-3">{item.question}</p>
+            <div className="space-y-2">
+                {item.options.map(option => {
+                    const isAnswer = isCorrectPick(option, item.answer);
+                    const isPick = option === pick;
+                    let style = 'bg-raised border-line-strong text-fg-muted hover:bg-raised-hover';
+                    if (hasAnswered) {
+                        if (isAnswer) style = 'bg-green-900/50 border-green-400 text-green-300';
+                        else if (isPick) style = 'bg-red-900/50 border-red-400 text-red-300';
+                        else style = 'bg-raised border-line-strong text-fg-subtle';
+                    }
+                    return (
+                        <button
+                            key={option}
+                            onClick={() => onAnswer(current, option)}
+                            disabled={hasAnswered}
+                            className={`w-full text-left p-2 rounded-lg border text-sm transition-colors ${style}`}
+                        >
+                            {option}
+                        </button>
+                    );
+                })}
+            </div>
+
+            {hasAnswered && (
+                <div className="mt-3 pt-2 border-t border-line-strong text-sm">
+                    {isCorrectPick(pick, item.answer)
+                        ? <p className="font-semibold text-green-400">Correct!</p>
+                        : <p className="font-semibold text-red-400">Not quite. The answer is: {item.answer}</p>}
+                    {explanations[current] && <p className="text-fg-muted mt-1">{explanations[current]}</p>}
+                    {!explanations[current] && failedExplanations[current] && (
+                        <p className="text-fg-subtle mt-1 flex items-center">
+                            The explanation couldn't be loaded.
+                            <button
+                                onClick={() => onRetryExplanation(current, pick)}
+                                className="ml-2 flex items-center text-accent hover:underline"
+                            >
+                                <RefreshCw className="w-3 h-3 mr-1" /> Retry
+                            </button>
+                        </p>
+                    )}
+                    {!explanations[current] && !failedExplanations[current] && (
+                        <p className="text-fg-subtle mt-1 flex items-center">
+                            <Loader2 className="w-3 h-3 animate-spin mr-1" /> Explaining...
+                        </p>
+                    )}
+                    <button
+                        onClick={isLast ? onFinish : onNext}
+                        className="mt-3 w-full py-1.5 text-sm bg-primary text-white rounded-lg hover:bg-primary-hover transition-colors font-semibold"
+                    >
+                        {isLast ? 'See Results' : 'Next Question'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuizPlayer;
@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { imageSrc, loadLocalImageUrl } from '../services/imageStore';
+
+/**
+ * A generated image from an image message (see imageStore.js). Shows the saved
+ * thumbnail until the full image is available, and keeps showing it when the image
+ * is stored on another device.
+ *
+ * @param {object} props
+ * @param {object} props.message - The image message.
+ * @param {boolean} [props.preferThumbnail] - Show the thumbnail when there is one (e.g. in grids).
+ * @param {string} [props.className]
+ */
+const StoredImage = ({ message, preferThumbnail = false, className = '' }) => {
+    const [loadedSrc, setLoadedSrc] = useState(null); // Object URL of a local image, once read
+    const src = imageSrc(message) || loadedSrc;
+    const localId = message.image?.storage === 'local' ? message.image.id : null;
+
+    useEffect(() => {
+        if (src || preferThumbnail || !localId) return undefined;
+        let active = true;
+        loadLocalImageUrl(localId).then(url => {
+            if (active && url) setLoadedSrc(url);
+        });
+        return () => { active = false; };
+    }, [src, preferThumbnail, localId]);
+
+    const shown = (preferThumbnail && message.thumbnail) || src || message.thumbnail;
+    if (!shown) {
+        return <div className={`flex items-center justify-center p-8 bg-surface text-xs text-fg-faint ${className}`}>Image unavailable</div>;
+    }
+    return <img src={shown} alt={message.user} className={className} />;
+};
+
+export default StoredImage;
@@ -0,0 +1,43 @@
+/**
+ * src/services/achievementStore.js
+ *
+ * Firestore persistence for achievement progress and unlocks.
+ *
+ *   /artifacts/{appId}/users/{uid}/metadata/achievements
+ *       { progress: { [achievementId]: number }, unlocked: { [achievementId]: ms } }
+ */
+
+import { doc, runTransaction } from 'firebase/firestore';
+import { applyAchievementEvent, EMPTY_ACHIEVEMENT_STATE } from './achievements';
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - DocumentReference of the user's achievement state.
+ */
+export const getAchievementsDocRef = (db, uid) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/metadata/achievements`);
+
+/**
+ * Applies an app event to the stored progress.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {{type: string, payload: object, at: number}} event - From the event bus.
+ * @returns {Promise<Array<object>>} - Achievements unlocked by this event.
+ */
+export const recordAchievementEvent = (db, uid, event) => {
+  const ref = getAchievementsDocRef(db, uid);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    const { state, changed, newlyUnlocked } = applyAchievementEvent(
+      snap.exists() ? snap.data() : EMPTY_ACHIEVEMENT_STATE,
+      event,
+      event.at,
+    );
+    if (changed) transaction.set(ref, state);
+    return newlyUnlocked;
+  });
+};
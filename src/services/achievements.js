@@ -0,0 +1,121 @@
+/**
+ * src/services/achievements.js
+ *
+ * Achievement definitions and the pure progress logic that turns app events (see
+ * eventBus.js) into progress and unlocks. Persistence is in achievementStore.js.
+ *
+ * Progress state: { progress: { [achievementId]: number }, unlocked: { [achievementId]: ms } }
+ */
+
+import { APP_EVENTS } from './eventBus';
+
+/**
+ * Each achievement listens to one event. `matches` filters events; `value` is
+ * "count" (each matching event adds one) or a function returning a level to keep
+ * the best of (e.g. the current streak).
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: "first-deep-search",
+    title: "Fact Finder",
+    description: "Get your first Deep Search answer with web sources.",
+    event: APP_EVENTS.TEXT_GENERATED,
+    matches: (p) => p.mode === "DEEP_SEARCH" && p.sourceCount > 0,
+    value: "count",
+    target: 1,
+  },
+  {
+    id: "first-image",
+    title: "First Masterpiece",
+    description: "Generate your first image.",
+    event: APP_EVENTS.IMAGE_GENERATED,
+    value: "count",
+    target: 1,
+  },
+  {
+    id: "images-100",
+    title: "Gallery Master",
+    description: "Generate 100 images.",
+    event: APP_EVENTS.IMAGE_GENERATED,
+    value: "count",
+    target: 100,
+  },
+  {
+    id: "quiz-ace",
+    title: "Quiz Ace",
+    description: "Score above 80% on 10 quizzes.",
+    event: APP_EVENTS.QUIZ_COMPLETED,
+    matches: (p) => p.percent > 80,
+    value: "count",
+    target: 10,
+  },
+  {
+    id: "quiz-perfect",
+    title: "Flawless",
+    description: "Get every question right in a quiz.",
+    event: APP_EVENTS.QUIZ_COMPLETED,
+    matches: (p) => p.percent === 100,
+    value: "count",
+    target: 1,
+  },
+  {
+    id: "cards-100",
+    title: "Memory Palace",
+    description: "Review 100 flashcards.",
+    event: APP_EVENTS.CARD_REVIEWED,
+    value: "count",
+    target: 100,
+  },
+  {
+    id: "favorites-10",
+    title: "Curator",
+    description: "Favorite 10 responses.",
+    event: APP_EVENTS.FAVORITE_ADDED,
+    value: "count",
+    target: 10,
+  },
+  {
+    id: "streak-7",
+    title: "On Fire",
+    description: "Reach a 7-day Daily Challenge streak.",
+    event: APP_EVENTS.CHALLENGE_PASSED,
+    value: (p) => p.streak,
+    target: 7,
+  },
+];
+
+export const EMPTY_ACHIEVEMENT_STATE = { progress: {}, unlocked: {} };
+
+/**
+ * Applies one event to the progress state.
+ * @param {object} state - Current progress state.
+ * @param {{type: string, payload: object}} event
+ * @param {number} now - Current time in ms (unlock time).
+ * @returns {{state: object, changed: boolean, newlyUnlocked: Array<object>}}
+ */
+export const applyAchievementEvent = (state, event, now) => {
+  const progress = { ...(state?.progress || {}) };
+  const unlocked = { ...(state?.unlocked || {}) };
+  const newlyUnlocked = [];
+  let changed = false;
+
+  ACHIEVEMENTS.forEach(achievement => {
+    if (achievement.event !== event.type || unlocked[achievement.id]) return;
+    if (achievement.matches && !achievement.matches(event.payload || {})) return;
+
+    const current = progress[achievement.id] || 0;
+    const next = achievement.value === "count"
+      ? current + 1
+      : Math.max(current, Number(achievement.value(event.payload || {})) || 0);
+    if (next === current) return;
+
+    progress[achievement.id] = Math.min(next, achievement.target);
+    changed = true;
+    if (next >= achievement.target) {
+      unlocked[achievement.id] = now;
+      newlyUnlocked.push(achievement);
+    }
+  });
+
+  return { state: { progress, unlocked }, changed, newlyUnlocked };
+};
@@ -1,324 +1,306 @@
-src/services/apiService.js
+/**
+ * src/services/apiService.js
  *
- * This service handles all interactions with the Gemini and Imagen APIs.
- * It abstracts away the API key handling, request structuring, and response parsing.
+ * This service is the single entry point the app uses for text, structured output,
+ * image and TTS generation, and speech transcription. It resolves which provider/model to call (see modelConfig.js
+ * and providers/), structures the request, and normalizes responses and failures.
  *
  * NOTE: When deploying, replace the placeholder API_KEY with a secure environment variable.
  */
 
-// Placeholder for the API Key. Must be set securely in a real application.
-const API_KEY = "";
-
-// Base URL for the non-image models (gemini-2.5-flash-preview-09-2025)
-const BASE_URL_GEMINI_FLASH =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent";
-
-// Base URL for the image generation model (imagen-4.0-generate-001)
-const BASE_URL_IMAGEN =
-  "https://generativelanguage.googleapis.com/v1beta/models/imagen-4.0-generate-001:predict";
-
-// Base URL for the TTS model (gemini-2.5-flash-preview-tts)
-const BASE_URL_TTS =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent";
+import { buildConversationContents, withConversationSummary, DEFAULT_CONTEXT_TOKEN_BUDGET } from './conversationContext';
+import { resolveModelRoute, IMAGE_ROUTE_KEY, TTS_ROUTE_KEY, STT_ROUTE_KEY } from './modelConfig';
+import { getProvider } from './providers';
+import { toInlineParts } from './attachments';
 
+// Placeholder for the Gemini API Key. Must be set securely in a real application.
+const API_KEY = "";
 
-/**
- * Converts a base64 string to an ArrayBuffer. Needed for processing PCM audio.
- * @param {string} base64 - The base64 string.
- * @returns {ArrayBuffer}
- */
-const base64ToArrayBuffer = (base64) => {
-  const binaryString = atob(base64);
-  const len = binaryString.length;
-  const bytes = new Uint8Array(len);
-  for (let i = 0; i < len; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
+// Schema for study materials (flashcards and quizzes), in Gemini's OpenAPI subset.
+const STUDY_RESPONSE_SCHEMA = {
+  type: "ARRAY",
+  description: "A list of structured study items (flashcards or quiz questions).",
+  items: {
+    type: "OBJECT",
+    properties: {
+      type: { type: "STRING", enum: ["flashcard", "quiz"] },
+      question: { type: "STRING" },
+      answer: { type: "STRING" }, // Or correct answer for quiz
+      options: {
+        type: "ARRAY",
+        items: { type: "STRING" },
+        description: "Only used for quiz type. Contains 3 incorrect options and 1 correct one (which is the 'answer' field)."
+      },
+      explanation: {
+        type: "STRING",
+        description: "Only used for quiz type. One or two sentences explaining why the answer is correct."
+      }
+    },
+    required: ["type", "question", "answer"]
   }
-  return bytes.buffer;
 };
 
-/**
- * Converts signed 16-bit PCM data to a WAV Blob.
- * @param {Int16Array} pcm16 - PCM audio data.
- * @param {number} sampleRate - The audio sample rate.
- * @returns {Blob} - A Blob containing the WAV file.
- */
-const pcmToWav = (pcm16, sampleRate) => {
-  const numChannels = 1;
-  const bytesPerSample = 2;
-  const blockAlign = numChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-
-  const buffer = new ArrayBuffer(44 + pcm16.byteLength);
-  const view = new DataView(buffer);
-
-  // RIFF identifier
-  writeString(view, 0, 'RIFF');
-  // RIFF chunk length
-  view.setUint32(4, 36 + pcm16.byteLength, true);
-  // RIFF type
-  writeString(view, 8, 'WAVE');
-  // format chunk identifier
-  writeString(view, 12, 'fmt ');
-  // format chunk length
-  view.setUint32(16, 16, true);
-  // sample format (1 = PCM)
-  view.setUint16(20, 1, true);
-  // number of channels
-  view.setUint16(22, numChannels, true);
-  // sample rate
-  view.setUint32(24, sampleRate, true);
-  // byte rate (sample rate * block align)
-  view.setUint32(28, byteRate, true);
-  // block align (num channels * bytes per sample)
-  view.setUint16(32, blockAlign, true);
-  // bits per sample
-  view.setUint16(34, 16, true);
-  // data chunk identifier
-  writeString(view, 36, 'data');
-  // data chunk length
-  view.setUint32(40, pcm16.byteLength, true);
-
-  // Write PCM data
-  let offset = 44;
-  for (let i = 0; i < pcm16.length; i++) {
-    view.setInt16(offset, pcm16[i], true);
-    offset += 2;
-  }
-
-  return new Blob([buffer], { type: 'audio/wav' });
-
-  function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
-    }
-  }
+// Schema for grading a Daily Challenge submission.
+const GRADE_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    score: { type: "INTEGER", description: "How well the submission meets the rubric, from 0 to 100." },
+    feedback: { type: "STRING", description: "One or two sentences of feedback for the player." }
+  },
+  required: ["score", "feedback"]
 };
 
-
 /**
- * Generic fetch wrapper with exponential backoff.
- * @param {string} url - The API URL.
- * @param {object} options - Fetch options (method, headers, body).
- * @param {number} retries - Current retry count.
- * @returns {Promise<object>} - JSON response object.
+ * Instantiates the provider for a route, falling back to the default route for `routeKey`.
+ * The Gemini key is injected here so it never has to live in user settings.
+ * @param {object|undefined} route - A route from `resolveModelRoute`.
+ * @param {string} routeKey - Mode or capability key used when `route` is omitted.
+ * @param {"text"|"image"|"tts"|"stt"} capability
+ * @returns {{provider: object, model: string}}
  */
-const fetchWithRetry = async (url, options, retries = 0) => {
-  const maxRetries = 3;
-  try {
-    const response = await fetch(url, options);
-    if (!response.ok) {
-      if (response.status === 429 && retries < maxRetries) {
-        const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return fetchWithRetry(url, options, retries + 1);
-      }
-      const errorText = await response.text();
-      throw new Error(`API Request failed with status ${response.status}: ${errorText}`);
-    }
-    return response.json();
-  } catch (error) {
-    if (retries < maxRetries) {
-      const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return fetchWithRetry(url, options, retries + 1);
-    }
-    throw error;
-  }
+const providerFor = (route, routeKey, capability) => {
+  const resolved = route || resolveModelRoute(null, routeKey, capability);
+  const apiKey = resolved.provider === "gemini" ? API_KEY : resolved.apiKey;
+  return { provider: getProvider({ ...resolved, apiKey }), model: resolved.model };
 };
 
 /**
  * Generates text content (chat, summarization, code explanation).
  * Can optionally include Google Search grounding via the `useGrounding` flag.
+ * Prior turns from `history` are replayed as alternating user/model contents,
+ * trimmed to `tokenBudget` (see conversationContext.js).
  * @param {string} userQuery - The user's prompt.
  * @param {string} systemInstruction - The AI persona and mode context.
  * @param {boolean} useGrounding - If true, enables Google Search grounding.
- * @returns {Promise<{text: string, sources: Array<{uri: string, title: string}>}>}
+ * @param {object} [context] - Conversation context.
+ * @param {Array<object>} [context.history] - Previous chat entries in the thread, oldest first.
+ * @param {number} [context.tokenBudget] - Max estimated tokens of contents to send.
+ * @param {object} [context.generationConfig] - Extra generation parameters (temperature, ...).
+ * @param {object} [context.route] - Provider route; defaults to Gemini.
+ * @returns {Promise<{text: string, sources: Array<{uri: string, title: string}>, failed?: boolean}>} - On failure,
+ *   `text` is an error message to show and `failed` is true.
  */
-export const generateTextContent = async (userQuery, systemInstruction, useGrounding = false) => {
-  const apiUrl = `${BASE_URL_GEMINI_FLASH}?key=${API_KEY}`;
-  
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: {
-      parts: [{ text: systemInstruction }]
-    },
-    tools: useGrounding ? [{ google_search: {} }] : undefined,
-  };
+export const generateTextContent = async (userQuery, systemInstruction, useGrounding = false, {
+  history = [],
+  tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET,
+  generationConfig,
+  route,
+} = {}) => {
+  const { provider, model } = providerFor(route, "QUICK_CHAT", "text");
+  const { contents, summary } = buildConversationContents(history, userQuery, { tokenBudget });
 
-  const options = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
-
-  const result = await fetchWithRetry(apiUrl, options);
-  const candidate = result.candidates?.[0];
-
-  if (candidate && candidate.content?.parts?.[0]?.text) {
-    const text = candidate.content.parts[0].text;
-    let sources = [];
-
-    // Extract grounding sources if used
-    const groundingMetadata = candidate.groundingMetadata;
-    if (groundingMetadata && groundingMetadata.groundingAttributions) {
-      sources = groundingMetadata.groundingAttributions
-        .map(attribution => ({
-          uri: attribution.web?.uri,
-          title: attribution.web?.title,
-        }))
-        .filter(source => source.uri && source.title);
-    }
-    return { text, sources };
-  } else {
-    console.error("Gemini text generation failed:", result);
-    return { text: "Error: Could not generate a response. Please check the API status.", sources: [] };
+  try {
+    return await provider.generateText({
+      model,
+      contents,
+      systemInstruction: withConversationSummary(systemInstruction, summary),
+      generationConfig,
+      tools: useGrounding ? ["google_search"] : [],
+    });
+  } catch (error) {
+    console.error("Text generation failed:", error);
+    return { text: "Error: Could not generate a response. Please check the API status.", sources: [], failed: true };
   }
 };
 
+/**
+ * Streams text content, reporting the accumulated text after every chunk.
+ * Aborting through `signal` resolves with the partial answer instead of throwing,
+ * so callers can keep what was already rendered. Other failures are thrown.
+ * @param {string} userQuery - The user's prompt.
+ * @param {string} systemInstruction - The AI persona and mode context.
+ * @param {object} [options]
+ * @param {Array<string>} [options.tools] - MODE_TOOLS keys, e.g. ["google_search"].
+ * @param {Array<object>} [options.history] - Previous chat entries in the thread, oldest first.
+ * @param {number} [options.tokenBudget] - Max estimated tokens of contents to send.
+ * @param {object} [options.generationConfig] - Extra generation parameters (temperature, ...).
+ * @param {object} [options.route] - Provider route; defaults to Gemini.
+ * @param {AbortSignal} [options.signal] - Aborts the stream (e.g. from a Stop button).
+ * @param {function(string): void} [options.onText] - Receives the full text so far after each chunk.
+ * @param {Array<object>} [options.attachments] - Files sent with the prompt (see attachments.js).
+ * @returns {Promise<{text: string, sources: Array<{uri: string, title: string}>, aborted: boolean}>}
+ */
+export const streamTextContent = async (userQuery, systemInstruction, {
+  tools = [],
+  history = [],
+  tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET,
+  generationConfig,
+  route,
+  signal,
+  onText,
+  attachments = [],
+} = {}) => {
+  const { provider, model } = providerFor(route, "QUICK_CHAT", "text");
+  const { contents, summary } = buildConversationContents(history, userQuery, { tokenBudget });
+  contents[contents.length - 1].parts.push(...toInlineParts(attachments));
+
+  return provider.streamText({
+    model,
+    contents,
+    systemInstruction: withConversationSummary(systemInstruction, summary),
+    generationConfig,
+    tools,
+    signal,
+    onText,
+  });
+};
+
 /**
  * Generates structured data (e.g., flashcards, quizzes).
  * @param {string} userQuery - The user's request for study material.
  * @param {string} systemInstruction - The AI persona and mode context.
+ * @param {object} [options]
+ * @param {object} [options.generationConfig] - Extra generation parameters (temperature, ...).
+ * @param {object} [options.route] - Provider route; defaults to Gemini.
+ * @param {Array<object>} [options.attachments] - Files to build the material from (see attachments.js).
  * @returns {Promise<object>} - Parsed JSON object containing the structured data.
  */
-export const generateStructuredStudyContent = async (userQuery, systemInstruction) => {
-  const apiUrl = `${BASE_URL_GEMINI_FLASH}?key=${API_KEY}`;
+export const generateStructuredStudyContent = async (userQuery, systemInstruction, { generationConfig, route, attachments = [] } = {}) => {
+  const { provider, model } = providerFor(route, "STUDY", "text");
 
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: {
-      parts: [{ text: systemInstruction }]
-    },
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "ARRAY",
-        description: "A list of structured study items (flashcards or quiz questions).",
-        items: {
-          type: "OBJECT",
-          properties: {
-            type: { type: "STRING", enum: ["flashcard", "quiz"] },
-            question: { type: "STRING" },
-            answer: { type: "STRING" }, // Or correct answer for quiz
-            options: { 
-              type: "ARRAY",
-              items: { type: "STRING" },
-              description: "Only used for quiz type. Contains 3 incorrect options and 1 correct one (which is the 'answer' field)."
-            }
-          },
-          required: ["type", "question", "answer"]
-        }
-      }
-    }
-  };
+  try {
+    return await provider.generateStructured({
+      model,
+      contents: [{ role: "user", parts: [{ text: userQuery }, ...toInlineParts(attachments)] }],
+      systemInstruction,
+      responseSchema: STUDY_RESPONSE_SCHEMA,
+      generationConfig,
+    });
+  } catch (e) {
+    console.error("Structured generation failed:", e);
+    return [{ type: "error", question: "Error generating study material.", answer: "Please try again with a clearer prompt." }];
+  }
+};
 
-  const options = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
 
-  const result = await fetchWithRetry(apiUrl, options);
-  
+/**
+ * Grades a submission against a rubric (Daily Challenge).
+ * @param {string} gradingPrompt - Challenge, rubric and submission (see dailyChallenge.js).
+ * @param {string} systemInstruction - Grader instructions.
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Gemini.
+ * @returns {Promise<{score: number, feedback: string}|null>} - Null on failure.
+ */
+export const gradeSubmission = async (gradingPrompt, systemInstruction, { route } = {}) => {
+  const { provider, model } = providerFor(route, "QUICK_CHAT", "text");
+
   try {
-    const jsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (jsonString) {
-      return JSON.parse(jsonString);
-    } else {
-      throw new Error("Received empty or malformed JSON string.");
-    }
+    return await provider.generateStructured({
+      model,
+      contents: [{ role: "user", parts: [{ text: gradingPrompt }] }],
+      systemInstruction,
+      responseSchema: GRADE_RESPONSE_SCHEMA,
+      generationConfig: { temperature: 0 },
+    });
   } catch (e) {
-    console.error("Gemini structured generation failed:", e, result);
-    return [{ type: "error", question: "Error generating study material.", answer: "Please try again with a clearer prompt." }];
+    console.error("Grading failed:", e);
+    return null;
   }
 };
 
 
 /**
- * Generates an image based on a prompt using Imagen 4.0.
- * @param {string} prompt - The creative text prompt for the image.
- * @returns {Promise<string>} - Base64 image data URL or null on failure.
+ * Writes a prompt for the image model with the text model ("Visualize this", "Enhance").
+ * @param {string} request - From imagePrompt.buildVisualizeRequest or buildEnhanceRequest.
+ * @param {string} systemInstruction - Prompt-writing instructions.
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Gemini.
+ * @returns {Promise<string|null>} - The model's reply, or null on failure.
  */
-export const generateImageContent = async (prompt) => {
-  const apiUrl = `${BASE_URL_IMAGEN}?key=${API_KEY}`;
+export const generateImagePrompt = async (request, systemInstruction, { route } = {}) => {
+  const { provider, model } = providerFor(route, "CREATIVE", "text");
 
-  const payload = {
-    instances: [{ prompt: prompt }],
-    parameters: { "sampleCount": 1 }
-  };
+  try {
+    const { text } = await provider.generateText({
+      model,
+      contents: [{ role: "user", parts: [{ text: request }] }],
+      systemInstruction,
+      generationConfig: { temperature: 0.9 },
+      tools: [],
+    });
+    return text || null;
+  } catch (error) {
+    console.error("Image prompt writing failed:", error);
+    return null;
+  }
+};
 
-  const options = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
 
-  const result = await fetchWithRetry(apiUrl, options);
-  
-  if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
-    return `data:image/png;base64,${result.predictions[0].bytesBase64Encoded}`;
-  } else {
-    console.error("Imagen generation failed:", result);
+/**
+ * Generates one or more images from a prompt (Imagen 4.0 by default).
+ * @param {string} prompt - The creative text prompt, with any style and negative prompt
+ *   already written in (see imageOptions.buildImagePrompt).
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Imagen.
+ * @param {number} [options.count] - Number of variations (1-4).
+ * @param {string} [options.aspectRatio] - e.g. "16:9".
+ * @param {number|null} [options.seed] - Seed of the first variation; ignored by providers without seeds.
+ * @returns {Promise<Array<{imageUrl: string, seed: number|null}>|null>} - Base64 image data URLs
+ *   (each with the seed it used), or null on failure.
+ */
+export const generateImageContent = async (prompt, { route, count = 1, aspectRatio = "1:1", seed = null } = {}) => {
+  const { provider, model } = providerFor(route, IMAGE_ROUTE_KEY, "image");
+
+  try {
+    const images = await provider.generateImages({ model, prompt, sampleCount: count, aspectRatio, seed });
+    if (images.length === 0) return null;
+    return images.map((imageUrl, i) => ({ imageUrl, seed: seed === null ? null : seed + i }));
+  } catch (error) {
+    console.error("Image generation failed:", error);
     return null;
   }
 };
 
 
 /**
- * Generates speech audio from text using TTS model.
+ * Synthesizes speech as a WAV Blob, for callers that cache or concatenate clips.
  * @param {string} text - The text to synthesize.
  * @param {string} voiceName - The desired voice (e.g., 'Kore', 'Puck').
- * @returns {Promise<string>} - A blob URL for the WAV audio, or null on failure.
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Gemini TTS.
+ * @returns {Promise<Blob|null>} - The WAV audio, or null on failure.
  */
-export const generateTTSAudio = async (text, voiceName = "Kore") => {
-  const apiUrl = `${BASE_URL_TTS}?key=${API_KEY}`;
+export const generateSpeechClip = async (text, voiceName = "Kore", { route } = {}) => {
+  const { provider, model } = providerFor(route, TTS_ROUTE_KEY, "tts");
 
-  // Simple prompt to control style, tone, or accent
-  const ttsPrompt = `Say clearly: "${text}"`;
-
-  const payload = {
-    contents: [{ parts: [{ text: ttsPrompt }] }],
-    generationConfig: {
-      responseModalities: ["AUDIO"],
-      speechConfig: {
-        voiceConfig: {
-          prebuiltVoiceConfig: { voiceName: voiceName }
-        }
-      }
-    },
-    model: "gemini-2.5-flash-preview-tts"
-  };
-
-  const options = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
+  try {
+    return await provider.generateSpeech({ model, text, voiceName });
+  } catch (error) {
+    console.error("TTS generation failed or returned invalid data:", error);
+    return null;
+  }
+};
 
-  const result = await fetchWithRetry(apiUrl, options);
-  const part = result?.candidates?.[0]?.content?.parts?.[0];
-  const audioData = part?.inlineData?.data;
-  const mimeType = part?.inlineData?.mimeType;
+/**
+ * Generates speech audio from text using TTS model.
+ * @param {string} text - The text to synthesize.
+ * @param {string} voiceName - The desired voice (e.g., 'Kore', 'Puck').
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Gemini TTS.
+ * @returns {Promise<string>} - A blob URL for the WAV audio, or null on failure.
+ */
+export const generateTTSAudio = async (text, voiceName = "Kore", { route } = {}) => {
+  const wavBlob = await generateSpeechClip(text, voiceName, { route });
+  return wavBlob ? URL.createObjectURL(wavBlob) : null;
+};
 
-  if (audioData && mimeType && mimeType.startsWith("audio/L16")) {
-    // Extract sample rate from mimeType: "audio/L16;rate=24000"
-    const rateMatch = mimeType.match(/rate=(\d+)/);
-    const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000; 
-    
-    // 1. Convert Base64 to ArrayBuffer
-    const pcmData = base64ToArrayBuffer(audioData);
-    
-    // 2. Convert to Int16Array (API returns signed PCM16)
-    const pcm16 = new Int16Array(pcmData);
 
-    // 3. Convert PCM16 to WAV Blob
-    const wavBlob = pcmToWav(pcm16, sampleRate);
+/**
+ * Transcribes a recording (Speech-to-Text).
+ * @param {{mimeType: string, data: string}} audio - Base64 audio, e.g. from speechInput.transcribeRecording.
+ * @param {object} [options]
+ * @param {object} [options.route] - Provider route; defaults to Gemini audio input.
+ * @param {object} [options.provider] - Provider instance to use instead of the route's,
+ *   e.g. the fake provider from providers/fakeTranscriptionProvider.js for offline testing.
+ * @returns {Promise<string|null>} - The transcript, or null on failure.
+ */
+export const transcribeAudio = async (audio, { route, provider: providerOverride } = {}) => {
+  const { provider, model } = providerOverride ? { provider: providerOverride, model: "fake" } : providerFor(route, STT_ROUTE_KEY, "stt");
 
-    // 4. Create and return a Blob URL
-    return URL.createObjectURL(wavBlob);
-  } else {
-    console.error("TTS generation failed or returned invalid data:", result);
+  try {
+    return await provider.transcribeAudio({ model, audio });
+  } catch (error) {
+    console.error("Transcription failed:", error);
     return null;
   }
 };
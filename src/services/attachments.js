@@ -0,0 +1,186 @@
+/**
+ * src/services/attachments.js
+ *
+ * Files attached to a prompt (images, PDFs, text and source files). They are read in
+ * the browser, checked against ATTACHMENT_LIMITS (Gemini caps inline request data at
+ * 20 MB, and base64 adds a third), large images are downscaled, and each file is sent
+ * to the model as an `inlineData` part.
+ *
+ * Only metadata and a small image thumbnail are saved with the chat message (Firestore
+ * documents are limited to 1 MB):
+ *   { name, mimeType, kind: "image" | "pdf" | "text", size, thumbnail? }
+ * The file contents are sent with their own prompt only and are not kept: later turns
+ * just tell the model which files were attached, and the chat shows that the file has
+ * to be attached again to ask about it.
+ */
+
+import { arrayBufferToBase64 } from './audio';
+
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 5,
+  maxFileBytes: 7 * 1024 * 1024,
+  maxTotalBytes: 14 * 1024 * 1024,
+  maxTextBytes: 1024 * 1024,
+  maxImageDimension: 1536, // Longest side sent to the model
+  thumbnailDimension: 160,
+};
+
+// Image formats the model accepts as-is; others (GIF, BMP, ...) are re-encoded.
+const MODEL_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+// Source and data files that browsers often report without a text/* type.
+const TEXT_EXTENSIONS = [
+  "txt", "md", "csv", "tsv", "json", "xml", "yaml", "yml", "html", "css", "sql", "sh", "log",
+  "js", "jsx", "ts", "tsx", "py", "java", "c", "h", "cpp", "hpp", "cs", "go", "rs", "rb", "php",
+  "swift", "kt", "scala", "r", "m", "lua", "pl", "dart", "vue", "svelte", "toml", "ini",
+];
+
+// For the file picker's `accept` attribute.
+export const ATTACHMENT_ACCEPT = ["image/*", "application/pdf", "text/*", ...TEXT_EXTENSIONS.map(ext => `.${ext}`)].join(",");
+
+/**
+ * Classifies a file.
+ * @param {{name: string, type: string}} file
+ * @returns {"image"|"pdf"|"text"|null} - Null when the file type isn't supported.
+ */
+export const attachmentKind = (file) => {
+  const extension = (file.name.split(".").pop() || "").toLowerCase();
+  if (file.type.startsWith("image/")) return "image";
+  if (file.type === "application/pdf" || extension === "pdf") return "pdf";
+  if (file.type.startsWith("text/") || TEXT_EXTENSIONS.includes(extension)) return "text";
+  return null;
+};
+
+/**
+ * Formats a byte count for chips and error messages.
+ * @param {number} bytes
+ * @returns {string} - e.g. "340 KB", "2.1 MB".
+ */
+export const formatBytes = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+const loadImage = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("This image could not be read."));
+  };
+  image.src = url;
+});
+
+// Draws the image with its longest side at most `maxDimension`, on white (for transparent PNGs).
+const drawScaled = (image, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const canvasToBlob = (canvas, quality) =>
+  new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", quality));
+
+/**
+ * Reads an image, downscaling it when it is larger than maxImageDimension (or in a
+ * format the model doesn't take), and makes the thumbnail saved with the chat.
+ * @param {File} file
+ * @returns {Promise<{mimeType: string, blob: Blob, thumbnail: string}>}
+ */
+const prepareImage = async (file) => {
+  const image = await loadImage(file);
+  const oversized = Math.max(image.naturalWidth, image.naturalHeight) > ATTACHMENT_LIMITS.maxImageDimension;
+  const blob = oversized || !MODEL_IMAGE_TYPES.includes(file.type)
+    ? await canvasToBlob(drawScaled(image, ATTACHMENT_LIMITS.maxImageDimension), 0.85)
+    : file;
+  const thumbnail = drawScaled(image, ATTACHMENT_LIMITS.thumbnailDimension).toDataURL("image/jpeg", 0.7);
+  return { mimeType: blob === file ? file.type : "image/jpeg", blob, thumbnail };
+};
+
+/**
+ * A small JPEG preview of an image (also used for generated images, see imageStore.js).
+ * @param {Blob} blob - The image.
+ * @param {number} [maxDimension] - Longest side in px.
+ * @returns {Promise<string>} - JPEG data URL.
+ */
+export const imageThumbnail = async (blob, maxDimension = ATTACHMENT_LIMITS.thumbnailDimension) =>
+  drawScaled(await loadImage(blob), maxDimension).toDataURL("image/jpeg", 0.7);
+
+/**
+ * Reads a file into an attachment ready to send.
+ * @param {File} file
+ * @returns {Promise<{name: string, mimeType: string, kind: string, size: number, data: string, thumbnail?: string}>}
+ *   `data` is base64; `size` is the size sent (after downscaling).
+ * @throws {Error} With a user-facing message if the file type or size isn't supported.
+ */
+export const readAttachment = async (file) => {
+  const kind = attachmentKind(file);
+  if (!kind) throw new Error(`${file.name}: only images, PDFs and text or source files can be attached.`);
+
+  let mimeType = file.type;
+  let blob = file;
+  let thumbnail;
+  if (kind === "image") {
+    ({ mimeType, blob, thumbnail } = await prepareImage(file));
+  } else if (kind === "text") {
+    if (file.size > ATTACHMENT_LIMITS.maxTextBytes) {
+      throw new Error(`${file.name} is too large (text files up to ${formatBytes(ATTACHMENT_LIMITS.maxTextBytes)}).`);
+    }
+    mimeType = "text/plain"; // Source files are sent as plain text, which every model accepts
+  } else {
+    mimeType = "application/pdf";
+  }
+  if (blob.size > ATTACHMENT_LIMITS.maxFileBytes) {
+    throw new Error(`${file.name} is too large (up to ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)} per file).`);
+  }
+
+  return {
+    name: file.name,
+    mimeType,
+    kind,
+    size: blob.size,
+    data: arrayBufferToBase64(await blob.arrayBuffer()),
+    ...(thumbnail ? { thumbnail } : {}),
+  };
+};
+
+/**
+ * Checks whether more attachments fit next to the current ones.
+ * @param {Array<{size: number}>} current
+ * @param {Array<{size: number}>} added
+ * @returns {string|null} - A user-facing error, or null if they fit.
+ */
+export const checkAttachmentLimits = (current, added) => {
+  const all = [...current, ...added];
+  if (all.length > ATTACHMENT_LIMITS.maxFiles) return `You can attach up to ${ATTACHMENT_LIMITS.maxFiles} files per message.`;
+  const total = all.reduce((sum, attachment) => sum + attachment.size, 0);
+  if (total > ATTACHMENT_LIMITS.maxTotalBytes) return `Attachments are limited to ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)} per message.`;
+  return null;
+};
+
+/**
+ * Request parts for a prompt's attachments: a label with the file name, then the data.
+ * @param {Array<object>} attachments - From readAttachment.
+ * @returns {Array<object>}
+ */
+export const toInlineParts = (attachments = []) => attachments.flatMap(attachment => [
+  { text: `\n[Attached file: ${attachment.name}]` },
+  { inlineData: { mimeType: attachment.mimeType, data: attachment.data } },
+]);
+
+/**
+ * The part of an attachment saved with the chat message (no file contents).
+ * @param {object} attachment - From readAttachment.
+ * @returns {{name: string, mimeType: string, kind: string, size: number, thumbnail?: string}}
+ */
+export const toSavedAttachment = ({ name, mimeType, kind, size, thumbnail }) =>
+  ({ name, mimeType, kind, size, ...(thumbnail ? { thumbnail } : {}) });
@@ -0,0 +1,219 @@
+/**
+ * src/services/audio.js
+ *
+ * Audio conversion helpers for TTS output (Gemini returns raw signed 16-bit PCM; long
+ * answers are joined from sentence clips) and for speech input (recordings are
+ * re-encoded as 16 kHz mono WAV before transcription).
+ */
+
+/**
+ * Converts a base64 string to an ArrayBuffer. Needed for processing PCM audio.
+ * @param {string} base64 - The base64 string.
+ * @returns {ArrayBuffer}
+ */
+export const base64ToArrayBuffer = (base64) => {
+  const binaryString = atob(base64);
+  const len = binaryString.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Converts signed 16-bit PCM data to a WAV Blob.
+ * @param {Int16Array} pcm16 - PCM audio data.
+ * @param {number} sampleRate - The audio sample rate.
+ * @returns {Blob} - A Blob containing the WAV file.
+ */
+export const pcmToWav = (pcm16, sampleRate = 24000) => {
+  const numChannels = 1;
+  const bytesPerSample = 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const byteRate = sampleRate * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + pcm16.byteLength);
+  const view = new DataView(buffer);
+
+  // RIFF identifier
+  writeString(view, 0, 'RIFF');
+  // RIFF chunk length
+  view.setUint32(4, 36 + pcm16.byteLength, true);
+  // RIFF type
+  writeString(view, 8, 'WAVE');
+  // format chunk identifier
+  writeString(view, 12, 'fmt ');
+  // format chunk length
+  view.setUint32(16, 16, true);
+  // sample format (1 = PCM)
+  view.setUint16(20, 1, true);
+  // number of channels
+  view.setUint16(22, numChannels, true);
+  // sample rate
+  view.setUint32(24, sampleRate, true);
+  // byte rate (sample rate * block align)
+  view.setUint32(28, byteRate, true);
+  // block align (num channels * bytes per sample)
+  view.setUint16(32, blockAlign, true);
+  // bits per sample
+  view.setUint16(34, 16, true);
+  // data chunk identifier
+  writeString(view, 36, 'data');
+  // data chunk length
+  view.setUint32(40, pcm16.byteLength, true);
+
+  // Write PCM data
+  let offset = 44;
+  for (let i = 0; i < pcm16.length; i++) {
+    view.setInt16(offset, pcm16[i], true);
+    offset += 2;
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+
+  function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  }
+};
+
+/**
+ * Converts an ArrayBuffer to a base64 string (for inlineData uploads).
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large recordings don't overflow the argument limit of fromCharCode.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Averages the channels of an AudioBuffer-like object into one.
+ * @param {{numberOfChannels: number, length: number, getChannelData: function(number): Float32Array}} audioBuffer
+ * @returns {Float32Array}
+ */
+export const downmixToMono = (audioBuffer) => {
+  const { numberOfChannels, length } = audioBuffer;
+  if (numberOfChannels === 1) return audioBuffer.getChannelData(0);
+  const mono = new Float32Array(length);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / numberOfChannels;
+  }
+  return mono;
+};
+
+/**
+ * Resamples by linear interpolation. Good enough for speech sent to a recognizer.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export const resampleLinear = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return output;
+};
+
+/**
+ * Converts float samples in [-1, 1] to signed 16-bit PCM, clipping out-of-range values.
+ * @param {Float32Array} samples
+ * @returns {Int16Array}
+ */
+export const floatToPcm16 = (samples) => {
+  const pcm16 = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm16[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm16;
+};
+
+/**
+ * Encodes a decoded recording as mono 16-bit WAV at `sampleRate`.
+ * @param {object} audioBuffer - An AudioBuffer (or anything with the same shape).
+ * @param {number} [sampleRate] - Target rate; 16 kHz is what speech models expect.
+ * @returns {Blob}
+ */
+export const audioBufferToWav = (audioBuffer, sampleRate = 16000) =>
+  pcmToWav(floatToPcm16(resampleLinear(downmixToMono(audioBuffer), audioBuffer.sampleRate, sampleRate)), sampleRate);
+
+/**
+ * Reads the format and sample data of a PCM WAV file. Walks the chunk list, so extra
+ * chunks (LIST, fact) are skipped, and tolerates the 0xFFFFFFFF sizes streaming encoders write.
+ * @param {ArrayBuffer} buffer
+ * @returns {{sampleRate: number, channels: number, bitsPerSample: number, data: Uint8Array}}
+ * @throws {Error} If the data is not a PCM WAV file.
+ */
+export const parseWav = (buffer) => {
+  const view = new DataView(buffer);
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+  if (buffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+    throw new Error("Not a WAV file.");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const id = tag(offset);
+    const size = Math.min(view.getUint32(offset + 4, true), buffer.byteLength - offset - 8);
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(offset + 8, true),
+        channels: view.getUint16(offset + 10, true),
+        sampleRate: view.getUint32(offset + 12, true),
+        bitsPerSample: view.getUint16(offset + 22, true),
+      };
+    } else if (id === 'data') {
+      if (!format || format.audioFormat !== 1) throw new Error("Only PCM WAV files are supported.");
+      return {
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        data: new Uint8Array(buffer, offset + 8, size),
+      };
+    }
+    offset += 8 + size + (size % 2); // Chunks are padded to an even length
+  }
+  throw new Error("WAV file has no data chunk.");
+};
+
+/**
+ * Joins mono 16-bit WAV clips (e.g. the sentences of a long answer) into one file.
+ * @param {Array<ArrayBuffer>} buffers - WAV files in playback order.
+ * @returns {Blob}
+ * @throws {Error} If the clips are not mono 16-bit PCM at the same sample rate.
+ */
+export const concatWav = (buffers) => {
+  const clips = buffers.map(parseWav);
+  if (clips.length === 0) throw new Error("No audio to join.");
+  const { sampleRate } = clips[0];
+  if (clips.some(clip => clip.sampleRate !== sampleRate || clip.channels !== 1 || clip.bitsPerSample !== 16)) {
+    throw new Error("Audio clips must be mono 16-bit PCM at the same sample rate.");
+  }
+
+  // Even byte length per clip, so the joined data stays sample-aligned
+  const lengths = clips.map(clip => clip.data.byteLength - (clip.data.byteLength % 2));
+  const bytes = new Uint8Array(lengths.reduce((sum, length) => sum + length, 0));
+  let offset = 0;
+  clips.forEach((clip, i) => {
+    bytes.set(clip.data.subarray(0, lengths[i]), offset);
+    offset += lengths[i];
+  });
+  return pcmToWav(new Int16Array(bytes.buffer), sampleRate);
+};
@@ -0,0 +1,71 @@
+/**
+ * src/services/challengeStore.js
+ *
+ * Firestore persistence for Daily Challenge attempts and streaks.
+ *
+ *   /artifacts/{appId}/users/{uid}/challenges/{YYYY-MM-DD}
+ *       { challengeId, type, attempts, passed, score, feedback, submission, lastAttemptAt, completedAt }
+ *   /artifacts/{appId}/users/{uid}/metadata/challengeStreak
+ *       { current, longest, lastCompletedDate }
+ */
+
+import { doc, runTransaction } from 'firebase/firestore';
+import { advanceStreak } from './dailyChallenge';
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} dateKey - YYYY-MM-DD.
+ * @returns {object} - DocumentReference of that day's challenge state.
+ */
+export const getChallengeDocRef = (db, uid, dateKey) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/challenges/${dateKey}`);
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - DocumentReference of the user's streak.
+ */
+export const getStreakDocRef = (db, uid) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/metadata/challengeStreak`);
+
+/**
+ * Saves a graded attempt. A passed day stays passed; later attempts are ignored.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} challenge - From `pickDailyChallenge`.
+ * @param {string} submission - The player's answer.
+ * @param {{passed: boolean, score: number, feedback: string}} result - From `toChallengeResult`.
+ * @param {number} now - Current time in ms.
+ * @returns {Promise<{newlyCompleted: boolean, streak: object|null}>}
+ */
+export const recordChallengeAttempt = async (db, uid, challenge, submission, result, now) => {
+  const dayRef = getChallengeDocRef(db, uid, challenge.dateKey);
+  const streakRef = getStreakDocRef(db, uid);
+
+  return runTransaction(db, async (transaction) => {
+    const [daySnap, streakSnap] = await Promise.all([transaction.get(dayRef), transaction.get(streakRef)]);
+    const day = daySnap.exists() ? daySnap.data() : null;
+    const storedStreak = streakSnap.exists() ? streakSnap.data() : null;
+    if (day?.passed) return { newlyCompleted: false, streak: storedStreak };
+
+    transaction.set(dayRef, {
+      challengeId: challenge.id,
+      type: challenge.type,
+      attempts: (day?.attempts || 0) + 1,
+      passed: result.passed,
+      score: result.score,
+      feedback: result.feedback,
+      submission,
+      lastAttemptAt: now,
+      completedAt: result.passed ? now : null,
+    });
+    if (!result.passed) return { newlyCompleted: false, streak: storedStreak };
+
+    const streak = advanceStreak(storedStreak, challenge.dateKey);
+    transaction.set(streakRef, streak);
+    return { newlyCompleted: true, streak };
+  });
+};
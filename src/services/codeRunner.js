@@ -0,0 +1,174 @@
+/**
+ * src/services/codeRunner.js
+ *
+ * Runs code blocks from answers in isolation. Each run gets a fresh hidden iframe with
+ * `sandbox="allow-scripts"` (an opaque origin, so the code can't reach the app's
+ * storage, cookies or Firebase session) which starts a Web Worker and relays its
+ * messages. The code runs in the worker, so an infinite loop can't freeze the page:
+ * removing the iframe on timeout kills it.
+ *
+ * JavaScript runs as the body of an async function (top-level `await` works).
+ * Python runs on Pyodide, downloaded from the CDN on first use. Console output (or
+ * stdout/stderr) is captured until the code returns; output from timers that fire
+ * later is not.
+ */
+
+export const RUN_TIMEOUT_MS = 5000;
+// Loading Pyodide and the packages a snippet imports takes a while on first use.
+const PYTHON_LOAD_TIMEOUT_MS = 60000;
+const PYODIDE_URL = "https://cdn.jsdelivr.net/pyodide/v0.26.2/full/pyodide.js";
+
+const MAX_LOG_LINES = 500;
+const MAX_LOG_LENGTH = 2000;
+
+// Code block language -> runtime.
+const RUNTIMES = { js: "javascript", javascript: "javascript", python: "python", py: "python" };
+
+/**
+ * Which runtime can run a code block, if any.
+ * @param {string} language - From markdown.codeLanguage.
+ * @param {object} [options]
+ * @param {boolean} [options.python] - Whether Python (Pyodide) is enabled.
+ * @returns {string|null} - "javascript", "python" or null.
+ */
+export const runtimeFor = (language, { python = false } = {}) => {
+  const runtime = RUNTIMES[language] || null;
+  return runtime === "python" && !python ? null : runtime;
+};
+
+// Runs inside the worker. Kept as source text (not a function's toString) so bundler
+// transforms can't make it reference helpers that don't exist in the worker.
+const WORKER_SOURCE = `
+const send = (message) => self.postMessage(message);
+const format = (value) => {
+  if (typeof value === "string") return value;
+  if (value instanceof Error) return value.stack || String(value);
+  try {
+    const json = JSON.stringify(value, null, 2);
+    return json === undefined ? String(value) : json;
+  } catch (error) {
+    return String(value);
+  }
+};
+const fail = (error) => send({
+  type: "error",
+  message: String((error && error.message) || error),
+  stack: String((error && error.stack) || ""),
+});
+
+["log", "info", "warn", "error", "debug"].forEach((level) => {
+  console[level] = (...args) => send({ type: "log", level, text: args.map(format).join(" ") });
+});
+self.onunhandledrejection = (event) => fail(event.reason);
+
+self.onmessage = async ({ data: { code, runtime, pyodideUrl } }) => {
+  try {
+    if (runtime === "python") {
+      importScripts(pyodideUrl);
+      const pyodide = await loadPyodide({
+        stdout: (text) => send({ type: "log", level: "log", text }),
+        stderr: (text) => send({ type: "log", level: "error", text }),
+      });
+      await pyodide.loadPackagesFromImports(code);
+      send({ type: "started" });
+      await pyodide.runPythonAsync(code);
+    } else {
+      const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+      send({ type: "started" });
+      await new AsyncFunction(code)();
+    }
+    send({ type: "done" });
+  } catch (error) {
+    fail(error);
+  }
+};
+`;
+
+const FRAME_HTML = `<!DOCTYPE html><script>
+const source = ${JSON.stringify(WORKER_SOURCE)};
+window.addEventListener("message", (event) => {
+  if (event.source !== parent) return;
+  const worker = new Worker(URL.createObjectURL(new Blob([source], { type: "text/javascript" })));
+  worker.onmessage = (message) => parent.postMessage(message.data, "*");
+  worker.onerror = (error) => parent.postMessage({ type: "error", message: error.message, stack: "" }, "*");
+  worker.postMessage(event.data);
+});
+parent.postMessage({ type: "frame-ready" }, "*");
+</script>`;
+
+/**
+ * Runs a snippet.
+ * @param {string} code
+ * @param {string} runtime - From runtimeFor.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Limit on the run itself (runtime loading excluded).
+ * @returns {Promise<{logs: Array<{level: string, text: string}>, error: {message: string, stack: string}|null,
+ *   timedOut: boolean, durationMs: number}>} - Never rejects; failures are reported in `error`.
+ */
+export const runCode = (code, runtime, { timeoutMs = RUN_TIMEOUT_MS } = {}) => new Promise((resolve) => {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("sandbox", "allow-scripts");
+  frame.style.display = "none";
+  frame.srcdoc = FRAME_HTML;
+
+  const logs = [];
+  let startedAt = performance.now();
+  let timer = null;
+
+  const finish = (result) => {
+    clearTimeout(timer);
+    window.removeEventListener("message", onMessage);
+    frame.remove(); // Terminates the worker
+    resolve({ logs, error: null, timedOut: false, durationMs: Math.round(performance.now() - startedAt), ...result });
+  };
+
+  const onMessage = (event) => {
+    if (event.source !== frame.contentWindow) return;
+    const message = event.data || {};
+    if (message.type === "frame-ready") {
+      frame.contentWindow.postMessage({ code, runtime, pyodideUrl: PYODIDE_URL }, "*");
+    } else if (message.type === "started") {
+      startedAt = performance.now();
+      clearTimeout(timer);
+      timer = setTimeout(() => finish({ timedOut: true }), timeoutMs);
+    } else if (message.type === "log") {
+      if (logs.length < MAX_LOG_LINES) logs.push({ level: message.level, text: String(message.text).slice(0, MAX_LOG_LENGTH) });
+      else if (logs.length === MAX_LOG_LINES) logs.push({ level: "warn", text: "(Further output truncated.)" });
+    } else if (message.type === "done") {
+      finish({});
+    } else if (message.type === "error") {
+      finish({ error: { message: String(message.message), stack: String(message.stack || "") } });
+    }
+  };
+
+  window.addEventListener("message", onMessage);
+  const loadTimeoutMs = runtime === "python" ? PYTHON_LOAD_TIMEOUT_MS : timeoutMs;
+  timer = setTimeout(() => finish({ error: { message: "The runtime did not start in time.", stack: "" } }), loadTimeoutMs);
+  document.body.appendChild(frame);
+});
+
+/**
+ * Formats a run error for display: the message plus the stack trace.
+ * @param {{message: string, stack: string}} error - From runCode.
+ * @returns {string}
+ */
+export const formatRunError = ({ message, stack }) =>
+  // V8 stacks start with the message; Firefox and Safari stacks don't include it
+  (stack && stack.includes(message) ? stack : [message, stack].filter(Boolean).join("\n"));
+
+/**
+ * Builds the "Fix this error" follow-up prompt.
+ * @param {string} code
+ * @param {string} runtime - "javascript" or "python".
+ * @param {object} result - From runCode (with an error or a timeout).
+ * @returns {string}
+ */
+export const buildFixPrompt = (code, runtime, result) => {
+  const failure = result.timedOut
+    ? `It did not finish within ${RUN_TIMEOUT_MS / 1000} seconds (possible infinite loop or unresolved promise).`
+    : `It failed with this error:\n\`\`\`\n${formatRunError(result.error)}\n\`\`\``;
+  const output = result.logs.length > 0
+    ? `\n\nConsole output before it stopped:\n\`\`\`\n${result.logs.slice(-20).map(log => log.text).join("\n")}\n\`\`\``
+    : "";
+  return `I ran this ${runtime} code:\n\`\`\`${runtime}\n${code}\n\`\`\`\n\n${failure}${output}\n\nExplain what causes the problem and give a corrected version of the code.`;
+};
@@ -0,0 +1,131 @@
+/**
+ * src/services/conversationContext.js
+ *
+ * Builds the multi-turn `contents` array sent to Gemini from the visible chat thread.
+ * Older turns are dropped once the token budget is exhausted and replaced by a short
+ * digest that callers can append to the system instruction.
+ *
+ * Everything in this module is pure so it can be exercised without a live API.
+ */
+
+// Default number of (estimated) tokens of prior conversation sent with each request.
+export const DEFAULT_CONTEXT_TOKEN_BUDGET = 6000;
+
+// Rough heuristic used by Google for English text: ~4 characters per token.
+const CHARS_PER_TOKEN = 4;
+
+// Maximum length of a single prompt excerpt inside the digest of trimmed turns.
+const DIGEST_EXCERPT_LENGTH = 80;
+
+// Maximum length of the whole digest; the oldest excerpts are left out beyond it.
+export const MAX_DIGEST_LENGTH = 600;
+
+/**
+ * Estimates the token count of a string without calling the countTokens endpoint.
+ * @param {string} text - The text to measure.
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil((text || "").length / CHARS_PER_TOKEN);
+
+/**
+ * Returns the text the model produced for a chat entry, or null if the entry
+ * should not be replayed (images, placeholders, failed generations).
+ * @param {object} chat - A chat entry as stored in `chats` / Firestore.
+ * @returns {string|null}
+ */
+const getModelText = (chat) => {
+  if (chat.isImage || !chat.ai) return null;
+  if (chat.isStructuredStudy && Array.isArray(chat.structuredData)) {
+    return `${chat.ai}\n${JSON.stringify(chat.structuredData)}`;
+  }
+  return chat.ai;
+};
+
+/**
+ * Converts the visible chat thread into alternating user/model turns.
+ * @param {Array<object>} chats - Chat entries, oldest first.
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>}
+ */
+export const chatsToTurns = (chats = []) => {
+  const turns = [];
+  chats.forEach(chat => {
+    const modelText = getModelText(chat);
+    if (!chat.user || !modelText) return;
+    // Attachments aren't stored, so later turns only know their names (the model can ask for them again)
+    const attached = (chat.attachments || []).map(attachment => attachment.name);
+    turns.push({ role: "user", parts: [{ text: attached.length > 0 ? `${chat.user}\n[Attached, contents no longer available: ${attached.join(", ")}]` : chat.user }] });
+    turns.push({ role: "model", parts: [{ text: modelText }] });
+  });
+  return turns;
+};
+
+/**
+ * Produces a one-paragraph digest of turns that no longer fit in the budget. It is
+ * capped at MAX_DIGEST_LENGTH characters, keeping the most recent topics.
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} droppedTurns
+ * @returns {string} - Empty string when nothing was dropped.
+ */
+export const summarizeDroppedTurns = (droppedTurns) => {
+  const topics = droppedTurns
+    .filter(turn => turn.role === "user")
+    .map(turn => {
+      const text = turn.parts[0].text.replace(/\s+/g, " ").trim();
+      return `"${text.length > DIGEST_EXCERPT_LENGTH ? `${text.slice(0, DIGEST_EXCERPT_LENGTH)}...` : text}"`;
+    });
+  if (topics.length === 0) return "";
+  const prefix = "Earlier in this conversation the user asked about: ";
+  let length = prefix.length + 1;
+  let first = topics.length;
+  while (first > 0 && length + topics[first - 1].length + 2 <= MAX_DIGEST_LENGTH) {
+    first -= 1;
+    length += topics[first].length + 2;
+  }
+  return `${prefix}${topics.slice(first).join("; ")}.`;
+};
+
+/**
+ * Builds the request `contents` for a new prompt, replaying as much of the thread
+ * as fits in `tokenBudget`. Turns are always dropped in user/model pairs, oldest
+ * first, so the remaining history still alternates roles. When turns are dropped,
+ * their digest counts against the budget too.
+ * @param {Array<object>} chats - The visible thread, oldest first.
+ * @param {string} userQuery - The new prompt (always included, even if over budget).
+ * @param {object} [options]
+ * @param {number} [options.tokenBudget] - Token budget for the request contents and digest.
+ * @returns {{contents: Array<object>, summary: string, droppedCount: number}}
+ */
+export const buildConversationContents = (chats, userQuery, { tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET } = {}) => {
+  const turns = chatsToTurns(chats);
+  const pairCost = (i) => estimateTokens(turns[i].parts[0].text) + estimateTokens(turns[i + 1].parts[0].text);
+  let remaining = tokenBudget - estimateTokens(userQuery);
+  let firstKept = turns.length;
+
+  for (let i = turns.length - 2; i >= 0; i -= 2) {
+    if (pairCost(i) > remaining) break;
+    remaining -= pairCost(i);
+    firstKept = i;
+  }
+
+  // Make room for the digest by dropping more of the oldest kept pairs
+  let summary = summarizeDroppedTurns(turns.slice(0, firstKept));
+  while (firstKept < turns.length && estimateTokens(summary) > remaining) {
+    remaining += pairCost(firstKept);
+    firstKept += 2;
+    summary = summarizeDroppedTurns(turns.slice(0, firstKept));
+  }
+
+  return {
+    contents: [...turns.slice(firstKept), { role: "user", parts: [{ text: userQuery }] }],
+    summary,
+    droppedCount: firstKept,
+  };
+};
+
+/**
+ * Appends the digest of trimmed turns (if any) to a system instruction.
+ * @param {string} systemInstruction - The base persona/mode instruction.
+ * @param {string} summary - Output of `buildConversationContents`.
+ * @returns {string}
+ */
+export const withConversationSummary = (systemInstruction, summary) =>
+  summary ? `${systemInstruction}\n\n${summary}` : systemInstruction;
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildConversationContents,
+  chatsToTurns,
+  estimateTokens,
+  summarizeDroppedTurns,
+  withConversationSummary,
+  MAX_DIGEST_LENGTH,
+} from './conversationContext';
+
+// A chat entry whose prompt and answer are each `tokens` estimated tokens long
+const chat = (id, tokens = 10) => ({
+  id,
+  user: `question ${id} `.padEnd(tokens * 4, "q"),
+  ai: `answer ${id} `.padEnd(tokens * 4, "a"),
+});
+
+const texts = (contents) => contents.map(turn => turn.parts[0].text);
+
+describe("chatsToTurns", () => {
+  it("alternates user and model turns and skips entries with nothing to replay", () => {
+    const turns = chatsToTurns([
+      chat(1),
+      { id: 2, user: "draw a cat", ai: "", isImage: true, imageUrl: "data:image/png;base64,AA" },
+      { id: 3, user: "pending", ai: "" },
+      chat(4),
+    ]);
+    expect(turns.map(turn => turn.role)).toEqual(["user", "model", "user", "model"]);
+    expect(turns[2].parts[0].text).toBe(chat(4).user);
+  });
+
+  it("lists attachment names after the prompt, without their contents", () => {
+    const [userTurn] = chatsToTurns([{ ...chat(1), attachments: [{ name: "notes.pdf" }, { name: "cat.png" }] }]);
+    expect(userTurn.parts).toHaveLength(1);
+    expect(userTurn.parts[0].text).toBe(`${chat(1).user}\n[Attached, contents no longer available: notes.pdf, cat.png]`);
+  });
+});
+
+describe("buildConversationContents", () => {
+  it("sends the whole thread when it fits", () => {
+    const { contents, summary, droppedCount } = buildConversationContents([chat(1), chat(2)], "next", { tokenBudget: 1000 });
+    expect(texts(contents)).toEqual([chat(1).user, chat(1).ai, chat(2).user, chat(2).ai, "next"]);
+    expect(summary).toBe("");
+    expect(droppedCount).toBe(0);
+  });
+
+  it("drops the oldest turns first to stay within the budget", () => {
+    const chats = [chat(1), chat(2), chat(3), chat(4)];
+    const { contents, droppedCount } = buildConversationContents(chats, "next", { tokenBudget: 80 });
+    expect(droppedCount).toBeGreaterThan(0);
+    expect(contents.at(-3).parts[0].text).toBe(chat(4).user);
+    expect(contents.at(-2).parts[0].text).toBe(chat(4).ai);
+    expect(contents.at(-1).parts[0].text).toBe("next");
+  });
+
+  it("drops user and model turns in pairs so roles still alternate", () => {
+    // The newest answer alone fits, but not together with its question
+    const chats = [chat(1), { id: 2, user: "q".repeat(200), ai: "a".repeat(40) }];
+    const { contents, droppedCount } = buildConversationContents(chats, "next", { tokenBudget: 60 });
+    expect(droppedCount % 2).toBe(0);
+    const roles = contents.map(turn => turn.role);
+    roles.forEach((role, i) => expect(role).toBe(i % 2 === 0 ? "user" : "model"));
+    expect(roles.at(-1)).toBe("user");
+  });
+
+  it("always includes the new prompt, even over budget", () => {
+    const { contents, droppedCount } = buildConversationContents([chat(1)], "x".repeat(400), { tokenBudget: 10 });
+    expect(texts(contents)).toEqual(["x".repeat(400)]);
+    expect(droppedCount).toBe(2);
+  });
+
+  it("counts the digest of dropped turns against the budget", () => {
+    const chats = Array.from({ length: 30 }, (_, i) => chat(i + 1, 20));
+    const tokenBudget = 500;
+    const { contents, summary } = buildConversationContents(chats, "next", { tokenBudget });
+    expect(summary).not.toBe("");
+    const used = texts(contents).reduce((total, text) => total + estimateTokens(text), 0) + estimateTokens(summary);
+    expect(used).toBeLessThanOrEqual(tokenBudget);
+  });
+});
+
+describe("summarizeDroppedTurns", () => {
+  it("lists the user's prompts from the dropped turns", () => {
+    const summary = summarizeDroppedTurns(chatsToTurns([
+      { id: 1, user: "What is   photosynthesis?", ai: "..." },
+      { id: 2, user: "And respiration?", ai: "..." },
+    ]));
+    expect(summary).toBe('Earlier in this conversation the user asked about: "What is photosynthesis?"; "And respiration?".');
+  });
+
+  it("returns an empty string when nothing was dropped", () => {
+    expect(summarizeDroppedTurns([])).toBe("");
+  });
+
+  it("shortens long prompts", () => {
+    const summary = summarizeDroppedTurns(chatsToTurns([{ id: 1, user: "w".repeat(200), ai: "..." }]));
+    expect(summary).toContain(`"${"w".repeat(80)}..."`);
+  });
+
+  it("is capped, keeping the most recent prompts", () => {
+    const chats = Array.from({ length: 50 }, (_, i) => ({ id: i, user: `Topic number ${i}`, ai: "..." }));
+    const summary = summarizeDroppedTurns(chatsToTurns(chats));
+    expect(summary.length).toBeLessThanOrEqual(MAX_DIGEST_LENGTH);
+    expect(summary).toContain('"Topic number 49".');
+    expect(summary).not.toContain('"Topic number 0"');
+  });
+});
+
+describe("withConversationSummary", () => {
+  it("appends the digest to the system instruction", () => {
+    expect(withConversationSummary("Be brief.", "Earlier...")).toBe("Be brief.\n\nEarlier...");
+    expect(withConversationSummary("Be brief.", "")).toBe("Be brief.");
+  });
+});
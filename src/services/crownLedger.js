@@ -0,0 +1,155 @@
+/**
+ * src/services/crownLedger.js
+ *
+ * Append-only Crown ledger in Firestore.
+ *
+ *   /artifacts/{appId}/users/{uid}/crownLedger/{entryId}
+ *       { reason, amount, sourceId, sourceLabel, balanceAfter, createdAt }
+ *   /artifacts/{appId}/users/{uid}/metadata/crownLedger
+ *       { balance, entryCount, updatedAt }  (running total, written with every entry)
+ *
+ * Entry IDs are derived from the action (`{reason}-{sourceId}`), so an action can be
+ * rewarded only once: favoriting the same message again, regenerating a quiz result,
+ * etc. never adds a second entry. Entries are never updated or deleted; Firestore
+ * rules should allow `create` only on the ledger collection.
+ */
+
+import { collection, doc, query, orderBy, runTransaction } from 'firebase/firestore';
+
+export const CROWN_REASONS = {
+  IMAGE: "image",
+  FAVORITE: "favorite",
+  QUIZ: "quiz",
+  CHALLENGE: "challenge",
+  PURCHASE: "purchase",
+  LEGACY: "legacy",
+};
+
+export const CROWN_REASON_LABELS = {
+  [CROWN_REASONS.IMAGE]: "Generated an image",
+  [CROWN_REASONS.FAVORITE]: "Favorited a response",
+  [CROWN_REASONS.QUIZ]: "Completed a quiz",
+  [CROWN_REASONS.CHALLENGE]: "Passed the Daily Challenge",
+  [CROWN_REASONS.PURCHASE]: "Store purchase",
+  [CROWN_REASONS.LEGACY]: "Balance carried over",
+};
+
+// Fixed rewards; quiz and challenge rewards are set by quiz.js and dailyChallenge.js.
+export const CROWN_AMOUNTS = {
+  [CROWN_REASONS.IMAGE]: 10,
+  [CROWN_REASONS.FAVORITE]: 1,
+};
+
+// Longest source description stored on an entry.
+const MAX_SOURCE_LABEL_LENGTH = 80;
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - CollectionReference of the user's ledger entries.
+ */
+export const getLedgerCollectionRef = (db, uid) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/crownLedger`);
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - DocumentReference of the running balance.
+ */
+export const getLedgerHeadRef = (db, uid) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/metadata/crownLedger`);
+
+/**
+ * Query for the full ledger, newest entry first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - Firestore Query.
+ */
+export const ledgerQuery = (db, uid) =>
+  query(getLedgerCollectionRef(db, uid), orderBy('createdAt', 'desc'));
+
+/**
+ * The Crown balance: the sum of every ledger entry.
+ * @param {Array<{amount: number}>} entries
+ * @returns {number}
+ */
+export const computeBalance = (entries) =>
+  entries.reduce((total, entry) => total + (Number(entry.amount) || 0), 0);
+
+/**
+ * ID of the ledger entry for an action; one entry per (reason, source).
+ * @param {string} reason - One of CROWN_REASONS.
+ * @param {string} sourceId - ID of the item the action was on.
+ * @returns {string}
+ */
+export const ledgerEntryId = (reason, sourceId) => `${reason}-${sourceId}`;
+
+/**
+ * Writes a ledger entry and the updated running balance inside a transaction.
+ * The caller must have read the head (and any other docs) first.
+ * @param {object} transaction - Firestore transaction.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object|null} head - Current head data, or null if none yet.
+ * @param {object} entryRef - DocumentReference of the new entry.
+ * @param {{reason: string, amount: number, sourceId: string, sourceLabel: string}} entry
+ * @param {number} now - Current time in ms.
+ * @returns {number} - The balance after the entry.
+ */
+export const appendLedgerEntry = (transaction, db, uid, head, entryRef, { reason, amount, sourceId, sourceLabel = "" }, now) => {
+  const { balance, entryCount } = head || { balance: 0, entryCount: 0 };
+  const balanceAfter = balance + amount;
+  transaction.set(entryRef, {
+    reason,
+    amount,
+    sourceId,
+    sourceLabel: String(sourceLabel).slice(0, MAX_SOURCE_LABEL_LENGTH),
+    balanceAfter,
+    createdAt: now,
+  });
+  transaction.set(getLedgerHeadRef(db, uid), { balance: balanceAfter, entryCount: entryCount + 1, updatedAt: now });
+  return balanceAfter;
+};
+
+/**
+ * Appends an entry unless the same action was already recorded.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} entry
+ * @param {string} entry.reason - One of CROWN_REASONS.
+ * @param {number} entry.amount - Crowns added (negative to spend).
+ * @param {string} entry.sourceId - ID of the source item (message, challenge, purchase).
+ * @param {string} [entry.sourceLabel] - Human-readable description of the source.
+ * @param {string} [entry.entryId] - Overrides the derived `{reason}-{sourceId}` ID.
+ * @returns {Promise<boolean>} - Whether the entry was added.
+ */
+export const recordCrownTransaction = async (db, uid, { entryId, ...entry }) => {
+  const entryRef = doc(getLedgerCollectionRef(db, uid), entryId || ledgerEntryId(entry.reason, entry.sourceId));
+  const now = Date.now();
+
+  return runTransaction(db, async (transaction) => {
+    const [entrySnap, headSnap] = await Promise.all([transaction.get(entryRef), transaction.get(getLedgerHeadRef(db, uid))]);
+    if (entrySnap.exists()) return false;
+
+    appendLedgerEntry(transaction, db, uid, headSnap.exists() ? headSnap.data() : null, entryRef, entry, now);
+    return true;
+  });
+};
+
+/**
+ * Moves a balance kept in the old `rewards.points` counter into the ledger as a
+ * single opening entry. Safe to call repeatedly.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {number} points - The legacy balance.
+ * @returns {Promise<boolean>} - Whether the entry was added.
+ */
+export const importLegacyBalance = (db, uid, points) =>
+  recordCrownTransaction(db, uid, {
+    reason: CROWN_REASONS.LEGACY,
+    amount: points,
+    sourceId: "rewards-points",
+    sourceLabel: "Crowns earned before the ledger",
+  });
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  CROWN_REASONS,
+  computeBalance,
+  ledgerEntryId,
+  recordCrownTransaction,
+  importLegacyBalance,
+} from './crownLedger';
+
+// In-memory Firestore: documents by path; transaction writes apply when the transaction succeeds
+const documents = vi.hoisted(() => new Map());
+
+vi.mock('firebase/firestore', () => {
+  const snapshot = (path) => ({
+    exists: () => documents.has(path),
+    data: () => structuredClone(documents.get(path)),
+  });
+  return {
+    collection: (db, path) => ({ path: path.replace(/^\//, "") }),
+    doc: (parent, path) => ({ path: parent?.path ? `${parent.path}/${path}` : path.replace(/^\//, "") }),
+    query: (ref) => ref,
+    orderBy: () => null,
+    runTransaction: async (db, update) => {
+      const writes = [];
+      const result = await update({
+        get: async (ref) => snapshot(ref.path),
+        set: (ref, data) => { writes.push([ref.path, structuredClone(data)]); },
+      });
+      writes.forEach(([path, data]) => documents.set(path, data));
+      return result;
+    },
+  };
+});
+
+const LEDGER = "artifacts/default-app-id/users/user-1/crownLedger";
+const HEAD = "artifacts/default-app-id/users/user-1/metadata/crownLedger";
+
+const ledgerEntries = () => [...documents.entries()]
+  .filter(([path]) => path.startsWith(`${LEDGER}/`))
+  .map(([path, data]) => ({ id: path.slice(LEDGER.length + 1), ...data }));
+
+const award = (changes) => recordCrownTransaction(null, "user-1", {
+  reason: CROWN_REASONS.FAVORITE,
+  amount: 1,
+  sourceId: "message-1",
+  sourceLabel: "What is SM-2?",
+  ...changes,
+});
+
+describe("computeBalance", () => {
+  it("sums the entries, spends included", () => {
+    expect(computeBalance([{ amount: 10 }, { amount: 5 }, { amount: -12 }])).toBe(3);
+    expect(computeBalance([])).toBe(0);
+  });
+
+  it("ignores malformed amounts", () => {
+    expect(computeBalance([{ amount: 10 }, { amount: "oops" }, {}])).toBe(10);
+  });
+});
+
+describe("ledgerEntryId", () => {
+  it("derives one ID per reason and source", () => {
+    expect(ledgerEntryId(CROWN_REASONS.QUIZ, "message-1")).toBe("quiz-message-1");
+  });
+});
+
+describe("recordCrownTransaction", () => {
+  beforeEach(() => documents.clear());
+
+  it("appends an entry and updates the running balance", async () => {
+    expect(await award({ reason: CROWN_REASONS.IMAGE, amount: 10 })).toBe(true);
+    expect(ledgerEntries()).toEqual([expect.objectContaining({
+      id: "image-message-1",
+      reason: CROWN_REASONS.IMAGE,
+      amount: 10,
+      sourceId: "message-1",
+      sourceLabel: "What is SM-2?",
+      balanceAfter: 10,
+    })]);
+    expect(documents.get(HEAD)).toMatchObject({ balance: 10, entryCount: 1 });
+  });
+
+  it("rewards an action only once", async () => {
+    expect(await award()).toBe(true);
+    expect(await award()).toBe(false);
+    expect(ledgerEntries()).toHaveLength(1);
+    expect(documents.get(HEAD)).toMatchObject({ balance: 1, entryCount: 1 });
+  });
+
+  it("keeps the running balance equal to the sum of the entries", async () => {
+    await award({ reason: CROWN_REASONS.IMAGE, amount: 10, sourceId: "image-1" });
+    await award({ reason: CROWN_REASONS.QUIZ, amount: 7, sourceId: "quiz-1" });
+    await award({ reason: CROWN_REASONS.PURCHASE, amount: -15, sourceId: "theme-ocean" });
+    await award({ reason: CROWN_REASONS.QUIZ, amount: 7, sourceId: "quiz-1" }); // Repeat, ignored
+
+    const entries = ledgerEntries();
+    expect(entries).toHaveLength(3);
+    expect(computeBalance(entries)).toBe(2);
+    expect(documents.get(HEAD)).toMatchObject({ balance: 2, entryCount: 3 });
+    expect(entries.map(entry => entry.balanceAfter)).toEqual([10, 17, 2]);
+  });
+
+  it("uses an explicit entry ID when given", async () => {
+    expect(await award({ entryId: "challenge-2026-03-10" })).toBe(true);
+    expect(ledgerEntries()[0].id).toBe("challenge-2026-03-10");
+  });
+
+  it("shortens long source labels", async () => {
+    await award({ sourceLabel: "x".repeat(200) });
+    expect(ledgerEntries()[0].sourceLabel).toHaveLength(80);
+  });
+});
+
+describe("importLegacyBalance", () => {
+  beforeEach(() => documents.clear());
+
+  it("carries the old points over once", async () => {
+    expect(await importLegacyBalance(null, "user-1", 42)).toBe(true);
+    expect(await importLegacyBalance(null, "user-1", 42)).toBe(false);
+    expect(documents.get(HEAD)).toMatchObject({ balance: 42, entryCount: 1 });
+    expect(ledgerEntries()[0]).toMatchObject({ reason: CROWN_REASONS.LEGACY, amount: 42 });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CHALLENGE_TYPES,
+  CHALLENGE_PASS_SCORE,
+  toDateKey,
+  previousDateKey,
+  pickDailyChallenge,
+  toChallengeResult,
+  advanceStreak,
+  currentStreak,
+} from './dailyChallenge';
+
+describe("date keys", () => {
+  it("formats the local calendar date", () => {
+    expect(toDateKey(new Date(2026, 0, 5, 23, 59).getTime())).toBe("2026-01-05");
+    expect(toDateKey(new Date(2026, 0, 6, 0, 0).getTime())).toBe("2026-01-06");
+  });
+
+  it("steps back across month, year and leap-day boundaries", () => {
+    expect(previousDateKey("2026-03-10")).toBe("2026-03-09");
+    expect(previousDateKey("2026-03-01")).toBe("2026-02-28");
+    expect(previousDateKey("2028-03-01")).toBe("2028-02-29");
+    expect(previousDateKey("2026-01-01")).toBe("2025-12-31");
+  });
+});
+
+describe("pickDailyChallenge", () => {
+  it("picks the same challenge for the same day", () => {
+    expect(pickDailyChallenge("2026-03-10")).toEqual(pickDailyChallenge("2026-03-10"));
+  });
+
+  it("rotates through every challenge type on consecutive days", () => {
+    const types = ["2026-03-10", "2026-03-11", "2026-03-12", "2026-03-13"].map(dateKey => pickDailyChallenge(dateKey).type);
+    expect(new Set(types)).toEqual(new Set(Object.keys(CHALLENGE_TYPES)));
+    expect(pickDailyChallenge("2026-03-14").type).toBe(types[0]);
+  });
+
+  it("fills in the type's label, mode and reward", () => {
+    const challenge = pickDailyChallenge("2026-03-10");
+    expect(challenge).toMatchObject({ dateKey: "2026-03-10", ...CHALLENGE_TYPES[challenge.type] });
+    expect(challenge.id).toBeTruthy();
+    expect(challenge.prompt).toBeTruthy();
+    expect(challenge.rubric).toBeTruthy();
+  });
+});
+
+describe("toChallengeResult", () => {
+  it("passes at the pass score", () => {
+    expect(toChallengeResult({ score: CHALLENGE_PASS_SCORE, feedback: "Nice." })).toEqual({ passed: true, score: CHALLENGE_PASS_SCORE, feedback: "Nice." });
+    expect(toChallengeResult({ score: CHALLENGE_PASS_SCORE - 1 }).passed).toBe(false);
+  });
+
+  it("clamps and rounds the score and tolerates malformed replies", () => {
+    expect(toChallengeResult({ score: 140.2 }).score).toBe(100);
+    expect(toChallengeResult({ score: -3 }).score).toBe(0);
+    expect(toChallengeResult({ score: "85.6" }).score).toBe(86);
+    expect(toChallengeResult(null)).toEqual({ passed: false, score: 0, feedback: "" });
+  });
+});
+
+describe("streaks", () => {
+  it("starts a streak", () => {
+    expect(advanceStreak(null, "2026-03-10")).toEqual({ current: 1, longest: 1, lastCompletedDate: "2026-03-10" });
+  });
+
+  it("extends it on consecutive days, across a month end", () => {
+    let streak = advanceStreak(null, "2026-02-27");
+    streak = advanceStreak(streak, "2026-02-28");
+    streak = advanceStreak(streak, "2026-03-01");
+    expect(streak).toEqual({ current: 3, longest: 3, lastCompletedDate: "2026-03-01" });
+  });
+
+  it("doesn't count the same day twice", () => {
+    const streak = { current: 4, longest: 6, lastCompletedDate: "2026-03-10" };
+    expect(advanceStreak(streak, "2026-03-10")).toEqual(streak);
+  });
+
+  it("restarts after a missed day and keeps the longest", () => {
+    const streak = { current: 4, longest: 6, lastCompletedDate: "2026-03-10" };
+    expect(advanceStreak(streak, "2026-03-12")).toEqual({ current: 1, longest: 6, lastCompletedDate: "2026-03-12" });
+  });
+
+  it("shows the streak until a whole day is missed", () => {
+    const streak = { current: 4, longest: 6, lastCompletedDate: "2026-03-10" };
+    expect(currentStreak(streak, "2026-03-10")).toBe(4);
+    expect(currentStreak(streak, "2026-03-11")).toBe(4);
+    expect(currentStreak(streak, "2026-03-12")).toBe(0);
+    expect(currentStreak(null, "2026-03-12")).toBe(0);
+  });
+});
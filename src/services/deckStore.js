@@ -0,0 +1,187 @@
+/**
+ * src/services/deckStore.js
+ *
+ * Firestore persistence for spaced-repetition flashcard decks.
+ *
+ *   /artifacts/{appId}/users/{uid}/decks/{deckId}
+ *       { name, createdAt, updatedAt, cardCount, totalReviews, gradeCounts, lastReviewedAt, stats }
+ *   /artifacts/{appId}/users/{uid}/decks/{deckId}/cards/{cardId}
+ *       { question, answer, deckId, userId, sourceMessageId, ...schedule (see spacedRepetition.js) }
+ *
+ * Cards carry `userId` so the "due today" queue can use a `collectionGroup('cards')`
+ * query (needs a composite index on userId + dueAt).
+ */
+
+import {
+  collection, collectionGroup, doc, query, where, orderBy, limit,
+  getDocs, setDoc, updateDoc, runTransaction, writeBatch, increment,
+} from 'firebase/firestore';
+import { createCardState, reviewCard, endOfDay, computeDeckStats, GRADE_LABELS } from './spacedRepetition';
+
+const MAX_BATCH_WRITES = 500;
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - CollectionReference of the user's decks.
+ */
+export const getDecksCollectionRef = (db, uid) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/decks`);
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Deck ID.
+ * @returns {object} - CollectionReference of the deck's cards.
+ */
+export const getCardsCollectionRef = (db, uid, deckId) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/decks/${deckId}/cards`);
+
+/**
+ * Query for the user's decks, most recently updated first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - Firestore Query.
+ */
+export const decksQuery = (db, uid) =>
+  query(getDecksCollectionRef(db, uid), orderBy('updatedAt', 'desc'), limit(100));
+
+/**
+ * Query for every card (across decks) due by the end of today.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {number} now - Current time in ms.
+ * @returns {object} - Firestore Query.
+ */
+export const dueCardsQuery = (db, uid, now) =>
+  query(collectionGroup(db, 'cards'), where('userId', '==', uid), where('dueAt', '<=', endOfDay(now)), orderBy('dueAt', 'asc'));
+
+/**
+ * Creates an empty deck.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Client-generated deck ID.
+ * @param {string} name - Deck name.
+ * @returns {Promise<void>}
+ */
+export const createDeck = (db, uid, deckId, name) => {
+  const now = Date.now();
+  return setDoc(doc(getDecksCollectionRef(db, uid), deckId), {
+    name: name.trim() || "Untitled deck",
+    createdAt: now,
+    updatedAt: now,
+    cardCount: 0,
+    totalReviews: 0,
+    gradeCounts: Object.fromEntries(GRADE_LABELS.map(label => [label.toLowerCase(), 0])),
+    lastReviewedAt: null,
+    stats: computeDeckStats([], now),
+  });
+};
+
+/**
+ * Adds flashcards from a study message to a deck. Card IDs are derived from the
+ * source message, so saving the same message twice never duplicates cards or
+ * resets their schedule.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Deck ID.
+ * @param {Array<{question: string, answer: string}>} items - Flashcards to add.
+ * @param {string} sourceMessageId - ID of the chat message the cards came from.
+ * @returns {Promise<number>} - Number of cards actually added.
+ */
+export const addCardsToDeck = async (db, uid, deckId, items, sourceMessageId) => {
+  const deckRef = doc(getDecksCollectionRef(db, uid), deckId);
+  const cardsRef = getCardsCollectionRef(db, uid, deckId);
+  const now = Date.now();
+
+  return runTransaction(db, async (transaction) => {
+    const cardRefs = items.map((_, index) => doc(cardsRef, `${sourceMessageId}-${index}`));
+    const existing = await Promise.all(cardRefs.map(ref => transaction.get(ref)));
+
+    let added = 0;
+    items.forEach((item, index) => {
+      if (existing[index].exists()) return;
+      transaction.set(cardRefs[index], {
+        question: item.question,
+        answer: item.answer,
+        deckId,
+        userId: uid,
+        sourceMessageId,
+        createdAt: now,
+        ...createCardState(now),
+      });
+      added++;
+    });
+
+    transaction.update(deckRef, { cardCount: increment(added), updatedAt: now });
+    return added;
+  });
+};
+
+/**
+ * Grades a card, saving its new schedule and updating the deck's review stats.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} card - The card (with `id` and `deckId`).
+ * @param {number} grade - One of GRADES.
+ * @param {number} now - Current time in ms.
+ * @returns {Promise<object>} - The card with its new schedule.
+ */
+export const recordReview = async (db, uid, card, grade, now) => {
+  const schedule = reviewCard(card, grade, now);
+  const batch = writeBatch(db);
+  batch.update(doc(getCardsCollectionRef(db, uid, card.deckId), card.id), schedule);
+  batch.update(doc(getDecksCollectionRef(db, uid), card.deckId), {
+    totalReviews: increment(1),
+    [`gradeCounts.${GRADE_LABELS[grade].toLowerCase()}`]: increment(1),
+    lastReviewedAt: now,
+  });
+  await batch.commit();
+  return { ...card, ...schedule };
+};
+
+/**
+ * Loads every card in a deck.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Deck ID.
+ * @returns {Promise<Array<object>>}
+ */
+export const loadDeckCards = async (db, uid, deckId) => {
+  const snapshot = await getDocs(getCardsCollectionRef(db, uid, deckId));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Recomputes and stores a deck's card breakdown (new / learning / young / mature / due).
+ * Called after cards are added and after a review session, not on every grade.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Deck ID.
+ * @param {number} now - Current time in ms.
+ * @returns {Promise<object>} - The stored stats.
+ */
+export const refreshDeckStats = async (db, uid, deckId, now) => {
+  const stats = computeDeckStats(await loadDeckCards(db, uid, deckId), now);
+  await updateDoc(doc(getDecksCollectionRef(db, uid), deckId), { stats, statsUpdatedAt: now });
+  return stats;
+};
+
+/**
+ * Deletes a deck and all its cards.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} deckId - Deck ID.
+ * @returns {Promise<void>}
+ */
+export const deleteDeck = async (db, uid, deckId) => {
+  const cardsSnap = await getDocs(getCardsCollectionRef(db, uid, deckId));
+  const refs = [...cardsSnap.docs.map(d => d.ref), doc(getDecksCollectionRef(db, uid), deckId)];
+  for (let i = 0; i < refs.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * src/services/download.js
+ *
+ * Browser helpers for saving generated files (exports, audio, code) to disk.
+ */
+
+/**
+ * Triggers a download of a Blob.
+ * @param {Blob} blob - File contents.
+ * @param {string} filename - Suggested file name.
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Triggers a download of a text file.
+ * @param {string} text - File contents.
+ * @param {string} filename - Suggested file name.
+ * @param {string} [mimeType] - Defaults to plain text.
+ */
+export const downloadText = (text, filename, mimeType = 'text/plain') =>
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+
+/**
+ * Makes a string safe to use as a file name.
+ * @param {string} name
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export const toSafeFilename = (name, fallback = 'popking') => {
+  const safe = (name || '').replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return safe || fallback;
+};
@@ -0,0 +1,105 @@
+/**
+ * src/services/entitlementStore.js
+ *
+ * Firestore persistence for store purchases and daily usage quotas.
+ *
+ *   /artifacts/{appId}/users/{uid}/metadata/entitlements
+ *       { owned: { [itemId]: purchasedAt } }
+ *   /artifacts/{appId}/users/{uid}/metadata/usage
+ *       { dateKey, counts: { [quotaKey]: number } }  (reset when the day changes)
+ */
+
+import { doc, runTransaction } from 'firebase/firestore';
+import { CROWN_REASONS, getLedgerCollectionRef, getLedgerHeadRef, appendLedgerEntry } from './crownLedger';
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - DocumentReference of the user's entitlements.
+ */
+export const getEntitlementsDocRef = (db, uid) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/metadata/entitlements`);
+
+const getUsageDocRef = (db, uid) =>
+  doc(db, `/artifacts/${getAppId()}/users/${uid}/metadata/usage`);
+
+/**
+ * Buys a store item: checks the balance, appends the spend to the Crown ledger and
+ * grants the item, all in one transaction.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {{id: string, name: string, price: number}} item - From STORE_ITEMS.
+ * @returns {Promise<number>} - The balance after the purchase.
+ * @throws {Error} If the item is already owned or the balance is too low.
+ */
+export const purchaseItem = (db, uid, item) => {
+  const entitlementsRef = getEntitlementsDocRef(db, uid);
+  const headRef = getLedgerHeadRef(db, uid);
+  const entryRef = doc(getLedgerCollectionRef(db, uid), `purchase-${item.id}`);
+  const now = Date.now();
+
+  return runTransaction(db, async (transaction) => {
+    const [entitlementsSnap, headSnap] = await Promise.all([transaction.get(entitlementsRef), transaction.get(headRef)]);
+    const owned = entitlementsSnap.exists() ? entitlementsSnap.data().owned || {} : {};
+    const head = headSnap.exists() ? headSnap.data() : null;
+
+    if (owned[item.id]) throw new Error(`You already own ${item.name}.`);
+    if ((head?.balance || 0) < item.price) throw new Error(`Not enough Crowns: ${item.name} costs ${item.price}.`);
+
+    const balanceAfter = appendLedgerEntry(transaction, db, uid, head, entryRef, {
+      reason: CROWN_REASONS.PURCHASE,
+      amount: -item.price,
+      sourceId: item.id,
+      sourceLabel: item.name,
+    }, now);
+    transaction.set(entitlementsRef, { owned: { ...owned, [item.id]: now } });
+    return balanceAfter;
+  });
+};
+
+/**
+ * Uses units of a daily quota (e.g. images per day) if enough are left.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} quotaKey - e.g. "images".
+ * @param {number} limit - Units allowed per day.
+ * @param {string} dateKey - Today's YYYY-MM-DD.
+ * @param {number} [amount] - Units to use; nothing is used unless all of them fit.
+ * @returns {Promise<{allowed: boolean, used: number}>}
+ */
+export const consumeDailyQuota = (db, uid, quotaKey, limit, dateKey, amount = 1) => {
+  const usageRef = getUsageDocRef(db, uid);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(usageRef);
+    const usage = snap.exists() && snap.data().dateKey === dateKey ? snap.data() : { dateKey, counts: {} };
+    const used = usage.counts?.[quotaKey] || 0;
+    if (used + amount > limit) return { allowed: false, used };
+
+    transaction.set(usageRef, { dateKey, counts: { ...usage.counts, [quotaKey]: used + amount } });
+    return { allowed: true, used: used + amount };
+  });
+};
+
+/**
+ * Gives back units of a daily quota, e.g. for images that failed to generate.
+ * Units used on an earlier day aren't refunded, since that day's count has been reset.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} quotaKey - e.g. "images".
+ * @param {string} dateKey - The YYYY-MM-DD the units were used on.
+ * @param {number} amount - Units to give back.
+ * @returns {Promise<void>}
+ */
+export const refundDailyQuota = (db, uid, quotaKey, dateKey, amount) => {
+  const usageRef = getUsageDocRef(db, uid);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(usageRef);
+    if (!snap.exists() || snap.data().dateKey !== dateKey) return;
+    const { counts } = snap.data();
+    transaction.set(usageRef, { dateKey, counts: { ...counts, [quotaKey]: Math.max(0, (counts?.[quotaKey] || 0) - amount) } });
+  });
+};
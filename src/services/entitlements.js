@@ -0,0 +1,91 @@
+/**
+ * src/services/entitlements.js
+ *
+ * The Crown store catalog and plan limits. Every Premium gate reads its limit from
+ * `getPlanLimits`, so changing what Premium unlocks happens here only.
+ *
+ * Entitlements state (see entitlementStore.js): { owned: { [itemId]: purchasedAt } }
+ */
+
+export const PLANS = {
+  NORMAL: "Normal",
+  PREMIUM: "Premium",
+};
+
+export const PLAN_LIMITS = {
+  [PLANS.NORMAL]: {
+    maxOutputTokens: 2048,
+    imagesPerDay: 10,
+    deepSearchSources: 3,
+    deepSearchInstruction: "Give a focused answer that covers the main findings.",
+  },
+  [PLANS.PREMIUM]: {
+    maxOutputTokens: 8192,
+    imagesPerDay: 50,
+    deepSearchSources: 10,
+    deepSearchInstruction: "Research in depth: compare several sources, note where they disagree, and cover background, the current state and open questions.",
+  },
+};
+
+export const PREMIUM_ITEM_ID = "premium";
+
+/**
+ * Everything Crowns can buy. `value` is what the item unlocks: a theme key, a persona
+ * key (with its `prompt`) or a TTS voice name.
+ */
+export const STORE_ITEMS = [
+  { id: PREMIUM_ITEM_ID, kind: "tier", name: "Premium", price: 100, description: "Longer answers, 50 images a day and in-depth Deep Search with up to 10 sources." },
+  { id: "theme-royal-gold", kind: "theme", name: "Royal Gold", price: 40, value: "ROYAL_GOLD", description: "A regal black-and-gold theme." },
+  { id: "theme-synthwave", kind: "theme", name: "Synthwave", price: 40, value: "SYNTHWAVE", description: "Neon pink and cyan on deep purple." },
+  { id: "persona-socratic", kind: "persona", name: "Socratic Mentor", price: 25, value: "SOCRATIC_MENTOR", prompt: "A Socratic mentor who guides with probing questions and lets the user reach conclusions before confirming them.", description: "Learns you by asking the right questions." },
+  { id: "persona-pirate", kind: "persona", name: "Pirate Captain", price: 15, value: "PIRATE_CAPTAIN", prompt: "A jolly pirate captain who answers accurately but in colourful pirate speak.", description: "Arr, answers on the high seas." },
+  { id: "persona-bard", kind: "persona", name: "Bard", price: 15, value: "BARD", prompt: "A Shakespearean bard who answers in playful Early Modern English while staying accurate.", description: "Wisdom in iambic flourish." },
+  { id: "voice-aoede", kind: "voice", name: "Aoede (Breezy)", price: 20, value: "Aoede", description: "A light, breezy voice." },
+  { id: "voice-sulafat", kind: "voice", name: "Sulafat (Warm)", price: 20, value: "Sulafat", description: "A warm, calm voice." },
+  { id: "voice-leda", kind: "voice", name: "Leda (Youthful)", price: 20, value: "Leda", description: "A bright, youthful voice." },
+];
+
+export const STORE_KIND_LABELS = {
+  tier: "Plans",
+  theme: "Themes",
+  persona: "Personas",
+  voice: "Voices",
+};
+
+/**
+ * @param {object|null} entitlements
+ * @param {string} itemId
+ * @returns {boolean}
+ */
+export const isOwned = (entitlements, itemId) => Boolean(entitlements?.owned?.[itemId]);
+
+/**
+ * @param {object|null} entitlements
+ * @returns {string} - One of PLANS.
+ */
+export const currentPlan = (entitlements) => isOwned(entitlements, PREMIUM_ITEM_ID) ? PLANS.PREMIUM : PLANS.NORMAL;
+
+/**
+ * Limits for the user's plan.
+ * @param {object|null} entitlements
+ * @returns {object} - An entry of PLAN_LIMITS.
+ */
+export const getPlanLimits = (entitlements) => PLAN_LIMITS[currentPlan(entitlements)];
+
+/**
+ * @param {string} kind - "tier", "theme", "persona" or "voice".
+ * @returns {Array<object>}
+ */
+export const storeItemsOfKind = (kind) => STORE_ITEMS.filter(item => item.kind === kind);
+
+/**
+ * Whether a theme, persona or voice can be used. Values not sold in the store are free.
+ * @param {object|null} entitlements
+ * @param {string} kind
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValueUnlocked = (entitlements, kind, value) => {
+  const item = STORE_ITEMS.find(i => i.kind === kind && i.value === value);
+  return !item || isOwned(entitlements, item.id);
+};
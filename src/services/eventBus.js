@@ -0,0 +1,62 @@
+/**
+ * src/services/eventBus.js
+ *
+ * A minimal synchronous pub/sub bus. Feature flows (generation, favorites, study)
+ * emit `APP_EVENTS` to `appEvents`; listeners such as achievements subscribe to them
+ * without the flows knowing who is listening.
+ */
+
+export const APP_EVENTS = {
+  TEXT_GENERATED: "text-generated",       // { mode, sourceCount }
+  IMAGE_GENERATED: "image-generated",     // { messageId }
+  STUDY_GENERATED: "study-generated",     // { messageId, itemCount }
+  FAVORITE_ADDED: "favorite-added",       // { messageId } (first time only)
+  QUIZ_COMPLETED: "quiz-completed",       // { messageId, percent } (first attempt only)
+  CARD_REVIEWED: "card-reviewed",         // { cardId, grade }
+  CHALLENGE_PASSED: "challenge-passed",   // { dateKey, streak }
+};
+
+// Listeners registered under this type receive every event.
+export const ANY_EVENT = "*";
+
+/**
+ * Creates an event bus.
+ * @returns {{emit: function(string, object=): void, on: function(string, function): function(): void}}
+ */
+export const createEventBus = () => {
+  const listeners = new Map();
+
+  return {
+    /**
+     * Notifies listeners of `type` and of ANY_EVENT. A throwing listener does not
+     * stop the others.
+     * @param {string} type - One of APP_EVENTS.
+     * @param {object} [payload]
+     */
+    emit(type, payload = {}) {
+      const event = { type, payload, at: Date.now() };
+      [...(listeners.get(type) || []), ...(listeners.get(ANY_EVENT) || [])].forEach(listener => {
+        try {
+          listener(event);
+        } catch (e) {
+          console.error(`Event listener for "${type}" failed:`, e);
+        }
+      });
+    },
+
+    /**
+     * Subscribes to an event type (or ANY_EVENT).
+     * @param {string} type
+     * @param {function({type: string, payload: object, at: number}): void} listener
+     * @returns {function(): void} - Unsubscribes.
+     */
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+  };
+};
+
+// The app-wide bus.
+export const appEvents = createEventBus();
@@ -0,0 +1,184 @@
+/**
+ * src/services/historyExport.js
+ *
+ * Pure formatters for exporting conversation history, and the parser for importing
+ * the JSON archive back. The archive is the full-fidelity format: every message field
+ * (structuredData, sources, images, favorites) is kept as stored.
+ */
+
+export const ARCHIVE_FORMAT = "popking-history";
+export const ARCHIVE_VERSION = 1;
+
+// Messages are exported without their owner; it is re-assigned on import
+const withoutOwner = (message) => {
+  const exported = { ...message };
+  delete exported.userId;
+  return exported;
+};
+
+/**
+ * Builds the JSON archive for a set of sessions.
+ * @param {Array<object>} sessions - Session docs (with `id`) each with a `messages` array, oldest first.
+ * @param {number} now - Export time in ms.
+ * @returns {object}
+ */
+export const buildArchive = (sessions, now) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: now,
+  sessions: sessions.map(({ messages, ...session }) => ({
+    ...session,
+    messages: messages.map(withoutOwner),
+  })),
+});
+
+/**
+ * Validates and parses a JSON archive produced by `buildArchive`.
+ * @param {string} json - File contents.
+ * @returns {object} - The archive.
+ * @throws {Error} If the file is not a PopKing history archive.
+ */
+export const parseArchive = (json) => {
+  let archive;
+  try {
+    archive = JSON.parse(json);
+  } catch (e) {
+    throw new Error("The selected file is not valid JSON.");
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.sessions)) {
+    throw new Error("The selected file is not a PopKing AI history archive.");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error("This archive was created by a newer version of PopKing AI.");
+  }
+  archive.sessions.forEach(session => {
+    if (!session.id || !Array.isArray(session.messages) || session.messages.some(m => !m.id)) {
+      throw new Error("The archive is missing session or message IDs.");
+    }
+  });
+  return archive;
+};
+
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleString() : "");
+
+const isDataUrl = (url) => typeof url === "string" && url.startsWith("data:");
+
+// An image message's picture: inline (older messages) or in Firebase Storage (see imageStore.js).
+const messageImageUrl = (message) => message.imageUrl || message.image?.url || null;
+
+/**
+ * Renders the archive as a Markdown transcript.
+ * @param {object} archive - Output of `buildArchive`.
+ * @param {object} [labels] - Display names: `{ modes: {KEY: name}, personas: {KEY: name} }`.
+ * @returns {string}
+ */
+export const archiveToMarkdown = (archive, { modes = {}, personas = {} } = {}) => {
+  const lines = ["# PopKing AI History", "", `_Exported ${formatDate(archive.exportedAt)}_`, ""];
+
+  archive.sessions.forEach(session => {
+    lines.push(`## ${session.title || "Untitled"}`, "");
+    lines.push(`Mode: ${modes[session.mode] || session.mode || "-"} · Persona: ${personas[session.persona] || session.persona || "-"} · Started: ${formatDate(session.createdAt)}`, "");
+
+    session.messages.forEach(message => {
+      lines.push(`**You:** ${message.user || ""}`, "");
+      const modeLabel = modes[message.mode] || message.mode;
+      lines.push(`**PopKing AI${modeLabel ? ` (${modeLabel})` : ""}:**`, "");
+      if (message.isImage) {
+        lines.push(messageImageUrl(message) && !isDataUrl(messageImageUrl(message))
+          ? `![${message.user}](${messageImageUrl(message)})`
+          : `_[Generated image: ${message.user}]_`);
+      } else {
+        lines.push(message.ai || "");
+      }
+      if (Array.isArray(message.structuredData)) {
+        lines.push("");
+        message.structuredData.forEach((item, index) => {
+          lines.push(`${index + 1}. **${item.type === "quiz" ? "Quiz" : "Flashcard"}:** ${item.question}`);
+          if (item.options?.length) lines.push(`   - Options: ${item.options.join(" | ")}`);
+          lines.push(`   - Answer: ${item.answer}`);
+        });
+      }
+      if (message.sources?.length) {
+        lines.push("", "Sources:");
+        message.sources.forEach(source => lines.push(`- [${source.title || source.uri}](${source.uri})`));
+      }
+      lines.push("", "---", "");
+    });
+  });
+
+  return lines.join("\n");
+};
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = (text) => String(text ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Only web links and embedded images are rendered as live URLs in the HTML export.
+const isSafeUrl = (url) => /^(https?:|data:image\/)/i.test(url || "");
+
+const HTML_STYLES = `
+body { font-family: system-ui, sans-serif; background: #111827; color: #e5e7eb; max-width: 48rem; margin: 0 auto; padding: 2rem 1rem; }
+h1 { color: #facc15; } h2 { color: #facc15; border-bottom: 1px solid #374151; padding-bottom: .25rem; margin-top: 2.5rem; }
+.meta { color: #9ca3af; font-size: .8rem; }
+.user { background: #2563eb; color: #fff; padding: .75rem; border-radius: .75rem; margin: 1rem 0 .5rem auto; max-width: 80%; width: fit-content; }
+.ai { background: #374151; padding: .75rem; border-radius: .75rem; margin-bottom: 1rem; max-width: 90%; white-space: pre-wrap; }
+.ai img { max-width: 100%; border-radius: .5rem; }
+.study li { margin-bottom: .5rem; } .sources a { color: #4ade80; }
+`;
+
+/**
+ * Renders the archive as a self-contained HTML page (inline styles, embedded images).
+ * @param {object} archive - Output of `buildArchive`.
+ * @param {object} [labels] - Display names: `{ modes: {KEY: name}, personas: {KEY: name} }`.
+ * @returns {string}
+ */
+export const archiveToHtml = (archive, { modes = {}, personas = {} } = {}) => {
+  const renderMessage = (message) => {
+    const parts = [`<div class="user">${escapeHtml(message.user)}</div>`, `<div class="ai"><div class="meta">${escapeHtml(modes[message.mode] || message.mode || "PopKing AI")}</div>`];
+    if (message.isImage) {
+      // Images kept only on the device that made them are exported as their thumbnail
+      const src = [messageImageUrl(message), message.thumbnail].find(isSafeUrl);
+      parts.push(src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(message.user)}">` : "<em>Image unavailable</em>");
+    } else {
+      parts.push(escapeHtml(message.ai));
+    }
+    if (Array.isArray(message.structuredData)) {
+      parts.push(`<ol class="study">${message.structuredData.map(item => `<li><strong>${escapeHtml(item.question)}</strong><br>${item.options?.length ? `Options: ${escapeHtml(item.options.join(" | "))}<br>` : ""}Answer: ${escapeHtml(item.answer)}</li>`).join("")}</ol>`);
+    }
+    if (message.sources?.length) {
+      parts.push(`<ul class="sources">${message.sources.filter(source => isSafeUrl(source.uri)).map(source => `<li><a href="${escapeHtml(source.uri)}" rel="noopener noreferrer">${escapeHtml(source.title || source.uri)}</a></li>`).join("")}</ul>`);
+    }
+    parts.push("</div>");
+    return parts.join("");
+  };
+
+  const body = archive.sessions.map(session => `
+<section>
+<h2>${escapeHtml(session.title || "Untitled")}</h2>
+<p class="meta">Mode: ${escapeHtml(modes[session.mode] || session.mode || "-")} · Persona: ${escapeHtml(personas[session.persona] || session.persona || "-")} · Started: ${escapeHtml(formatDate(session.createdAt))}</p>
+${session.messages.map(renderMessage).join("\n")}
+</section>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>PopKing AI History</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>PopKing AI History</h1>
+<p class="meta">Exported ${escapeHtml(formatDate(archive.exportedAt))}</p>
+${body}
+</body>
+</html>`;
+};
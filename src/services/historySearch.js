@@ -0,0 +1,108 @@
+/**
+ * src/services/historySearch.js
+ *
+ * Full-text search and filtering over saved messages. Firestore has no text search,
+ * so history is read newest-first in cursor-paginated pages (only the date range is
+ * applied server-side, reusing the userId + timestamp index) and every other filter
+ * is matched here, on the client.
+ */
+
+export const HISTORY_PAGE_SIZE = 50;
+
+// Upper bound on pages read for one "load more" when few messages match.
+const MAX_PAGES_PER_SEARCH = 10;
+
+export const EMPTY_HISTORY_FILTERS = {
+  query: "",
+  mode: "",
+  persona: "",
+  from: "", // YYYY-MM-DD (local), inclusive
+  to: "",   // YYYY-MM-DD (local), inclusive
+  favorites: false,
+  images: false,
+  study: false,
+};
+
+/**
+ * Lowercases and strips diacritics so "Café" matches "cafe".
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeSearchText = (text) =>
+  String(text ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * All searchable text of a message: prompt, answer and study items.
+ * @param {object} message
+ * @returns {string}
+ */
+const messageSearchText = (message) => {
+  const parts = [message.user, message.ai];
+  (Array.isArray(message.structuredData) ? message.structuredData : []).forEach(item => {
+    parts.push(item.question, item.answer, ...(item.options || []));
+  });
+  return normalizeSearchText(parts.filter(Boolean).join("\n"));
+};
+
+/**
+ * Converts the filters' date inputs to a timestamp range in ms.
+ * @param {object} filters - See EMPTY_HISTORY_FILTERS.
+ * @returns {{from: (number|null), to: (number|null)}}
+ */
+export const dateRangeFromFilters = ({ from, to }) => {
+  const parseDay = (value) => {
+    const [year, month, day] = (value || "").split("-").map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+  };
+  const start = parseDay(from);
+  const end = parseDay(to);
+  if (end) end.setHours(23, 59, 59, 999);
+  return { from: start ? start.getTime() : null, to: end ? end.getTime() : null };
+};
+
+/**
+ * Whether a message passes the search query and filters. Every query word must
+ * appear somewhere in the prompt, answer or study items.
+ * @param {object} message
+ * @param {object} filters - See EMPTY_HISTORY_FILTERS.
+ * @returns {boolean}
+ */
+export const matchesHistoryFilters = (message, filters) => {
+  if (filters.mode && message.mode !== filters.mode) return false;
+  if (filters.persona && message.persona !== filters.persona) return false;
+  if (filters.favorites && !message.isFavorite) return false;
+  if (filters.images && !message.isImage) return false;
+  if (filters.study && !message.isStructuredStudy) return false;
+
+  const { from, to } = dateRangeFromFilters(filters);
+  if (from !== null && message.timestamp < from) return false;
+  if (to !== null && message.timestamp > to) return false;
+
+  const terms = normalizeSearchText(filters.query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = messageSearchText(message);
+  return terms.every(term => text.includes(term));
+};
+
+/**
+ * Reads pages until `HISTORY_PAGE_SIZE` matches are found or history runs out.
+ * @param {function(object, *): Promise<{messages: Array<object>, cursor: *, hasMore: boolean}>} loadPage -
+ *   Loads one page for a date range, starting after a cursor (null for the first page).
+ * @param {object} filters - See EMPTY_HISTORY_FILTERS.
+ * @param {*} cursor - Cursor from a previous call, or null to start from the newest message.
+ * @returns {Promise<{matches: Array<object>, cursor: *, hasMore: boolean}>}
+ */
+export const searchHistory = async (loadPage, filters, cursor = null) => {
+  const range = dateRangeFromFilters(filters);
+  const matches = [];
+  let hasMore = true;
+
+  for (let pages = 0; pages < MAX_PAGES_PER_SEARCH && hasMore && matches.length < HISTORY_PAGE_SIZE; pages++) {
+    const page = await loadPage(range, cursor);
+    matches.push(...page.messages.filter(message => matchesHistoryFilters(message, filters)));
+    cursor = page.cursor;
+    hasMore = page.hasMore;
+  }
+
+  return { matches, cursor, hasMore };
+};
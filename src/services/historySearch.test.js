@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_HISTORY_FILTERS,
+  HISTORY_PAGE_SIZE,
+  normalizeSearchText,
+  dateRangeFromFilters,
+  matchesHistoryFilters,
+  searchHistory,
+} from './historySearch';
+
+const filters = (changes) => ({ ...EMPTY_HISTORY_FILTERS, ...changes });
+
+const message = (changes) => ({
+  user: "How does photosynthesis work?",
+  ai: "Plants turn light into chemical energy.",
+  mode: "QUICK_CHAT",
+  persona: "default",
+  timestamp: new Date(2026, 2, 10, 12, 0).getTime(),
+  ...changes,
+});
+
+describe("normalizeSearchText", () => {
+  it("lowercases and strips diacritics", () => {
+    expect(normalizeSearchText("Café CRÈME")).toBe("cafe creme");
+    expect(normalizeSearchText(null)).toBe("");
+  });
+});
+
+describe("dateRangeFromFilters", () => {
+  it("starts at local midnight and ends at the last millisecond of the end date", () => {
+    expect(dateRangeFromFilters({ from: "2026-03-10", to: "2026-03-12" })).toEqual({
+      from: new Date(2026, 2, 10, 0, 0, 0, 0).getTime(),
+      to: new Date(2026, 2, 12, 23, 59, 59, 999).getTime(),
+    });
+  });
+
+  it("leaves out missing or malformed dates", () => {
+    expect(dateRangeFromFilters({ from: "", to: "not-a-date" })).toEqual({ from: null, to: null });
+  });
+});
+
+describe("matchesHistoryFilters", () => {
+  it("matches everything with no filters", () => {
+    expect(matchesHistoryFilters(message(), EMPTY_HISTORY_FILTERS)).toBe(true);
+  });
+
+  it("needs every query word somewhere in the prompt, answer or study items", () => {
+    expect(matchesHistoryFilters(message(), filters({ query: "PHOTOSYNTHESIS energy" }))).toBe(true);
+    expect(matchesHistoryFilters(message(), filters({ query: "photosynthesis oxygen" }))).toBe(false);
+    const study = message({ structuredData: [{ question: "Gas released?", answer: "Oxygen", options: ["Nitrogen"] }] });
+    expect(matchesHistoryFilters(study, filters({ query: "oxygen nitrogen" }))).toBe(true);
+  });
+
+  it("ignores accents in the query and the message", () => {
+    expect(matchesHistoryFilters(message({ ai: "Un café, s'il vous plaît." }), filters({ query: "Cafe" }))).toBe(true);
+  });
+
+  it("applies the mode, persona, favorites, images and study filters", () => {
+    expect(matchesHistoryFilters(message(), filters({ mode: "CODE" }))).toBe(false);
+    expect(matchesHistoryFilters(message(), filters({ persona: "pirate" }))).toBe(false);
+    expect(matchesHistoryFilters(message(), filters({ favorites: true }))).toBe(false);
+    expect(matchesHistoryFilters(message({ isFavorite: true }), filters({ favorites: true }))).toBe(true);
+    expect(matchesHistoryFilters(message(), filters({ images: true }))).toBe(false);
+    expect(matchesHistoryFilters(message({ isStructuredStudy: true }), filters({ study: true }))).toBe(true);
+  });
+
+  it("includes messages from any time on the end date", () => {
+    const lateOnTheDay = message({ timestamp: new Date(2026, 2, 12, 23, 59, 30).getTime() });
+    const nextDay = message({ timestamp: new Date(2026, 2, 13, 0, 0, 0).getTime() });
+    const range = filters({ from: "2026-03-12", to: "2026-03-12" });
+    expect(matchesHistoryFilters(lateOnTheDay, range)).toBe(true);
+    expect(matchesHistoryFilters(nextDay, range)).toBe(false);
+    expect(matchesHistoryFilters(message({ timestamp: new Date(2026, 2, 11, 23, 59).getTime() }), range)).toBe(false);
+  });
+});
+
+describe("searchHistory", () => {
+  // Pages of `size` messages, of which every `every`-th one mentions "needle"
+  const pagedHistory = ({ pages, size = 20, every = 1 }) => async (range, cursor) => {
+    const page = cursor ?? 0;
+    return {
+      messages: Array.from({ length: size }, (_, i) => message({ id: `${page}-${i}`, user: i % every === 0 ? "needle" : "hay" })),
+      cursor: page + 1,
+      hasMore: page + 1 < pages,
+    };
+  };
+
+  it("reads pages until a page of matches is found", async () => {
+    const { matches, cursor, hasMore } = await searchHistory(pagedHistory({ pages: 10, size: 20 }), filters({ query: "needle" }));
+    expect(matches.length).toBeGreaterThanOrEqual(HISTORY_PAGE_SIZE);
+    expect(cursor).toBe(3);
+    expect(hasMore).toBe(true);
+  });
+
+  it("stops after a bounded number of pages when few messages match", async () => {
+    const { matches, cursor } = await searchHistory(pagedHistory({ pages: 100, size: 20, every: 20 }), filters({ query: "needle" }));
+    expect(matches).toHaveLength(10);
+    expect(cursor).toBe(10);
+  });
+
+  it("passes the date range to the page loader and stops at the end of history", async () => {
+    const ranges = [];
+    const loadPage = async (range) => {
+      ranges.push(range);
+      return { messages: [message()], cursor: null, hasMore: false };
+    };
+    const { matches, hasMore } = await searchHistory(loadPage, filters({ to: "2026-03-10" }));
+    expect(ranges).toEqual([{ from: null, to: new Date(2026, 2, 10, 23, 59, 59, 999).getTime() }]);
+    expect(matches).toHaveLength(1);
+    expect(hasMore).toBe(false);
+  });
+});
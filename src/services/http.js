@@ -0,0 +1,84 @@
+/**
+ * src/services/http.js
+ *
+ * Shared HTTP helpers used by every model provider: retrying JSON requests,
+ * retrying raw/streaming requests, and reading an SSE response body.
+ */
+
+import { createSSEParser } from './sseParser';
+
+const MAX_RETRIES = 3;
+
+/**
+ * Waits for the exponential backoff delay of the given attempt (with jitter).
+ * @param {number} retries - Number of attempts already made.
+ * @returns {Promise<void>}
+ */
+const backoff = (retries) => {
+  const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
+  return new Promise(resolve => setTimeout(resolve, delay));
+};
+
+/**
+ * Generic fetch wrapper with exponential backoff.
+ * Rate limits (429), server errors (5xx) and network failures are retried;
+ * client errors and aborted requests are not.
+ * @param {string} url - The API URL.
+ * @param {object} options - Fetch options (method, headers, body, signal).
+ * @param {number} retries - Current retry count.
+ * @returns {Promise<object>} - JSON response object.
+ */
+export const fetchWithRetry = async (url, options, retries = 0) => {
+  try {
+    const response = await fetchResponseWithRetry(url, options, retries);
+    return await response.json();
+  } catch (error) {
+    const isClientError = error.isHttpError && error.status < 500;
+    if (error.name === 'AbortError' || isClientError || retries >= MAX_RETRIES) throw error;
+    await backoff(retries);
+    return fetchWithRetry(url, options, retries + 1);
+  }
+};
+
+/**
+ * Performs a request and returns the unread `Response`, retrying rate-limited attempts.
+ * Used for streaming and binary (audio) responses.
+ * @param {string} url - The API URL.
+ * @param {object} options - Fetch options (method, headers, body, signal).
+ * @param {number} retries - Current retry count.
+ * @returns {Promise<Response>}
+ */
+export const fetchResponseWithRetry = async (url, options, retries = 0) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    if (response.status === 429 && retries < MAX_RETRIES) {
+      await backoff(retries);
+      return fetchResponseWithRetry(url, options, retries + 1);
+    }
+    const errorText = await response.text();
+    const error = new Error(`API Request failed with status ${response.status}: ${errorText}`);
+    error.status = response.status;
+    error.isHttpError = true;
+    throw error;
+  }
+  return response;
+};
+
+/**
+ * Reads an SSE response body to completion, calling `onData` with each event's data.
+ * @param {Response} response - A successful fetch response with an SSE body.
+ * @param {function(string): void} onData - Receives the raw `data` payload of each event.
+ * @returns {Promise<void>}
+ */
+export const readSSEStream = async (response, onData) => {
+  const parser = createSSEParser(({ data }) => onData(data));
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.flush();
+};
@@ -0,0 +1,78 @@
+/**
+ * src/services/imageOptions.js
+ *
+ * Options for the Images tab: a style preset, the aspect ratio, how many variations to
+ * generate (shown as a grid to pick from), a negative prompt and an optional seed.
+ * They are saved with each image message as `imageOptions`, so "Vary this one" can
+ * generate again with the same settings:
+ *   { style, aspectRatio, count, negativePrompt, seed: number | null }
+ *
+ * Neither Imagen on the Gemini API nor the OpenAI image endpoint has a negative prompt
+ * parameter, so styles and negative prompts are written into the prompt text
+ * (buildImagePrompt). Seeds are only sent where the provider takes one (PROVIDERS[...].imageSeed).
+ */
+
+export const IMAGE_STYLES = {
+  NONE: { label: "No style", suffix: "" },
+  PHOTO: { label: "Photorealistic", suffix: "photorealistic photograph, natural lighting, sharp focus, high detail" },
+  CARTOON: { label: "Cartoon", suffix: "cartoon illustration, bold outlines, flat vibrant colors" },
+  ANIME: { label: "Anime", suffix: "anime style, cel shading, expressive characters" },
+  WATERCOLOR: { label: "Watercolor", suffix: "watercolor painting, soft washes, visible paper texture" },
+  OIL: { label: "Oil painting", suffix: "oil painting, rich textured brushstrokes" },
+  PIXEL: { label: "Pixel art", suffix: "pixel art, 16-bit retro game style, limited palette" },
+  RENDER_3D: { label: "3D render", suffix: "3D render, soft global illumination, smooth materials" },
+  SKETCH: { label: "Pencil sketch", suffix: "pencil sketch, graphite shading on white paper" },
+};
+
+// Ratios Imagen accepts; the OpenAI provider maps them to the nearest supported size.
+export const ASPECT_RATIOS = ["1:1", "3:4", "4:3", "9:16", "16:9"];
+
+export const MAX_IMAGE_VARIATIONS = 4;
+export const MAX_NEGATIVE_PROMPT_LENGTH = 300;
+const MAX_SEED = 2147483647;
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  style: "NONE",
+  aspectRatio: "1:1",
+  count: 1,
+  negativePrompt: "",
+  seed: null,
+};
+
+/**
+ * Fills in defaults and clamps values (e.g. options saved by an older version).
+ * @param {object} [options]
+ * @returns {{style: string, aspectRatio: string, count: number, negativePrompt: string, seed: number|null}}
+ */
+export const normalizeImageOptions = (options = {}) => {
+  const count = Math.round(Number(options.count));
+  const seed = options.seed === null || options.seed === undefined || options.seed === "" ? NaN : Math.round(Number(options.seed));
+  return {
+    style: IMAGE_STYLES[options.style] ? options.style : DEFAULT_IMAGE_OPTIONS.style,
+    aspectRatio: ASPECT_RATIOS.includes(options.aspectRatio) ? options.aspectRatio : DEFAULT_IMAGE_OPTIONS.aspectRatio,
+    count: count >= 1 ? Math.min(count, MAX_IMAGE_VARIATIONS) : DEFAULT_IMAGE_OPTIONS.count,
+    negativePrompt: String(options.negativePrompt || "").trim().slice(0, MAX_NEGATIVE_PROMPT_LENGTH),
+    seed: seed >= 0 && seed <= MAX_SEED ? seed : null,
+  };
+};
+
+/**
+ * The prompt sent to the image model: the user's description plus the style preset
+ * and negative prompt written out as text.
+ * @param {string} prompt - The user's description.
+ * @param {object} options - Image options (see normalizeImageOptions).
+ * @returns {string}
+ */
+export const buildImagePrompt = (prompt, options) => {
+  const { style, negativePrompt } = normalizeImageOptions(options);
+  const parts = [prompt.trim()];
+  if (IMAGE_STYLES[style].suffix) parts.push(`Style: ${IMAGE_STYLES[style].suffix}.`);
+  if (negativePrompt) parts.push(`Avoid: ${negativePrompt}.`);
+  return parts.join("\n");
+};
+
+/**
+ * A random seed for "Vary this one" and new generations without a fixed seed.
+ * @returns {number}
+ */
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
@@ -0,0 +1,65 @@
+/**
+ * src/services/imagePrompt.js
+ *
+ * Prompt writing for image generation. The text model turns an answer ("Visualize
+ * this") or a short idea typed on the Images tab ("Enhance") into a detailed prompt
+ * for the image model, which the user can edit before generating. The style preset,
+ * aspect ratio and negative prompt from the Images tab are still applied on top
+ * (see imageOptions.buildImagePrompt), so the written prompt shouldn't contradict them.
+ */
+
+import { IMAGE_STYLES } from './imageOptions';
+
+export const MAX_IMAGE_PROMPT_LENGTH = 1500;
+// How much of an answer is sent when visualizing it
+const MAX_SOURCE_LENGTH = 6000;
+
+export const IMAGE_PROMPT_INSTRUCTION = `You write prompts for a text-to-image model.
+Describe one concrete image: the subject and what it is doing, the setting, the art style or medium, lighting, composition and camera angle, color palette and mood.
+Use vivid, specific visual details and leave out anything that can't be seen. Don't ask for text or lettering in the image unless the request needs it.
+Reply with the prompt only: one paragraph of at most 120 words, with no title, quotes, lists or explanation.`;
+
+// Settings the user already chose, so the model doesn't fight them
+const describeOptions = ({ style, aspectRatio } = {}) => {
+  const notes = [];
+  if (IMAGE_STYLES[style]?.suffix) notes.push(`The image will be rendered in this style: ${IMAGE_STYLES[style].suffix}. Don't name another style.`);
+  if (aspectRatio) notes.push(`The image has a ${aspectRatio} aspect ratio; compose for it.`);
+  return notes.length > 0 ? `\n\n${notes.join(" ")}` : "";
+};
+
+/**
+ * The request for "Visualize this": an image prompt for an answer.
+ * @param {string} answer - The response text (Markdown).
+ * @param {string} [question] - The prompt that produced it, for context.
+ * @param {object} [options] - Images tab options (see imageOptions.js).
+ * @returns {string}
+ */
+export const buildVisualizeRequest = (answer, question = "", options) => {
+  const source = answer.length > MAX_SOURCE_LENGTH ? `${answer.slice(0, MAX_SOURCE_LENGTH)}...` : answer;
+  const context = question ? `The user asked: "${question}"\n\n` : "";
+  return `${context}Write an image prompt that visualizes the main idea of this response. If it offers several ideas, pick the most visual one.\n\n---\n${source}\n---${describeOptions(options)}`;
+};
+
+/**
+ * The request for "Enhance": a detailed version of a short image prompt.
+ * @param {string} prompt - What the user typed on the Images tab.
+ * @param {object} [options] - Images tab options (see imageOptions.js).
+ * @returns {string}
+ */
+export const buildEnhanceRequest = (prompt, options) =>
+  `Rewrite this image idea as a detailed image prompt. Keep everything it asks for and fill in the rest.\n\nIdea: ${prompt}${describeOptions(options)}`;
+
+/**
+ * Cleans the model's reply into a bare prompt: drops code fences, a "Prompt:" label
+ * and surrounding quotes, and caps the length.
+ * @param {string} text
+ * @returns {string} - Empty if nothing usable was returned.
+ */
+export const cleanImagePrompt = (text) => String(text || "")
+  .replace(/```\w*\n?/g, "")
+  .trim()
+  .replace(/^(\*\*)?(image\s+)?prompt:?(\*\*)?:?\s*/i, "")
+  .replace(/^["'“”]+|["'“”]+$/g, "")
+  .replace(/\s+/g, " ")
+  .trim()
+  .slice(0, MAX_IMAGE_PROMPT_LENGTH);
@@ -0,0 +1,219 @@
+/**
+ * src/services/imageStore.js
+ *
+ * Blob storage for generated images, so chat messages don't carry base64 data
+ * (Firestore documents are limited to 1 MB). Images are uploaded to Firebase Storage:
+ *
+ *   /artifacts/{appId}/users/{uid}/images/{imageId}.png
+ *
+ * When the app has no Storage bucket or the upload fails (e.g. offline), the image is
+ * kept in this browser's IndexedDB instead (database `popking-images`, store `images`:
+ * { id, blob, savedAt }); such images can only be opened on this device.
+ *
+ * The message saves a reference and a small JPEG thumbnail (shown wherever the full
+ * image can't be loaded):
+ *   image: { storage: "firebase", path, url } | { storage: "local", id }
+ *   thumbnail: data URL
+ *
+ * Messages saved before this keep the image inline in `imageUrl`.
+ */
+
+import { ref, uploadBytes, getDownloadURL, getBlob, deleteObject } from 'firebase/storage';
+import { base64ToArrayBuffer } from './audio';
+import { imageThumbnail } from './attachments';
+
+const DB_NAME = "popking-images";
+const STORE = "images";
+export const IMAGE_THUMBNAIL_DIMENSION = 320; // Large enough for the gallery grid
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// Object URLs of locally stored images, by image ID (kept for the page's lifetime)
+const localUrls = new Map();
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "id" });
+    };
+    dbPromise = requestToPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Converts a base64 data URL to a Blob.
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(",");
+  const mimeType = (/^data:([^;]+)/.exec(header) || [])[1] || "image/png";
+  return new Blob([base64ToArrayBuffer(data)], { type: mimeType });
+};
+
+/**
+ * Whether a message holds its image inline (saved before images moved to storage).
+ * @param {object} message
+ * @returns {boolean}
+ */
+export const hasInlineImage = (message) =>
+  Boolean(message.isImage && !message.image && typeof message.imageUrl === "string" && message.imageUrl.startsWith("data:"));
+
+const uploadImage = async (storage, uid, imageId, blob) => {
+  const path = `artifacts/${getAppId()}/users/${uid}/images/${imageId}.png`;
+  const imageRef = ref(storage, path);
+  await uploadBytes(imageRef, blob, { contentType: blob.type });
+  return { storage: "firebase", path, url: await getDownloadURL(imageRef) };
+};
+
+const saveLocalImage = async (imageId, blob) => {
+  const db = await openDb();
+  await requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).put({ id: imageId, blob, savedAt: Date.now() }));
+  if (localUrls.has(imageId)) URL.revokeObjectURL(localUrls.get(imageId));
+  localUrls.set(imageId, URL.createObjectURL(blob));
+  return { storage: "local", id: imageId };
+};
+
+/**
+ * Stores a generated image and makes its thumbnail.
+ * @param {object|null} storage - Firebase Storage instance, or null to store locally.
+ * @param {string} uid - User ID.
+ * @param {string} imageId - ID for the image (the message ID); storing again under the same ID replaces it.
+ * @param {string} dataUrl - The image as a base64 data URL.
+ * @param {object} [options]
+ * @param {boolean} [options.localFallback] - Keep the image on this device if it can't be uploaded.
+ * @returns {Promise<{image: object, thumbnail: string}>}
+ * @throws {Error} With a user-facing message if the image could not be stored.
+ */
+export const storeImage = async (storage, uid, imageId, dataUrl, { localFallback = true } = {}) => {
+  const blob = dataUrlToBlob(dataUrl);
+  const thumbnail = await imageThumbnail(blob, IMAGE_THUMBNAIL_DIMENSION);
+  if (storage && uid) {
+    try {
+      return { image: await uploadImage(storage, uid, imageId, blob), thumbnail };
+    } catch (error) {
+      console.error("Image upload failed:", error);
+      if (!localFallback) throw new Error("The image could not be uploaded.");
+    }
+  }
+  if (!localFallback) throw new Error("Image uploads are not available.");
+  try {
+    return { image: await saveLocalImage(imageId, blob), thumbnail };
+  } catch (error) {
+    console.error("Error saving the image locally:", error);
+    throw new Error("The image could not be saved.");
+  }
+};
+
+/**
+ * The URL to show a message's full image, if it is available without loading.
+ * @param {object} message - An image message.
+ * @returns {string|null} - Null when a local image still needs loadLocalImageUrl (or is on another device).
+ */
+export const imageSrc = (message) => {
+  if (message.imageUrl) return message.imageUrl; // Just generated, or saved inline
+  if (message.image?.storage === "firebase") return message.image.url;
+  if (message.image?.storage === "local") return localUrls.get(message.image.id) || null;
+  return null;
+};
+
+/**
+ * Loads a locally stored image.
+ * @param {string} imageId
+ * @returns {Promise<string|null>} - An object URL, or null if it isn't on this device.
+ */
+export const loadLocalImageUrl = async (imageId) => {
+  if (localUrls.has(imageId)) return localUrls.get(imageId);
+  try {
+    const db = await openDb();
+    const entry = await requestToPromise(db.transaction(STORE).objectStore(STORE).get(imageId));
+    if (!entry) return null;
+    localUrls.set(imageId, URL.createObjectURL(entry.blob));
+    return localUrls.get(imageId);
+  } catch (error) {
+    console.error("Error reading a local image:", error);
+    return null;
+  }
+};
+
+/**
+ * Loads a message's full image for downloading.
+ * @param {object|null} storage - Firebase Storage instance.
+ * @param {object} message - An image message.
+ * @returns {Promise<Blob>}
+ * @throws {Error} With a user-facing message if the image isn't available.
+ */
+export const loadImageBlob = async (storage, message) => {
+  if (message.imageUrl?.startsWith("data:")) return dataUrlToBlob(message.imageUrl);
+  if (message.image?.storage === "firebase" && storage) {
+    try {
+      return await getBlob(ref(storage, message.image.path));
+    } catch (error) {
+      console.error("Error downloading an image:", error);
+      throw new Error("The image could not be downloaded.");
+    }
+  }
+  if (message.image?.storage === "local") {
+    const db = await openDb();
+    const entry = await requestToPromise(db.transaction(STORE).objectStore(STORE).get(message.image.id));
+    if (entry) return entry.blob;
+    throw new Error("This image is stored on another device.");
+  }
+  throw new Error("This image is not available.");
+};
+
+/**
+ * Copies a stored image under a new ID, so a copied message doesn't share (and then
+ * delete) the original's image. The copy is kept where the original was.
+ * @param {object|null} storage - Firebase Storage instance.
+ * @param {string} uid - User ID.
+ * @param {object} image - The message's `image` reference.
+ * @param {string} imageId - ID for the copy (the copied message's ID).
+ * @returns {Promise<object>} - The copy's `image` reference.
+ * @throws {Error} With a user-facing message if the image isn't available to copy.
+ */
+export const copyStoredImage = async (storage, uid, image, imageId) => {
+  const blob = await loadImageBlob(storage, { image });
+  if (image.storage === "firebase") {
+    try {
+      return await uploadImage(storage, uid, imageId, blob);
+    } catch (error) {
+      console.error("Image upload failed:", error);
+      throw new Error("The image could not be copied.");
+    }
+  }
+  return saveLocalImage(imageId, blob);
+};
+
+/**
+ * Deletes a stored image. Missing images are ignored.
+ * @param {object|null} storage - Firebase Storage instance.
+ * @param {object} image - The message's `image` reference.
+ * @returns {Promise<void>}
+ */
+export const deleteStoredImage = async (storage, image) => {
+  if (image.storage === "firebase" && storage) {
+    try {
+      await deleteObject(ref(storage, image.path));
+    } catch (error) {
+      if (error.code !== "storage/object-not-found") throw error;
+    }
+  } else if (image.storage === "local") {
+    const db = await openDb();
+    await requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).delete(image.id));
+    if (localUrls.has(image.id)) URL.revokeObjectURL(localUrls.get(image.id));
+    localUrls.delete(image.id);
+  }
+};
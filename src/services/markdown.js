@@ -0,0 +1,101 @@
+/**
+ * src/services/markdown.js
+ *
+ * Text preparation for the Markdown renderer (components/MarkdownMessage.js):
+ * normalizes LaTeX delimiters for remark-math and closes constructs left open by a
+ * response that is still streaming, so a half-finished code fence or formula doesn't
+ * swallow (or break) the rest of the message while tokens arrive.
+ */
+
+// Code block language -> file extension for downloads.
+const CODE_FILE_EXTENSIONS = {
+  javascript: "js", js: "js", jsx: "jsx", typescript: "ts", ts: "ts", tsx: "tsx",
+  python: "py", py: "py", java: "java", c: "c", cpp: "cpp", "c++": "cpp", csharp: "cs", cs: "cs",
+  go: "go", rust: "rs", ruby: "rb", php: "php", swift: "swift", kotlin: "kt",
+  html: "html", css: "css", json: "json", yaml: "yml", yml: "yml", xml: "xml",
+  bash: "sh", sh: "sh", shell: "sh", sql: "sql", markdown: "md", md: "md",
+};
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+
+/**
+ * Reads the language from a code element's class ("language-js" -> "js").
+ * @param {string} [className]
+ * @returns {string} - Lower-case language, or "" when unlabeled.
+ */
+export const codeLanguage = (className) => ((/language-([\w+#-]+)/.exec(className || "") || [])[1] || "").toLowerCase();
+
+/**
+ * File extension for downloading a code block.
+ * @param {string} language - From codeLanguage.
+ * @returns {string}
+ */
+export const codeFileExtension = (language) => CODE_FILE_EXTENSIONS[language] || "txt";
+
+// Splits text into alternating [prose, fenced code, prose, ...] parts, each an array of lines.
+const splitFences = (text) => {
+  const parts = [];
+  let current = [];
+  let fence = null;
+  text.split("\n").forEach((line) => {
+    const match = FENCE.exec(line);
+    if (!fence && match) {
+      parts.push(current);
+      current = [line];
+      fence = match[1];
+    } else if (fence && match && match[1][0] === fence[0] && match[1].length >= fence.length && !line.trim().slice(match[1].length)) {
+      current.push(line);
+      parts.push(current);
+      current = [];
+      fence = null;
+    } else {
+      current.push(line);
+    }
+  });
+  parts.push(current);
+  return { parts, openFence: fence };
+};
+
+/**
+ * Rewrites \( \) and \[ \] math (common in model output) to the $ / $$ delimiters
+ * remark-math understands. Code blocks are left untouched.
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeMathDelimiters = (text) => {
+  const { parts } = splitFences(text);
+  return parts.map((lines, i) => (i % 2 === 1
+    ? lines.join("\n")
+    : lines.join("\n")
+      .replace(/\\\[([\s\S]*?)\\\]/g, (match, math) => `$$${math}$$`)
+      .replace(/\\\(([\s\S]*?)\\\)/g, (match, math) => `$${math}$`)
+  )).filter((part, i) => parts[i].length > 0).join("\n");
+};
+
+/**
+ * Closes Markdown constructs that a streaming response has opened but not yet
+ * finished: code fences, $$ display math and a trailing link URL.
+ * @param {string} text
+ * @returns {string}
+ */
+export const closeOpenMarkdown = (text) => {
+  const { parts, openFence } = splitFences(text);
+  if (openFence) return `${text}\n${openFence}`;
+
+  let closed = text;
+  const prose = parts.filter((lines, i) => i % 2 === 0).flat().join("\n");
+  if ((prose.match(/\$\$/g) || []).length % 2 === 1) closed += "$$";
+  // "[label](https://exa" -> "[label]" until the URL is complete
+  return closed.replace(/(\[[^\]\n]*\])\([^)\s]*$/, "$1");
+};
+
+/**
+ * Prepares model output for rendering.
+ * @param {string} text
+ * @param {boolean} [streaming] - Whether more text is still arriving.
+ * @returns {string}
+ */
+export const prepareMarkdown = (text, streaming = false) => {
+  const markdown = normalizeMathDelimiters(String(text || ""));
+  return streaming ? closeOpenMarkdown(markdown) : markdown;
+};
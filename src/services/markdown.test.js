@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { codeLanguage, codeFileExtension, normalizeMathDelimiters, closeOpenMarkdown, prepareMarkdown } from './markdown';
+
+describe("normalizeMathDelimiters", () => {
+  it("rewrites inline and display LaTeX delimiters", () => {
+    expect(normalizeMathDelimiters("Since \\(a^2 + b^2 = c^2\\), we get")).toBe("Since $a^2 + b^2 = c^2$, we get");
+    expect(normalizeMathDelimiters("\\[\n\\int_0^1 x\\,dx = \\frac{1}{2}\n\\]")).toBe("$$\n\\int_0^1 x\\,dx = \\frac{1}{2}\n$$");
+  });
+
+  it("leaves code blocks untouched", () => {
+    const text = "Escape it:\n```python\nprint(\"\\(x\\)\")\n```\nThen \\(x\\) renders.";
+    expect(normalizeMathDelimiters(text)).toBe("Escape it:\n```python\nprint(\"\\(x\\)\")\n```\nThen $x$ renders.");
+  });
+
+  it("keeps the text around fences at the start and end of a message", () => {
+    const text = "```js\nconst x = 1;\n```\n";
+    expect(normalizeMathDelimiters(text)).toBe(text);
+    expect(normalizeMathDelimiters("Plain text.")).toBe("Plain text.");
+  });
+});
+
+describe("closeOpenMarkdown", () => {
+  it("closes an unfinished code fence with the same marker", () => {
+    expect(closeOpenMarkdown("Here:\n```js\nconst x")).toBe("Here:\n```js\nconst x\n```");
+    expect(closeOpenMarkdown("~~~~\ncode")).toBe("~~~~\ncode\n~~~~");
+  });
+
+  it("doesn't treat a shorter or different fence as the end of a block", () => {
+    expect(closeOpenMarkdown("````md\n```\nstill code")).toBe("````md\n```\nstill code\n````");
+    expect(closeOpenMarkdown("```\n~~~\nstill code")).toBe("```\n~~~\nstill code\n```");
+  });
+
+  it("closes unfinished display math outside code blocks", () => {
+    expect(closeOpenMarkdown("$$\nx^2")).toBe("$$\nx^2$$");
+    expect(closeOpenMarkdown("$$x$$ and:\n```\n$$\n```")).toBe("$$x$$ and:\n```\n$$\n```");
+  });
+
+  it("hides a link URL that is still arriving", () => {
+    expect(closeOpenMarkdown("See [the docs](https://exa")).toBe("See [the docs]");
+    expect(closeOpenMarkdown("See [the docs](https://example.com).")).toBe("See [the docs](https://example.com).");
+  });
+
+  it("leaves finished Markdown alone", () => {
+    const text = "# Title\n\n```js\nx\n```\n\n$$y$$";
+    expect(closeOpenMarkdown(text)).toBe(text);
+  });
+});
+
+describe("prepareMarkdown", () => {
+  it("only closes open constructs while streaming", () => {
+    expect(prepareMarkdown("\\[x", true)).toBe("\\[x");
+    expect(prepareMarkdown("```\ncode", true)).toBe("```\ncode\n```");
+    expect(prepareMarkdown("```\ncode")).toBe("```\ncode");
+    expect(prepareMarkdown(null)).toBe("");
+  });
+});
+
+describe("code block helpers", () => {
+  it("reads the language and picks a download extension", () => {
+    expect(codeLanguage("language-Python hljs")).toBe("python");
+    expect(codeLanguage(undefined)).toBe("");
+    expect(codeFileExtension("python")).toBe("py");
+    expect(codeFileExtension("brainfuck")).toBe("txt");
+  });
+});
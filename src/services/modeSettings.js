@@ -0,0 +1,108 @@
+/**
+ * src/services/modeSettings.js
+ *
+ * Per-mode prompts, tools and generation parameters. Defaults live on each MODES entry
+ * in Generator.js; users override them in Settings > Advanced, stored as
+ * `settings.modeOverrides[modeKey]`:
+ *   { systemPrompt?, defaultTab?, tools?, temperature?, maxOutputTokens?, topP?, topK?, stopSequences? }
+ * A missing field means "use the mode default".
+ */
+
+export const MODE_TOOLS = {
+  google_search: "Google Search grounding",
+  code_execution: "Code execution (Python)",
+};
+
+export const MODE_TABS = ["Text", "Images", "Study", "Code"];
+
+// Placeholders available in system-prompt templates.
+export const PROMPT_PLACEHOLDERS = ["{mode}", "{persona}"];
+
+export const MAX_STOP_SEQUENCES = 5; // Gemini's limit
+
+/**
+ * Fills `{name}` placeholders; unknown placeholders are left as typed.
+ * @param {string} template - e.g. "You are PopKing AI in {mode}. Persona: {persona}."
+ * @param {object} values - e.g. { mode: "Code Mode", persona: "..." }
+ * @returns {string}
+ */
+export const renderSystemPrompt = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+
+/**
+ * Parses the stop-sequence field (one sequence per line).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const parseStopSequences = (text) =>
+  String(text || '').split('\n').filter(line => line.trim()).slice(0, MAX_STOP_SEQUENCES);
+
+const clampNumber = (value, min, max, integer = false) => {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return undefined;
+  const clamped = Math.min(max, Math.max(min, number));
+  return integer ? Math.round(clamped) : clamped;
+};
+
+/**
+ * Cleans advanced-panel input into a stored override: blanks and invalid numbers are
+ * dropped, and values equal to the mode default are not stored.
+ * @param {object} fields - Raw form values.
+ * @param {object} defaults - The MODES entry.
+ * @returns {object}
+ */
+export const normalizeModeOverride = (fields, defaults) => {
+  const override = {
+    systemPrompt: String(fields.systemPrompt || '').trim() || undefined,
+    defaultTab: MODE_TABS.includes(fields.defaultTab) ? fields.defaultTab : undefined,
+    tools: Array.isArray(fields.tools) ? fields.tools.filter(tool => tool in MODE_TOOLS) : undefined,
+    temperature: clampNumber(fields.temperature, 0, 2),
+    maxOutputTokens: clampNumber(fields.maxOutputTokens, 1, 65536, true),
+    topP: clampNumber(fields.topP, 0, 1),
+    topK: clampNumber(fields.topK, 1, 1000, true),
+    stopSequences: fields.stopSequences === undefined ? undefined : parseStopSequences(fields.stopSequences),
+  };
+  const same = (key) => JSON.stringify(override[key]) === JSON.stringify(defaults[key]);
+  return Object.fromEntries(Object.entries(override).filter(([key, value]) => value !== undefined && !same(key)));
+};
+
+/**
+ * Merges a mode's defaults with the user's override.
+ * @param {object} mode - The MODES entry.
+ * @param {object} [override] - `settings.modeOverrides[modeKey]`.
+ * @returns {{systemPrompt: string, defaultTab: string, tools: Array<string>, temperature: number|null,
+ *   maxOutputTokens: number, topP: number|null, topK: number|null, stopSequences: Array<string>}}
+ */
+export const resolveModeSettings = (mode, override = {}) => {
+  const pick = (key) => (override[key] !== undefined ? override[key] : mode[key]);
+  return {
+    systemPrompt: pick('systemPrompt'),
+    defaultTab: pick('defaultTab'),
+    tools: pick('tools') || [],
+    temperature: pick('temperature') ?? null,
+    maxOutputTokens: pick('maxOutputTokens'),
+    topP: pick('topP') ?? null,
+    topK: pick('topK') ?? null,
+    stopSequences: pick('stopSequences') || [],
+  };
+};
+
+/**
+ * Builds the request `generationConfig` for a mode.
+ * @param {object} modeSettings - From resolveModeSettings.
+ * @param {object} limits
+ * @param {number} limits.creativity - Settings temperature, used when the mode sets none.
+ * @param {number} limits.maxOutputTokens - Plan cap on output length.
+ * @returns {object}
+ */
+export const buildGenerationConfig = (modeSettings, { creativity, maxOutputTokens }) => {
+  const config = {
+    temperature: modeSettings.temperature ?? creativity,
+    maxOutputTokens: Math.min(modeSettings.maxOutputTokens || maxOutputTokens, maxOutputTokens),
+  };
+  if (modeSettings.topP !== null) config.topP = modeSettings.topP;
+  if (modeSettings.topK !== null) config.topK = modeSettings.topK;
+  if (modeSettings.stopSequences.length > 0) config.stopSequences = modeSettings.stopSequences;
+  return config;
+};
@@ -0,0 +1,96 @@
+/**
+ * src/services/modelConfig.js
+ *
+ * Default models and per-mode routing. A "route" tells the service layer which
+ * provider, model and endpoint to use for one mode or capability:
+ *   { provider: 'gemini' | 'openai', model: string, endpoint: string, apiKey?: string }
+ *
+ * Users override routes in settings (`modelRoutes`), keyed by mode key
+ * (e.g. "CODE") or by the capability keys "IMAGE", "TTS" and "STT". OpenAI-compatible
+ * routes can set their own endpoint; otherwise they use `openaiEndpoint`.
+ *
+ * Settings are synced to Firestore, so the OpenAI-compatible API key is kept out of
+ * them: it is stored in this browser's localStorage only (loadOpenAIApiKey).
+ */
+
+// `imageSeed`: whether image generation takes a seed. Imagen only accepts one on Vertex AI;
+// OpenAI-compatible servers get a non-standard `seed` field (local Stable Diffusion servers
+// use it, others ignore it).
+export const PROVIDERS = {
+  gemini: { name: "Google Gemini", endpoint: "https://generativelanguage.googleapis.com/v1beta", imageSeed: false },
+  openai: { name: "OpenAI-compatible (Ollama, llama.cpp, ...)", endpoint: "http://localhost:11434/v1", imageSeed: true },
+};
+
+export const DEFAULT_MODELS = {
+  gemini: {
+    text: "gemini-2.5-flash-preview-09-2025",
+    image: "imagen-4.0-generate-001",
+    tts: "gemini-2.5-flash-preview-tts",
+    stt: "gemini-2.5-flash-preview-09-2025", // Transcribes through audio input
+  },
+  openai: {
+    text: "llama3.1",
+    image: "dall-e-3",
+    tts: "tts-1",
+    stt: "whisper-1",
+  },
+};
+
+// Route keys for the non-text capabilities.
+export const IMAGE_ROUTE_KEY = "IMAGE";
+export const TTS_ROUTE_KEY = "TTS";
+export const STT_ROUTE_KEY = "STT";
+
+// Settings fields owned by the provider layer (merged into INITIAL_SETTINGS).
+export const INITIAL_MODEL_SETTINGS = {
+  modelRoutes: {}, // { [modeKey | "IMAGE" | "TTS" | "STT"]: { provider, model, endpoint? } }
+  openaiEndpoint: PROVIDERS.openai.endpoint,
+};
+
+const API_KEY_STORAGE_KEY = "popking-openai-api-key";
+
+/**
+ * Reads the OpenAI-compatible API key saved in this browser.
+ * @returns {string} - Empty when none is saved (local servers usually don't need one).
+ */
+export const loadOpenAIApiKey = () => {
+  try {
+    return localStorage.getItem(API_KEY_STORAGE_KEY) || "";
+  } catch (e) {
+    return ""; // Storage blocked by the browser
+  }
+};
+
+/**
+ * Saves the OpenAI-compatible API key in this browser; an empty key removes it.
+ * @param {string} apiKey
+ */
+export const saveOpenAIApiKey = (apiKey) => {
+  try {
+    if (apiKey) localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+    else localStorage.removeItem(API_KEY_STORAGE_KEY);
+  } catch (error) {
+    console.error("Could not save the API key:", error);
+  }
+};
+
+/**
+ * Resolves the route for a mode or capability from user settings.
+ * @param {object} settings - The user's settings (see INITIAL_MODEL_SETTINGS).
+ * @param {string} routeKey - Mode key (e.g. "CODE"), IMAGE_ROUTE_KEY, TTS_ROUTE_KEY or STT_ROUTE_KEY.
+ * @param {"text"|"image"|"tts"|"stt"} [capability] - Which default model to fall back to.
+ * @param {string} [defaultModel] - Gemini model to use when not overridden (a mode's `model`).
+ * @returns {{provider: string, model: string, endpoint: string, apiKey: string|undefined}}
+ */
+export const resolveModelRoute = (settings, routeKey, capability = "text", defaultModel) => {
+  const override = settings?.modelRoutes?.[routeKey] || {};
+  const provider = PROVIDERS[override.provider] ? override.provider : "gemini";
+  const isOpenAI = provider === "openai";
+
+  return {
+    provider,
+    model: override.model || (!isOpenAI && defaultModel) || DEFAULT_MODELS[provider][capability],
+    endpoint: isOpenAI ? (override.endpoint || settings?.openaiEndpoint || PROVIDERS.openai.endpoint) : PROVIDERS.gemini.endpoint,
+    apiKey: isOpenAI ? loadOpenAIApiKey() || undefined : undefined,
+  };
+};
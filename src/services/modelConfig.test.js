@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resolveModelRoute, loadOpenAIApiKey, saveOpenAIApiKey, PROVIDERS, DEFAULT_MODELS } from './modelConfig';
+
+// An in-memory stand-in for window.localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("resolveModelRoute", () => {
+  beforeEach(() => vi.stubGlobal('localStorage', memoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("defaults to Gemini with the mode's model", () => {
+    expect(resolveModelRoute({}, "CODE", "text", "gemini-code")).toEqual({
+      provider: "gemini",
+      model: "gemini-code",
+      endpoint: PROVIDERS.gemini.endpoint,
+      apiKey: undefined,
+    });
+    expect(resolveModelRoute(null, "IMAGE", "image").model).toBe(DEFAULT_MODELS.gemini.image);
+  });
+
+  it("uses the global OpenAI-compatible endpoint unless the route sets its own", () => {
+    const settings = {
+      openaiEndpoint: "http://gpu-box:8080/v1",
+      modelRoutes: {
+        CODE: { provider: "openai", model: "qwen2.5-coder" },
+        IMAGE: { provider: "openai", model: "sdxl", endpoint: "http://localhost:7860/v1" },
+      },
+    };
+    expect(resolveModelRoute(settings, "CODE", "text").endpoint).toBe("http://gpu-box:8080/v1");
+    expect(resolveModelRoute(settings, "IMAGE", "image").endpoint).toBe("http://localhost:7860/v1");
+    expect(resolveModelRoute({ modelRoutes: settings.modelRoutes }, "CODE", "text").endpoint).toBe(PROVIDERS.openai.endpoint);
+  });
+
+  it("reads the API key from this browser, not from the synced settings", () => {
+    const settings = { openaiApiKey: "synced-key", modelRoutes: { CODE: { provider: "openai" } } };
+    expect(resolveModelRoute(settings, "CODE", "text").apiKey).toBeUndefined();
+    saveOpenAIApiKey("local-key");
+    expect(resolveModelRoute(settings, "CODE", "text").apiKey).toBe("local-key");
+    expect(resolveModelRoute(settings, "STUDY", "text").apiKey).toBeUndefined(); // Gemini route
+  });
+
+  it("removes the saved key when it is cleared", () => {
+    saveOpenAIApiKey("local-key");
+    saveOpenAIApiKey("");
+    expect(loadOpenAIApiKey()).toBe("");
+  });
+});
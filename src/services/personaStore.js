@@ -0,0 +1,128 @@
+/**
+ * src/services/personaStore.js
+ *
+ * Firestore persistence for custom personas and their share codes.
+ *
+ *   /artifacts/{appId}/users/{uid}/personas/{personaId}
+ *       { name, instructions, examples, temperature, voice, color, shareCode, importedFrom, createdAt, updatedAt }
+ *   /artifacts/{appId}/public/data/sharedPersonas/{shareCode}
+ *       { name, instructions, examples, temperature, voice, color, ownerId, sharedAt }
+ *
+ * Shared copies are readable by every signed-in user; rules should only let `ownerId`
+ * write them.
+ */
+
+import {
+  collection, doc, query, orderBy, getDoc, setDoc, runTransaction, writeBatch,
+} from 'firebase/firestore';
+import { normalizePersona, generateShareCode } from './personas';
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - CollectionReference of the user's personas.
+ */
+export const getPersonasCollectionRef = (db, uid) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/personas`);
+
+const getSharedPersonaRef = (db, shareCode) =>
+  doc(db, `/artifacts/${getAppId()}/public/data/sharedPersonas/${shareCode}`);
+
+// Fields copied to the public share doc (never the owner's private metadata).
+const toSharedFields = (persona) => {
+  const { name, instructions, examples, temperature, voice, color } = persona;
+  return { name, instructions, examples, temperature, voice, color };
+};
+
+/**
+ * Query for the user's personas, oldest first (the order they appear in Settings).
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - Firestore Query.
+ */
+export const personasQuery = (db, uid) =>
+  query(getPersonasCollectionRef(db, uid), orderBy('createdAt', 'asc'));
+
+/**
+ * Creates or updates a persona. A shared persona's public copy is updated with it.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} personaId - Client-generated ID.
+ * @param {object} fields - Editor fields (see normalizePersona).
+ * @param {object|null} existing - The stored persona when editing.
+ * @param {string} defaultVoice - Voice used when none is chosen.
+ * @returns {Promise<void>}
+ */
+export const savePersona = (db, uid, personaId, fields, existing, defaultVoice) => {
+  const now = Date.now();
+  const persona = normalizePersona(fields, defaultVoice);
+  const batch = writeBatch(db);
+  batch.set(doc(getPersonasCollectionRef(db, uid), personaId), {
+    ...persona,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  }, { merge: true });
+  if (existing?.shareCode) {
+    batch.set(getSharedPersonaRef(db, existing.shareCode), { ...toSharedFields(persona), ownerId: uid, sharedAt: now });
+  }
+  return batch.commit();
+};
+
+/**
+ * Deletes a persona and withdraws its share code.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} persona - Stored persona with `id`.
+ * @returns {Promise<void>}
+ */
+export const deletePersona = (db, uid, persona) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(getPersonasCollectionRef(db, uid), persona.id));
+  if (persona.shareCode) batch.delete(getSharedPersonaRef(db, persona.shareCode));
+  return batch.commit();
+};
+
+/**
+ * Publishes a persona under a share code. Sharing again returns the existing code.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} persona - Stored persona with `id`.
+ * @returns {Promise<string>} - The share code.
+ * @throws {Error} If the generated code is already taken (retrying picks a new one).
+ */
+export const sharePersona = async (db, uid, persona) => {
+  if (persona.shareCode) return persona.shareCode;
+  const shareCode = generateShareCode();
+  const sharedRef = getSharedPersonaRef(db, shareCode);
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sharedRef);
+    if (snap.exists()) throw new Error("Could not create a share code. Please try again.");
+    transaction.set(sharedRef, { ...toSharedFields(persona), ownerId: uid, sharedAt: Date.now() });
+    transaction.update(doc(getPersonasCollectionRef(db, uid), persona.id), { shareCode });
+  });
+  return shareCode;
+};
+
+/**
+ * Copies a shared persona into the user's personas. Importing the same code twice
+ * refreshes the earlier copy instead of adding another.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} shareCode - Normalized code (see normalizeShareCode).
+ * @param {string} defaultVoice - Voice used when the shared one is missing.
+ * @returns {Promise<{id: string, name: string}>} - The imported persona.
+ * @throws {Error} If no persona is shared under the code.
+ */
+export const importSharedPersona = async (db, uid, shareCode, defaultVoice) => {
+  const snap = await getDoc(getSharedPersonaRef(db, shareCode));
+  if (!snap.exists()) throw new Error(`No shared persona found for code ${shareCode}.`);
+
+  const id = `shared-${shareCode}`;
+  const persona = normalizePersona(snap.data(), defaultVoice);
+  const now = Date.now();
+  await setDoc(doc(getPersonasCollectionRef(db, uid), id), { ...persona, importedFrom: shareCode, createdAt: now, updatedAt: now });
+  return { id, name: persona.name };
+};
@@ -0,0 +1,82 @@
+/**
+ * src/services/personas.js
+ *
+ * User-built personas. A custom persona is stored in Firestore (see personaStore.js)
+ * and selected with the settings key `CUSTOM_<personaId>`, next to the built-in keys.
+ *
+ * Persona: { name, instructions, examples: string[], temperature, voice, color, shareCode? }
+ */
+
+export const CUSTOM_PERSONA_PREFIX = "CUSTOM_";
+
+export const PERSONA_LIMITS = {
+  name: 40,
+  instructions: 2000,
+  examples: 3,
+  exampleLength: 500,
+};
+
+// Avatar colors; stored as hex so they look the same in every theme.
+export const PERSONA_COLORS = ["#a855f7", "#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#ec4899", "#14b8a6", "#64748b"];
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped.
+const SHARE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const SHARE_CODE_LENGTH = 8;
+
+/**
+ * @param {string} personaId - Firestore doc ID.
+ * @returns {string} - Settings key for the persona.
+ */
+export const customPersonaKey = (personaId) => `${CUSTOM_PERSONA_PREFIX}${personaId}`;
+
+/**
+ * Trims and clamps editor input into a storable persona.
+ * @param {object} fields - Raw persona fields.
+ * @param {string} defaultVoice - Used when no voice is given.
+ * @returns {object} - Persona without id/timestamps.
+ */
+export const normalizePersona = (fields, defaultVoice) => {
+  const temperature = Number(fields.temperature);
+  return {
+    name: String(fields.name || '').trim().slice(0, PERSONA_LIMITS.name) || "Untitled persona",
+    instructions: String(fields.instructions || '').trim().slice(0, PERSONA_LIMITS.instructions),
+    examples: (fields.examples || [])
+      .map(example => String(example || '').trim().slice(0, PERSONA_LIMITS.exampleLength))
+      .filter(Boolean)
+      .slice(0, PERSONA_LIMITS.examples),
+    temperature: Number.isFinite(temperature) ? Math.round(Math.min(1, Math.max(0, temperature)) * 10) / 10 : 0.7,
+    voice: fields.voice || defaultVoice,
+    color: PERSONA_COLORS.includes(fields.color) ? fields.color : PERSONA_COLORS[0],
+  };
+};
+
+/**
+ * The persona description inserted into the system prompt.
+ * @param {object} persona
+ * @returns {string}
+ */
+export const buildPersonaPrompt = (persona) => {
+  const examples = (persona.examples || []).map(example => `- "${example}"`).join('\n');
+  return [
+    `${persona.name}. ${persona.instructions}`.trim(),
+    examples && `Example replies showing this persona's voice and style:\n${examples}`,
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * @returns {string} - A random share code.
+ */
+export const generateShareCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_CODE_LENGTH));
+  return Array.from(bytes, byte => SHARE_CODE_ALPHABET[byte % SHARE_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Normalizes a typed share code ("abcd-2345 " -> "ABCD2345").
+ * @param {string} input
+ * @returns {string|null} - The code, or null if it cannot be one.
+ */
+export const normalizeShareCode = (input) => {
+  const code = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return code.length === SHARE_CODE_LENGTH && [...code].every(char => SHARE_CODE_ALPHABET.includes(char)) ? code : null;
+};
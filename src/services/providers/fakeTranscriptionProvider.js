@@ -0,0 +1,58 @@
+/**
+ * src/services/providers/fakeTranscriptionProvider.js
+ *
+ * Offline stand-in for the speech-to-text path. It implements only `transcribeAudio`,
+ * checks that it received a well-formed WAV upload, and records every call, so the
+ * recording -> WAV -> base64 pipeline can be exercised without a network or API key:
+ *
+ *   const fake = createFakeTranscriptionProvider({ transcript: "hello" });
+ *   await transcribeRecording(blob, audio => transcribeAudio(audio, { provider: fake }), decode);
+ *   fake.calls[0].sampleRate === 16000
+ *
+ * speechInput.test.js runs the pipeline with it.
+ */
+
+import { base64ToArrayBuffer } from '../audio';
+
+/**
+ * Reads the WAV header fields the fake checks.
+ * @param {ArrayBuffer} buffer
+ * @returns {{sampleRate: number, channels: number, sampleCount: number}}
+ * @throws {Error} If the data is not a PCM WAV file.
+ */
+const readWavHeader = (buffer) => {
+  const view = new DataView(buffer);
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+  if (buffer.byteLength < 44 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE' || tag(36) !== 'data') {
+    throw new Error("Fake transcription provider expected a PCM WAV upload.");
+  }
+  return {
+    channels: view.getUint16(22, true),
+    sampleRate: view.getUint32(24, true),
+    sampleCount: view.getUint32(40, true) / 2,
+  };
+};
+
+/**
+ * Creates the fake provider.
+ * @param {object} [config]
+ * @param {string} [config.transcript] - Returned for every recording.
+ * @param {number} [config.delayMs] - Simulated latency.
+ * @returns {{id: string, calls: Array<object>, transcribeAudio: function(object): Promise<string>}}
+ */
+export const createFakeTranscriptionProvider = ({ transcript = "This is a test transcript.", delayMs = 0 } = {}) => {
+  const calls = [];
+  return {
+    id: "fake",
+    calls,
+
+    async transcribeAudio({ model, audio }) {
+      if (audio.mimeType !== 'audio/wav') {
+        throw new Error(`Fake transcription provider expected audio/wav, got ${audio.mimeType}.`);
+      }
+      calls.push({ model, ...readWavHeader(base64ToArrayBuffer(audio.data)) });
+      if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+      return transcript;
+    },
+  };
+};
@@ -0,0 +1,170 @@
+/**
+ * src/services/providers/geminiProvider.js
+ *
+ * Model provider backed by the Gemini / Imagen REST API (generativelanguage.googleapis.com).
+ * See providers/index.js for the provider interface.
+ */
+
+import { fetchWithRetry, fetchResponseWithRetry, readSSEStream } from '../http';
+import { parseGeminiStreamChunk, geminiPartToText } from '../sseParser';
+import { base64ToArrayBuffer, pcmToWav } from '../audio';
+
+/**
+ * Maps Gemini grounding metadata to a list of web sources.
+ * Current models list the sources in `groundingChunks`; older ones sent `groundingAttributions`.
+ * @param {object} groundingMetadata - `candidate.groundingMetadata` from a response.
+ * @returns {Array<{uri: string, title: string}>}
+ */
+const extractSources = (groundingMetadata) => {
+  if (!groundingMetadata) return [];
+  const grounding = groundingMetadata.groundingChunks?.length
+    ? groundingMetadata.groundingChunks
+    : groundingMetadata.groundingAttributions || [];
+  return grounding
+    .map(item => ({
+      uri: item.web?.uri,
+      title: item.web?.title,
+    }))
+    .filter(source => source.uri && source.title);
+};
+
+// Gemini tool declarations, keyed by MODE_TOOLS key.
+const GEMINI_TOOLS = {
+  google_search: { google_search: {} },
+  code_execution: { code_execution: {} },
+};
+
+/**
+ * Creates a Gemini provider.
+ * @param {object} config
+ * @param {string} config.endpoint - API base URL, e.g. "https://generativelanguage.googleapis.com/v1beta".
+ * @param {string} config.apiKey - Google AI Studio API key.
+ * @returns {object} - A provider implementing the interface described in providers/index.js.
+ */
+export const createGeminiProvider = ({ endpoint, apiKey }) => {
+  const modelUrl = (model, method, query = "") => `${endpoint}/models/${model}:${method}?${query}key=${apiKey}`;
+
+  const post = (body, signal) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const textPayload = ({ contents, systemInstruction, generationConfig, tools = [] }) => {
+    const declarations = tools.map(tool => GEMINI_TOOLS[tool]).filter(Boolean);
+    return {
+      contents,
+      systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
+      generationConfig,
+      tools: declarations.length > 0 ? declarations : undefined,
+    };
+  };
+
+  return {
+    id: "gemini",
+
+    async generateText({ model, signal, ...request }) {
+      const result = await fetchWithRetry(modelUrl(model, "generateContent"), post(textPayload(request), signal));
+      const candidate = result.candidates?.[0];
+      const text = (candidate?.content?.parts || []).map(geminiPartToText).join("");
+      if (!text) {
+        throw new Error(`Gemini returned no text: ${JSON.stringify(result)}`);
+      }
+      return { text, sources: extractSources(candidate.groundingMetadata) };
+    },
+
+    async streamText({ model, signal, onText, ...request }) {
+      let text = "";
+      let groundingMetadata;
+      try {
+        const response = await fetchResponseWithRetry(modelUrl(model, "streamGenerateContent", "alt=sse&"), post(textPayload(request), signal));
+        await readSSEStream(response, (data) => {
+          const chunk = parseGeminiStreamChunk(JSON.parse(data));
+          if (chunk.groundingMetadata) groundingMetadata = chunk.groundingMetadata;
+          if (chunk.text) {
+            text += chunk.text;
+            if (onText) onText(text);
+          }
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return { text, sources: extractSources(groundingMetadata), aborted: true };
+        }
+        throw error;
+      }
+      return { text, sources: extractSources(groundingMetadata), aborted: false };
+    },
+
+    async generateStructured({ model, contents, systemInstruction, responseSchema, generationConfig, signal }) {
+      const payload = textPayload({
+        contents,
+        systemInstruction,
+        generationConfig: { ...generationConfig, responseMimeType: "application/json", responseSchema },
+      });
+      const result = await fetchWithRetry(modelUrl(model, "generateContent"), post(payload, signal));
+      const jsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!jsonString) {
+        throw new Error("Received empty or malformed JSON string.");
+      }
+      return JSON.parse(jsonString);
+    },
+
+    // No seed: the Gemini API's Imagen endpoint rejects it (it is Vertex AI only)
+    async generateImages({ model, prompt, sampleCount = 1, aspectRatio = "1:1", signal }) {
+      const payload = {
+        instances: [{ prompt }],
+        parameters: { sampleCount, aspectRatio },
+      };
+      const result = await fetchWithRetry(modelUrl(model, "predict"), post(payload, signal));
+      return (result.predictions || [])
+        .filter(prediction => prediction.bytesBase64Encoded)
+        .map(prediction => `data:${prediction.mimeType || "image/png"};base64,${prediction.bytesBase64Encoded}`);
+    },
+
+    async transcribeAudio({ model, audio, signal }) {
+      const payload = {
+        contents: [{
+          role: "user",
+          parts: [
+            { text: "Transcribe this recording verbatim. Reply with the transcript only, or an empty reply if nothing is said." },
+            { inlineData: { mimeType: audio.mimeType, data: audio.data } },
+          ],
+        }],
+        generationConfig: { temperature: 0 },
+      };
+      const result = await fetchWithRetry(modelUrl(model, "generateContent"), post(payload, signal));
+      return (result.candidates?.[0]?.content?.parts || []).map(part => part.text || "").join("").trim();
+    },
+
+    async generateSpeech({ model, text, voiceName, signal }) {
+      const payload = {
+        contents: [{ parts: [{ text }] }],
+        generationConfig: {
+          responseModalities: ["AUDIO"],
+          speechConfig: {
+            voiceConfig: {
+              prebuiltVoiceConfig: { voiceName }
+            }
+          }
+        },
+        model,
+      };
+      const result = await fetchWithRetry(modelUrl(model, "generateContent"), post(payload, signal));
+      const part = result?.candidates?.[0]?.content?.parts?.[0];
+      const audioData = part?.inlineData?.data;
+      const mimeType = part?.inlineData?.mimeType;
+
+      if (!audioData || !mimeType || !mimeType.startsWith("audio/L16")) {
+        throw new Error(`Invalid audio response structure: ${JSON.stringify(result)}`);
+      }
+
+      // Extract sample rate from mimeType: "audio/L16;rate=24000"
+      const rateMatch = mimeType.match(/rate=(\d+)/);
+      const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000;
+      // API returns signed PCM16
+      const pcm16 = new Int16Array(base64ToArrayBuffer(audioData));
+      return pcmToWav(pcm16, sampleRate);
+    },
+  };
+};
@@ -0,0 +1,57 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createGeminiProvider } from './geminiProvider';
+
+// A recorded `streamGenerateContent?alt=sse` response (with Google Search grounding)
+const transcript = readFileSync(new URL('../__fixtures__/gemini-stream-grounded.sse', import.meta.url), 'utf8');
+
+const GROUNDED_SOURCES = [
+  { uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/AbF9wXE1", title: "olympics.com" },
+  { uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/AbF9wXE2", title: "wikipedia.org" },
+];
+
+// A streaming response that delivers `body` in small pieces
+const streamedResponse = (body, pieceSize = 64) => {
+  const bytes = new TextEncoder().encode(body);
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += pieceSize) controller.enqueue(bytes.slice(i, i + pieceSize));
+      controller.close();
+    },
+  }), { headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const provider = createGeminiProvider({ endpoint: "https://example.test/v1beta", apiKey: "key" });
+const request = { model: "gemini-test", contents: [{ role: "user", parts: [{ text: "Where were the 2024 Olympics?" }] }], tools: ["google_search"] };
+
+describe("Gemini provider sources", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("returns the grounding chunks of a recorded stream as sources", async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => streamedResponse(transcript)));
+    const onText = vi.fn();
+
+    const { text, sources, aborted } = await provider.streamText({ ...request, onText });
+
+    expect(text).toMatch(/^The 2024 Summer Olympics were held in Paris/);
+    expect(onText).toHaveBeenCalled();
+    expect(sources).toEqual(GROUNDED_SOURCES);
+    expect(aborted).toBe(false);
+  });
+
+  it("falls back to grounding attributions", async () => {
+    const groundingMetadata = { groundingAttributions: [{ web: { uri: "https://example.com/a", title: "example.com" } }, { web: { uri: "https://example.com/untitled" } }] };
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({
+      candidates: [{ content: { parts: [{ text: "Paris." }] }, groundingMetadata }],
+    })));
+
+    const { sources } = await provider.generateText(request);
+
+    expect(sources).toEqual([{ uri: "https://example.com/a", title: "example.com" }]);
+  });
+
+  it("returns no sources for an ungrounded answer", async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ candidates: [{ content: { parts: [{ text: "Paris." }] } }] })));
+    expect((await provider.generateText(request)).sources).toEqual([]);
+  });
+});
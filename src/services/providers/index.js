@@ -0,0 +1,45 @@
+/**
+ * src/services/providers/index.js
+ *
+ * Registry of model providers. Every provider is a plain object created by a factory
+ * and exposes the same async methods, all taking a single request object:
+ *
+ *   generateText({ model, contents, systemInstruction, generationConfig, tools, signal })
+ *     -> { text, sources }
+ *   streamText({ ...same, onText })
+ *     -> { text, sources, aborted }
+ *   generateStructured({ model, contents, systemInstruction, responseSchema, generationConfig, signal })
+ *     -> parsed JSON
+ *   generateImages({ model, prompt, sampleCount, aspectRatio, seed, signal })
+ *     -> Array<string> (data URLs; image i used seed + i where seeds are supported)
+ *   generateSpeech({ model, text, voiceName, signal })
+ *     -> Blob (audio/wav)
+ *   transcribeAudio({ model, audio: { mimeType, data (base64) }, signal })
+ *     -> string (the transcript)
+ *
+ * `contents` always uses the Gemini shape ({ role: "user" | "model", parts: [{ text }] },
+ * plus `{ inlineData: { mimeType, data } }` parts for attachments); providers translate
+ * it to their own wire format. `tools` lists MODE_TOOLS keys
+ * (see modeSettings.js); providers skip tools they do not support. Methods throw on failure.
+ */
+
+import { createGeminiProvider } from './geminiProvider';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider';
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+};
+
+/**
+ * Returns a provider instance for a resolved route (see modelConfig.js).
+ * @param {{provider: string, endpoint: string, apiKey?: string}} route
+ * @returns {object}
+ */
+export const getProvider = ({ provider, endpoint, apiKey }) => {
+  const factory = PROVIDER_FACTORIES[provider];
+  if (!factory) {
+    throw new Error(`Unknown model provider: ${provider}`);
+  }
+  return factory({ endpoint, apiKey });
+};
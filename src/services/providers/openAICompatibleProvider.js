@@ -0,0 +1,202 @@
+/**
+ * src/services/providers/openAICompatibleProvider.js
+ *
+ * Model provider for any server speaking the OpenAI REST dialect
+ * (`/chat/completions`, `/images/generations`, `/audio/speech`, `/audio/transcriptions`), such as
+ * Ollama, llama.cpp's server, LM Studio or vLLM.
+ * See providers/index.js for the provider interface.
+ */
+
+import { fetchWithRetry, fetchResponseWithRetry, readSSEStream } from '../http';
+import { base64ToArrayBuffer } from '../audio';
+
+/**
+ * Converts an `inlineData` part (an attachment) into OpenAI content. Images become
+ * image_url parts for vision models, text files are inlined; PDFs have no equivalent
+ * in the chat API, so the model is told the file was left out.
+ * @param {{mimeType: string, data: string}} inlineData
+ * @returns {object}
+ */
+const inlineDataToContent = ({ mimeType, data }) => {
+  if (mimeType.startsWith("image/")) return { type: "image_url", image_url: { url: `data:${mimeType};base64,${data}` } };
+  if (mimeType.startsWith("text/")) return { type: "text", text: `\n${new TextDecoder().decode(base64ToArrayBuffer(data))}\n` };
+  return { type: "text", text: " (This file type can't be sent to this model.)" };
+};
+
+/**
+ * The closest size the images endpoint accepts (DALL-E 3 sizes) for an aspect ratio.
+ * @param {string} aspectRatio - e.g. "16:9".
+ * @returns {string} - e.g. "1792x1024".
+ */
+const imageSize = (aspectRatio) => {
+  const [width, height] = aspectRatio.split(":").map(Number);
+  if (width > height) return "1792x1024";
+  if (width < height) return "1024x1792";
+  return "1024x1024";
+};
+
+/**
+ * Converts Gemini-style `contents` into OpenAI chat messages. Turns with attachments
+ * use the content-parts format; all others stay plain strings.
+ * @param {Array<object>} contents - Gemini contents (role "user" | "model", text and inlineData parts).
+ * @param {string} [systemInstruction] - Prepended as a system message.
+ * @returns {Array<{role: string, content: string|Array<object>}>}
+ */
+export const toChatMessages = (contents, systemInstruction) => {
+  const messages = contents.map(turn => ({
+    role: turn.role === "model" ? "assistant" : "user",
+    content: turn.parts.some(part => part.inlineData)
+      ? turn.parts.map(part => (part.inlineData ? inlineDataToContent(part.inlineData) : { type: "text", text: part.text || "" }))
+      : turn.parts.map(part => part.text || "").join(""),
+  }));
+  return systemInstruction ? [{ role: "system", content: systemInstruction }, ...messages] : messages;
+};
+
+/**
+ * Maps Gemini `generationConfig` fields onto their OpenAI request equivalents.
+ * @param {object} [generationConfig]
+ * @returns {object}
+ */
+const toSamplingParams = (generationConfig = {}) => ({
+  temperature: generationConfig.temperature,
+  top_p: generationConfig.topP,
+  top_k: generationConfig.topK, // Not in the OpenAI API, but llama.cpp and vLLM accept it
+  max_tokens: generationConfig.maxOutputTokens,
+  stop: generationConfig.stopSequences,
+});
+
+/**
+ * Converts a Gemini response schema (upper-case OpenAPI types) into JSON Schema.
+ * @param {object} schema - Gemini `responseSchema`.
+ * @returns {object}
+ */
+export const toJsonSchema = (schema) => {
+  if (!schema || typeof schema !== "object") return schema;
+  const converted = { ...schema };
+  if (typeof schema.type === "string") converted.type = schema.type.toLowerCase();
+  if (schema.items) converted.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  return converted;
+};
+
+/**
+ * Removes a Markdown code fence some local models wrap around JSON output.
+ * @param {string} text
+ * @returns {string}
+ */
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+
+/**
+ * Creates an OpenAI-compatible provider.
+ * @param {object} config
+ * @param {string} config.endpoint - Base URL including the version, e.g. "http://localhost:11434/v1".
+ * @param {string} [config.apiKey] - Sent as a Bearer token when set.
+ * @returns {object} - A provider implementing the interface described in providers/index.js.
+ */
+export const createOpenAICompatibleProvider = ({ endpoint, apiKey }) => {
+  const baseUrl = endpoint.replace(/\/+$/, "");
+
+  const post = (body, signal) => ({
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const chatPayload = ({ model, contents, systemInstruction, generationConfig }) => ({
+    model,
+    messages: toChatMessages(contents, systemInstruction),
+    ...toSamplingParams(generationConfig),
+  });
+
+  return {
+    id: "openai",
+
+    // Tools (web grounding, code execution) are Gemini-only; `tools` is ignored and no sources are returned.
+    async generateText({ signal, ...request }) {
+      const result = await fetchWithRetry(`${baseUrl}/chat/completions`, post(chatPayload(request), signal));
+      const text = result.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error(`Provider returned no text: ${JSON.stringify(result)}`);
+      }
+      return { text, sources: [] };
+    },
+
+    async streamText({ signal, onText, ...request }) {
+      let text = "";
+      try {
+        const response = await fetchResponseWithRetry(`${baseUrl}/chat/completions`, post({ ...chatPayload(request), stream: true }, signal));
+        await readSSEStream(response, (data) => {
+          if (data === "[DONE]") return;
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            if (onText) onText(text);
+          }
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return { text, sources: [], aborted: true };
+        }
+        throw error;
+      }
+      return { text, sources: [], aborted: false };
+    },
+
+    async generateStructured({ responseSchema, signal, ...request }) {
+      const payload = {
+        ...chatPayload(request),
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "structured_output", schema: toJsonSchema(responseSchema) },
+        },
+      };
+      const result = await fetchWithRetry(`${baseUrl}/chat/completions`, post(payload, signal));
+      const jsonString = result.choices?.[0]?.message?.content;
+      if (!jsonString) {
+        throw new Error("Received empty or malformed JSON string.");
+      }
+      return JSON.parse(stripCodeFence(jsonString));
+    },
+
+    // One request per image: DALL-E 3 only accepts n=1, and each variation gets its own seed.
+    async generateImages({ model, prompt, sampleCount = 1, aspectRatio = "1:1", seed = null, signal }) {
+      const requests = Array.from({ length: sampleCount }, (_, i) => {
+        const payload = { model, prompt, n: 1, size: imageSize(aspectRatio), response_format: "b64_json" };
+        if (seed !== null) payload.seed = seed + i; // Not part of the OpenAI API; see PROVIDERS.openai.imageSeed
+        return fetchWithRetry(`${baseUrl}/images/generations`, post(payload, signal));
+      });
+      return (await Promise.all(requests))
+        .flatMap(result => result.data || [])
+        .filter(image => image.b64_json)
+        .map(image => `data:image/png;base64,${image.b64_json}`);
+    },
+
+    async transcribeAudio({ model, audio, signal }) {
+      const form = new FormData();
+      form.append('file', new Blob([base64ToArrayBuffer(audio.data)], { type: audio.mimeType }), 'speech.wav');
+      form.append('model', model);
+      // No Content-Type header: the browser sets the multipart boundary itself.
+      const result = await fetchWithRetry(`${baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: form,
+        signal,
+      });
+      return (result.text || "").trim();
+    },
+
+    async generateSpeech({ model, text, voiceName, signal }) {
+      const payload = { model, input: text, voice: voiceName, response_format: "wav" };
+      const response = await fetchResponseWithRetry(`${baseUrl}/audio/speech`, post(payload, signal));
+      return response.blob();
+    },
+  };
+};
@@ -0,0 +1,100 @@
+/**
+ * src/services/quiz.js
+ *
+ * Pure helpers for the Study Mode quiz player: stable option shuffling,
+ * scoring and Crown rewards.
+ */
+
+// Crowns per correct answer, plus a bonus for a perfect score.
+const CROWNS_PER_CORRECT = 2;
+const PERFECT_SCORE_BONUS = 5;
+
+/**
+ * 32-bit FNV-1a hash, used to derive a shuffle seed from a chat/message ID.
+ * @param {string} str
+ * @returns {number}
+ */
+export const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Deterministic Fisher-Yates shuffle (mulberry32 PRNG), so a quiz keeps the same
+ * option order across re-renders and reloads.
+ * @param {Array} array
+ * @param {number} seed
+ * @returns {Array} - A shuffled copy.
+ */
+export const seededShuffle = (array, seed) => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Normalizes a quiz item from structured output: trims and de-duplicates options,
+ * makes sure the correct answer is one of them, then shuffles.
+ * @param {{question: string, answer: string, options?: Array<string>, explanation?: string}} item
+ * @param {string} seedKey - Stable key (e.g. `${messageId}:${index}`).
+ * @returns {{question: string, answer: string, options: Array<string>, explanation: string|null}}
+ */
+export const prepareQuizItem = (item, seedKey) => {
+  const answer = (item.answer || "").trim();
+  const options = [];
+  [...(item.options || []), answer].forEach(option => {
+    const text = (option || "").trim();
+    if (text && !options.some(o => o.toLowerCase() === text.toLowerCase())) options.push(text);
+  });
+
+  return {
+    question: item.question,
+    answer,
+    options: seededShuffle(options, hashString(seedKey)),
+    explanation: item.explanation || null,
+  };
+};
+
+/**
+ * @param {string} pick - The option the user chose.
+ * @param {string} answer - The correct answer.
+ * @returns {boolean}
+ */
+export const isCorrectPick = (pick, answer) =>
+  (pick || "").trim().toLowerCase() === (answer || "").trim().toLowerCase();
+
+/**
+ * Scores a finished quiz.
+ * @param {Array<{answer: string}>} items - Prepared quiz items.
+ * @param {Object<number, string>} answers - Picks keyed by item index.
+ * @returns {{correct: number, total: number, percent: number}}
+ */
+export const scoreQuiz = (items, answers) => {
+  const correct = items.filter((item, index) => isCorrectPick(answers[index], item.answer)).length;
+  const total = items.length;
+  return { correct, total, percent: total > 0 ? Math.round((correct / total) * 100) : 0 };
+};
+
+/**
+ * Crowns awarded for a quiz score.
+ * @param {{correct: number, total: number}} score
+ * @returns {number}
+ */
+export const crownsForQuizScore = ({ correct, total }) =>
+  correct * CROWNS_PER_CORRECT + (total > 0 && correct === total ? PERFECT_SCORE_BONUS : 0);
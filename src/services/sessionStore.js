@@ -0,0 +1,432 @@
+/**
+ * src/services/sessionStore.js
+ *
+ * Firestore persistence for conversation sessions.
+ *
+ *   /artifacts/{appId}/users/{uid}/sessions/{sessionId}
+ *       { title, mode, persona, createdAt, updatedAt, messageCount }
+ *   /artifacts/{appId}/users/{uid}/sessions/{sessionId}/messages/{messageId}
+ *       { ...chat entry, sessionId, userId }
+ *   /artifacts/{appId}/users/{uid}/sessions/{sessionId}/quizResults/{messageId}
+ *       { correct, total, percent, answers, crownsAwarded, attempts, ... }
+ *
+ * Messages carry `userId` so the cross-session history/favorites view can use a
+ * `collectionGroup('messages')` query (needs a composite index on userId + timestamp).
+ * The image gallery also filters on `isImage` (index on userId + isImage + timestamp).
+ */
+
+import {
+  collection, collectionGroup, doc, query, where, orderBy, limit, startAfter,
+  getDocs, runTransaction, writeBatch, updateDoc, increment,
+} from 'firebase/firestore';
+import { copyStoredImage, deleteStoredImage } from './imageStore';
+
+// Firestore caps a batch at 500 writes.
+const MAX_BATCH_WRITES = 500;
+
+// Longest auto-generated session title (derived from the first prompt).
+const MAX_TITLE_LENGTH = 60;
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - CollectionReference of the user's sessions.
+ */
+export const getSessionsCollectionRef = (db, uid) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/sessions`);
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @returns {object} - CollectionReference of the session's messages.
+ */
+export const getMessagesCollectionRef = (db, uid, sessionId) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/sessions/${sessionId}/messages`);
+
+/**
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {object} - CollectionReference of the pre-session flat chat records.
+ */
+const getLegacyChatsCollectionRef = (db, uid) =>
+  collection(db, `/artifacts/${getAppId()}/users/${uid}/chats`);
+
+/**
+ * Derives a session title from its first prompt.
+ * @param {string} prompt
+ * @returns {string}
+ */
+export const titleFromPrompt = (prompt = "") => {
+  const text = prompt.replace(/\s+/g, " ").trim() || "New conversation";
+  return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH)}...` : text;
+};
+
+/**
+ * Commits an arbitrary number of writes in as many batches as needed.
+ * @param {object} db - Firestore instance.
+ * @param {Array<function(object): void>} writes - Each receives a WriteBatch and adds one write.
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (db, writes) => {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Query for the user's sessions, most recently updated first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {number} [max] - Max sessions to load.
+ * @returns {object} - Firestore Query.
+ */
+export const sessionsQuery = (db, uid, max = 50) =>
+  query(getSessionsCollectionRef(db, uid), orderBy('updatedAt', 'desc'), limit(max));
+
+/**
+ * Query for the user's messages across all sessions, newest first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {number} [max] - Max messages to load.
+ * @returns {object} - Firestore Query.
+ */
+export const recentMessagesQuery = (db, uid, max = 50) =>
+  query(collectionGroup(db, 'messages'), where('userId', '==', uid), orderBy('timestamp', 'desc'), limit(max));
+
+/**
+ * Loads one page of the user's messages across all sessions, newest first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {{from: (number|null), to: (number|null)}} range - Optional timestamp bounds in ms.
+ * @param {object|null} cursor - Last document snapshot of the previous page, or null.
+ * @param {number} [pageSize] - Messages per page.
+ * @returns {Promise<{messages: Array<object>, cursor: (object|null), hasMore: boolean}>}
+ */
+export const loadMessagesPage = async (db, uid, { from = null, to = null } = {}, cursor = null, pageSize = 50) => {
+  const constraints = [where('userId', '==', uid)];
+  if (from !== null) constraints.push(where('timestamp', '>=', from));
+  if (to !== null) constraints.push(where('timestamp', '<=', to));
+  constraints.push(orderBy('timestamp', 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(pageSize));
+
+  const snapshot = await getDocs(query(collectionGroup(db, 'messages'), ...constraints));
+  return {
+    messages: snapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+    cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+    hasMore: snapshot.docs.length === pageSize,
+  };
+};
+
+/**
+ * Appends a message to a session, creating the session doc on its first message.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID (client-generated).
+ * @param {object} chat - The chat entry; `chat.id` becomes the message doc ID.
+ * @returns {Promise<void>}
+ */
+export const appendMessage = async (db, uid, sessionId, chat) => {
+  const sessionRef = doc(getSessionsCollectionRef(db, uid), sessionId);
+  const messageRef = doc(getMessagesCollectionRef(db, uid, sessionId), chat.id);
+  const now = Date.now();
+
+  await runTransaction(db, async (transaction) => {
+    const sessionSnap = await transaction.get(sessionRef);
+    if (sessionSnap.exists()) {
+      transaction.update(sessionRef, { updatedAt: now, messageCount: increment(1) });
+    } else {
+      transaction.set(sessionRef, {
+        title: titleFromPrompt(chat.user),
+        mode: chat.mode,
+        persona: chat.persona || null,
+        createdAt: now,
+        updatedAt: now,
+        messageCount: 1,
+      });
+    }
+    transaction.set(messageRef, { ...chat, timestamp: chat.timestamp || now, sessionId, userId: uid });
+  });
+};
+
+/**
+ * Updates fields on a single message (e.g. `isFavorite`).
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @param {string} messageId - Message ID.
+ * @param {object} changes - Fields to update.
+ * @returns {Promise<void>}
+ */
+export const updateMessage = (db, uid, sessionId, messageId, changes) =>
+  updateDoc(doc(getMessagesCollectionRef(db, uid, sessionId), messageId), changes);
+
+/**
+ * Deletes a single message and decrements its session's count.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @param {string} messageId - Message ID.
+ * @returns {Promise<void>}
+ */
+export const deleteMessage = async (db, uid, sessionId, messageId) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(getMessagesCollectionRef(db, uid, sessionId), messageId));
+  batch.update(doc(getSessionsCollectionRef(db, uid), sessionId), { messageCount: increment(-1) });
+  await batch.commit();
+};
+
+/**
+ * Loads one page of the user's image messages across all sessions, newest first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object|null} cursor - Last document snapshot of the previous page, or null.
+ * @param {number} [pageSize] - Messages per page.
+ * @returns {Promise<{messages: Array<object>, cursor: (object|null), hasMore: boolean}>}
+ */
+export const loadImagesPage = async (db, uid, cursor = null, pageSize = 30) => {
+  const constraints = [where('userId', '==', uid), where('isImage', '==', true), orderBy('timestamp', 'desc')];
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(pageSize));
+
+  const snapshot = await getDocs(query(collectionGroup(db, 'messages'), ...constraints));
+  return {
+    messages: snapshot.docs.map(d => ({ id: d.id, ...d.data() })),
+    cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+    hasMore: snapshot.docs.length === pageSize,
+  };
+};
+
+/**
+ * Loads all messages of a session, oldest first.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @returns {Promise<Array<object>>}
+ */
+export const loadSessionMessages = async (db, uid, sessionId) => {
+  const snapshot = await getDocs(query(getMessagesCollectionRef(db, uid, sessionId), orderBy('timestamp', 'asc')));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Renames a session.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @param {string} title - New title.
+ * @returns {Promise<void>}
+ */
+export const renameSession = (db, uid, sessionId, title) =>
+  updateDoc(doc(getSessionsCollectionRef(db, uid), sessionId), { title: title.trim() || "Untitled", updatedAt: Date.now() });
+
+/**
+ * Copies a session and all its messages into a new session. Copied messages get new
+ * IDs, and their stored images are copied too, since deleting a message deletes its
+ * image; an image that can't be copied is left out (the copy keeps its thumbnail).
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {object} session - The source session (with `id`).
+ * @param {string} newSessionId - ID for the copy.
+ * @param {object|null} storage - Firebase Storage instance, for copying images.
+ * @returns {Promise<void>}
+ */
+export const duplicateSession = async (db, uid, session, newSessionId, storage) => {
+  const { id, ...sessionData } = session;
+  const messages = await loadSessionMessages(db, uid, id);
+  const now = Date.now();
+  const newSessionRef = doc(getSessionsCollectionRef(db, uid), newSessionId);
+  const newMessagesRef = getMessagesCollectionRef(db, uid, newSessionId);
+
+  const copies = [];
+  // One at a time, so a session full of images isn't downloaded all at once
+  for (const message of messages) {
+    const messageRef = doc(newMessagesRef);
+    const copy = { ...message, id: messageRef.id, sessionId: newSessionId };
+    if (message.image) {
+      try {
+        copy.image = await copyStoredImage(storage, uid, message.image, messageRef.id);
+      } catch (error) {
+        console.error("Error copying an image:", error);
+        delete copy.image;
+      }
+    }
+    copies.push([messageRef, copy]);
+  }
+
+  await commitInBatches(db, [
+    batch => batch.set(newSessionRef, { ...sessionData, title: `${session.title} (copy)`, createdAt: now, updatedAt: now }),
+    ...copies.map(([messageRef, copy]) => batch => batch.set(messageRef, copy)),
+  ]);
+};
+
+/**
+ * Deletes a session, all its messages and their stored images.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @param {object|null} storage - Firebase Storage instance, for deleting images.
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (db, uid, sessionId, storage) => {
+  const messagesSnap = await getDocs(getMessagesCollectionRef(db, uid, sessionId));
+  await commitInBatches(db, [
+    ...messagesSnap.docs.map(d => batch => batch.delete(d.ref)),
+    batch => batch.delete(doc(getSessionsCollectionRef(db, uid), sessionId)),
+  ]);
+  // Each message owns its image (duplicateSession copies them), so none is still in use.
+  // The session is already gone, so a failed delete only leaves an orphaned file.
+  const images = messagesSnap.docs.map(d => d.data().image).filter(Boolean);
+  await Promise.all(images.map(image =>
+    deleteStoredImage(storage, image).catch(error => console.error("Error deleting a stored image:", error))
+  ));
+};
+
+/**
+ * Moves flat `/chats` records (one doc per Q/A pair) into single-message sessions.
+ * Session IDs are derived from the legacy doc ID and each legacy doc is deleted in
+ * the same batch as its copy, so re-running after a partial failure is safe.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @returns {Promise<number>} - Number of records migrated.
+ */
+export const migrateLegacyChats = async (db, uid) => {
+  const legacySnap = await getDocs(getLegacyChatsCollectionRef(db, uid));
+  if (legacySnap.empty) return 0;
+
+  const writes = [];
+  legacySnap.docs.forEach(legacyDoc => {
+    const chat = legacyDoc.data();
+    const sessionId = `legacy-${legacyDoc.id}`;
+    const timestamp = chat.timestamp || Date.now();
+    // Session, message and delete are grouped so one chat never straddles two batches.
+    writes.push([
+      batch => batch.set(doc(getSessionsCollectionRef(db, uid), sessionId), {
+        title: titleFromPrompt(chat.user),
+        mode: chat.mode,
+        persona: chat.persona || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        messageCount: 1,
+      }),
+      batch => batch.set(doc(getMessagesCollectionRef(db, uid, sessionId), legacyDoc.id), {
+        ...chat,
+        id: legacyDoc.id,
+        timestamp,
+        sessionId,
+        userId: uid,
+      }),
+      batch => batch.delete(legacyDoc.ref),
+    ]);
+  });
+
+  const writesPerChat = 3;
+  const chatsPerBatch = Math.floor(MAX_BATCH_WRITES / writesPerChat);
+  for (let i = 0; i < writes.length; i += chatsPerBatch) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + chatsPerBatch).flat().forEach(write => write(batch));
+    await batch.commit();
+  }
+  return writes.length;
+};
+
+/**
+ * Records a finished quiz under its session. The first completion of a quiz message
+ * creates the result; later attempts only update attempt stats, so callers can use
+ * `firstAttempt` to award Crowns once per quiz.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {string} sessionId - Session ID.
+ * @param {string} messageId - ID of the chat message holding the quiz.
+ * @param {{correct: number, total: number, percent: number, answers: object, crowns: number}} result
+ * @returns {Promise<{firstAttempt: boolean}>}
+ */
+export const saveQuizResult = async (db, uid, sessionId, messageId, result) => {
+  const resultRef = doc(db, `/artifacts/${getAppId()}/users/${uid}/sessions/${sessionId}/quizResults/${messageId}`);
+  const now = Date.now();
+
+  return runTransaction(db, async (transaction) => {
+    const resultSnap = await transaction.get(resultRef);
+    if (resultSnap.exists()) {
+      const previous = resultSnap.data();
+      transaction.update(resultRef, {
+        attempts: increment(1),
+        lastPercent: result.percent,
+        bestPercent: Math.max(previous.bestPercent || 0, result.percent),
+        lastCompletedAt: now,
+      });
+      return { firstAttempt: false };
+    }
+    transaction.set(resultRef, {
+      messageId,
+      correct: result.correct,
+      total: result.total,
+      percent: result.percent,
+      answers: result.answers,
+      crownsAwarded: result.crowns,
+      attempts: 1,
+      lastPercent: result.percent,
+      bestPercent: result.percent,
+      firstCompletedAt: now,
+      lastCompletedAt: now,
+    });
+    return { firstAttempt: true };
+  });
+};
+
+/**
+ * Loads sessions together with all their messages, for export.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - User ID.
+ * @param {Array<string>|null} sessionIds - Sessions to load, or null for all of them.
+ * @returns {Promise<Array<object>>} - Session docs (with `id`) each with a `messages` array.
+ */
+export const loadSessionsWithMessages = async (db, uid, sessionIds = null) => {
+  const sessionsSnap = await getDocs(query(getSessionsCollectionRef(db, uid), orderBy('createdAt', 'asc')));
+  const selected = sessionsSnap.docs.filter(d => !sessionIds || sessionIds.includes(d.id));
+  return Promise.all(selected.map(async d => ({
+    id: d.id,
+    ...d.data(),
+    messages: await loadSessionMessages(db, uid, d.id),
+  })));
+};
+
+/**
+ * Restores sessions from a history archive into this account. Session and message IDs
+ * are kept from the archive and anything that already exists is skipped, so importing
+ * the same archive twice (or into the account it came from) creates no duplicates.
+ * @param {object} db - Firestore instance.
+ * @param {string} uid - Target user ID.
+ * @param {object} archive - A parsed archive (see historyExport.js).
+ * @returns {Promise<{sessions: number, messages: number, skipped: number}>}
+ */
+export const importArchive = async (db, uid, archive) => {
+  const counts = { sessions: 0, messages: 0, skipped: 0 };
+
+  for (const { id: sessionId, messages, ...session } of archive.sessions) {
+    const sessionRef = doc(getSessionsCollectionRef(db, uid), sessionId);
+    const messagesRef = getMessagesCollectionRef(db, uid, sessionId);
+    const existingIds = new Set((await getDocs(messagesRef)).docs.map(d => d.id));
+    const newMessages = messages.filter(message => !existingIds.has(message.id));
+    counts.skipped += messages.length - newMessages.length;
+    if (newMessages.length === 0) continue;
+
+    const writes = newMessages.map(message =>
+      batch => batch.set(doc(messagesRef, message.id), { ...message, sessionId, userId: uid })
+    );
+    if (existingIds.size === 0) {
+      writes.push(batch => batch.set(sessionRef, { ...session, messageCount: newMessages.length }, { merge: true }));
+      counts.sessions++;
+    } else {
+      writes.push(batch => batch.update(sessionRef, { messageCount: increment(newMessages.length) }));
+    }
+    await commitInBatches(db, writes);
+    counts.messages += newMessages.length;
+  }
+  return counts;
+};
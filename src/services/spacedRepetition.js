@@ -0,0 +1,156 @@
+/**
+ * src/services/spacedRepetition.js
+ *
+ * SM-2 style scheduler for flashcard decks with Anki-like grades.
+ * Every function takes `now` (ms since epoch) explicitly, so the schedule can be
+ * exercised with a fake clock and never reads the system time itself.
+ */
+
+export const GRADES = {
+  AGAIN: 0,
+  HARD: 1,
+  GOOD: 2,
+  EASY: 3,
+};
+
+export const GRADE_LABELS = ["Again", "Hard", "Good", "Easy"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// A failed card is shown again after this delay within the same day.
+const RELEARN_DELAY_MS = 10 * MINUTE_MS;
+
+// Cards with an interval of at least this many days count as "mature".
+const MATURE_INTERVAL_DAYS = 21;
+
+/**
+ * Scheduling fields for a card that has never been reviewed (due immediately).
+ * @param {number} now - Current time in ms.
+ * @returns {{ease: number, interval: number, repetitions: number, lapses: number, dueAt: number, lastReviewedAt: null}}
+ */
+export const createCardState = (now) => ({
+  ease: DEFAULT_EASE,
+  interval: 0, // days
+  repetitions: 0,
+  lapses: 0,
+  dueAt: now,
+  lastReviewedAt: null,
+});
+
+/**
+ * Computes the next schedule for a card after grading it.
+ * @param {object} card - Card with the fields from `createCardState`.
+ * @param {number} grade - One of GRADES.
+ * @param {number} now - Current time in ms.
+ * @returns {object} - Updated scheduling fields (merge into the card).
+ */
+export const reviewCard = (card, grade, now) => {
+  const ease = card.ease || DEFAULT_EASE;
+  const interval = card.interval || 0;
+  const repetitions = card.repetitions || 0;
+  const lapses = card.lapses || 0;
+
+  if (grade === GRADES.AGAIN) {
+    return {
+      ease: Math.max(MIN_EASE, ease - 0.2),
+      interval: 0,
+      repetitions: 0,
+      lapses: repetitions > 0 ? lapses + 1 : lapses,
+      dueAt: now + RELEARN_DELAY_MS,
+      lastReviewedAt: now,
+    };
+  }
+
+  // Good is worked out first so Hard and Easy can be kept on either side of it:
+  // Again < Hard <= Good < Easy at every repetition count.
+  let goodInterval;
+  if (repetitions === 0) goodInterval = 1;
+  else if (repetitions === 1) goodInterval = 6;
+  else goodInterval = Math.round(interval * ease);
+  // Never schedule a successful review sooner than the previous interval.
+  goodInterval = Math.max(goodInterval, interval + 1);
+
+  let nextInterval;
+  let nextEase = ease;
+  if (grade === GRADES.HARD) {
+    nextInterval = Math.min(Math.max(1, Math.round(interval * 1.2)), goodInterval);
+    nextEase = ease - 0.15;
+  } else if (grade === GRADES.GOOD) {
+    nextInterval = goodInterval;
+  } else {
+    nextInterval = Math.max(repetitions === 0 ? 4 : Math.round(interval * ease * 1.3), goodInterval + 1);
+    nextEase = ease + 0.15;
+  }
+
+  return {
+    ease: Math.max(MIN_EASE, nextEase),
+    interval: nextInterval,
+    repetitions: repetitions + 1,
+    lapses,
+    dueAt: now + nextInterval * DAY_MS,
+    lastReviewedAt: now,
+  };
+};
+
+/**
+ * Human-readable delay until the next review for each grade, e.g. for button hints.
+ * @param {object} card
+ * @param {number} now
+ * @returns {Array<string>} - Indexed by grade.
+ */
+export const previewIntervals = (card, now) =>
+  [GRADES.AGAIN, GRADES.HARD, GRADES.GOOD, GRADES.EASY].map(grade => {
+    const delay = reviewCard(card, grade, now).dueAt - now;
+    if (delay < DAY_MS) return `${Math.round(delay / MINUTE_MS)}m`;
+    const days = Math.round(delay / DAY_MS);
+    return days < 30 ? `${days}d` : `${(days / 30).toFixed(1)}mo`;
+  });
+
+/**
+ * Last millisecond of the local calendar day containing `now`.
+ * @param {number} now
+ * @returns {number}
+ */
+export const endOfDay = (now) => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
+
+/**
+ * @param {object} card
+ * @param {number} now
+ * @returns {boolean} - True if the card is due at any point today.
+ */
+export const isDueToday = (card, now) => card.dueAt <= endOfDay(now);
+
+/**
+ * Builds a review queue: cards due today, most overdue first.
+ * @param {Array<object>} cards
+ * @param {number} now
+ * @returns {Array<object>}
+ */
+export const getDueQueue = (cards, now) =>
+  cards.filter(card => isDueToday(card, now)).sort((a, b) => a.dueAt - b.dueAt);
+
+/**
+ * Summarizes a deck's cards.
+ * @param {Array<object>} cards
+ * @param {number} now
+ * @returns {{total: number, new: number, learning: number, young: number, mature: number, dueToday: number}}
+ */
+export const computeDeckStats = (cards, now) => {
+  const stats = { total: cards.length, new: 0, learning: 0, young: 0, mature: 0, dueToday: 0 };
+  cards.forEach(card => {
+    if (!card.lastReviewedAt) stats.new++;
+    else if (card.interval === 0) stats.learning++;
+    else if (card.interval >= MATURE_INTERVAL_DAYS) stats.mature++;
+    else stats.young++;
+    if (isDueToday(card, now)) stats.dueToday++;
+  });
+  return stats;
+};
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  GRADES,
+  createCardState,
+  reviewCard,
+  previewIntervals,
+  endOfDay,
+  isDueToday,
+  getDueQueue,
+  computeDeckStats,
+} from './spacedRepetition';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const START = new Date(2026, 2, 10, 9, 30).getTime(); // 10 March 2026, 09:30 local time
+
+// Delay until the next review for each grade, in ms
+const delays = (card, now) =>
+  [GRADES.AGAIN, GRADES.HARD, GRADES.GOOD, GRADES.EASY].map(grade => reviewCard(card, grade, now).dueAt - now);
+
+// Reviews `card` on its due date with each grade in turn
+const reviewInTurn = (card, grades) => grades.reduce(
+  ({ state, now }, grade) => {
+    const reviewAt = Math.max(now, state.dueAt);
+    return { state: { ...state, ...reviewCard(state, grade, reviewAt) }, now: reviewAt };
+  },
+  { state: card, now: START },
+);
+
+describe("spaced repetition scheduler", () => {
+  // The scheduler must only use the `now` it is given
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2000, 0, 1));
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it("creates new cards due immediately", () => {
+    expect(createCardState(START)).toEqual({ ease: 2.5, interval: 0, repetitions: 0, lapses: 0, dueAt: START, lastReviewedAt: null });
+  });
+
+  it("schedules a new card 10m / 1d / 1d / 4d", () => {
+    expect(previewIntervals(createCardState(START), START)).toEqual(["10m", "1d", "1d", "4d"]);
+  });
+
+  it("keeps Easy after Good on the second review", () => {
+    const { state, now } = reviewInTurn(createCardState(START), [GRADES.GOOD]);
+    expect(state).toMatchObject({ interval: 1, repetitions: 1 });
+    expect(previewIntervals(state, now)).toEqual(["10m", "1d", "6d", "7d"]);
+  });
+
+  it("orders Again < Hard <= Good < Easy at every repetition count", () => {
+    const histories = [
+      Array(12).fill(GRADES.GOOD),
+      Array(12).fill(GRADES.EASY),
+      Array(12).fill(GRADES.HARD),
+      [GRADES.GOOD, GRADES.GOOD, GRADES.AGAIN, GRADES.HARD, GRADES.GOOD, GRADES.EASY, GRADES.HARD, GRADES.GOOD],
+      [GRADES.AGAIN, GRADES.AGAIN, GRADES.AGAIN, GRADES.AGAIN, GRADES.AGAIN, GRADES.AGAIN, GRADES.GOOD, GRADES.GOOD, GRADES.GOOD],
+    ];
+    histories.forEach(grades => {
+      let state = createCardState(START);
+      let now = START;
+      grades.forEach(grade => {
+        const [again, hard, good, easy] = delays(state, now);
+        expect(again).toBeLessThan(hard);
+        expect(hard).toBeLessThanOrEqual(good);
+        expect(good).toBeLessThan(easy);
+        now = Math.max(now, state.dueAt);
+        state = { ...state, ...reviewCard(state, grade, now) };
+      });
+    });
+  });
+
+  it("grows the interval with the ease on repeated Good reviews", () => {
+    const { state } = reviewInTurn(createCardState(START), [GRADES.GOOD, GRADES.GOOD, GRADES.GOOD, GRADES.GOOD]);
+    expect(state.interval).toBe(38); // 1, 6, 15, 38
+    expect(state.repetitions).toBe(4);
+  });
+
+  it("relearns a forgotten card after 10 minutes and counts the lapse", () => {
+    const { state, now } = reviewInTurn(createCardState(START), [GRADES.GOOD, GRADES.GOOD, GRADES.AGAIN]);
+    expect(state).toMatchObject({ interval: 0, repetitions: 0, lapses: 1, ease: 2.3 });
+    expect(state.dueAt - now).toBe(10 * MINUTE_MS);
+  });
+
+  it("never lowers the ease below 1.3", () => {
+    const { state } = reviewInTurn(createCardState(START), Array(20).fill(GRADES.HARD));
+    expect(state.ease).toBe(1.3);
+  });
+
+  it("never schedules a successful review sooner than the previous interval", () => {
+    const { state, now } = reviewInTurn(createCardState(START), [GRADES.GOOD, GRADES.GOOD, GRADES.GOOD]);
+    expect(reviewCard(state, GRADES.GOOD, now).interval).toBeGreaterThan(state.interval);
+    expect(reviewCard(state, GRADES.EASY, now).interval).toBeGreaterThan(state.interval);
+  });
+});
+
+describe("due queue", () => {
+  it("counts cards due any time today, by the local calendar day", () => {
+    expect(endOfDay(START)).toBe(new Date(2026, 2, 10, 23, 59, 59, 999).getTime());
+    expect(isDueToday({ dueAt: endOfDay(START) }, START)).toBe(true);
+    expect(isDueToday({ dueAt: endOfDay(START) + 1 }, START)).toBe(false);
+    expect(isDueToday({ dueAt: endOfDay(START) + 1 }, START + DAY_MS)).toBe(true);
+  });
+
+  it("puts the most overdue cards first and leaves out later ones", () => {
+    const cards = [
+      { id: "later-today", dueAt: START + 3 * 60 * MINUTE_MS },
+      { id: "tomorrow", dueAt: START + DAY_MS },
+      { id: "last-week", dueAt: START - 7 * DAY_MS },
+      { id: "yesterday", dueAt: START - DAY_MS },
+    ];
+    expect(getDueQueue(cards, START).map(card => card.id)).toEqual(["last-week", "yesterday", "later-today"]);
+  });
+
+  it("summarizes a deck", () => {
+    const cards = [
+      createCardState(START),
+      { ...createCardState(START), ...reviewCard(createCardState(START), GRADES.AGAIN, START) },
+      { interval: 6, lastReviewedAt: START - DAY_MS, dueAt: START + 5 * DAY_MS },
+      { interval: 30, lastReviewedAt: START - DAY_MS, dueAt: START - 1 },
+    ];
+    expect(computeDeckStats(cards, START)).toEqual({ total: 4, new: 1, learning: 1, young: 1, mature: 1, dueToday: 3 });
+  });
+});
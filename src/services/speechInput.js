@@ -0,0 +1,143 @@
+/**
+ * src/services/speechInput.js
+ *
+ * Browser speech input: microphone capture with MediaRecorder, a live input level
+ * meter, re-encoding for model transcription, and the Web Speech API fallback for
+ * browsers without MediaRecorder.
+ *
+ * The model path is: record -> decode -> 16 kHz mono WAV (audio.js) -> base64 ->
+ * `transcribe` (apiService.transcribeAudio, or the fake provider offline).
+ */
+
+import { audioBufferToWav, arrayBufferToBase64 } from './audio';
+
+/** @returns {boolean} - Whether microphone recording is available. */
+export const isRecordingSupported = () =>
+  typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const getSpeechRecognition = () =>
+  typeof window !== 'undefined' ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined;
+
+/** @returns {boolean} - Whether the Web Speech API can recognize speech in this browser. */
+export const isWebSpeechSupported = () => Boolean(getSpeechRecognition());
+
+/**
+ * Opens the microphone.
+ * @returns {Promise<MediaStream>}
+ * @throws {Error} If permission is denied or there is no microphone.
+ */
+export const openMicrophone = () =>
+  navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+
+/**
+ * Stops every track of a stream (turns the browser's mic indicator off).
+ * @param {MediaStream|null} stream
+ */
+export const closeMicrophone = (stream) => stream?.getTracks().forEach(track => track.stop());
+
+/**
+ * Starts recording a stream.
+ * @param {MediaStream} stream
+ * @returns {{stop: function(): Promise<Blob>, cancel: function(): void}} - `stop` resolves with the recording.
+ */
+export const startRecording = (stream) => {
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.start();
+
+  return {
+    stop: () => new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+      if (recorder.state !== 'inactive') recorder.stop();
+      else resolve(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+    }),
+    cancel: () => {
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+    },
+  };
+};
+
+/**
+ * Reports the stream's input level (RMS, 0..1) once per animation frame.
+ * @param {MediaStream} stream
+ * @param {function(number, number): void} onLevel - Receives the level and a timestamp in ms.
+ * @returns {function(): void} - Stops the meter.
+ */
+export const createLevelMeter = (stream, onLevel) => {
+  const audioContext = new AudioContext();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 1024;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let frame;
+
+  const tick = (now) => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    // Speech RMS rarely exceeds ~0.3; scale it so the meter uses its full width.
+    onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4), now);
+    frame = requestAnimationFrame(tick);
+  };
+  frame = requestAnimationFrame(tick);
+
+  return () => {
+    cancelAnimationFrame(frame);
+    audioContext.close();
+  };
+};
+
+/**
+ * Decodes a recorded Blob (webm/ogg/mp4, whatever MediaRecorder produced).
+ * @param {Blob} blob
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeRecording = async (blob) => {
+  const audioContext = new AudioContext();
+  try {
+    return await audioContext.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    audioContext.close();
+  }
+};
+
+/**
+ * Encodes a recording for transcription and hands it to `transcribe`.
+ * @param {Blob} blob - The recording.
+ * @param {function({mimeType: string, data: string}): Promise<string|null>} transcribe - e.g. apiService.transcribeAudio.
+ * @param {function(Blob): Promise<object>} [decode] - Injected in tests; decodes with Web Audio by default.
+ * @returns {Promise<string|null>} - The transcript, or null if transcription failed.
+ */
+export const transcribeRecording = async (blob, transcribe, decode = decodeRecording) => {
+  const wav = audioBufferToWav(await decode(blob));
+  const data = arrayBufferToBase64(await wav.arrayBuffer());
+  return transcribe({ mimeType: 'audio/wav', data });
+};
+
+/**
+ * Starts Web Speech API recognition (used when recording is unavailable).
+ * @param {object} handlers
+ * @param {function(string): void} handlers.onTranscript - Receives the transcript so far (final + interim).
+ * @param {function(): void} handlers.onEnd - Called when recognition stops.
+ * @param {function(string): void} handlers.onError - Receives the error code.
+ * @param {string} [lang] - BCP 47 language tag; defaults to the browser language.
+ * @returns {{stop: function(): void}}
+ */
+export const startWebSpeech = ({ onTranscript, onEnd, onError }, lang = navigator.language) => {
+  const SpeechRecognition = getSpeechRecognition();
+  const recognition = new SpeechRecognition();
+  recognition.lang = lang;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  recognition.onresult = (event) => {
+    onTranscript(Array.from(event.results, result => result[0].transcript).join('').trim());
+  };
+  recognition.onerror = (event) => onError(event.error);
+  recognition.onend = onEnd;
+  recognition.start();
+  return { stop: () => recognition.stop() };
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { transcribeRecording } from './speechInput';
+import { transcribeAudio } from './apiService';
+import { createFakeTranscriptionProvider } from './providers/fakeTranscriptionProvider';
+
+// A decoded recording as Web Audio would return it: stereo, 48 kHz
+const decodedRecording = ({ seconds = 0.5, sampleRate = 48000 } = {}) => {
+  const length = Math.round(seconds * sampleRate);
+  const channels = [0, 1].map(channel => Float32Array.from({ length }, (_, i) =>
+    0.5 * Math.sin((2 * Math.PI * 440 * i) / sampleRate + channel)));
+  return { numberOfChannels: 2, sampleRate, length, getChannelData: (channel) => channels[channel] };
+};
+
+describe("offline speech-to-text pipeline", () => {
+  it("encodes a recording as 16 kHz mono WAV and transcribes it", async () => {
+    const fake = createFakeTranscriptionProvider({ transcript: "What is the capital of France?" });
+    const recording = new Blob(["recorded audio"], { type: "audio/webm" });
+    const decode = vi.fn(async () => decodedRecording({ seconds: 0.5 }));
+
+    const transcript = await transcribeRecording(recording, audio => transcribeAudio(audio, { provider: fake }), decode);
+
+    expect(transcript).toBe("What is the capital of France?");
+    expect(decode).toHaveBeenCalledWith(recording);
+    expect(fake.calls).toEqual([{ model: "fake", channels: 1, sampleRate: 16000, sampleCount: 8000 }]);
+  });
+
+  it("keeps the length of recordings at other sample rates", async () => {
+    const fake = createFakeTranscriptionProvider();
+    const decode = async () => decodedRecording({ seconds: 2, sampleRate: 44100 });
+
+    await transcribeRecording(new Blob([]), audio => transcribeAudio(audio, { provider: fake }), decode);
+
+    expect(fake.calls[0]).toMatchObject({ sampleRate: 16000, sampleCount: 32000 });
+  });
+
+  it("returns null when transcription fails", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const fake = createFakeTranscriptionProvider();
+
+    expect(await transcribeAudio({ mimeType: "audio/webm", data: "" }, { provider: fake })).toBeNull();
+    expect(fake.calls).toHaveLength(0);
+    consoleError.mockRestore();
+  });
+});
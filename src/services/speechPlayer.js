@@ -0,0 +1,259 @@
+/**
+ * src/services/speechPlayer.js
+ *
+ * Plays a long answer as a queue of sentence clips (see ttsChunks.js). Clips are
+ * synthesized a few at a time in parallel and scheduled back to back on one Web Audio
+ * timeline, so there are no gaps between sentences and playback starts as soon as the
+ * first clip is ready. Supports play/pause, seeking (by time or sentence), speed and
+ * downloading the whole answer as one WAV.
+ *
+ * Positions are in seconds of audio (independent of speed). Only the ready prefix of the
+ * queue is seekable; if playback catches up with synthesis it waits for the next clip.
+ */
+
+import { concatWav } from './audio';
+
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+// A clip that failed to synthesize is replaced by this much silence.
+const FAILED_CLIP_SECONDS = 0.3;
+
+/**
+ * Creates a player and starts synthesizing. Call `play()` from a user gesture.
+ * @param {Array<string>} sentences - From ttsChunks.splitIntoSentences.
+ * @param {function(string): Promise<ArrayBuffer>} loadClip - Resolves with the WAV for a sentence; rejects on failure.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onChange] - Receives the state (see `getState`) when playback,
+ *   the current sentence or the number of ready clips changes.
+ * @param {function(number, number): void} [options.onProgress] - Position and seekable duration, every animation frame while playing.
+ * @param {number} [options.concurrency] - Clips synthesized at the same time.
+ * @returns {object} - The player controls.
+ */
+export const createSpeechPlayer = (sentences, loadClip, { onChange, onProgress, concurrency = 3 } = {}) => {
+  const audioContext = new AudioContext();
+  const clips = sentences.map(() => null); // { wav: ArrayBuffer|null, buffer: AudioBuffer }
+  let failed = 0;
+  let rate = 1;
+  let playing = false;
+  let ended = false;
+  let closed = false;
+  let currentIndex = 0;
+  // Position (s) at a given context time; playback advances it at `rate`
+  let anchor = { contextTime: 0, position: 0 };
+  let sources = [];
+  // The next clip to schedule and when it starts, or null while paused
+  let pending = null;
+  let frame = null;
+  let nextToLoad = 0;
+  let resolveAllReady;
+  const allReady = new Promise(resolve => { resolveAllReady = resolve; });
+
+  const readyCount = () => {
+    let count = 0;
+    while (count < clips.length && clips[count]) count++;
+    return count;
+  };
+
+  const clipStart = (index) => {
+    let start = 0;
+    for (let i = 0; i < index; i++) start += clips[i].buffer.duration;
+    return start;
+  };
+
+  const duration = () => clipStart(readyCount());
+
+  const position = () => (playing
+    ? Math.min(anchor.position + (audioContext.currentTime - anchor.contextTime) * rate, duration())
+    : anchor.position);
+
+  const indexAt = (seconds) => {
+    const ready = readyCount();
+    let end = 0;
+    for (let i = 0; i < ready; i++) {
+      end += clips[i].buffer.duration;
+      if (seconds < end) return i;
+    }
+    return Math.min(ready, clips.length - 1);
+  };
+
+  const getState = () => ({
+    playing,
+    ended,
+    index: currentIndex,
+    ready: readyCount(),
+    total: clips.length,
+    failed,
+    rate,
+  });
+
+  const notify = () => {
+    if (onChange && !closed) onChange(getState());
+  };
+
+  // Schedules clip `index` (from `offset` s into it) at context time `when`, then every ready clip after it.
+  const scheduleFrom = (index, offset, when) => {
+    let i = index;
+    let start = when;
+    let skip = offset;
+    while (i < clips.length && clips[i]) {
+      const source = audioContext.createBufferSource();
+      source.buffer = clips[i].buffer;
+      source.playbackRate.value = rate;
+      source.connect(audioContext.destination);
+      source.start(start, skip);
+      sources.push(source);
+      start += (clips[i].buffer.duration - skip) / rate;
+      skip = 0;
+      i++;
+    }
+    pending = { index: i, contextTime: start };
+  };
+
+  const stopSources = () => {
+    sources.forEach((source) => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    sources = [];
+    pending = null;
+  };
+
+  const tick = () => {
+    const now = position();
+    if (onProgress) onProgress(now, duration());
+    const index = indexAt(now);
+    if (index !== currentIndex) {
+      currentIndex = index;
+      notify();
+    }
+    if (readyCount() === clips.length && now >= duration() - 0.01) {
+      playing = false;
+      ended = true;
+      anchor = { contextTime: audioContext.currentTime, position: duration() };
+      stopSources();
+      notify();
+      return;
+    }
+    frame = requestAnimationFrame(tick);
+  };
+
+  const handleClipReady = (index) => {
+    if (readyCount() === clips.length) resolveAllReady();
+    // Continue the timeline if playback was waiting for this clip
+    if (playing && pending && pending.index === index) {
+      const now = audioContext.currentTime;
+      if (now > pending.contextTime) anchor = { contextTime: now, position: clipStart(index) };
+      scheduleFrom(index, 0, Math.max(now, pending.contextTime));
+    }
+    notify();
+  };
+
+  const loadNext = async () => {
+    while (!closed && nextToLoad < sentences.length) {
+      const index = nextToLoad++;
+      let clip;
+      try {
+        const wav = await loadClip(sentences[index]);
+        // decodeAudioData detaches its argument, and the WAV is kept for downloads
+        clip = { wav, buffer: await audioContext.decodeAudioData(wav.slice(0)) };
+      } catch (error) {
+        if (closed) return;
+        console.error(`Speech synthesis failed for sentence ${index + 1}:`, error);
+        failed++;
+        const silence = audioContext.createBuffer(1, Math.round(audioContext.sampleRate * FAILED_CLIP_SECONDS), audioContext.sampleRate);
+        clip = { wav: null, buffer: silence };
+      }
+      if (closed) return;
+      clips[index] = clip;
+      handleClipReady(index);
+    }
+  };
+
+  const play = () => {
+    if (closed || playing) return;
+    if (ended) {
+      ended = false;
+      anchor.position = 0;
+    }
+    audioContext.resume();
+    const from = Math.min(anchor.position, duration());
+    const index = indexAt(from);
+    const now = audioContext.currentTime;
+    anchor = { contextTime: now, position: from };
+    playing = true;
+    if (clips[index]) scheduleFrom(index, from - clipStart(index), now);
+    else pending = { index, contextTime: now };
+    currentIndex = index;
+    frame = requestAnimationFrame(tick);
+    notify();
+  };
+
+  const pause = () => {
+    if (!playing) return;
+    anchor = { contextTime: audioContext.currentTime, position: position() };
+    playing = false;
+    stopSources();
+    cancelAnimationFrame(frame);
+    notify();
+  };
+
+  const seek = (seconds) => {
+    const wasPlaying = playing;
+    pause();
+    ended = false;
+    anchor.position = Math.max(0, Math.min(seconds, duration()));
+    currentIndex = indexAt(anchor.position);
+    if (onProgress) onProgress(anchor.position, duration());
+    if (wasPlaying) play();
+    else notify();
+  };
+
+  for (let i = 0; i < Math.min(concurrency, sentences.length); i++) loadNext();
+  if (sentences.length === 0) resolveAllReady();
+
+  return {
+    play,
+    pause,
+    seek,
+    getState,
+    position,
+    duration,
+
+    /** Jumps to the start of a sentence (if it is ready). */
+    seekToSentence(index) {
+      if (index < readyCount()) seek(clipStart(index));
+    },
+
+    /** Changes the speed; note that Web Audio playback rate also shifts pitch. */
+    setRate(nextRate) {
+      const wasPlaying = playing;
+      pause();
+      rate = nextRate;
+      if (wasPlaying) play();
+      else notify();
+    },
+
+    /**
+     * Waits for every clip and joins them into one WAV (failed sentences are left out).
+     * @returns {Promise<Blob>}
+     */
+    async toWav() {
+      await allReady;
+      if (closed) throw new Error("The player was closed.");
+      return concatWav(clips.filter(clip => clip.wav).map(clip => clip.wav));
+    },
+
+    /** Stops playback and synthesis and releases the audio context. */
+    close() {
+      closed = true;
+      playing = false;
+      resolveAllReady();
+      stopSources();
+      cancelAnimationFrame(frame);
+      audioContext.close();
+    },
+  };
+};
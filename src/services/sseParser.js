@@ -0,0 +1,114 @@
+/**
+ * src/services/sseParser.js
+ *
+ * Minimal Server-Sent Events parser for Gemini's `streamGenerateContent?alt=sse` endpoint.
+ * It is transport-agnostic: feed it decoded text chunks (in whatever sizes the network
+ * delivers them) and it emits one callback per complete event, so it can be driven
+ * from a recorded fixture string just as well as from a live `ReadableStream`.
+ */
+
+/**
+ * Creates an incremental SSE parser.
+ * @param {function({event: string, data: string}): void} onEvent - Called for each complete event.
+ * @returns {{push: function(string): void, flush: function(): void}}
+ */
+export const createSSEParser = (onEvent) => {
+  let buffer = "";
+  let dataLines = [];
+  let eventName = "message";
+  let pendingCR = false; // The last chunk ended with "\r", which may be half of a CRLF
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName, data: dataLines.join("\n") });
+    }
+    dataLines = [];
+    eventName = "message";
+  };
+
+  const processLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return; // Comment / keep-alive
+
+    const colonIndex = line.indexOf(":");
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? "" : line.slice(colonIndex + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "data") dataLines.push(value);
+    else if (field === "event") eventName = value;
+  };
+
+  return {
+    push(chunk) {
+      const text = pendingCR && chunk.startsWith("\n") ? chunk.slice(1) : chunk;
+      if (text) pendingCR = text.endsWith("\r");
+      buffer += text;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      // The last element is either "" (chunk ended on a newline) or a partial line.
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    flush() {
+      if (buffer) processLine(buffer);
+      buffer = "";
+      dispatch();
+    },
+  };
+};
+
+/**
+ * Renders one Gemini content part as Markdown. Code execution parts become fenced
+ * blocks so the generated code and its output show up in the answer.
+ * @param {object} part - A `content.parts[]` entry.
+ * @returns {string}
+ */
+export const geminiPartToText = (part) => {
+  if (part.executableCode) {
+    return `\n\`\`\`${(part.executableCode.language || "").toLowerCase()}\n${part.executableCode.code}\n\`\`\`\n`;
+  }
+  if (part.codeExecutionResult) {
+    return `\n\`\`\`\n${part.codeExecutionResult.output || ""}\n\`\`\`\n`;
+  }
+  return part.text || "";
+};
+
+/**
+ * Extracts the incremental text and grounding metadata from one streamed
+ * GenerateContentResponse chunk.
+ * @param {object} chunk - Parsed JSON of a single SSE `data` payload.
+ * @returns {{text: string, groundingMetadata: object|undefined, finishReason: string|undefined}}
+ */
+export const parseGeminiStreamChunk = (chunk) => {
+  const candidate = chunk?.candidates?.[0];
+  const text = (candidate?.content?.parts || [])
+    .map(geminiPartToText)
+    .join("");
+  return {
+    text,
+    groundingMetadata: candidate?.groundingMetadata,
+    finishReason: candidate?.finishReason,
+  };
+};
+
+/**
+ * Parses a complete SSE transcript (e.g. a recorded fixture) into the concatenated
+ * response text and the last grounding metadata seen.
+ * @param {string} transcript - Raw SSE body.
+ * @returns {{text: string, groundingMetadata: object|undefined}}
+ */
+export const parseGeminiSSETranscript = (transcript) => {
+  let text = "";
+  let groundingMetadata;
+  const parser = createSSEParser(({ data }) => {
+    const chunk = parseGeminiStreamChunk(JSON.parse(data));
+    text += chunk.text;
+    if (chunk.groundingMetadata) groundingMetadata = chunk.groundingMetadata;
+  });
+  parser.push(transcript);
+  parser.flush();
+  return { text, groundingMetadata };
+};
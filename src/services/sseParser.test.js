@@ -0,0 +1,91 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect } from 'vitest';
+import { createSSEParser, parseGeminiStreamChunk, parseGeminiSSETranscript } from './sseParser';
+
+// A recorded `streamGenerateContent?alt=sse` response (with Google Search grounding)
+const transcript = readFileSync(new URL('./__fixtures__/gemini-stream-grounded.sse', import.meta.url), 'utf8');
+
+const EXPECTED_TEXT = "The 2024 Summer Olympics were held in Paris, France, from 26 July to 11 August 2024."
+  + "\n\nThe Games featured 329 events in 32 sports, and the United States topped the medal table.";
+
+// Feeds `chunks` to a parser and returns the events it emitted
+const collectEvents = (chunks) => {
+  const events = [];
+  const parser = createSSEParser(event => events.push(event));
+  chunks.forEach(chunk => parser.push(chunk));
+  parser.flush();
+  return events;
+};
+
+// Concatenated text of the Gemini chunks in `events`
+const eventsText = (events) => events.map(({ data }) => parseGeminiStreamChunk(JSON.parse(data)).text).join("");
+
+describe("parseGeminiSSETranscript", () => {
+  it("joins the streamed text of a recorded response", () => {
+    expect(parseGeminiSSETranscript(transcript).text).toBe(EXPECTED_TEXT);
+  });
+
+  it("returns the grounding metadata sent with the last chunk", () => {
+    const { groundingMetadata } = parseGeminiSSETranscript(transcript);
+    expect(groundingMetadata.webSearchQueries).toEqual(["2024 Summer Olympics dates location", "2024 Olympics medal table"]);
+    expect(groundingMetadata.groundingChunks.map(chunk => chunk.web.title)).toEqual(["olympics.com", "wikipedia.org"]);
+  });
+
+  it("reads the finish reason of the last chunk", () => {
+    const events = collectEvents([transcript]);
+    expect(events).toHaveLength(3);
+    expect(parseGeminiStreamChunk(JSON.parse(events[0].data)).finishReason).toBeUndefined();
+    expect(parseGeminiStreamChunk(JSON.parse(events[2].data)).finishReason).toBe("STOP");
+  });
+});
+
+describe("createSSEParser", () => {
+  it("handles chunks split at any point, including mid-line and between CR and LF", () => {
+    const whole = collectEvents([transcript]);
+    for (let i = 1; i < transcript.length; i += 1) {
+      expect(collectEvents([transcript.slice(0, i), transcript.slice(i)])).toEqual(whole);
+    }
+  });
+
+  it("handles one character at a time", () => {
+    expect(eventsText(collectEvents(transcript.split("")))).toBe(EXPECTED_TEXT);
+  });
+
+  it("accepts CRLF, LF and CR line endings", () => {
+    const lf = transcript.replace(/\r\n/g, "\n");
+    const cr = transcript.replace(/\r\n/g, "\r");
+    expect(transcript).toContain("\r\n");
+    expect(eventsText(collectEvents([transcript]))).toBe(EXPECTED_TEXT);
+    expect(eventsText(collectEvents([lf]))).toBe(EXPECTED_TEXT);
+    expect(eventsText(collectEvents([cr]))).toBe(EXPECTED_TEXT);
+  });
+
+  it("ignores keep-alive comments", () => {
+    const events = collectEvents([": keep-alive\r\n\r\n", "data: {\"a\":1}\r\n", ":ping\r\n", "\r\n", ":\r\n\r\n"]);
+    expect(events).toEqual([{ event: "message", data: "{\"a\":1}" }]);
+  });
+
+  it("joins multi-line data fields with newlines", () => {
+    const events = collectEvents(["data: first\ndata:second\n", "data:  third\n\n"]);
+    expect(events).toEqual([{ event: "message", data: "first\nsecond\n third" }]);
+  });
+
+  it("doesn't end an event when a CRLF is split between chunks", () => {
+    const events = collectEvents(["data: first\r", "\ndata: second\r", "\n\r", "\n"]);
+    expect(events).toEqual([{ event: "message", data: "first\nsecond" }]);
+  });
+
+  it("parses a JSON payload spread over several data lines", () => {
+    const events = collectEvents(["data: {\"candidates\":[{\"content\":\r\n", "data: {\"parts\":[{\"text\":\"Hi\"}]}}]}\r\n\r\n"]);
+    expect(eventsText(events)).toBe("Hi");
+  });
+
+  it("reads event names and resets them after each event", () => {
+    const events = collectEvents(["event: error\ndata: oops\n\ndata: ok\n\n"]);
+    expect(events).toEqual([{ event: "error", data: "oops" }, { event: "message", data: "ok" }]);
+  });
+
+  it("dispatches a last event that isn't followed by a blank line on flush", () => {
+    expect(collectEvents(["data: last"])).toEqual([{ event: "message", data: "last" }]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * src/services/studyExport.js
+ *
+ * Exports study items ({ type, question, answer, options }) for Anki and Quizlet:
+ *   - TSV with Anki import headers (also pastes into Quizlet's "term<TAB>definition" import)
+ *   - CSV (RFC 4180) with type/question/answer/options columns
+ *   - .apkg: a zip holding an Anki `collection.anki2` SQLite database built in the
+ *     browser with sql.js. Flashcards use a Basic note type; quiz items use a
+ *     multiple-choice note type that keeps their options.
+ *
+ * sql.js (WebAssembly) and JSZip are loaded lazily, only when an .apkg is requested.
+ */
+
+import { hashString } from './quiz';
+import { escapeHtml } from './historyExport';
+
+// Where sql.js fetches its .wasm binary from.
+const SQL_JS_WASM_BASE = "https://sql.js.org/dist/";
+
+// Fixed note type IDs so repeated imports reuse the same Anki note types.
+const BASIC_MODEL_ID = 1712000000001;
+const MULTIPLE_CHOICE_MODEL_ID = 1712000000002;
+
+const FIELD_SEPARATOR = "\x1f";
+
+const CARD_CSS = `.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }
+ol.options { display: inline-block; text-align: left; }`;
+
+/**
+ * Options of a quiz item, with the answer guaranteed to be present.
+ * @param {object} item
+ * @returns {Array<string>}
+ */
+const quizOptions = (item) => {
+  const options = [...(item.options || [])];
+  if (item.answer && !options.includes(item.answer)) options.push(item.answer);
+  return options;
+};
+
+const optionsHtml = (item) =>
+  `<ol class="options" type="A">${quizOptions(item).map(option => `<li>${escapeHtml(option)}</li>`).join("")}</ol>`;
+
+// Tabs and newlines would break a TSV row; Anki renders HTML, so use <br>.
+const tsvCell = (text) => String(text ?? "").replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+
+/**
+ * Builds an Anki-importable TSV. Quiz options are appended to the front as an HTML list.
+ * @param {Array<object>} items - Study items.
+ * @param {string} deckName - Target deck name (Anki creates it on import).
+ * @returns {string}
+ */
+export const toAnkiTsv = (items, deckName) => {
+  const header = ["#separator:tab", "#html:true", `#deck:${deckName.replace(/[\r\n]/g, " ")}`];
+  const rows = items.map(item => {
+    const front = item.type === "quiz" ? `${escapeHtml(item.question)}<br>${optionsHtml(item)}` : escapeHtml(item.question);
+    return `${tsvCell(front)}\t${tsvCell(escapeHtml(item.answer))}`;
+  });
+  return [...header, ...rows].join("\n");
+};
+
+const csvCell = (text) => {
+  const value = String(text ?? "");
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/**
+ * Builds a CSV with one row per item. Options are joined with " | ".
+ * @param {Array<object>} items - Study items.
+ * @returns {string}
+ */
+export const toCsv = (items) => {
+  const rows = items.map(item => [
+    item.type || "flashcard",
+    item.question,
+    item.answer,
+    item.type === "quiz" ? quizOptions(item).join(" | ") : "",
+  ].map(csvCell).join(","));
+  return ["type,question,answer,options", ...rows].join("\r\n");
+};
+
+/**
+ * Anki's note checksum: first 8 hex digits of SHA-1 of the sort field, as an integer.
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+const fieldChecksum = async (text) => {
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+  return parseInt(hex.slice(0, 8), 16);
+};
+
+/**
+ * Stable note GUID derived from the note's content, so re-importing updates notes
+ * instead of duplicating them.
+ * @param {string} content
+ * @returns {string}
+ */
+const noteGuid = (content) => `pk${hashString(content).toString(36)}${hashString(`${content}#`).toString(36)}`;
+
+const buildModel = ({ id, name, fields, qfmt, afmt, deckId, now }) => ({
+  id,
+  name,
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [{ name: "Card 1", ord: 0, qfmt, afmt, did: null, bqfmt: "", bafmt: "" }],
+  flds: fields.map((field, ord) => ({ name: field, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+  css: CARD_CSS,
+  latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+  latexPost: "\\end{document}",
+  tags: [],
+  vers: [],
+  req: [[0, "all", [0]]],
+});
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  mod: now,
+  usn: -1,
+  lrnToday: [0, 0],
+  revToday: [0, 0],
+  newToday: [0, 0],
+  timeToday: [0, 0],
+  collapsed: false,
+  desc: "",
+  dyn: 0,
+  conf: 1,
+  extendNew: 10,
+  extendRev: 50,
+});
+
+const DECK_OPTIONS = {
+  1: {
+    id: 1, name: "Default", replayq: true, maxTaken: 60, timer: 0, autoplay: true, mod: 0, usn: 0, dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true },
+  },
+};
+
+const SCHEMA_SQL = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+/**
+ * Builds an Anki package (.apkg) containing one deck with all items as new cards.
+ * @param {Array<object>} items - Study items.
+ * @param {string} deckName - Deck name shown in Anki.
+ * @returns {Promise<Blob>}
+ */
+export const buildApkg = async (items, deckName) => {
+  const [{ default: initSqlJs }, { default: JSZip }] = await Promise.all([import('sql.js'), import('jszip')]);
+  const SQL = await initSqlJs({ locateFile: file => `${SQL_JS_WASM_BASE}${file}` });
+
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  const deckId = 1000000000 + (hashString(deckName) % 1000000000);
+
+  const models = {
+    [BASIC_MODEL_ID]: buildModel({
+      id: BASIC_MODEL_ID, name: "PopKing Basic", fields: ["Front", "Back"], deckId, now,
+      qfmt: "{{Front}}", afmt: "{{FrontSide}}<hr id=answer>{{Back}}",
+    }),
+    [MULTIPLE_CHOICE_MODEL_ID]: buildModel({
+      id: MULTIPLE_CHOICE_MODEL_ID, name: "PopKing Multiple Choice", fields: ["Question", "Options", "Answer"], deckId, now,
+      qfmt: "{{Question}}<br>{{Options}}", afmt: "{{FrontSide}}<hr id=answer>{{Answer}}",
+    }),
+  };
+  const decks = {
+    1: buildDeck(1, "Default", now),
+    [deckId]: buildDeck(deckId, deckName, now),
+  };
+  const conf = {
+    activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+    dueCounts: true, curModel: null, nextPos: items.length + 1, sortType: "noteFld", sortBackwards: false, addToCur: true,
+  };
+
+  const db = new SQL.Database();
+  try {
+    db.run(SCHEMA_SQL);
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      now, nowMs, nowMs, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(DECK_OPTIONS),
+    ]);
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const isQuiz = item.type === "quiz";
+      const fields = isQuiz
+        ? [escapeHtml(item.question), optionsHtml(item), escapeHtml(item.answer)]
+        : [escapeHtml(item.question), escapeHtml(item.answer)];
+      const noteId = nowMs + index;
+      const sortField = escapeHtml(item.question);
+
+      db.run("INSERT INTO notes VALUES (?, ?, ?, ?, -1, '', ?, ?, ?, 0, '')", [
+        noteId,
+        noteGuid(fields.join(FIELD_SEPARATOR)),
+        isQuiz ? MULTIPLE_CHOICE_MODEL_ID : BASIC_MODEL_ID,
+        now,
+        fields.join(FIELD_SEPARATOR),
+        sortField,
+        await fieldChecksum(sortField),
+      ]);
+      // New card: type 0, queue 0, due = position in the new queue.
+      db.run("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')", [
+        noteId, noteId, deckId, now, index + 1,
+      ]);
+    }
+
+    const zip = new JSZip();
+    zip.file("collection.anki2", db.export());
+    zip.file("media", "{}");
+    return zip.generateAsync({ type: "blob", mimeType: "application/apkg" });
+  } finally {
+    db.close();
+  }
+};
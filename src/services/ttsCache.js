@@ -0,0 +1,90 @@
+/**
+ * src/services/ttsCache.js
+ *
+ * IndexedDB cache of synthesized speech clips, so replaying an answer (or a sentence
+ * shared by several answers) doesn't call the TTS model again. Database `popking-tts`,
+ * store `clips`: { key, audio: ArrayBuffer (WAV), savedAt }. The oldest clips are
+ * evicted past MAX_CACHED_CLIPS. Every call degrades to a cache miss on failure
+ * (private browsing, quota), so playback never depends on the cache.
+ */
+
+const DB_NAME = "popking-tts";
+const STORE = "clips";
+export const MAX_CACHED_CLIPS = 1000;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "key" }).createIndex("savedAt", "savedAt");
+    };
+    dbPromise = requestToPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Cache key for a clip: SHA-256 of the text, voice and TTS model (the same text in
+ * another voice, or from another provider, sounds different).
+ * @param {string} text
+ * @param {string} voice
+ * @param {string} model - e.g. "gemini:gemini-2.5-flash-preview-tts".
+ * @returns {Promise<string>}
+ */
+export const clipCacheKey = async (text, voice, model) => {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify([model, voice, text])));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+};
+
+/**
+ * Reads a cached clip.
+ * @param {string} key - From clipCacheKey.
+ * @returns {Promise<ArrayBuffer|null>} - The WAV data, or null on a miss.
+ */
+export const getCachedClip = async (key) => {
+  try {
+    const db = await openDb();
+    const entry = await requestToPromise(db.transaction(STORE).objectStore(STORE).get(key));
+    return entry ? entry.audio : null;
+  } catch (error) {
+    console.error("Error reading the TTS cache:", error);
+    return null;
+  }
+};
+
+/**
+ * Stores a clip and evicts the oldest ones past MAX_CACHED_CLIPS.
+ * @param {string} key - From clipCacheKey.
+ * @param {ArrayBuffer} audio - WAV data.
+ * @returns {Promise<void>}
+ */
+export const putCachedClip = async (key, audio) => {
+  try {
+    const db = await openDb();
+    const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+    await requestToPromise(store.put({ key, audio, savedAt: Date.now() }));
+
+    let excess = (await requestToPromise(store.count())) - MAX_CACHED_CLIPS;
+    if (excess <= 0) return;
+    const cursorRequest = store.index("savedAt").openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  } catch (error) {
+    console.error("Error writing the TTS cache:", error);
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * src/services/ttsChunks.js
+ *
+ * Splits an answer into sentence-sized clips for text-to-speech. Markdown syntax is
+ * removed first so the voice doesn't read out asterisks, and code blocks are skipped.
+ */
+
+// Longer sentences are split further so each TTS request stays small.
+export const MAX_CLIP_CHARS = 400;
+
+/**
+ * Turns Markdown into plain text suitable for reading aloud.
+ * @param {string} text
+ * @returns {string}
+ */
+export const markdownToSpeech = (text) => String(text || '')
+  .replace(/```[\s\S]*?(```|$)/g, '\n(Code block omitted.)\n')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, '') // Table separator rows
+  .replace(/\|/g, ' ')
+  .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+  .replace(/(\*\*|__|~~|\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+  .replace(/\$\$?([^$]+)\$\$?/g, '$1');
+
+// Splits at commas/semicolons (or spaces as a last resort) to fit `max`.
+const splitLongSentence = (sentence, max) => {
+  const pieces = [];
+  let rest = sentence;
+  while (rest.length > max) {
+    const window = rest.slice(0, max);
+    const cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+    const at = cut > max / 3 ? cut + 1 : (window.lastIndexOf(' ') > 0 ? window.lastIndexOf(' ') : max);
+    pieces.push(rest.slice(0, at).trim());
+    rest = rest.slice(at).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+};
+
+const segmentSentences = (line) => {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(line), part => part.segment);
+  }
+  return line.match(/[^.!?…]+(?:[.!?…]+["')\]]*\s*|$)/g) || [line];
+};
+
+/**
+ * Splits text into the sentences that are synthesized and highlighted one by one.
+ * Line breaks always end a sentence (list items often have no final period).
+ * @param {string} text - The answer, in Markdown.
+ * @param {number} [maxChars]
+ * @returns {Array<string>}
+ */
+export const splitIntoSentences = (text, maxChars = MAX_CLIP_CHARS) =>
+  markdownToSpeech(text)
+    .split(/\n+/)
+    .flatMap(segmentSentences)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence))
+    .flatMap(sentence => splitLongSentence(sentence, maxChars));
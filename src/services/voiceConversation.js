@@ -0,0 +1,201 @@
+/**
+ * src/services/voiceConversation.js
+ *
+ * Hands-free voice sessions: listen -> detect the end of speech -> transcribe ->
+ * respond -> speak the reply -> listen again. Talking over the reply (barge-in)
+ * stops playback and starts the next turn. The mic is recorded while the reply
+ * plays, so the words spoken before the barge-in onset is detected are part of
+ * that turn (echo cancellation keeps the reply itself out of the recording).
+ *
+ * The session only orchestrates; the app injects how to transcribe, respond and
+ * speak (apiService + the TTS path), so the loop itself has no model dependencies.
+ */
+
+import {
+  openMicrophone, closeMicrophone, startRecording, createLevelMeter, transcribeRecording,
+} from './speechInput';
+
+export const VOICE_PHASES = {
+  LISTENING: "listening",
+  TRANSCRIBING: "transcribing",
+  THINKING: "thinking",
+  SPEAKING: "speaking",
+};
+
+export const SPEECH_EVENTS = {
+  WAITING: "waiting", // No speech yet
+  STARTED: "started", // Speech just began
+  SPEAKING: "speaking",
+  ENDED: "ended", // Speech followed by enough silence
+  TIMEOUT: "timeout", // Nobody spoke within maxWaitMs
+};
+
+// Appended to the system prompt for replies that will be read aloud.
+export const SPOKEN_REPLY_INSTRUCTION = "The user is talking to you by voice and your reply will be read aloud: answer in a few short, natural spoken sentences, without Markdown, lists or code.";
+
+// End-of-turn detection while listening.
+const LISTEN_DETECTOR = { threshold: 0.08, onsetMs: 150, silenceMs: 1200, maxWaitMs: 15000, maxSpeechMs: 60000 };
+// Barge-in needs a louder, longer onset so the reply leaking into the mic doesn't trigger it.
+const BARGE_IN_DETECTOR = { threshold: 0.2, onsetMs: 300, silenceMs: Infinity, maxWaitMs: Infinity, maxSpeechMs: Infinity };
+
+/**
+ * Creates a level-based voice activity detector. Feed it meter levels in time order.
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Level (0..1) that counts as speech.
+ * @param {number} [options.onsetMs] - How long the level must stay above the threshold to count as speech.
+ * @param {number} [options.silenceMs] - Silence after speech that ends the turn.
+ * @param {number} [options.maxWaitMs] - Give up when nobody starts speaking in time.
+ * @param {number} [options.maxSpeechMs] - Ends very long turns.
+ * @param {boolean} [options.speaking] - Start mid-speech, without waiting for an onset (a barge-in hands over this way).
+ * @returns {{push: function(number, number): string}} - `push(level, nowMs)` returns a SPEECH_EVENTS value.
+ */
+export const createSilenceDetector = ({
+  threshold = LISTEN_DETECTOR.threshold,
+  onsetMs = LISTEN_DETECTOR.onsetMs,
+  silenceMs = LISTEN_DETECTOR.silenceMs,
+  maxWaitMs = LISTEN_DETECTOR.maxWaitMs,
+  maxSpeechMs = LISTEN_DETECTOR.maxSpeechMs,
+  speaking = false,
+} = {}) => {
+  let startedAt = null;
+  let aboveSince = null;
+  let belowSince = null;
+  let speechStartedAt = null;
+
+  return {
+    push(level, now) {
+      if (startedAt === null) {
+        startedAt = now;
+        if (speaking) speechStartedAt = now;
+      }
+      if (level >= threshold) {
+        belowSince = null;
+        if (aboveSince === null) aboveSince = now;
+        if (speechStartedAt === null && now - aboveSince >= onsetMs) {
+          speechStartedAt = now;
+          return SPEECH_EVENTS.STARTED;
+        }
+      } else {
+        aboveSince = null;
+        if (belowSince === null) belowSince = now;
+      }
+
+      if (speechStartedAt === null) {
+        return now - startedAt >= maxWaitMs ? SPEECH_EVENTS.TIMEOUT : SPEECH_EVENTS.WAITING;
+      }
+      if ((belowSince !== null && now - belowSince >= silenceMs) || now - speechStartedAt >= maxSpeechMs) {
+        return SPEECH_EVENTS.ENDED;
+      }
+      return SPEECH_EVENTS.SPEAKING;
+    },
+  };
+};
+
+/**
+ * Opens the microphone and starts the conversation loop.
+ * @param {object} handlers
+ * @param {function({mimeType: string, data: string}): Promise<string|null>} handlers.transcribe - Null on failure.
+ * @param {function(string): Promise<string|null>} handlers.respond - Sends the transcript, resolves with the reply text.
+ * @param {function(string): Promise<{done: Promise<void>, stop: function(): void}>} handlers.speak - Starts playback.
+ * @param {function(string): void} handlers.onPhase - Receives VOICE_PHASES values.
+ * @param {function(number): void} [handlers.onLevel] - Mic level (0..1) every animation frame.
+ * @param {function(Error): void} handlers.onError - Turn failures; the session keeps listening.
+ * @returns {Promise<{stop: function(): void}>}
+ * @throws {Error} If the microphone cannot be opened.
+ */
+export const startVoiceConversation = async ({ transcribe, respond, speak, onPhase, onLevel, onError }) => {
+  const stream = await openMicrophone();
+  let phase = null;
+  let recording = null;
+  let detector = null;
+  let playback = null;
+  let stopped = false;
+
+  const setPhase = (next) => {
+    phase = next;
+    onPhase(next);
+  };
+
+  // Starts a turn, continuing `turn` when given (a barge-in keeps the recording made during the reply)
+  const listen = (turn = null) => {
+    if (stopped) return;
+    if (recording && recording !== turn) recording.cancel();
+    recording = turn || startRecording(stream);
+    detector = createSilenceDetector({ ...LISTEN_DETECTOR, speaking: Boolean(turn) });
+    setPhase(VOICE_PHASES.LISTENING);
+  };
+
+  const finishTurn = async () => {
+    const turn = recording;
+    recording = null;
+    setPhase(VOICE_PHASES.TRANSCRIBING);
+    try {
+      const transcript = await transcribeRecording(await turn.stop(), transcribe);
+      if (stopped) return;
+      if (transcript === null) throw new Error("Transcription failed.");
+      if (!transcript) {
+        listen();
+        return;
+      }
+
+      setPhase(VOICE_PHASES.THINKING);
+      const reply = await respond(transcript);
+      if (stopped) return;
+      if (!reply) {
+        listen();
+        return;
+      }
+
+      // Identifies this turn: barging in replaces the detector
+      const bargeIn = createSilenceDetector(BARGE_IN_DETECTOR);
+      detector = bargeIn;
+      recording = startRecording(stream);
+      setPhase(VOICE_PHASES.SPEAKING);
+      const current = await speak(reply);
+      // The user may have barged in (or ended the session) while the audio was synthesized
+      if (stopped || detector !== bargeIn) {
+        current.stop();
+        return;
+      }
+      playback = current;
+      await current.done;
+      if (detector === bargeIn) {
+        playback = null;
+        listen();
+      }
+    } catch (error) {
+      if (stopped) return;
+      onError(error);
+      listen();
+    }
+  };
+
+  const stopMeter = createLevelMeter(stream, (level, now) => {
+    if (onLevel) onLevel(level);
+    if (phase === VOICE_PHASES.LISTENING) {
+      const event = detector.push(level, now);
+      if (event === SPEECH_EVENTS.ENDED) {
+        finishTurn();
+      } else if (event === SPEECH_EVENTS.TIMEOUT) {
+        // Restart quietly so a silent session never builds up a huge recording
+        listen();
+      }
+    } else if (phase === VOICE_PHASES.SPEAKING && detector.push(level, now) === SPEECH_EVENTS.STARTED) {
+      if (playback) playback.stop();
+      playback = null;
+      listen(recording);
+    }
+  });
+
+  listen();
+
+  return {
+    stop: () => {
+      stopped = true;
+      stopMeter();
+      if (recording) recording.cancel();
+      if (playback) playback.stop();
+      closeMicrophone(stream);
+    },
+  };
+};
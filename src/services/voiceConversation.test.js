@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SPEECH_EVENTS, VOICE_PHASES, createSilenceDetector, startVoiceConversation } from './voiceConversation';
+
+// Fake microphone: recordings resolve to their own names, the meter is driven by the test
+const mic = vi.hoisted(() => ({ recordings: [], onLevel: null }));
+
+vi.mock('./speechInput', () => ({
+  openMicrophone: async () => ({}),
+  closeMicrophone: () => {},
+  startRecording: () => {
+    const recording = { name: `recording-${mic.recordings.length + 1}`, cancelled: false };
+    recording.stop = async () => recording.name;
+    recording.cancel = () => { recording.cancelled = true; };
+    mic.recordings.push(recording);
+    return recording;
+  },
+  createLevelMeter: (stream, onLevel) => {
+    mic.onLevel = onLevel;
+    return () => {};
+  },
+  transcribeRecording: (blob, transcribe) => transcribe(blob),
+}));
+
+// Feeds `level` to a detector every 50 ms from `from` to `to` and returns the events
+const feed = (detector, level, from, to) => {
+  const events = [];
+  for (let now = from; now <= to; now += 50) events.push(detector.push(level, now));
+  return events;
+};
+
+describe("createSilenceDetector", () => {
+  const options = { threshold: 0.1, onsetMs: 150, silenceMs: 1000, maxWaitMs: 5000, maxSpeechMs: 20000 };
+
+  it("waits in silence and times out", () => {
+    const detector = createSilenceDetector(options);
+    expect(feed(detector, 0, 0, 4950).every(event => event === SPEECH_EVENTS.WAITING)).toBe(true);
+    expect(detector.push(0, 5000)).toBe(SPEECH_EVENTS.TIMEOUT);
+  });
+
+  it("starts speech once, after the level stays up for the onset", () => {
+    const detector = createSilenceDetector(options);
+    expect(feed(detector, 0.5, 0, 100)).toEqual([SPEECH_EVENTS.WAITING, SPEECH_EVENTS.WAITING, SPEECH_EVENTS.WAITING]);
+    expect(detector.push(0.5, 150)).toBe(SPEECH_EVENTS.STARTED);
+    expect(detector.push(0.5, 200)).toBe(SPEECH_EVENTS.SPEAKING);
+  });
+
+  it("ignores blips shorter than the onset", () => {
+    const detector = createSilenceDetector(options);
+    feed(detector, 0.5, 0, 100);
+    feed(detector, 0, 150, 300);
+    expect(feed(detector, 0.5, 350, 450)).not.toContain(SPEECH_EVENTS.STARTED);
+  });
+
+  it("ends the turn after enough silence, not after a pause", () => {
+    const detector = createSilenceDetector(options);
+    feed(detector, 0.5, 0, 1000);
+    expect(feed(detector, 0, 1050, 1850).every(event => event === SPEECH_EVENTS.SPEAKING)).toBe(true);
+    feed(detector, 0.5, 1900, 2500);
+    expect(feed(detector, 0, 2550, 3500).at(-1)).toBe(SPEECH_EVENTS.SPEAKING);
+    expect(detector.push(0, 3550)).toBe(SPEECH_EVENTS.ENDED);
+  });
+
+  it("ends very long turns", () => {
+    const detector = createSilenceDetector({ ...options, maxSpeechMs: 2000 });
+    const events = feed(detector, 0.5, 0, 2150);
+    expect(events.at(-2)).toBe(SPEECH_EVENTS.SPEAKING);
+    expect(events.at(-1)).toBe(SPEECH_EVENTS.ENDED);
+  });
+
+  it("can start mid-speech", () => {
+    const detector = createSilenceDetector({ ...options, speaking: true });
+    expect(detector.push(0.5, 0)).toBe(SPEECH_EVENTS.SPEAKING);
+    feed(detector, 0, 50, 1000);
+    expect(detector.push(0, 1050)).toBe(SPEECH_EVENTS.ENDED);
+  });
+
+  it("never ends or times out with infinite limits", () => {
+    const detector = createSilenceDetector({ threshold: 0.2, onsetMs: 300, silenceMs: Infinity, maxWaitMs: Infinity, maxSpeechMs: Infinity });
+    expect(feed(detector, 0, 0, 60000).at(-1)).toBe(SPEECH_EVENTS.WAITING);
+  });
+});
+
+describe("startVoiceConversation barge-in", () => {
+  beforeEach(() => {
+    mic.recordings = [];
+    mic.onLevel = null;
+  });
+
+  it("keeps the words spoken before the barge-in onset in the next turn", async () => {
+    const phases = [];
+    const transcribe = vi.fn(async (recording) => `heard ${recording}`);
+    const playback = { done: new Promise(() => {}), stop: vi.fn() };
+    const session = await startVoiceConversation({
+      transcribe,
+      respond: async () => "A long spoken reply.",
+      speak: async () => playback,
+      onPhase: (phase) => phases.push(phase),
+      onError: (error) => { throw error; },
+    });
+
+    // First turn: speak, then fall silent
+    let now = 0;
+    for (; now <= 1000; now += 50) mic.onLevel(0.5, now);
+    for (; now <= 2500; now += 50) mic.onLevel(0, now);
+    await vi.waitFor(() => expect(phases.at(-1)).toBe(VOICE_PHASES.SPEAKING));
+    expect(transcribe).toHaveBeenLastCalledWith("recording-1");
+    expect(mic.recordings).toHaveLength(2); // Recording through the reply
+
+    // Talk over the reply: the onset takes 300 ms, the recording started with the reply
+    for (; now <= 3000; now += 50) mic.onLevel(0.5, now);
+    expect(playback.stop).toHaveBeenCalled();
+    expect(phases.at(-1)).toBe(VOICE_PHASES.LISTENING);
+    expect(mic.recordings).toHaveLength(2);
+
+    for (; now <= 4500; now += 50) mic.onLevel(0, now);
+    await vi.waitFor(() => expect(transcribe).toHaveBeenCalledTimes(2));
+    expect(transcribe).toHaveBeenLastCalledWith("recording-2");
+    expect(mic.recordings[1].cancelled).toBe(false);
+    session.stop();
+  });
+
+  it("drops the reply-time recording when nobody barges in", async () => {
+    let finishPlayback;
+    const phases = [];
+    await startVoiceConversation({
+      transcribe: async () => "hello",
+      respond: async () => "Hi!",
+      speak: async () => ({ done: new Promise(resolve => { finishPlayback = resolve; }), stop: () => {} }),
+      onPhase: (phase) => phases.push(phase),
+      onError: (error) => { throw error; },
+    });
+
+    let now = 0;
+    for (; now <= 1000; now += 50) mic.onLevel(0.5, now);
+    for (; now <= 2500; now += 50) mic.onLevel(0, now);
+    await vi.waitFor(() => expect(finishPlayback).toBeTypeOf('function'));
+    finishPlayback();
+    await vi.waitFor(() => expect(phases.at(-1)).toBe(VOICE_PHASES.LISTENING));
+
+    expect(mic.recordings).toHaveLength(3);
+    expect(mic.recordings[1].cancelled).toBe(true);
+    expect(mic.recordings[2].cancelled).toBe(false);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * src/theme/themes.js
+ *
+ * Theme tokens. Each theme assigns an RGB triplet to every token; `applyTheme` writes
+ * them to CSS variables (`--pk-<token>`) on the document root, and tailwind.config.js
+ * maps the variables to Tailwind colors, so components use `bg-surface`, `text-fg`,
+ * `text-mode-code`, ... instead of fixed palette classes.
+ *
+ * Status colors (errors, correct/incorrect answers, grade buttons) stay on the
+ * regular Tailwind palette in every theme.
+ */
+
+export const DEFAULT_THEME = "DARK";
+
+// Tokens every theme defines; see tailwind.config.js for the class names.
+export const THEME_TOKENS = [
+  "base", "surface", "raised", "raised-hover", "line", "line-strong",
+  "fg", "fg-muted", "fg-subtle", "fg-faint",
+  "primary", "primary-hover", "primary-soft",
+  "accent", "accent-strong", "accent-strong-hover",
+  "mode-quick", "mode-search", "mode-creative", "mode-study", "mode-code", "mode-coach",
+];
+
+const DARK_COLORS = {
+  "base": "17 24 39",
+  "surface": "31 41 55",
+  "raised": "55 65 81",
+  "raised-hover": "75 85 99",
+  "line": "55 65 81",
+  "line-strong": "75 85 99",
+  "fg": "255 255 255",
+  "fg-muted": "209 213 219",
+  "fg-subtle": "156 163 175",
+  "fg-faint": "107 114 128",
+  "primary": "147 51 234",
+  "primary-hover": "168 85 247",
+  "primary-soft": "192 132 252",
+  "accent": "250 204 21",
+  "accent-strong": "202 138 4",
+  "accent-strong-hover": "234 179 8",
+  "mode-quick": "96 165 250",
+  "mode-search": "74 222 128",
+  "mode-creative": "192 132 252",
+  "mode-study": "250 204 21",
+  "mode-code": "248 113 113",
+  "mode-coach": "244 114 182",
+};
+
+/**
+ * Available themes. `unlock` marks themes sold in the Crown store (the store item's
+ * `value` is the theme key); `colorScheme` sets native form controls and scrollbars.
+ */
+export const THEMES = {
+  DARK: { name: "Dark", colorScheme: "dark", colors: DARK_COLORS },
+  LIGHT: {
+    name: "Light",
+    colorScheme: "light",
+    colors: {
+      ...DARK_COLORS,
+      "base": "243 244 246",
+      "surface": "255 255 255",
+      "raised": "229 231 235",
+      "raised-hover": "209 213 219",
+      "line": "209 213 219",
+      "line-strong": "156 163 175",
+      "fg": "17 24 39",
+      "fg-muted": "55 65 81",
+      "fg-subtle": "75 85 99",
+      "fg-faint": "107 114 128",
+      "primary-hover": "126 34 206",
+      "primary-soft": "126 34 206",
+      "accent": "161 98 7",
+      "accent-strong": "161 98 7",
+      "accent-strong-hover": "133 77 14",
+      "mode-quick": "37 99 235",
+      "mode-search": "22 163 74",
+      "mode-creative": "147 51 234",
+      "mode-study": "161 98 7",
+      "mode-code": "220 38 38",
+      "mode-coach": "219 39 119",
+    },
+  },
+  HIGH_CONTRAST: {
+    name: "High Contrast",
+    colorScheme: "dark",
+    colors: {
+      ...DARK_COLORS,
+      "base": "0 0 0",
+      "surface": "0 0 0",
+      "raised": "28 28 28",
+      "raised-hover": "56 56 56",
+      "line": "255 255 255",
+      "line-strong": "255 255 255",
+      "fg-muted": "255 255 255",
+      "fg-subtle": "235 235 235",
+      "fg-faint": "210 210 210",
+      "primary": "0 64 160",
+      "primary-hover": "0 90 210",
+      "primary-soft": "110 220 255",
+      "accent": "255 255 0",
+      "accent-strong": "140 100 0",
+      "accent-strong-hover": "170 125 0",
+      "mode-quick": "110 220 255",
+      "mode-search": "0 255 128",
+      "mode-creative": "230 170 255",
+      "mode-study": "255 255 0",
+      "mode-code": "255 128 128",
+      "mode-coach": "255 150 210",
+    },
+  },
+  ROYAL_GOLD: {
+    name: "Royal Gold",
+    colorScheme: "dark",
+    unlock: true,
+    colors: {
+      ...DARK_COLORS,
+      "base": "10 10 10",
+      "surface": "26 22 14",
+      "raised": "44 37 22",
+      "raised-hover": "64 54 32",
+      "line": "84 68 32",
+      "line-strong": "115 92 42",
+      "fg": "255 250 235",
+      "fg-muted": "235 225 200",
+      "fg-subtle": "200 185 150",
+      "fg-faint": "150 135 100",
+      "primary": "161 115 16",
+      "primary-hover": "196 146 36",
+      "primary-soft": "240 200 90",
+      "accent": "250 204 21",
+      "accent-strong": "161 115 16",
+      "accent-strong-hover": "196 146 36",
+    },
+  },
+  SYNTHWAVE: {
+    name: "Synthwave",
+    colorScheme: "dark",
+    unlock: true,
+    colors: {
+      ...DARK_COLORS,
+      "base": "26 11 46",
+      "surface": "40 18 70",
+      "raised": "60 28 100",
+      "raised-hover": "82 40 130",
+      "line": "92 46 142",
+      "line-strong": "122 62 172",
+      "fg-muted": "240 220 255",
+      "fg-subtle": "200 170 230",
+      "fg-faint": "160 130 200",
+      "primary": "219 39 119",
+      "primary-hover": "236 72 153",
+      "primary-soft": "244 114 182",
+      "accent": "34 211 238",
+      "accent-strong": "8 145 178",
+      "accent-strong-hover": "6 182 212",
+    },
+  },
+};
+
+/**
+ * Writes a theme's tokens to CSS variables on `root`. Unknown keys fall back to the default.
+ * @param {string} themeKey - Key of THEMES.
+ * @param {HTMLElement} [root] - Defaults to the document element.
+ */
+export const applyTheme = (themeKey, root = document.documentElement) => {
+  const theme = THEMES[themeKey] || THEMES[DEFAULT_THEME];
+  THEME_TOKENS.forEach(token => root.style.setProperty(`--pk-${token}`, theme.colors[token]));
+  root.style.colorScheme = theme.colorScheme;
+  root.dataset.theme = (THEMES[themeKey] ? themeKey : DEFAULT_THEME).toLowerCase();
+};
@@ -0,0 +1,29 @@
+// Theme colors are CSS variables set at runtime by src/theme/themes.js.
+const token = (name) => `rgb(var(--pk-${name}) / <alpha-value>)`;
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./Generator.js', './src/**/*.js'],
+  theme: {
+    extend: {
+      colors: {
+        base: token('base'),
+        surface: token('surface'),
+        raised: { DEFAULT: token('raised'), hover: token('raised-hover') },
+        line: { DEFAULT: token('line'), strong: token('line-strong') },
+        fg: { DEFAULT: token('fg'), muted: token('fg-muted'), subtle: token('fg-subtle'), faint: token('fg-faint') },
+        primary: { DEFAULT: token('primary'), hover: token('primary-hover'), soft: token('primary-soft') },
+        accent: { DEFAULT: token('accent'), strong: token('accent-strong'), 'strong-hover': token('accent-strong-hover') },
+        mode: {
+          quick: token('mode-quick'),
+          search: token('mode-search'),
+          creative: token('mode-creative'),
+          study: token('mode-study'),
+          code: token('mode-code'),
+          coach: token('mode-coach'),
+        },
+      },
+    },
+  },
+  plugins: [],
+};